@@ -0,0 +1,4 @@
+// Used by Jest only: the sources are ES modules, which webpack bundles as-is
+module.exports = {
+  plugins: ['@babel/plugin-transform-modules-commonjs'],
+};
@@ -10,16 +10,67 @@
  * - Review diversity (all 5-star? all same category?)
  * - Profile completeness
  * - Verified purchase indicators
+ * - Reputation: low-trust reviews by the same reviewer on other products
+ *   the user viewed (from the local reviewer index)
+ *
+ * Reddit accounts (RedditProfile) post and comment rather than review, so
+ * they get their own set: account age, suspension, posting cadence, the
+ * link / comment karma split and the spread over subreddits.
+ *
+ * Google Maps reviewers (MapsReviewerProfile) are scored on their Local
+ * Guide standing and, once their contributions have been read, on the
+ * pattern of a paid local review ring: only 5-star reviews for
+ * businesses in one small area, or many businesses of one type reviewed
+ * on the same day.
  */
 
+import { BurstDetector } from './BurstDetector.js';
+
+// Subreddits that exist to trade upvotes, where new bot accounts build
+// enough karma to get past other communities' minimums
+const KARMA_FARM_SUBREDDITS = new Set([
+  'freekarma4u', 'freekarma4you', 'freekarmaforyou', 'karma4free', 'upvote',
+]);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 export class AccountAnalyzer {
   constructor() {
+    this.burstDetector = new BurstDetector();
+
     // Suspicious patterns
     this.suspiciousPatterns = {
       burstThreshold: 5,          // Reviews posted in same day
       minAccountAgeDays: 30,      // Accounts younger than this are flagged
       allSameRatingThreshold: 0.9, // If 90%+ reviews are same rating
       reviewsPerDayMax: 3,        // More than this per day is unusual
+      lowTrustScore: 0.5,         // Reviews scored below this count as low-trust
+    };
+
+    // Reddit accounts — limits for posts and comments, not reviews
+    this.redditPatterns = {
+      minActivity: 10,            // Recent posts + comments needed for cadence and spread
+      itemsPerDayMax: 40,         // Sustained rate beyond even heavy users
+      quietHours: 6,              // People sleep: some stretch of the day this long...
+      quietShareMax: 0.15,        // ...holds less than this share of their activity
+      minActivityForHours: 50,    // Items needed before the quiet-hours check means anything
+      regularGapCv: 0.25,         // Gap variation below this is scheduled posting
+      minKarma: 10,               // Less than this is a throwaway or fresh account
+      linkKarmaRatio: 20,         // Link karma this many times comment karma is reposting
+      minLinkKarma: 1000,         // ...once there is this much of it
+      farmedKarma: 5000,          // This much within minAccountAgeDays suggests farming
+      topSubredditShare: 0.9,     // Share of recent activity in one subreddit
+    };
+
+    // Google Maps reviewers — local businesses, Local Guide program
+    this.mapsPatterns = {
+      seasonedLevel: 5,           // Local Guide level that takes sustained contributing
+      fewReviews: 3,              // Fewer reviews than this, without photos, is a thin account
+      minContributions: 4,        // Reviews needed for the rating and area checks
+      fiveStarShare: 0.9,         // Share of 5-star reviews that counts as "only 5 stars"
+      smallAreaKm: 3,             // Places within this radius of their centre are one area
+      sameAreaShare: 0.9,         // Share of reviews that must fall in that area
+      sameDayPlaces: 3,           // Businesses of one type reviewed on one day
     };
   }
 
@@ -29,25 +80,30 @@ export class AccountAnalyzer {
    * @returns {Object} Account signal scores
    */
   analyze(profile) {
+    if (profile instanceof RedditProfile) return this._analyzeRedditAccount(profile);
+    if (profile instanceof MapsReviewerProfile) return this._analyzeMapsReviewer(profile);
+
     return {
       accountAge: this._scoreAccountAge(profile),
       postingFrequency: this._scorePostingFrequency(profile),
       reviewDiversity: this._scoreReviewDiversity(profile),
       profileCompleteness: this._scoreProfileCompleteness(profile),
       networkConnections: this._scoreNetworkSignals(profile),
+      reviewerReputation: this._scoreReputation(profile),
     };
   }
 
   /**
    * Analyze a batch of reviewers for coordinated behavior
    * @param {ReviewerProfile[]} profiles
+   * @param {number[]} [ratings] - Star rating of each profile's review, for per-rating bursts
    * @returns {Object}
    */
-  analyzeBatch(profiles) {
+  analyzeBatch(profiles, ratings = []) {
     const individual = profiles.map(p => this.analyze(p));
 
     const batchSignals = {
-      timingCluster: this._detectTimingClusters(profiles),
+      timingCluster: this._detectTimingClusters(profiles, ratings),
       accountAgeCluster: this._detectAccountAgeCluster(profiles),
     };
 
@@ -184,7 +240,7 @@ export class AccountAnalyzer {
 
   _scoreNetworkSignals(profile) {
     // Helpful vote ratio — real reviewers accumulate helpful votes over time
-    if (profile.helpfulVotes !== undefined && profile.totalReviews) {
+    if (profile.helpfulVotes !== null && profile.helpfulVotes !== undefined && profile.totalReviews) {
       const helpfulRatio = profile.helpfulVotes / profile.totalReviews;
 
       if (helpfulRatio < 0.1 && profile.totalReviews > 20) {
@@ -203,61 +259,263 @@ export class AccountAnalyzer {
   }
 
   /**
-   * Detect timing clusters — multiple reviewers posting around the same time
-   * Strong indicator of coordinated campaigns
+   * Reputation from the reviewer's reviews on other products.
+   * profile.history only lists other products; null when there are none.
    */
-  _detectTimingClusters(profiles) {
-    const reviewDates = [];
-    for (const profile of profiles) {
-      if (profile.reviewDate) {
-        reviewDates.push(new Date(profile.reviewDate).getTime());
-      }
+  _scoreReputation(profile) {
+    if (!profile.history || profile.history.length === 0) return null;
+
+    const lowTrust = profile.history.filter(seen =>
+      seen.score !== null && seen.score !== undefined && seen.score < this.suspiciousPatterns.lowTrustScore
+    ).length;
+
+    if (lowTrust > 0) {
+      return {
+        score: Math.max(0.1, 0.5 - (lowTrust - 1) * 0.15),
+        detail: `Posted low-trust reviews on ${lowTrust} other product${lowTrust > 1 ? 's' : ''} you viewed`,
+        lowTrust,
+        products: profile.history.length,
+      };
     }
 
-    if (reviewDates.length < 5) return null;
+    // Seen elsewhere without problems
+    return { score: 0.75, detail: null, lowTrust: 0, products: profile.history.length };
+  }
+
+  // ============================================================
+  // REDDIT ACCOUNTS
+  // ============================================================
 
-    reviewDates.sort((a, b) => a - b);
+  _analyzeRedditAccount(profile) {
+    return {
+      accountAge: this._scoreAccountAge(profile),
+      accountStatus: profile.suspended ? { score: 0.1, detail: 'Account suspended by Reddit' } : null,
+      postingCadence: this._scorePostingCadence(profile),
+      karmaSplit: this._scoreKarmaSplit(profile),
+      communitySpread: this._scoreCommunitySpread(profile),
+    };
+  }
 
-    // Find clusters (reviews within 24 hours of each other)
-    const clusters = [];
-    let currentCluster = [reviewDates[0]];
+  /**
+   * Rate, hours of the day and regularity of recent posts and comments.
+   * People post in bursts and sleep; scheduled bots do neither.
+   */
+  _scorePostingCadence(profile) {
+    const p = this.redditPatterns;
+    const times = profile.activityDates
+      .map(d => new Date(d).getTime())
+      .filter(t => !Number.isNaN(t))
+      .sort((a, b) => a - b);
+    if (times.length < p.minActivity) return null;
 
-    for (let i = 1; i < reviewDates.length; i++) {
-      if (reviewDates[i] - reviewDates[i - 1] < 86400000) { // 24 hours
-        currentCluster.push(reviewDates[i]);
-      } else {
-        if (currentCluster.length >= 3) {
-          clusters.push(currentCluster);
-        }
-        currentCluster = [reviewDates[i]];
-      }
+    const spanDays = Math.max((times[times.length - 1] - times[0]) / DAY_MS, 1);
+    const perDay = times.length / spanDays;
+    if (perDay > p.itemsPerDayMax) {
+      return { score: 0.2, detail: `About ${Math.round(perDay)} posts and comments a day` };
     }
-    if (currentCluster.length >= 3) {
-      clusters.push(currentCluster);
+
+    const gaps = times.slice(1).map((t, i) => t - times[i]);
+    const meanGap = gaps.reduce((a, b) => a + b, 0) / gaps.length;
+    const sd = Math.sqrt(gaps.reduce((sum, g) => sum + (g - meanGap) ** 2, 0) / gaps.length);
+    if (meanGap > 0 && sd / meanGap < p.regularGapCv) {
+      return { score: 0.2, detail: `Posts at regular intervals (about every ${formatInterval(meanGap)})` };
     }
 
-    if (clusters.length === 0) {
-      return { score: 0.8, detail: null };
+    if (times.length >= p.minActivityForHours) {
+      // Quietest stretch of the day (UTC, wrapping past midnight)
+      const byHour = new Array(24).fill(0);
+      for (const t of times) byHour[new Date(t).getUTCHours()]++;
+      let quietest = Infinity;
+      for (let start = 0; start < 24; start++) {
+        let count = 0;
+        for (let h = 0; h < p.quietHours; h++) count += byHour[(start + h) % 24];
+        quietest = Math.min(quietest, count);
+      }
+      if (quietest / times.length >= p.quietShareMax) {
+        return { score: 0.35, detail: 'Posts around the clock, with no quiet hours' };
+      }
     }
 
-    const largestCluster = Math.max(...clusters.map(c => c.length));
-    const clusterRatio = largestCluster / reviewDates.length;
+    return { score: 0.8, detail: null };
+  }
 
-    if (clusterRatio > 0.5) {
+  /**
+   * Link vs. comment karma. Repost bots earn link karma and barely comment;
+   * farmed accounts collect a lot of karma very quickly.
+   */
+  _scoreKarmaSplit(profile) {
+    if (profile.linkKarma === null && profile.commentKarma === null) return null;
+
+    const p = this.redditPatterns;
+    const link = profile.linkKarma || 0;
+    const comment = profile.commentKarma || 0;
+    const total = link + comment;
+    const ageDays = profile.accountCreated
+      ? (Date.now() - new Date(profile.accountCreated).getTime()) / DAY_MS
+      : null;
+
+    if (total < p.minKarma) {
+      return { score: 0.4, detail: `Only ${total} karma` };
+    }
+    if (ageDays !== null && ageDays < this.suspiciousPatterns.minAccountAgeDays && total >= p.farmedKarma) {
       return {
-        score: 0.15,
-        detail: `${largestCluster} of ${reviewDates.length} reviews posted within 24 hours of each other`,
+        score: 0.25,
+        detail: `${total.toLocaleString('en-US')} karma within ${Math.max(1, Math.round(ageDays))} days of creation`,
       };
     }
+    if (link >= p.minLinkKarma && link > p.linkKarmaRatio * Math.max(comment, 1)) {
+      return { score: 0.3, detail: 'Karma almost entirely from posts, hardly any from comments' };
+    }
+
+    return { score: 0.8, detail: null };
+  }
+
+  /**
+   * Subreddits of recent posts and comments: karma-farming communities, or
+   * everything in one place
+   */
+  _scoreCommunitySpread(profile) {
+    const p = this.redditPatterns;
+    const subreddits = profile.subreddits.filter(Boolean);
+    if (subreddits.length < p.minActivity) return null;
+
+    const farms = [...new Set(subreddits.filter(s => KARMA_FARM_SUBREDDITS.has(s.toLowerCase())))];
+    if (farms.length > 0) {
+      return { score: 0.25, detail: `Active in karma-farming subreddits (${farms.map(s => `r/${s}`).join(', ')})` };
+    }
+
+    const counts = {};
+    for (const s of subreddits) counts[s] = (counts[s] || 0) + 1;
+    const [top, topCount] = Object.entries(counts).sort(([, a], [, b]) => b - a)[0];
+    if (topCount / subreddits.length >= p.topSubredditShare) {
+      return { score: 0.5, detail: `${Math.round((topCount / subreddits.length) * 100)}% of recent activity in r/${top}` };
+    }
+
+    return { score: 0.8, detail: null };
+  }
+
+  // ============================================================
+  // GOOGLE MAPS REVIEWERS
+  // ============================================================
 
+  _analyzeMapsReviewer(profile) {
     return {
-      score: Math.max(0.3, 1 - clusterRatio),
-      detail: clusterRatio > 0.3
-        ? `Review timing shows clustering patterns`
-        : null,
+      contributorLevel: this._scoreContributorLevel(profile),
+      localFiveStars: this._scoreLocalFiveStars(profile),
+      sameDayPlaces: this._scoreSameDayPlaces(profile),
     };
   }
 
+  /**
+   * Local Guide level, review and photo counts. A high level takes many
+   * contributions over time; a single review with no photos is what a
+   * throwaway account looks like.
+   */
+  _scoreContributorLevel(profile) {
+    const p = this.mapsPatterns;
+    if (profile.localGuideLevel !== null && profile.localGuideLevel >= p.seasonedLevel) {
+      return { score: 0.85, detail: null };
+    }
+    if (profile.totalReviews === null) return null;
+
+    if (profile.totalReviews <= 1 && !profile.photoCount) {
+      return { score: 0.35, detail: 'Only review on this account' };
+    }
+    if (profile.totalReviews < p.fewReviews && !profile.photoCount && !profile.localGuide) {
+      return { score: 0.5, detail: `Only ${profile.totalReviews} reviews and no photos` };
+    }
+    return { score: profile.localGuide ? 0.75 : 0.65, detail: null };
+  }
+
+  /**
+   * Only 5-star reviews, all for businesses close together — how review
+   * rings serve local clients
+   */
+  _scoreLocalFiveStars(profile) {
+    const p = this.mapsPatterns;
+    const rated = profile.contributions.filter(c => typeof c.rating === 'number');
+    if (rated.length < p.minContributions) return null;
+
+    const fiveStars = rated.filter(c => c.rating === 5).length;
+    if (fiveStars / rated.length < p.fiveStarShare) return { score: 0.8, detail: null };
+
+    const area = this._commonArea(profile.contributions);
+    if (area) {
+      return { score: 0.2, detail: `${fiveStars} of ${rated.length} reviews are 5 stars, all for businesses ${area}` };
+    }
+    // Plenty of people only review places they liked
+    return { score: 0.55, detail: `${fiveStars} of ${rated.length} reviews are 5 stars` };
+  }
+
+  /**
+   * Several businesses of one type reviewed on one day. Only reviews dated
+   * to the day count; "2 months ago" says nothing about the day.
+   */
+  _scoreSameDayPlaces(profile) {
+    const p = this.mapsPatterns;
+    const dated = profile.contributions.filter(c => c.date && c.category);
+    if (dated.length < p.sameDayPlaces) return null;
+
+    const groups = new Map();   // day + category → { date, category, count }
+    for (const c of dated) {
+      const key = `${c.date}|${c.category.toLowerCase()}`;
+      const group = groups.get(key) || { date: c.date, category: c.category, count: 0 };
+      group.count++;
+      groups.set(key, group);
+    }
+
+    const largest = [...groups.values()].sort((a, b) => b.count - a.count)[0];
+    if (largest.count >= p.sameDayPlaces) {
+      return {
+        score: Math.max(0.1, 0.4 - (largest.count - p.sameDayPlaces) * 0.1),
+        detail: `Reviewed ${largest.count} businesses of one type (${largest.category}) on ${largest.date}`,
+      };
+    }
+    return { score: 0.8, detail: null };
+  }
+
+  /**
+   * Where nearly all reviewed places lie close together: "within a 1.2 km
+   * radius" from coordinates, else "in 10115" from a shared postal code
+   * @returns {string|null}
+   */
+  _commonArea(contributions) {
+    const p = this.mapsPatterns;
+    const needed = Math.max(p.minContributions, Math.ceil(contributions.length * p.sameAreaShare));
+
+    const located = contributions.filter(c => Number.isFinite(c.lat) && Number.isFinite(c.lng));
+    if (located.length >= needed) {
+      const centre = {
+        lat: located.reduce((sum, c) => sum + c.lat, 0) / located.length,
+        lng: located.reduce((sum, c) => sum + c.lng, 0) / located.length,
+      };
+      const distances = located.map(c => distanceKm(c, centre)).sort((a, b) => a - b);
+      const radius = distances[needed - 1];
+      return radius <= p.smallAreaKm ? `within a ${Math.max(0.1, Math.round(radius * 10) / 10)} km radius` : null;
+    }
+
+    const counts = {};
+    for (const c of contributions) {
+      if (c.postalCode) counts[c.postalCode] = (counts[c.postalCode] || 0) + 1;
+    }
+    const [code, count] = Object.entries(counts).sort(([, a], [, b]) => b - a)[0] || [];
+    return code && count >= needed ? `in postal code ${code}` : null;
+  }
+
+  /**
+   * Detect review bursts — more reviews in a window than the product's
+   * usual review rate explains, overall or within one star rating.
+   * Strong indicator of coordinated campaigns
+   * @param {ReviewerProfile[]} profiles
+   * @param {number[]} ratings - Star rating of each profile's review on this page
+   */
+  _detectTimingClusters(profiles, ratings = []) {
+    return this.burstDetector.detect(profiles.map((profile, i) => ({
+      date: profile.reviewDate,
+      rating: ratings[i] ?? null,
+    })));
+  }
+
   /**
    * Detect if reviewer accounts were all created around the same time
    */
@@ -277,7 +535,7 @@ export class AccountAnalyzer {
     if (range < weekMs && creationDates.length >= 5) {
       return {
         score: 0.1,
-        detail: `${creationDates.length} reviewer accounts created within the same week`,
+        detail: `${creationDates.length} accounts created within the same week`,
       };
     }
 
@@ -298,11 +556,78 @@ export class ReviewerProfile {
     this.accountCreated = data.accountCreated || null;
     this.firstReviewDate = data.firstReviewDate || null;
     this.totalReviews = data.totalReviews || null;
-    this.helpfulVotes = data.helpfulVotes || null;
+    this.helpfulVotes = data.helpfulVotes ?? null;  // null when the platform shows none
     this.ratings = data.ratings || [];             // Array of star ratings
     this.reviewDates = data.reviewDates || [];     // Array of ISO date strings
     this.reviewCategories = data.reviewCategories || [];
     this.reviewDate = data.reviewDate || null;     // Date of the specific review being analyzed
     this.verifiedPurchase = data.verifiedPurchase || false;
+    this.history = data.history || [];             // Reviews on other products: [{ product, rating, score, level }]
+  }
+}
+
+/**
+ * Reddit account data from the public about / overview listings. Posts
+ * and comments are not reviews, so their times and subreddits get their
+ * own fields instead of reviewDates / reviewCategories.
+ */
+export class RedditProfile extends ReviewerProfile {
+  constructor(data = {}) {
+    super(data);
+    this.linkKarma = data.linkKarma ?? null;
+    this.commentKarma = data.commentKarma ?? null;
+    this.suspended = data.suspended || false;
+    this.activityDates = data.activityDates || [];   // Recent posts and comments, ISO date strings
+    this.subreddits = data.subreddits || [];         // Subreddit of each recent post and comment
+  }
+}
+
+/**
+ * Google Maps reviewer: what review cards show (Local Guide badge, review
+ * and photo counts) and, once the contributions page has been read, the
+ * level and the reviewed places
+ */
+export class MapsReviewerProfile extends ReviewerProfile {
+  constructor(data = {}) {
+    super(data);
+    this.platform = 'googlemaps';                    // Survives structured cloning, see restoreProfile()
+    this.localGuide = data.localGuide || false;
+    this.localGuideLevel = data.localGuideLevel ?? null;
+    this.photoCount = data.photoCount ?? null;
+    // Reviewed places: [{ place, category, rating, date, postalCode, lat, lng }];
+    // date only when known to the day
+    this.contributions = data.contributions || [];
   }
 }
+
+/**
+ * Rebuild a profile from its structured-clone copy (worker jobs), keeping
+ * the platform-specific class
+ */
+export function restoreProfile(data = {}) {
+  if (data.platform === 'googlemaps') return new MapsReviewerProfile(data);
+  return new ReviewerProfile(data);
+}
+
+/**
+ * Great-circle distance between { lat, lng } points, in km
+ */
+function distanceKm(a, b) {
+  const rad = Math.PI / 180;
+  const dLat = (b.lat - a.lat) * rad;
+  const dLng = (b.lng - a.lng) * rad;
+  const h = Math.sin(dLat / 2) ** 2
+    + Math.cos(a.lat * rad) * Math.cos(b.lat * rad) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * 5400000 → "1.5 hours"
+ */
+function formatInterval(ms) {
+  const minutes = ms / 60000;
+  if (minutes < 90) return `${Math.max(1, Math.round(minutes))} minutes`;
+  const hours = minutes / 60;
+  if (hours < 36) return `${Math.round(hours * 10) / 10} hours`;
+  return `${Math.round(hours / 24)} days`;
+}
@@ -0,0 +1,225 @@
+import { AccountAnalyzer, MapsReviewerProfile, RedditProfile, restoreProfile } from './AccountAnalyzer.js';
+
+const NOW = new Date('2026-03-15T12:00:00Z');
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const daysAgo = (days) => new Date(NOW.getTime() - days * DAY_MS).toISOString();
+
+// ISO times of posts on `days` consecutive days at the given UTC hours
+function activity(days, hours) {
+  const start = Date.UTC(2026, 2, 1);
+  return Array.from({ length: days }, (_, day) => hours.map(hour =>
+    new Date(start + day * DAY_MS + hour * HOUR_MS).toISOString()
+  )).flat();
+}
+
+const analyzer = new AccountAnalyzer();
+
+beforeAll(() => {
+  jest.useFakeTimers({ now: NOW });
+});
+
+afterAll(() => {
+  jest.useRealTimers();
+});
+
+describe('AccountAnalyzer Reddit accounts', () => {
+  const signalsOf = (data) => analyzer.analyze(new RedditProfile(data));
+
+  it('scores Reddit accounts on their own signal set', () => {
+    expect(Object.keys(signalsOf({}))).toEqual(['accountAge', 'accountStatus', 'postingCadence', 'karmaSplit', 'communitySpread']);
+    expect(Object.values(signalsOf({})).every(signal => signal === null)).toBe(true);
+  });
+
+  it('flags new and suspended accounts', () => {
+    expect(signalsOf({ accountCreated: daysAgo(3) }).accountAge.score).toBe(0.1);
+    expect(signalsOf({ accountCreated: daysAgo(400) }).accountAge.score).toBe(0.9);
+    expect(signalsOf({ suspended: true }).accountStatus).toEqual({ score: 0.1, detail: 'Account suspended by Reddit' });
+  });
+
+  describe('posting cadence', () => {
+    const cadenceOf = (activityDates) => signalsOf({ activityDates }).postingCadence;
+
+    it('needs enough recent activity', () => {
+      expect(cadenceOf(activity(1, [8, 9, 12, 13, 16, 17, 20, 21, 22]))).toBeNull();
+    });
+
+    it('looks organic for someone active by day', () => {
+      expect(cadenceOf(activity(7, [8, 9, 12, 13, 16, 17, 20, 21]))).toEqual({ score: 0.8, detail: null });
+    });
+
+    it('flags a rate no person keeps up', () => {
+      const times = activity(2, Array.from({ length: 48 }, (_, i) => i / 2 + (i % 3) * 0.1));
+      expect(cadenceOf(times)).toEqual({ score: 0.2, detail: 'About 48 posts and comments a day' });
+    });
+
+    it('flags posting at regular intervals', () => {
+      expect(cadenceOf(activity(3, [0, 2, 4, 6, 8, 10, 12, 14, 16, 18, 20, 22]))).toEqual({
+        score: 0.2,
+        detail: 'Posts at regular intervals (about every 2 hours)',
+      });
+    });
+
+    it('flags posting around the clock', () => {
+      // Irregular gaps, but no six-hour stretch of the day without activity
+      expect(cadenceOf(activity(5, [0, 1, 4, 5, 8, 9, 12, 13, 16, 17, 20, 21]))).toEqual({
+        score: 0.35,
+        detail: 'Posts around the clock, with no quiet hours',
+      });
+    });
+  });
+
+  describe('karma split', () => {
+    const karmaOf = (data) => signalsOf({ accountCreated: daysAgo(400), ...data }).karmaSplit;
+
+    it('needs karma figures', () => {
+      expect(karmaOf({})).toBeNull();
+    });
+
+    it('flags throwaway accounts', () => {
+      expect(karmaOf({ linkKarma: 1, commentKarma: 4 })).toEqual({ score: 0.4, detail: 'Only 5 karma' });
+      expect(karmaOf({ commentKarma: 0 })).toEqual({ score: 0.4, detail: 'Only 0 karma' });
+    });
+
+    it('flags karma farmed by a young account', () => {
+      expect(karmaOf({ accountCreated: daysAgo(10), linkKarma: 6000, commentKarma: 2000 })).toEqual({
+        score: 0.25,
+        detail: '8,000 karma within 10 days of creation',
+      });
+    });
+
+    it('flags repost accounts that hardly comment', () => {
+      expect(karmaOf({ linkKarma: 5000, commentKarma: 100 }).score).toBe(0.3);
+      expect(karmaOf({ linkKarma: 800, commentKarma: 10 }).score).toBe(0.8);
+    });
+
+    it('accepts a balanced account', () => {
+      expect(karmaOf({ linkKarma: 1200, commentKarma: 3400 })).toEqual({ score: 0.8, detail: null });
+    });
+  });
+
+  describe('community spread', () => {
+    const spreadOf = (subreddits) => signalsOf({ subreddits }).communitySpread;
+    const many = (names, count = 12) => Array.from({ length: count }, (_, i) => names[i % names.length]);
+
+    it('needs enough recent activity', () => {
+      expect(spreadOf(many(['BuyItForLife'], 9))).toBeNull();
+    });
+
+    it('flags karma-farming subreddits', () => {
+      expect(spreadOf([...many(['BuyItForLife', 'Cooking']), 'FreeKarma4U', 'upvote'])).toEqual({
+        score: 0.25,
+        detail: 'Active in karma-farming subreddits (r/FreeKarma4U, r/upvote)',
+      });
+    });
+
+    it('flags activity all in one place', () => {
+      expect(spreadOf(many(['BuyItForLife']))).toEqual({ score: 0.5, detail: '100% of recent activity in r/BuyItForLife' });
+    });
+
+    it('accepts a spread of communities', () => {
+      expect(spreadOf(many(['BuyItForLife', 'Cooking', 'AskReddit']))).toEqual({ score: 0.8, detail: null });
+    });
+  });
+});
+
+describe('AccountAnalyzer Google Maps reviewers', () => {
+  const signalsOf = (data) => analyzer.analyze(new MapsReviewerProfile(data));
+
+  // Reviewed places; coordinates around Berlin-Mitte unless given
+  const place = (category, rating, extra = {}) => ({
+    place: `${category} ${rating}`, category, rating, date: null, postalCode: null, lat: null, lng: null, ...extra,
+  });
+  const MITTE = [[52.5301, 13.3801], [52.5312, 13.3822], [52.5290, 13.3790], [52.5305, 13.3811]];
+  const CITIES = [[52.52, 13.405], [48.137, 11.575], [53.551, 9.993], [50.938, 6.96]];
+  const located = (coords, ratings) => coords.map(([lat, lng], i) => place('Dentist', ratings[i], { lat, lng }));
+
+  it('scores Maps reviewers on their own signal set', () => {
+    expect(Object.keys(signalsOf({}))).toEqual(['contributorLevel', 'localFiveStars', 'sameDayPlaces']);
+    expect(Object.values(signalsOf({})).every(signal => signal === null)).toBe(true);
+  });
+
+  it('keeps the Maps model through structured cloning', () => {
+    const copy = restoreProfile(structuredClone(new MapsReviewerProfile({ localGuideLevel: 6 })));
+    expect(copy).toBeInstanceOf(MapsReviewerProfile);
+    expect(analyzer.analyze(copy).contributorLevel.score).toBe(0.85);
+  });
+
+  describe('contributor level', () => {
+    const levelOf = (data) => signalsOf(data).contributorLevel;
+
+    it('trusts seasoned Local Guides', () => {
+      expect(levelOf({ localGuide: true, localGuideLevel: 5 })).toEqual({ score: 0.85, detail: null });
+      expect(levelOf({ localGuide: true, localGuideLevel: 4, totalReviews: 40 })).toEqual({ score: 0.75, detail: null });
+    });
+
+    it('needs a level or a review count', () => {
+      expect(levelOf({ localGuide: true, localGuideLevel: 3 })).toBeNull();
+    });
+
+    it('flags single-review accounts without photos', () => {
+      expect(levelOf({ totalReviews: 1 })).toEqual({ score: 0.35, detail: 'Only review on this account' });
+      expect(levelOf({ totalReviews: 1, photoCount: 2 })).toEqual({ score: 0.65, detail: null });
+    });
+
+    it('marks thin accounts down less', () => {
+      expect(levelOf({ totalReviews: 2, photoCount: 0 })).toEqual({ score: 0.5, detail: 'Only 2 reviews and no photos' });
+      expect(levelOf({ totalReviews: 2, localGuide: true })).toEqual({ score: 0.75, detail: null });
+      expect(levelOf({ totalReviews: 25 })).toEqual({ score: 0.65, detail: null });
+    });
+  });
+
+  describe('local five stars', () => {
+    const fiveStarsOf = (contributions) => signalsOf({ contributions }).localFiveStars;
+
+    it('needs enough rated contributions', () => {
+      expect(fiveStarsOf(located(MITTE.slice(0, 3), [5, 5, 5]))).toBeNull();
+      expect(fiveStarsOf([...located(MITTE.slice(0, 3), [5, 5, 5]), place('Dentist', null)])).toBeNull();
+    });
+
+    it('accepts a mix of ratings', () => {
+      expect(fiveStarsOf(located(MITTE, [5, 5, 3, 5]))).toEqual({ score: 0.8, detail: null });
+    });
+
+    it('flags only 5 stars for places close together', () => {
+      const result = fiveStarsOf(located(MITTE, [5, 5, 5, 5]));
+      expect(result.score).toBe(0.2);
+      expect(result.detail).toMatch(/^4 of 4 reviews are 5 stars, all for businesses within a 0\.\d km radius$/);
+    });
+
+    it('falls back to postal codes without coordinates', () => {
+      const contributions = [5, 5, 5, 5].map(rating => place('Dentist', rating, { postalCode: '10115' }));
+      expect(fiveStarsOf(contributions)).toEqual({
+        score: 0.2,
+        detail: '4 of 4 reviews are 5 stars, all for businesses in postal code 10115',
+      });
+    });
+
+    it('marks only 5 stars down mildly when the places are spread out', () => {
+      expect(fiveStarsOf(located(CITIES, [5, 5, 5, 5]))).toEqual({ score: 0.55, detail: '4 of 4 reviews are 5 stars' });
+    });
+  });
+
+  describe('same-day places', () => {
+    const sameDayOf = (contributions) => signalsOf({ contributions }).sameDayPlaces;
+    const on = (date, category, count) => Array.from({ length: count }, () => place(category, 5, { date }));
+
+    it('needs enough reviews dated to the day', () => {
+      expect(sameDayOf([...on('2026-03-14', 'Dentist', 2), place('Dentist', 5)])).toBeNull();
+    });
+
+    it('flags many businesses of one type on one day', () => {
+      expect(sameDayOf([...on('2026-03-14', 'Dentist', 2), ...on('2026-03-14', 'dentist', 1), ...on('2026-03-01', 'Bakery', 1)])).toEqual({
+        score: 0.4,
+        detail: 'Reviewed 3 businesses of one type (Dentist) on 2026-03-14',
+      });
+      expect(sameDayOf(on('2026-03-14', 'Locksmith', 5)).score).toBeCloseTo(0.2, 12);
+      expect(sameDayOf(on('2026-03-14', 'Locksmith', 9)).score).toBe(0.1);
+    });
+
+    it('accepts a day out with different kinds of places', () => {
+      expect(sameDayOf([...on('2026-03-14', 'Museum', 1), ...on('2026-03-14', 'Cafe', 1), ...on('2026-03-14', 'Restaurant', 1)]))
+        .toEqual({ score: 0.8, detail: null });
+    });
+  });
+});
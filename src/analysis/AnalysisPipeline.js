@@ -0,0 +1,131 @@
+/**
+ * AnalysisPipeline - The review analysis run, independent of where it runs
+ *
+ * Takes plain, structured-clonable review data (no DOM elements) and runs
+ * every local analyzer over it:
+ * - Per review: text, account, incentive, rating consistency, relevance,
+ *   verified purchase.
+ *   Each result is reported as soon as it is ready, so badges can appear
+ *   progressively.
+ * - Per page: shared phrasing and authorship, review bursts, the
+ *   incentive / mismatch rates, the verified / unverified comparison and
+ *   the rating histogram checks, once all reviews are done.
+ *
+ * The same class runs in the analysis worker (src/offscreen/) and, when no
+ * worker is available, in the content script. Reviews are processed in
+ * small chunks with a yield to the event loop in between, so a cancel
+ * message is seen promptly and an in-page run does not block scrolling.
+ */
+
+import { TextAnalyzer, BatchTextAnalyzer } from './TextAnalyzer.js';
+import { AccountAnalyzer, restoreProfile } from './AccountAnalyzer.js';
+import { IncentiveAnalyzer } from './IncentiveAnalyzer.js';
+import { RatingConsistencyAnalyzer } from './RatingConsistencyAnalyzer.js';
+import { ProductRelevanceAnalyzer } from './ProductRelevanceAnalyzer.js';
+import { VerifiedPurchaseAnalyzer } from './VerifiedPurchaseAnalyzer.js';
+import { RatingDistributionAnalyzer } from './RatingDistributionAnalyzer.js';
+
+export class AnalysisPipeline {
+  constructor(options = {}) {
+    this.textAnalyzer = new TextAnalyzer();
+    this.batchAnalyzer = new BatchTextAnalyzer();
+    this.accountAnalyzer = new AccountAnalyzer();
+    this.incentiveAnalyzer = new IncentiveAnalyzer();
+    this.ratingConsistency = new RatingConsistencyAnalyzer(this.textAnalyzer);
+    this.relevanceAnalyzer = new ProductRelevanceAnalyzer();
+    this.verifiedAnalyzer = new VerifiedPurchaseAnalyzer(this.accountAnalyzer.burstDetector);
+    this.distributionAnalyzer = new RatingDistributionAnalyzer();
+    this.config = {
+      chunkSize: 10,   // Reviews analyzed between yields
+      ...options,
+    };
+  }
+
+  /**
+   * Analyze a page of reviews
+   * @param {Object} job - { reviews: Object[], product: { title, features, breadcrumb, histogram, reviewCount, checkRelevance } | null }
+   *   Reviews as produced by serializeReview()
+   * @param {Object} [hooks]
+   * @param {Function} [hooks.onReview] - (index, itemResult) as each review finishes
+   * @param {Function} [hooks.isCancelled] - Checked between chunks; true stops the run
+   * @param {boolean} [hooks.batch=true] - Also compute the page-level results
+   * @returns {Promise<Object|null>} { items, batch }, or null when cancelled
+   */
+  async run(job, { onReview = () => {}, isCancelled = () => false, batch = true } = {}) {
+    const reviews = job.reviews.map(review => ({
+      ...review,
+      profile: restoreProfile(review.profile || {}),
+    }));
+    const productProfile = this.relevanceAnalyzer.buildProfile(job.product);
+
+    const items = [];
+    for (let start = 0; start < reviews.length; start += this.config.chunkSize) {
+      if (isCancelled()) return null;
+
+      for (const review of reviews.slice(start, start + this.config.chunkSize)) {
+        const item = this.analyzeItem(review, productProfile);
+        items.push(item);
+        onReview(items.length - 1, item);
+      }
+      await yieldToEventLoop();
+    }
+
+    if (isCancelled()) return null;
+    return { items, batch: batch ? this.analyzeBatch(reviews, items, job.product) : null };
+  }
+
+  /**
+   * All per-review results for one review
+   * @returns {Object} { text, account, incentiveDisclosure, ratingMismatch, verifiedPurchase }
+   *   — text includes productRelevance
+   */
+  analyzeItem(review, productProfile) {
+    return {
+      text: {
+        ...this.textAnalyzer.analyze(review.text),
+        ...this.relevanceAnalyzer.analyze(review, productProfile),
+      },
+      account: this.accountAnalyzer.analyze(review.profile),
+      ...this.incentiveAnalyzer.analyze(review),
+      ...this.ratingConsistency.analyze(review),
+      ...this.verifiedAnalyzer.analyze(review),
+    };
+  }
+
+  /**
+   * Page-level results, computed once every review has been analyzed
+   * @param {Object|null} product - Listing data, for the rating histogram
+   */
+  analyzeBatch(reviews, items, product = null) {
+    const crossPatterns = this.batchAnalyzer.analyzeCrossPatterns(
+      reviews.map(r => r.text),
+      { authors: reviews.map(r => r.profile.displayName) }
+    );
+    const accountBatch = this.accountAnalyzer.analyzeBatch(
+      reviews.map(r => r.profile),
+      reviews.map(r => r.rating)
+    ).batch;
+
+    return {
+      coordinatedLanguage: crossPatterns.coordinatedLanguage,
+      sharedAuthorship: crossPatterns.sharedAuthorship,
+      timingCluster: accountBatch.timingCluster,
+      incentiveDisclosure: this.incentiveAnalyzer.analyzeBatch(items),
+      ratingMismatchRate: this.ratingConsistency.analyzeBatch(items),
+      verifiedPurchase: this.verifiedAnalyzer.analyzeBatch(reviews),
+      ...this.distributionAnalyzer.analyze(product, reviews.map(r => r.rating)),
+    };
+  }
+}
+
+/**
+ * The structured-clonable part of a scraped review (drops DOM references)
+ */
+export function serializeReview(review) {
+  const { element, bodyElement, profile, ...data } = review;
+  return { ...data, profile: profile ? { ...profile } : null };
+}
+
+function yieldToEventLoop() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
@@ -0,0 +1,229 @@
+/**
+ * BurstDetector - Find review bursts the product's own review rate cannot explain
+ *
+ * Reviews arrive roughly as a Poisson process whose rate is set by how
+ * well the product sells. A popular product gets many reviews a day and a
+ * niche one a few a month, so a fixed "N reviews within 24 hours" rule
+ * flags busy launch days and misses slow campaigns spread over weeks.
+ *
+ * Instead, windows of several widths (a day up to two months) slide over
+ * the observed period, and each is tested against the product's baseline
+ * rate over the observed period (an epidemic
+ * change-point model: the rate steps up at the window start and back
+ * down at its end). Given how many reviews there are, a constant-rate
+ * Poisson process spreads them uniformly over the period, so the count
+ * in a window of w of T days is Binomial(n, w / T); its tail probability
+ * is the test. Conditioning on n keeps small samples from looking bursty
+ * just because the baseline is uncertain. Windows are laid out in advance
+ * rather than fitted around the reviews, so the Bonferroni correction for
+ * the number of windows tried holds.
+ *
+ * The scan runs on all reviews and again per star rating, against the
+ * same observation period, so a 5-star burst is found even when steady
+ * 1-star reviews fill the gaps around it.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class BurstDetector {
+  constructor(options = {}) {
+    this.config = {
+      minReviews: 5,          // Dated reviews needed for a baseline
+      minRatingReviews: 4,    // Reviews of one star rating needed to scan it
+      minBurstSize: 3,        // Reviews in a window before it can be a burst
+      minHistoryDays: 7,      // Shorter observed periods have no usable baseline
+      windowDays: [1, 3, 7, 14, 30, 60], // Window widths scanned
+      alpha: 0.01,            // Corrected p-value below which a window is a burst
+      ...options,
+    };
+  }
+
+  /**
+   * @param {Object[]} events - [{ date, rating }] — date as anything Date.parse reads
+   * @returns {Object|null} { score, detail, baselineRate, bursts } — null without enough dated reviews
+   */
+  detect(events) {
+    const dated = this._dated(events);
+    if (dated.length < this.config.minReviews) return null;
+
+    const { first, spanDays } = this._period(dated);
+
+    // Everything within a few days: a launch, or a campaign — no baseline to tell
+    if (spanDays < this.config.minHistoryDays) {
+      return {
+        score: 0.5,
+        detail: null,
+        baselineRate: null,
+        bursts: [],
+        spanDays,
+      };
+    }
+
+    const bursts = [];
+    const overall = this._scan(dated, first, spanDays);
+    if (overall) bursts.push({ rating: null, ...overall });
+
+    for (let rating = 1; rating <= 5; rating++) {
+      const group = dated.filter(e => e.rating !== null && Math.round(e.rating) === rating);
+      if (group.length < this.config.minRatingReviews || group.length === dated.length) continue;
+      const burst = this._scan(group, first, spanDays);
+      if (burst) bursts.push({ rating, ...burst });
+    }
+
+    const baselineRate = dated.length / spanDays;
+    if (bursts.length === 0) {
+      return { score: 0.8, detail: null, baselineRate, bursts, spanDays };
+    }
+
+    // The least likely burst is reported; its share of the reviews sets the score
+    const worst = bursts.reduce((a, b) => (b.pValue < a.pValue ? b : a));
+    const share = worst.count / dated.length;
+
+    return {
+      score: Math.max(0.1, 0.45 - share * 0.35),
+      detail: this._describe(worst),
+      baselineRate,
+      bursts,
+      spanDays,
+    };
+  }
+
+  /**
+   * Burst within a subset of the reviews (e.g. the unverified ones),
+   * against the subset's own rate over the period of all reviews
+   * @param {Object[]} events - All reviews, as for detect()
+   * @param {Function} isMember - (event, index) → whether it is in the subset
+   * @returns {Object|null} { burst } — burst null when there is none; null
+   *   when the subset or the period is too small to tell
+   */
+  detectSubset(events, isMember) {
+    const dated = this._dated(events);
+    const members = dated.filter(e => isMember(events[e.index], e.index));
+    if (members.length < this.config.minReviews) return null;
+
+    const { first, spanDays } = this._period(dated);
+    if (spanDays < this.config.minHistoryDays) return null;
+
+    return { burst: this._scan(members, first, spanDays) };
+  }
+
+  /**
+   * Events with a readable date, as day numbers
+   */
+  _dated(events) {
+    const dated = [];
+    events.forEach((event, index) => {
+      const time = event.date ? new Date(event.date).getTime() : NaN;
+      if (!Number.isNaN(time)) dated.push({ day: Math.floor(time / DAY_MS), rating: event.rating ?? null, index });
+    });
+    return dated;
+  }
+
+  _period(dated) {
+    const first = Math.min(...dated.map(e => e.day));
+    const last = Math.max(...dated.map(e => e.day));
+    return { first, spanDays: last - first + 1 };
+  }
+
+  /**
+   * Most significant window of one group of reviews
+   * @param {Object[]} events - [{ day, index }]
+   * @param {number} firstDay - Start of the observed period
+   * @param {number} spanDays - Length of the observed period
+   * @returns {Object|null} The burst, or null when none is significant
+   */
+  _scan(events, firstDay, spanDays) {
+    const { minBurstSize, windowDays, alpha } = this.config;
+    const total = events.length;
+    const logFactorials = logFactorialTable(total);
+
+    // Reviews before each day of the period
+    const before = new Array(spanDays + 1).fill(0);
+    for (const event of events) before[event.day - firstDay + 1]++;
+    for (let d = 1; d <= spanDays; d++) before[d] += before[d - 1];
+
+    let best = null;
+    let windows = 0;
+
+    for (const width of windowDays) {
+      // A burst is a departure from the usual rate, so most of the period
+      // has to lie outside it
+      if (spanDays - width < Math.max(width, this.config.minHistoryDays)) continue;
+
+      const share = width / spanDays;
+      const step = Math.max(1, Math.floor(width / 2));
+      const starts = [];
+      for (let start = 0; start + width <= spanDays; start += step) starts.push(start);
+      if (starts[starts.length - 1] !== spanDays - width) starts.push(spanDays - width);  // Reach the end
+
+      for (const start of starts) {
+        windows++;
+        const count = before[start + width] - before[start];
+        if (count < minBurstSize || count <= total * share) continue;
+
+        const logP = logBinomialTail(count, total, share, logFactorials);
+        if (!best || logP < best.logP) best = { logP, start, width, count, expected: total * share };
+      }
+    }
+
+    if (!best) return null;
+    const pValue = Math.min(1, Math.exp(best.logP) * windows);
+    if (pValue >= alpha) return null;
+
+    // Report the reviews' own dates, not the window edges
+    const members = events.filter(e => e.day >= firstDay + best.start && e.day < firstDay + best.start + best.width);
+    const memberDays = members.map(e => e.day);
+    const toDate = (day) => new Date(day * DAY_MS).toISOString().slice(0, 10);
+
+    return {
+      start: toDate(Math.min(...memberDays)),
+      end: toDate(Math.max(...memberDays)),
+      days: best.width,
+      count: best.count,
+      expected: best.expected,
+      baselineRate: total / spanDays,
+      pValue,
+      members: members.map(e => e.index),
+    };
+  }
+
+  _describe(burst) {
+    const which = burst.rating ? `${burst.rating}-star reviews` : 'reviews';
+    const when = burst.start === burst.end
+      ? `on ${burst.start}`
+      : `between ${burst.start} and ${burst.end}`;
+    const expected = burst.expected < 1 ? 'fewer than 1' : `about ${Math.round(burst.expected)}`;
+    return `${burst.count} ${which} posted ${when}; ${expected} expected at this product's usual rate`;
+  }
+}
+
+/**
+ * log P(X ≥ k) for X ~ Binomial(n, p), summed in log space so tiny
+ * probabilities do not underflow
+ */
+function logBinomialTail(k, n, p, logFactorials) {
+  const logP = Math.log(p);
+  const logQ = Math.log(1 - p);
+  let logSum = -Infinity;
+  for (let i = k; i <= n; i++) {
+    const logTerm = logFactorials[n] - logFactorials[i] - logFactorials[n - i] + i * logP + (n - i) * logQ;
+    if (logTerm < logSum - 40) break;   // Terms only shrink past the mean; the rest no longer matter
+    logSum = logAddExp(logSum, logTerm);
+  }
+  return Math.min(0, logSum);
+}
+
+/**
+ * log(i!) for i = 0..n
+ */
+export function logFactorialTable(n) {
+  const table = [0];
+  for (let i = 1; i <= n; i++) table.push(table[i - 1] + Math.log(i));
+  return table;
+}
+
+export function logAddExp(a, b) {
+  if (a === -Infinity) return b;
+  const max = Math.max(a, b);
+  return max + Math.log(Math.exp(a - max) + Math.exp(b - max));
+}
@@ -0,0 +1,117 @@
+import { BurstDetector, logFactorialTable, logAddExp } from './BurstDetector.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const START = Date.UTC(2024, 0, 1);
+
+const onDay = (day, rating = 5) => ({ date: new Date(START + day * DAY_MS).toISOString(), rating });
+
+// One review every `every` days from day 0 to `days`
+const steady = (days, every, rating = 5) =>
+  Array.from({ length: Math.floor(days / every) }, (_, i) => onDay(i * every, rating));
+
+// P(X ≥ k) for X ~ Binomial(n, p), summed directly
+function binomialTail(k, n, p) {
+  let choose = 1;
+  let sum = 0;
+  for (let i = 0; i <= n; i++) {
+    if (i > 0) choose = (choose * (n - i + 1)) / i;
+    if (i >= k) sum += choose * Math.pow(p, i) * Math.pow(1 - p, n - i);
+  }
+  return sum;
+}
+
+describe('logFactorialTable', () => {
+  it('holds log(i!) for each i', () => {
+    const table = logFactorialTable(10);
+    expect(table).toHaveLength(11);
+    expect(table[0]).toBe(0);
+    expect(Math.exp(table[5])).toBeCloseTo(120, 8);
+    expect(Math.exp(table[10])).toBeCloseTo(3628800, 3);
+  });
+});
+
+describe('logAddExp', () => {
+  it('adds probabilities in log space', () => {
+    expect(Math.exp(logAddExp(Math.log(0.2), Math.log(0.3)))).toBeCloseTo(0.5, 12);
+    expect(logAddExp(-Infinity, Math.log(0.4))).toBe(Math.log(0.4));
+  });
+
+  it('does not underflow for tiny probabilities', () => {
+    expect(logAddExp(-1000, -1000)).toBeCloseTo(-1000 + Math.LN2, 10);
+  });
+});
+
+describe('BurstDetector', () => {
+  const detector = new BurstDetector();
+
+  it('needs enough dated reviews for a baseline', () => {
+    expect(detector.detect(steady(20, 5))).toBeNull();
+    expect(detector.detect([...steady(20, 5), { date: null }, { date: 'not a date' }])).toBeNull();
+  });
+
+  it('does not judge reviews that all fall within a few days', () => {
+    const result = detector.detect([0, 1, 1, 2, 3, 3].map(day => onDay(day)));
+    expect(result.score).toBe(0.5);
+    expect(result.bursts).toEqual([]);
+  });
+
+  it('finds no burst in a steady review stream', () => {
+    const result = detector.detect(steady(120, 3));
+    expect(result.bursts).toEqual([]);
+    expect(result.score).toBe(0.8);
+    expect(result.baselineRate).toBeCloseTo(40 / 118, 10);
+  });
+
+  it('flags many reviews on one day against the usual rate', () => {
+    const events = [...steady(120, 3), ...Array.from({ length: 10 }, () => onDay(61))];
+    const result = detector.detect(events);
+
+    expect(result.score).toBeLessThan(0.45);
+    const overall = result.bursts.find(b => b.rating === null);
+    expect(overall.count).toBeGreaterThanOrEqual(10);
+    expect(overall.start).toBe('2024-03-02');
+    expect(overall.pValue).toBeLessThan(detector.config.alpha);
+    expect(overall.members).toEqual(expect.arrayContaining([40, 41, 49]));
+    expect(result.detail).toMatch(/reviews posted/);
+  });
+
+  it('corrects the p-value for the number of windows tried (Bonferroni)', () => {
+    // 20 reviews every 5 days over 96 days, plus 4 more on day 50
+    const events = [...steady(100, 5), ...Array.from({ length: 4 }, () => onDay(50))];
+    const oneDay = new BurstDetector({ windowDays: [1] });
+    const [burst] = oneDay.detect(events).bursts;
+
+    // 96 one-day windows; day 50 holds 5 of the 24 reviews
+    const spanDays = 96;
+    expect(burst.count).toBe(5);
+    expect(burst.pValue / (binomialTail(5, 24, 1 / spanDays) * spanDays)).toBeCloseTo(1, 6);
+
+    // Trying more window widths makes the same burst less significant
+    const allWidths = detector.detect(events).bursts.find(b => b.rating === null);
+    expect(allWidths.pValue).toBeGreaterThan(burst.pValue);
+  });
+
+  it('scans each star rating against the same period', () => {
+    // Steady 1-star reviews, then a run of 5-star reviews over three days
+    const events = [
+      ...steady(120, 2, 1),
+      ...[80, 80, 81, 81, 82, 82, 82].map(day => onDay(day, 5)),
+    ];
+    const result = detector.detect(events);
+    const fiveStar = result.bursts.find(b => b.rating === 5);
+    expect(fiveStar).toBeDefined();
+    expect(fiveStar.count).toBe(7);
+    expect(result.bursts.find(b => b.rating === 1)).toBeUndefined();
+  });
+
+  it('tests a subset against its own rate over the whole period', () => {
+    const events = [...steady(120, 2), ...steady(120, 20), ...Array.from({ length: 6 }, () => onDay(90))];
+    const subset = (event, i) => i >= 60;   // The sparse stream and the burst
+
+    const { burst } = detector.detectSubset(events, subset);
+    expect(burst.count).toBeGreaterThanOrEqual(6);
+    expect(burst.start).toBe('2024-03-31');
+
+    expect(detector.detectSubset(events, (event, i) => i < 3)).toBeNull();
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * IncentiveAnalyzer - Detect disclosed incentivized reviews
+ *
+ * Many low-quality reviews are openly disclosed freebies: Vine reviews,
+ * "received this free in exchange for my honest review", discount codes.
+ * Disclosure is honest, but these reviews are systematically more positive,
+ * so they are reported as their own issue rather than as fake-review
+ * templates.
+ *
+ * Combines two sources:
+ * - Platform badges scraped from the DOM (e.g. Amazon Vine)
+ * - Disclosure phrases from the language pack (incentiveMarkers)
+ *
+ * The signal is only emitted when something was found — an undisclosed
+ * review is not evidence of authenticity.
+ */
+
+import { LANGUAGE_PACKS, detectLanguage } from './lexicons/index.js';
+import { EVIDENCE_KINDS } from './TextAnalyzer.js';
+
+export class IncentiveAnalyzer {
+  constructor() {
+    this.scores = {
+      badgeAndText: 0.15,  // Vine badge and the text says so too
+      badge: 0.2,          // Platform-labelled free product
+      text: 0.3,           // Self-disclosed, no badge
+    };
+  }
+
+  /**
+   * Analyze one review
+   * @param {Object} item - { text, vineReview }
+   * @returns {Object} { incentiveDisclosure } — null when nothing was disclosed
+   */
+  analyze(item) {
+    const disclosure = this._findDisclosure(item.text || '');
+    const badge = !!item.vineReview;
+
+    if (!disclosure && !badge) {
+      return { incentiveDisclosure: null };
+    }
+
+    let score, source;
+    if (badge && disclosure) {
+      score = this.scores.badgeAndText;
+      source = 'Vine badge and disclosure in text';
+    } else if (badge) {
+      score = this.scores.badge;
+      source = 'Vine review of free product';
+    } else {
+      score = this.scores.text;
+      source = `discloses "${disclosure.text}"`;
+    }
+
+    return {
+      incentiveDisclosure: {
+        score,
+        detail: `Incentivized review: ${source}`,
+        evidence: disclosure && disclosure.start !== null
+          ? [{ start: disclosure.start, end: disclosure.end, ...EVIDENCE_KINDS.incentive }]
+          : [],
+      },
+    };
+  }
+
+  /**
+   * Product-level signal: share of incentivized reviews on the page
+   * @param {Object[]} results - Output of analyze() for each review
+   * @returns {Object|null}
+   */
+  analyzeBatch(results) {
+    if (results.length === 0) return null;
+
+    const count = results.filter(r => r.incentiveDisclosure).length;
+    if (count === 0) return null;
+
+    const rate = count / results.length;
+
+    return {
+      score: Math.max(0.1, 1 - rate * 1.5),
+      detail: rate >= 0.1
+        ? `Incentivized reviews: ${count} of ${results.length} disclose a free or discounted product`
+        : null,
+      count,
+      rate,
+    };
+  }
+
+  /**
+   * First disclosure phrase in the text, using the detected language's pack
+   * @returns {Object|null} { text, start, end } — offsets null if they cannot be mapped back
+   */
+  _findDisclosure(text) {
+    if (text.length < 20) return null;
+
+    const normalized = text.toLowerCase().replace(/[‘’]/g, '\'');
+    const lexicon = LANGUAGE_PACKS[detectLanguage(normalized)];
+    if (!lexicon) return null;
+
+    for (const marker of lexicon.incentiveMarkers) {
+      const match = normalized.match(marker);
+      if (!match) continue;
+
+      // Offsets are only meaningful if lowercasing kept the length
+      const offsets = normalized.length === text.length;
+      return {
+        text: match[0].trim(),
+        start: offsets ? match.index : null,
+        end: offsets ? match.index + match[0].length : null,
+      };
+    }
+    return null;
+  }
+}
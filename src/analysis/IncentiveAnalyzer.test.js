@@ -0,0 +1,79 @@
+import { IncentiveAnalyzer } from './IncentiveAnalyzer.js';
+
+const analyzer = new IncentiveAnalyzer();
+const disclosureOf = (text, extra = {}) => analyzer.analyze({ text, ...extra }).incentiveDisclosure;
+
+describe('IncentiveAnalyzer.analyze', () => {
+  it.each([
+    ['en', 'I received this product free in exchange for my honest review. The blender is loud but strong.', 'received this product free'],
+    ['de', 'Ich habe das Produkt kostenlos zum Testen erhalten. Der Mixer ist laut, aber sehr kräftig und leicht zu reinigen.', 'kostenlos zum Testen erhalten'],
+    ['fr', 'J\'ai reçu ce produit gratuitement pour le tester. Le mixeur est bruyant mais puissant et facile à nettoyer.', 'reçu ce produit gratuitement'],
+    ['es', 'Recibí este producto gratis para probarlo. La batidora es ruidosa pero potente y fácil de limpiar.', 'Recibí este producto gratis'],
+  ])('finds a %s disclosure and points at it', (_, text, phrase) => {
+    const result = disclosureOf(text);
+    expect(result.score).toBe(analyzer.scores.text);
+    expect(result.detail).toBe(`Incentivized review: discloses "${phrase.toLowerCase()}"`);
+    const [span] = result.evidence;
+    expect(text.slice(span.start, span.end)).toBe(phrase);
+    expect(span.kind).toBe('incentive');
+  });
+
+  it('finds discount codes', () => {
+    expect(disclosureOf('Used a discount code from the seller. The blender is loud but strong.').score).toBe(0.3);
+    expect(disclosureOf('Mit Rabattcode gekauft. Der Mixer ist laut, aber sehr kräftig und er ist leicht zu reinigen.').score).toBe(0.3);
+  });
+
+  it('does not take free shipping for a free product', () => {
+    expect(disclosureOf('Free shipping and it arrived early. The blender is loud but strong, and easy to clean.')).toBeNull();
+    expect(disclosureOf('I got it with free shipping and it works well enough for smoothies.')).toBeNull();
+  });
+
+  it('leaves languages without a pack alone', () => {
+    expect(disclosureOf('Ho ricevuto questo prodotto gratis in cambio della mia recensione, il frullatore è molto rumoroso ma anche potente.')).toBeNull();
+  });
+
+  it('scores the Vine badge, more so with a disclosure in the text', () => {
+    const plain = 'Free shipping and it arrived early. The blender is loud but strong, and easy to clean.';
+    const disclosed = 'I received this product free in exchange for my honest review. The blender is loud but strong.';
+
+    expect(disclosureOf(plain, { vineReview: true })).toEqual({
+      score: analyzer.scores.badge,
+      detail: 'Incentivized review: Vine review of free product',
+      evidence: [],
+    });
+    expect(disclosureOf(disclosed, { vineReview: true }).score).toBe(analyzer.scores.badgeAndText);
+    expect(disclosureOf(disclosed, { vineReview: true }).evidence).toHaveLength(1);
+  });
+
+  it('drops the evidence when lowercasing changes the text length', () => {
+    // 'İ' lowercases to two code units
+    const result = disclosureOf('İ received this product free in exchange for my honest review, the blender is fine.');
+    expect(result.score).toBe(0.3);
+    expect(result.evidence).toEqual([]);
+  });
+});
+
+describe('IncentiveAnalyzer.analyzeBatch', () => {
+  const item = (disclosed) => ({ incentiveDisclosure: disclosed ? { score: 0.3 } : null });
+
+  it('reports the share of incentivized reviews', () => {
+    const results = [item(true), item(true), ...Array.from({ length: 8 }, () => item(false))];
+    expect(analyzer.analyzeBatch(results)).toEqual({
+      score: 0.7,
+      detail: 'Incentivized reviews: 2 of 10 disclose a free or discounted product',
+      count: 2,
+      rate: 0.2,
+    });
+  });
+
+  it('has no signal without incentivized reviews, and a floor with many', () => {
+    expect(analyzer.analyzeBatch([])).toBeNull();
+    expect(analyzer.analyzeBatch([item(false), item(false)])).toBeNull();
+    expect(analyzer.analyzeBatch([item(true), item(true)]).score).toBe(0.1);
+  });
+
+  it('only names a small share in the detail', () => {
+    const results = [item(true), ...Array.from({ length: 19 }, () => item(false))];
+    expect(analyzer.analyzeBatch(results).detail).toBeNull();
+  });
+});
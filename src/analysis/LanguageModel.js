@@ -0,0 +1,209 @@
+/**
+ * LanguageModel - Character n-gram model of human review text
+ *
+ * Runs entirely in the browser from a JSON asset (models/ngram-<lang>.json)
+ * built by tests/build-language-model.mjs. Two measurements per text:
+ *
+ * - Cross-entropy / perplexity: how predictable the text is under a model
+ *   of human reviews. LLM output is unusually smooth and predictable.
+ * - Burstiness: how much predictability varies from sentence to sentence.
+ *   People mix plain and odd sentences; LLM text is evenly smooth.
+ *
+ * Both are compared against reference statistics stored in the model
+ * (measured on held-out training documents), so a model trained on any
+ * corpus is read on its own scale.
+ *
+ * Probabilities are interpolated across orders (uniform, unigram, ...,
+ * full context); orders whose context was never seen are skipped and the
+ * remaining weights renormalized.
+ */
+
+export class LanguageModel {
+  /**
+   * @param {Object} data - Parsed model file
+   */
+  constructor(data) {
+    this.order = data.order;
+    this.lambdas = data.lambdas;           // [uniform, order 1, ..., order n]
+    this.counts = data.counts || {};       // n-gram (length 1..order) → count
+    this.vocabularySize = data.vocabularySize || 1;
+    this.reference = data.reference || null;
+    this.trainingChars = data.trainingChars || 0;
+
+    // Context totals: count of every prefix followed by any character
+    this.totals = {};
+    for (const [gram, count] of Object.entries(this.counts)) {
+      const context = gram.slice(0, -1);
+      this.totals[context] = (this.totals[context] || 0) + count;
+    }
+  }
+
+  /**
+   * Average bits per character of a text, or null if it is empty
+   */
+  crossEntropy(text) {
+    const normalized = normalizeText(text);
+    if (normalized.length === 0) return null;
+
+    const padded = ' '.repeat(this.order - 1) + normalized;
+    let bits = 0;
+    for (let i = this.order - 1; i < padded.length; i++) {
+      bits -= Math.log2(this._probability(padded.slice(i - this.order + 1, i), padded[i]));
+    }
+    return bits / normalized.length;
+  }
+
+  perplexity(text) {
+    const entropy = this.crossEntropy(text);
+    return entropy === null ? null : Math.pow(2, entropy);
+  }
+
+  /**
+   * Coefficient of variation of per-sentence cross-entropy
+   * @returns {number|null} null when the text has fewer than 3 sentences
+   */
+  burstiness(text) {
+    const entropies = splitSentences(text)
+      .map(s => this.crossEntropy(s))
+      .filter(e => e !== null);
+    if (entropies.length < 3) return null;
+
+    const mean = entropies.reduce((sum, e) => sum + e, 0) / entropies.length;
+    const variance = entropies.reduce((sum, e) => sum + (e - mean) ** 2, 0) / entropies.length;
+    return mean > 0 ? Math.sqrt(variance) / mean : 0;
+  }
+
+  /**
+   * Interpolated P(char | context)
+   */
+  _probability(context, char) {
+    let probability = this.lambdas[0] / this.vocabularySize;
+    let lambdaUsed = this.lambdas[0];
+
+    for (let k = 0; k < this.order; k++) {
+      const history = context.slice(context.length - k);
+      const total = this.totals[history];
+      if (!total) continue;
+      probability += this.lambdas[k + 1] * ((this.counts[history + char] || 0) / total);
+      lambdaUsed += this.lambdas[k + 1];
+    }
+
+    return probability / lambdaUsed;
+  }
+}
+
+// ============================================================
+// TEXT HELPERS (shared with the build script)
+// ============================================================
+
+/**
+ * Lowercase, digits → 0, whitespace collapsed
+ */
+export function normalizeText(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[‘’]/g, '\'')
+    .replace(/\d/g, '0')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+export function splitSentences(text) {
+  return (text || '').split(/(?<=[.!?])\s+/).filter(s => s.trim().length > 10);
+}
+
+// ============================================================
+// TRAINING
+// ============================================================
+
+/**
+ * Count n-grams over a set of documents and measure reference statistics
+ * with k-fold cross-validation. Used by tests/build-language-model.mjs.
+ * @param {string[]} documents
+ * @param {Object} options - { language, order, minCount, folds, lambdas, minReference }
+ * @returns {Object} Model data, ready to be written as JSON
+ */
+export function trainLanguageModel(documents, options = {}) {
+  const {
+    language = 'en',
+    order = 4,
+    minCount = 1,
+    folds = 5,
+    lambdas = defaultLambdas(order),
+    minReference = 20,
+  } = options;
+
+  const docs = documents.map(normalizeText).filter(d => d.length > 0);
+  const build = (subset, prune) => {
+    const counts = countNgrams(subset, order);
+    if (prune && minCount > 1) {
+      for (const [gram, count] of Object.entries(counts)) {
+        if (count < minCount) delete counts[gram];
+      }
+    }
+    const vocabulary = new Set(subset.join(''));
+    return { order, lambdas, counts, vocabularySize: vocabulary.size + 1 };
+  };
+
+  // Reference statistics: score each document with a model that never saw it
+  const entropies = [];
+  const burstiness = [];
+  const k = Math.min(folds, docs.length);
+  for (let fold = 0; fold < k; fold++) {
+    const train = docs.filter((_, i) => i % k !== fold);
+    const test = docs.filter((_, i) => i % k === fold);
+    if (train.length === 0) continue;
+
+    const model = new LanguageModel(build(train, true));
+    for (const doc of test) {
+      const entropy = model.crossEntropy(doc);
+      if (entropy !== null) entropies.push(entropy);
+      const burst = model.burstiness(doc);
+      if (burst !== null) burstiness.push(burst);
+    }
+  }
+
+  return {
+    schema: 1,
+    language,
+    generatedAt: new Date().toISOString(),
+    documents: docs.length,
+    trainingChars: docs.reduce((sum, d) => sum + d.length, 0),
+    ...build(docs, true),
+    // A reference from a handful of documents is too noisy to score
+    // against; TextAnalyzer skips a measurement whose reference is null
+    reference: {
+      crossEntropy: summarize(entropies, minReference),
+      burstiness: summarize(burstiness, minReference),
+    },
+  };
+}
+
+function countNgrams(docs, order) {
+  const counts = {};
+  for (const doc of docs) {
+    const padded = ' '.repeat(order - 1) + doc;
+    for (let i = order - 1; i < padded.length; i++) {
+      for (let n = 1; n <= order; n++) {
+        const gram = padded.slice(i - n + 1, i + 1);
+        counts[gram] = (counts[gram] || 0) + 1;
+      }
+    }
+  }
+  return counts;
+}
+
+// Longer contexts get more weight; uniform keeps every character possible
+function defaultLambdas(order) {
+  const sum = (order * (order + 1)) / 2;
+  const lambdas = [0.05];
+  for (let n = 1; n <= order; n++) lambdas.push((n / sum) * 0.95);
+  return lambdas;
+}
+
+function summarize(values, minCount) {
+  if (values.length < Math.max(1, minCount)) return null;
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const std = Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length);
+  return { mean, std, n: values.length };
+}
@@ -0,0 +1,116 @@
+import { LanguageModel, trainLanguageModel, normalizeText, splitSentences } from './LanguageModel.js';
+import { TextAnalyzer } from './TextAnalyzer.js';
+import englishModel from './models/ngram-en.json' with { type: 'json' };
+
+const CORPUS = [
+  'The battery lasts all day and the screen is bright enough outside.',
+  'Sound quality is fine for calls, but the case scratches easily.',
+  'I returned it after a week because the charger stopped working.',
+  'Works as described. Shipping was quick and the price was fair.',
+  'The buttons feel cheap and the volume is too low in the car.',
+  'Great headset for the money, comfortable even after a few hours.',
+];
+
+// ~230 characters of ordinary review text, over the model's minimum
+const LONG_REVIEW = 'I bought this charger for my car and it works most of the time. '
+  + 'The cable is a bit short, so the phone has to sit on the seat. '
+  + 'After two months one of the ports got loose. Support sent a new one '
+  + 'without asking for a receipt, which was nice.';
+
+describe('LanguageModel', () => {
+  const model = new LanguageModel(trainLanguageModel(CORPUS, { minReference: 1 }));
+
+  it('spreads each probability over the vocabulary and one unseen slot', () => {
+    const vocabulary = [...new Set(CORPUS.map(normalizeText).join(''))];
+    for (const context of ['the', ' ba', 'zzz', '']) {
+      const seen = vocabulary.reduce((sum, char) => sum + model._probability(context, char), 0);
+      const unseen = model._probability(context, '\u0000');
+      expect(seen + unseen).toBeCloseTo(1, 10);
+    }
+  });
+
+  it('finds text like its corpus more predictable than scrambled text', () => {
+    const familiar = model.crossEntropy('The battery lasts all day and the price was fair.');
+    const scrambled = model.crossEntropy('Xq vzj kpl wyf gbh, mnq tzr oiu jkh.');
+    expect(familiar).toBeLessThan(scrambled);
+  });
+
+  it('reports perplexity as 2 to the cross-entropy', () => {
+    const text = 'The case is fine.';
+    expect(model.perplexity(text)).toBeCloseTo(Math.pow(2, model.crossEntropy(text)), 10);
+    expect(model.crossEntropy('   ')).toBeNull();
+    expect(model.perplexity('')).toBeNull();
+  });
+
+  it('ignores case, digits and spacing', () => {
+    expect(normalizeText('  Lasts 12   HOURS\n')).toBe('lasts 00 hours');
+    expect(model.crossEntropy('Lasts 12 hours')).toBe(model.crossEntropy('lasts  34 HOURS'));
+  });
+
+  it('measures burstiness as the spread of per-sentence entropy', () => {
+    const text = 'The battery lasts all day. Xq vzj kpl wyf gbh mnq. Shipping was quick and fair.';
+    const entropies = splitSentences(text).map(s => model.crossEntropy(s));
+    const mean = entropies.reduce((a, b) => a + b, 0) / 3;
+    const std = Math.sqrt(entropies.reduce((sum, e) => sum + (e - mean) ** 2, 0) / 3);
+    expect(model.burstiness(text)).toBeCloseTo(std / mean, 10);
+
+    const repeated = 'The battery lasts all day. The battery lasts all day. The battery lasts all day.';
+    expect(model.burstiness(repeated)).toBe(0);
+  });
+
+  it('needs three sentences of some length for burstiness', () => {
+    expect(model.burstiness('The battery lasts all day. Shipping was quick.')).toBeNull();
+    expect(model.burstiness('The battery lasts all day. Ok. Fine. Shipping was quick.')).toBeNull();
+  });
+});
+
+describe('trainLanguageModel', () => {
+  it('measures a held-out reference on each document', () => {
+    const data = trainLanguageModel(CORPUS, { folds: 3, minReference: 1 });
+    expect(data.documents).toBe(6);
+    expect(data.reference.crossEntropy.n).toBe(6);
+    expect(data.reference.crossEntropy.mean).toBeGreaterThan(0);
+    // Single-sentence documents have no burstiness
+    expect(data.reference.burstiness).toBeNull();
+  });
+
+  it('leaves out a reference measured on too few documents', () => {
+    expect(trainLanguageModel(CORPUS).reference.crossEntropy).toBeNull();
+  });
+
+  it('drops rare n-grams with minCount', () => {
+    const all = trainLanguageModel(CORPUS);
+    const pruned = trainLanguageModel(CORPUS, { minCount: 2 });
+    expect(Object.keys(pruned.counts).length).toBeLessThan(Object.keys(all.counts).length);
+    expect(Object.values(pruned.counts).every(count => count >= 2)).toBe(true);
+  });
+});
+
+describe('bundled English model', () => {
+  const analyzer = new TextAnalyzer();
+
+  it('has a perplexity reference from enough held-out documents', () => {
+    expect(englishModel.language).toBe('en');
+    expect(englishModel.reference.crossEntropy.n).toBeGreaterThanOrEqual(20);
+    expect(englishModel.source).not.toBe('reviews.sample.json');
+  });
+
+  it('only scores texts long enough for a stable perplexity', () => {
+    expect(analyzer._modelEvidence('Works great, fast shipping.', 'en')).toBeNull();
+    expect(analyzer._modelEvidence(LONG_REVIEW, 'de')).toBeNull();
+
+    const evidence = analyzer._modelEvidence(LONG_REVIEW, 'en');
+    expect(LONG_REVIEW.length).toBeGreaterThanOrEqual(analyzer.modelConfig.minChars);
+    expect(evidence.weight).toBeCloseTo(
+      analyzer.modelConfig.maxWeight * (englishModel.trainingChars / analyzer.modelConfig.fullWeightChars), 12);
+    expect(evidence.perplexity).toBeGreaterThan(1);
+    expect(evidence.score).toBeGreaterThanOrEqual(0);
+    expect(evidence.score).toBeLessThanOrEqual(1);
+  });
+
+  it('reaches aiDetection for long English reviews', () => {
+    const { aiDetection } = analyzer.analyze(LONG_REVIEW);
+    expect(aiDetection.perplexity).toBeGreaterThan(1);
+    expect(analyzer.analyze('I like it and the shipping was fast for the price.').aiDetection.perplexity).toBeNull();
+  });
+});
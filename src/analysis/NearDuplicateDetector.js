@@ -0,0 +1,183 @@
+/**
+ * NearDuplicateDetector - Cluster near-identical texts with MinHash / LSH
+ *
+ * Exact shared 4-grams miss lightly edited copies ("This blender is great"
+ * vs. "this blender is really great!!"). Here each text is reduced to a set
+ * of character shingles, summarized by a MinHash signature, and bucketed
+ * with locality-sensitive hashing so only likely pairs are compared.
+ *
+ * Cost is linear in the number of texts (signature + bucketing), so it
+ * stays fast on pages with thousands of reviews.
+ *
+ * With the defaults (16 bands x 4 rows) pairs around 50% shingle overlap
+ * have even odds of becoming candidates; candidates are then kept only if
+ * their estimated Jaccard similarity reaches `threshold`.
+ */
+
+export class NearDuplicateDetector {
+  constructor(options = {}) {
+    this.config = {
+      shingleSize: 5,       // Characters per shingle
+      bands: 16,
+      rows: 4,              // bands x rows = signature length
+      threshold: 0.6,       // Minimum estimated Jaccard similarity
+      minLength: 40,        // Shorter texts are too generic to compare
+      maxRepresentatives: 8, // Unlinked texts per LSH bucket others are compared with
+      ...options,
+    };
+    this.numHashes = this.config.bands * this.config.rows;
+
+    // Fixed seeds so signatures are stable between runs
+    this.seeds = [];
+    let seed = 0x2545f491;
+    for (let i = 0; i < this.numHashes; i++) {
+      seed = (Math.imul(seed, 1664525) + 1013904223) >>> 0;
+      this.seeds.push(seed);
+    }
+  }
+
+  /**
+   * Find clusters of near-identical texts
+   * @param {string[]} texts
+   * @returns {Object[]} [{ members: [index], size, similarity, minSimilarity }],
+   *   largest first. similarity is the mean estimated Jaccard of linked pairs.
+   */
+  findClusters(texts) {
+    const signatures = texts.map(t => this._signature(t));
+
+    const parent = texts.map((_, i) => i);
+    const find = (i) => {
+      while (parent[i] !== i) {
+        parent[i] = parent[parent[i]];
+        i = parent[i];
+      }
+      return i;
+    };
+
+    const edges = [];
+    const compared = new Set();
+    const { bands, rows, threshold } = this.config;
+
+    for (let band = 0; band < bands; band++) {
+      const buckets = new Map();
+      for (let i = 0; i < signatures.length; i++) {
+        const sig = signatures[i];
+        if (!sig) continue;
+        const key = sig.slice(band * rows, band * rows + rows).join(',');
+        const bucket = buckets.get(key);
+        if (bucket) bucket.push(i);
+        else buckets.set(key, [i]);
+      }
+
+      // Compare each bucket member with a few representatives — the first
+      // member of each group found in the bucket so far — so a huge bucket
+      // of copies costs O(n) rather than O(n²), and an unrelated text that
+      // happens to come first cannot hide the copies behind it
+      for (const bucket of buckets.values()) {
+        const representatives = [];
+        for (const member of bucket) {
+          let linked = false;
+          for (const rep of representatives) {
+            if (find(rep) === find(member)) {
+              linked = true;
+              continue;
+            }
+            const pairKey = Math.min(rep, member) * texts.length + Math.max(rep, member);
+            if (compared.has(pairKey)) continue;
+            compared.add(pairKey);
+
+            const similarity = this._estimateSimilarity(signatures[rep], signatures[member]);
+            if (similarity >= threshold) {
+              edges.push({ a: rep, b: member, similarity });
+              parent[find(member)] = find(rep);
+              linked = true;
+            }
+          }
+          if (!linked && representatives.length < this.config.maxRepresentatives) {
+            representatives.push(member);
+          }
+        }
+      }
+    }
+
+    // Group linked texts into clusters
+    const clusters = new Map();
+    for (const edge of edges) {
+      const root = find(edge.a);
+      const cluster = clusters.get(root) || { members: new Set(), similarities: [] };
+      cluster.members.add(edge.a);
+      cluster.members.add(edge.b);
+      cluster.similarities.push(edge.similarity);
+      clusters.set(root, cluster);
+    }
+
+    return [...clusters.values()]
+      .map(({ members, similarities }) => ({
+        members: [...members].sort((a, b) => a - b),
+        size: members.size,
+        similarity: similarities.reduce((sum, s) => sum + s, 0) / similarities.length,
+        minSimilarity: Math.min(...similarities),
+      }))
+      .sort((a, b) => b.size - a.size || b.similarity - a.similarity);
+  }
+
+  /**
+   * MinHash signature of a text's shingle set, or null if too short
+   */
+  _signature(text) {
+    const normalized = (text || '')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}]+/gu, ' ')
+      .trim();
+    if (normalized.length < this.config.minLength) return null;
+
+    const shingles = new Set();
+    const k = this.config.shingleSize;
+    for (let i = 0; i <= normalized.length - k; i++) {
+      shingles.add(fnv1a(normalized.slice(i, i + k)));
+    }
+
+    const signature = new Array(this.numHashes).fill(0xffffffff);
+    for (const shingle of shingles) {
+      for (let h = 0; h < this.numHashes; h++) {
+        const value = mix32(shingle ^ this.seeds[h]);
+        if (value < signature[h]) signature[h] = value;
+      }
+    }
+    return signature;
+  }
+
+  /**
+   * Share of equal MinHash slots — an unbiased estimate of Jaccard similarity
+   */
+  _estimateSimilarity(a, b) {
+    let equal = 0;
+    for (let i = 0; i < a.length; i++) {
+      if (a[i] === b[i]) equal++;
+    }
+    return equal / a.length;
+  }
+}
+
+// ============================================================
+// HASHING HELPERS
+// ============================================================
+
+function fnv1a(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// murmur3 finalizer — spreads nearby inputs across the 32-bit range
+function mix32(h) {
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
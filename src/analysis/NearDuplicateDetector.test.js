@@ -0,0 +1,92 @@
+import { NearDuplicateDetector } from './NearDuplicateDetector.js';
+
+const BLENDER = 'This blender is great, it crushes ice in seconds and cleans up easily afterwards';
+const HOSE = 'Completely unrelated text about a garden hose that leaks at the connector a lot';
+const BOOK = 'The paperback arrived with a bent cover but the story itself kept me up all night';
+
+describe('NearDuplicateDetector', () => {
+  const detector = new NearDuplicateDetector();
+
+  it('computes the same signature on every instance', () => {
+    const other = new NearDuplicateDetector();
+    expect(other._signature(BLENDER)).toEqual(detector._signature(BLENDER));
+    expect(detector._signature(BLENDER)).toHaveLength(detector.numHashes);
+  });
+
+  it('ignores case and punctuation when shingling', () => {
+    const a = detector._signature(BLENDER);
+    const b = detector._signature(`${BLENDER.toUpperCase()}!!!`);
+    expect(detector._estimateSimilarity(a, b)).toBe(1);
+  });
+
+  it('skips texts too short to compare', () => {
+    expect(detector._signature('Great product!')).toBeNull();
+    expect(detector.findClusters(['Great product!', 'Great product!', 'Great product!'])).toEqual([]);
+  });
+
+  it('clusters lightly edited copies and leaves other texts out', () => {
+    const texts = [
+      BOOK,
+      BLENDER,
+      HOSE,
+      `${BLENDER}!!`,
+      'this blender is really great, it crushes ice in seconds and cleans up easily afterwards',
+    ];
+    const [cluster, ...rest] = detector.findClusters(texts);
+
+    expect(rest).toEqual([]);
+    expect(cluster.members).toEqual([1, 3, 4]);
+    expect(cluster.size).toBe(3);
+    expect(cluster.minSimilarity).toBeGreaterThanOrEqual(detector.config.threshold);
+    expect(cluster.similarity).toBeGreaterThanOrEqual(cluster.minSimilarity);
+  });
+
+  it('finds no clusters among unrelated texts', () => {
+    expect(detector.findClusters([BLENDER, HOSE, BOOK])).toEqual([]);
+  });
+
+  it('compares a bucket of copies in linear time', () => {
+    const copies = Array.from({ length: 200 }, () => BLENDER);
+    const compare = jest.spyOn(detector, '_estimateSimilarity');
+
+    const [cluster] = detector.findClusters(copies);
+    expect(cluster.size).toBe(200);
+    expect(compare).toHaveBeenCalledTimes(199);
+
+    compare.mockRestore();
+  });
+
+  it('finds copies behind an unrelated text that comes first in a bucket', () => {
+    // Two bands of two rows. Every text shares the first band, so all four
+    // land in one bucket with the unrelated text first. The copies match in
+    // 3 of 4 slots; no second-band bucket holds two of them.
+    const signatures = {
+      unrelated: [1, 1, 9, 9],
+      a: [1, 1, 2, 3],
+      b: [1, 1, 2, 4],
+      c: [1, 1, 5, 3],
+    };
+    const small = new NearDuplicateDetector({ bands: 2, rows: 2, threshold: 0.75 });
+    jest.spyOn(small, '_signature').mockImplementation(text => signatures[text]);
+
+    const clusters = small.findClusters(['unrelated', 'a', 'b', 'c']);
+    expect(clusters).toHaveLength(1);
+    expect(clusters[0].members).toEqual([1, 2, 3]);
+    expect(clusters[0].minSimilarity).toBe(0.75);
+  });
+
+  it('stops adding representatives at maxRepresentatives', () => {
+    const signatures = {
+      a: [1, 1, 2, 2],
+      b: [1, 1, 3, 3],
+      c: [1, 1, 4, 4],
+      d: [1, 1, 2, 3],
+    };
+    // d matches a and b in 3 of 4 slots, but only a is a representative
+    const small = new NearDuplicateDetector({ bands: 2, rows: 2, threshold: 0.75, maxRepresentatives: 1 });
+    jest.spyOn(small, '_signature').mockImplementation(text => signatures[text]);
+
+    const clusters = small.findClusters(['a', 'b', 'c', 'd']);
+    expect(clusters.map(c => c.members)).toEqual([[0, 3]]);
+  });
+});
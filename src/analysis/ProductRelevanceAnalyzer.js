@@ -0,0 +1,184 @@
+/**
+ * ProductRelevanceAnalyzer - Does a review talk about the product it is posted on?
+ *
+ * Genuine reviews mention what the product is and does: the blender's jar,
+ * the headphones' battery. Copy-pasted fakes and hijacked reviews (moved
+ * over from another listing, or left on a merged variant) are either pure
+ * generic praise or describe a different product altogether.
+ *
+ * The listing is reduced to a keyword profile:
+ * - Core terms from the product title and the most specific breadcrumb
+ *   category (upper levels like "Home & Kitchen" say little)
+ * - Attribute terms from the feature bullets (weighted lower — bullets are
+ *   long and full of marketing filler)
+ * Stopwords, vague words and sentiment words of every language pack are
+ * dropped, and plurals are folded crudely by stripping a trailing "s".
+ *
+ * Places are not judged: a business name and category ("Luigi's
+ * Trattoria", "Italian restaurant") say nothing about the lasagna or the
+ * friendly staff a genuine review talks about.
+ *
+ * Signal (text category):
+ * - productRelevance: per review. Low for generic praise that never
+ *   mentions the product, lowest (with offProduct) when the review keeps
+ *   naming some other thing ("this phone case ...") on a blender listing.
+ */
+
+import { LANGUAGE_PACKS, detectLanguage } from './lexicons/index.js';
+
+// Words that never identify a product, from every pack
+const NOISE_WORDS = new Set(Object.values(LANGUAGE_PACKS).flatMap(pack => [
+  ...pack.stopwords,
+  ...pack.functionWords,
+  ...pack.vagueWords,
+  ...pack.hypeWords,
+  ...pack.positiveWords,
+  ...pack.negativeWords,
+  ...pack.negators,
+  ...pack.referenceDeterminers,
+  ...pack.nonProductNouns,
+]).map(word => word.replace(/'/g, '')));
+
+export class ProductRelevanceAnalyzer {
+  constructor() {
+    this.thresholds = {
+      minProfileTerms: 3,     // Listings with fewer core terms are not judged
+      minWords: 12,           // Shorter reviews are too brief to need specifics
+      attributeWeight: 0.5,   // A feature-bullet term counts half a core term
+      offProductMentions: 2,  // Times another thing must be named to call it off-product
+    };
+  }
+
+  /**
+   * Keyword profile of a product listing
+   * @param {Object} product - { title, features: string[], breadcrumb: string[], checkRelevance }
+   * @returns {Object|null} { core: Set, attributes: Set }, or null when the
+   *   listing has too little vocabulary to compare against, or the platform
+   *   opts out with checkRelevance: false
+   */
+  buildProfile(product) {
+    if (!product || product.checkRelevance === false) return null;
+
+    const core = new Set([
+      ...this._keywords(product.title || ''),
+      ...this._keywords((product.breadcrumb || []).at(-1) || ''),
+    ]);
+    if (core.size < this.thresholds.minProfileTerms) return null;
+
+    const attributes = new Set(
+      (product.features || []).flatMap(feature => this._keywords(feature))
+        .filter(term => !core.has(term))
+    );
+
+    return { core, attributes };
+  }
+
+  /**
+   * Analyze one review against the listing profile
+   * @param {Object} item - { text }
+   * @param {Object|null} profile - Output of buildProfile()
+   * @returns {Object} { productRelevance } — null without a profile or for short reviews
+   */
+  analyze(item, profile) {
+    return { productRelevance: this._scoreRelevance(item.text || '', profile) };
+  }
+
+  _scoreRelevance(text, profile) {
+    if (!profile) return null;
+
+    const tokens = tokenize(text);
+    if (tokens.length < this.thresholds.minWords) return null;
+
+    const terms = new Set(tokens.map(stem));
+    const coreHits = [...profile.core].filter(term => terms.has(term)).length;
+    const attributeHits = [...profile.attributes].filter(term => terms.has(term)).length;
+    const hits = coreHits + attributeHits * this.thresholds.attributeWeight;
+
+    // Something else repeatedly named as the thing being reviewed, and
+    // never the product itself
+    const inProfile = (term) => profile.core.has(term) || profile.attributes.has(term);
+    const mentions = this._referents(tokens, detectLanguage(text));
+    const [noun, count] = mostCommon(mentions.flat()) || [];
+    if (hits < 1 && count >= this.thresholds.offProductMentions
+        && !mentions.some(words => words.some(inProfile))) {
+      return {
+        score: 0.15,
+        detail: `Review seems to describe a different product ("${noun}")`,
+        offProduct: true,
+        hits,
+      };
+    }
+
+    if (hits === 0) {
+      return {
+        score: 0.35,
+        detail: 'Generic review that never mentions anything specific to this product',
+        offProduct: false,
+        hits,
+      };
+    }
+
+    return {
+      score: Math.min(0.95, 0.6 + hits * 0.1),
+      detail: null,
+      offProduct: false,
+      hits,
+    };
+  }
+
+  /**
+   * Content words following "this"/"these" (or the pack's equivalents),
+   * i.e. what the reviewer calls the thing they are reviewing.
+   * Up to two words are taken, so "this little blender" yields both.
+   * @returns {string[][]} One word list per mention
+   */
+  _referents(tokens, language) {
+    const lexicon = LANGUAGE_PACKS[language];
+    if (!lexicon) return [];
+
+    const determiners = new Set(lexicon.referenceDeterminers);
+    const mentions = [];
+    for (let i = 0; i < tokens.length; i++) {
+      if (!determiners.has(tokens[i])) continue;
+
+      // Stop at the first noise word: "this is great" names nothing
+      const words = [];
+      for (const word of tokens.slice(i + 1, i + 3)) {
+        if (NOISE_WORDS.has(word)) break;
+        words.push(stem(word));
+      }
+      if (words.length > 0) mentions.push(words);
+    }
+    return mentions;
+  }
+
+  _keywords(text) {
+    return tokenize(text)
+      .filter(word => !NOISE_WORDS.has(word))
+      .filter(word => word.length >= 3 || /\d/.test(word))
+      .filter(word => !/^\d+$/.test(word))   // Bare numbers match too easily
+      .map(stem);
+  }
+}
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+function tokenize(text) {
+  return (text.toLowerCase().replace(/[‘’']/g, '').match(/[\p{L}\p{N}]+/gu) || []);
+}
+
+// Crude plural folding — "blenders" and "blender" compare equal
+function stem(word) {
+  return word.length > 3 && word.endsWith('s') && !word.endsWith('ss')
+    ? word.slice(0, -1)
+    : word;
+}
+
+// [value, count] of the most frequent value, or null for an empty list
+function mostCommon(values) {
+  const counts = new Map();
+  for (const value of values) counts.set(value, (counts.get(value) || 0) + 1);
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0] || null;
+}
@@ -0,0 +1,75 @@
+import { ProductRelevanceAnalyzer } from './ProductRelevanceAnalyzer.js';
+
+const BLENDER = {
+  title: 'Vortex Pro 1200W Countertop Blender with 64oz Glass Jar',
+  breadcrumb: ['Home & Kitchen', 'Small Appliances', 'Countertop Blenders'],
+  features: ['Stainless steel blades crush ice in seconds', 'Dishwasher safe lid and tamper'],
+};
+
+const analyzer = new ProductRelevanceAnalyzer();
+const profile = analyzer.buildProfile(BLENDER);
+const relevanceOf = (text, listing = profile) => analyzer.analyze({ text }, listing).productRelevance;
+
+describe('ProductRelevanceAnalyzer.buildProfile', () => {
+  it('takes core terms from the title and the last breadcrumb level', () => {
+    expect([...profile.core]).toEqual(expect.arrayContaining(['vortex', '1200w', 'blender', 'glass', 'jar', 'countertop']));
+    expect(profile.core.has('kitchen')).toBe(false);
+    expect(profile.core.has('with')).toBe(false);
+  });
+
+  it('keeps feature terms apart from the core', () => {
+    expect([...profile.attributes]).toEqual(expect.arrayContaining(['blade', 'ice', 'dishwasher', 'lid', 'tamper']));
+    expect([...profile.attributes].some(term => profile.core.has(term))).toBe(false);
+  });
+
+  it('does not judge listings without a usable title', () => {
+    expect(analyzer.buildProfile(null)).toBeNull();
+    expect(analyzer.buildProfile({ features: BLENDER.features })).toBeNull();
+    expect(analyzer.buildProfile({ title: '', breadcrumb: [] })).toBeNull();
+    expect(analyzer.buildProfile({ title: 'Great value!' })).toBeNull();
+  });
+
+  it('lets a platform opt out', () => {
+    expect(analyzer.buildProfile({ ...BLENDER, checkRelevance: false })).toBeNull();
+  });
+});
+
+describe('ProductRelevanceAnalyzer.analyze', () => {
+  it('scores a review about the product as relevant', () => {
+    const result = relevanceOf('The glass jar is heavy but the blender crushes ice for smoothies in seconds, and the lid never leaks on my counter.');
+    expect(result.offProduct).toBe(false);
+    expect(result.detail).toBeNull();
+    expect(result.hits).toBeGreaterThanOrEqual(2);
+    expect(result.score).toBeGreaterThanOrEqual(0.8);
+  });
+
+  it('caps the score for reviews that name the product a lot', () => {
+    const result = relevanceOf('Vortex blender, glass jar, countertop size, 1200w motor, ice blades, dishwasher safe lid and tamper. Works for me every morning.');
+    expect(result.score).toBe(0.95);
+  });
+
+  it('scores generic praise low', () => {
+    expect(relevanceOf('Amazing quality, fast delivery and I would definitely buy it again from this seller. Five stars from me!')).toEqual({
+      score: 0.35,
+      detail: 'Generic review that never mentions anything specific to this product',
+      offProduct: false,
+      hits: 0,
+    });
+  });
+
+  it('scores a review of a different product lowest', () => {
+    const result = relevanceOf('This phone case fits perfectly and the grip is great. I dropped this phone case twice already and my screen is fine.');
+    expect(result).toMatchObject({ score: 0.15, offProduct: true, hits: 0 });
+    expect(result.detail).toBe('Review seems to describe a different product ("phone")');
+  });
+
+  it('folds plurals onto the listing terms', () => {
+    expect(relevanceOf('I have owned three blenders over the years and none of them handled frozen fruit this well, honestly.').hits).toBe(1);
+  });
+
+  it('gives no verdict without a profile or for short text', () => {
+    expect(relevanceOf('The glass jar is heavy but the blender crushes ice for smoothies in seconds.', null)).toBeNull();
+    expect(relevanceOf('Great blender.')).toBeNull();
+    expect(analyzer.analyze({}, profile).productRelevance).toBeNull();
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * RatingConsistencyAnalyzer - Compare review text sentiment with the star rating
+ *
+ * A clearly negative text under a 5-star rating (or glowing text under
+ * 1 star) is rare in honest reviews. It shows up in review bombing, in
+ * fake reviews pasted onto the wrong rating, and in paid reviews that were
+ * written before the rating was chosen.
+ *
+ * Signals (behavioral category):
+ * - ratingMismatch: per review
+ * - ratingMismatchRate: share of mismatched reviews on the page
+ */
+
+import { TextAnalyzer } from './TextAnalyzer.js';
+
+export class RatingConsistencyAnalyzer {
+  constructor(textAnalyzer = new TextAnalyzer()) {
+    this.textAnalyzer = textAnalyzer;
+    this.thresholds = {
+      minSentimentWords: 2,   // Fewer sentiment words = no clear polarity
+      clearPolarity: 0.5,     // |polarity| at or above this is clearly positive/negative
+      highRating: 4,
+      lowRating: 2,
+      minBatchSize: 5,        // Reviews with a verdict needed for the page rate
+    };
+  }
+
+  /**
+   * Analyze one review
+   * @param {Object} item - { text, rating }
+   * @returns {Object} { ratingMismatch } — null when rating or sentiment is unclear
+   */
+  analyze(item) {
+    return { ratingMismatch: this._scoreMismatch(item) };
+  }
+
+  /**
+   * Page-level mismatch rate
+   * @param {Object[]} results - Output of analyze() for each review
+   * @returns {Object|null}
+   */
+  analyzeBatch(results) {
+    const judged = results.filter(r => r.ratingMismatch);
+    if (judged.length < this.thresholds.minBatchSize) return null;
+
+    const mismatched = judged.filter(r => r.ratingMismatch.mismatch).length;
+    const rate = mismatched / judged.length;
+
+    return {
+      score: Math.max(0, 1 - rate * 2.5),
+      detail: rate >= 0.1
+        ? `${mismatched} of ${judged.length} reviews have text that contradicts their star rating`
+        : null,
+      mismatched,
+      judged: judged.length,
+    };
+  }
+
+  _scoreMismatch(item) {
+    if (item.rating === null || item.rating === undefined) return null;
+
+    const sentiment = this.textAnalyzer.sentimentPolarity(item.text);
+    if (!sentiment) return null;
+    if (sentiment.positive + sentiment.negative < this.thresholds.minSentimentWords) return null;
+
+    const { clearPolarity, highRating, lowRating } = this.thresholds;
+    const positiveText = sentiment.polarity >= clearPolarity;
+    const negativeText = sentiment.polarity <= -clearPolarity;
+    const highStars = item.rating >= highRating;
+    const lowStars = item.rating <= lowRating;
+
+    if (negativeText && highStars) {
+      return {
+        score: 0.2,
+        detail: `Negative text with a ${item.rating}-star rating`,
+        mismatch: true,
+      };
+    }
+
+    if (positiveText && lowStars) {
+      return {
+        score: 0.25,
+        detail: `Positive text with a ${item.rating}-star rating`,
+        mismatch: true,
+      };
+    }
+
+    if ((positiveText && highStars) || (negativeText && lowStars)) {
+      return { score: 0.8, detail: null, mismatch: false };
+    }
+
+    // Mixed text or a middle rating — no verdict
+    return null;
+  }
+}
@@ -0,0 +1,72 @@
+import { RatingConsistencyAnalyzer } from './RatingConsistencyAnalyzer.js';
+
+const NEGATIVE = 'Terrible blender. It broke after two days, the motor is weak and the lid leaks everywhere. Awful.';
+const POSITIVE = 'Great blender, I love it. The motor is powerful, the jar is sturdy and cleanup is easy. Excellent.';
+const MIXED = 'The motor is great and powerful, but the lid is terrible and leaks, and the jar feels cheap.';
+
+describe('RatingConsistencyAnalyzer.analyze', () => {
+  const analyzer = new RatingConsistencyAnalyzer();
+  const mismatchOf = (text, rating) => analyzer.analyze({ text, rating }).ratingMismatch;
+
+  it('flags negative text under a high rating', () => {
+    expect(mismatchOf(NEGATIVE, 5)).toEqual({ score: 0.2, detail: 'Negative text with a 5-star rating', mismatch: true });
+    expect(mismatchOf(NEGATIVE, 4).mismatch).toBe(true);
+  });
+
+  it('flags positive text under a low rating', () => {
+    expect(mismatchOf(POSITIVE, 1)).toEqual({ score: 0.25, detail: 'Positive text with a 1-star rating', mismatch: true });
+    expect(mismatchOf(POSITIVE, 2).mismatch).toBe(true);
+  });
+
+  it('confirms text that fits its rating', () => {
+    expect(mismatchOf(POSITIVE, 5)).toEqual({ score: 0.8, detail: null, mismatch: false });
+    expect(mismatchOf(NEGATIVE, 1)).toEqual({ score: 0.8, detail: null, mismatch: false });
+  });
+
+  it('gives no verdict on mixed text or a middle rating', () => {
+    expect(mismatchOf(MIXED, 5)).toBeNull();
+    expect(mismatchOf(MIXED, 1)).toBeNull();
+    expect(mismatchOf(NEGATIVE, 3)).toBeNull();
+  });
+
+  it('reads negated sentiment words the other way', () => {
+    const negated = 'Not bad at all, and honestly not terrible either. The lid does not leak and the motor is not weak.';
+    expect(mismatchOf(negated, 5).mismatch).toBe(false);
+    expect(mismatchOf(negated, 1).mismatch).toBe(true);
+  });
+
+  it('reads the sentiment in the review\'s own language', () => {
+    const german = 'Schrecklicher Mixer. Nach zwei Tagen kaputt, der Motor ist schwach und der Deckel undicht. Furchtbar.';
+    expect(mismatchOf(german, 5).mismatch).toBe(true);
+  });
+
+  it('needs a rating and enough sentiment words', () => {
+    expect(mismatchOf(NEGATIVE, null)).toBeNull();
+    expect(mismatchOf(NEGATIVE, undefined)).toBeNull();
+    expect(mismatchOf('The lid leaks a little when the jar is full of ice and water.', 5)).toBeNull();
+  });
+});
+
+describe('RatingConsistencyAnalyzer.analyzeBatch', () => {
+  const analyzer = new RatingConsistencyAnalyzer();
+  const result = (mismatch) => ({ ratingMismatch: mismatch === null ? null : { mismatch } });
+
+  it('reports the share of mismatched reviews among those with a verdict', () => {
+    const results = [result(true), result(false), result(false), result(false), result(false), result(null)];
+    expect(analyzer.analyzeBatch(results)).toEqual({
+      score: 0.5,
+      detail: '1 of 5 reviews have text that contradicts their star rating',
+      mismatched: 1,
+      judged: 5,
+    });
+  });
+
+  it('needs enough reviews with a verdict', () => {
+    expect(analyzer.analyzeBatch([result(true), result(true), result(false), result(false), result(null)])).toBeNull();
+  });
+
+  it('stays quiet when nothing contradicts its rating', () => {
+    const results = Array.from({ length: 6 }, () => result(false));
+    expect(analyzer.analyzeBatch(results)).toEqual({ score: 1, detail: null, mismatched: 0, judged: 6 });
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * RatingDistributionAnalyzer - Compare a product's star histogram with a J-curve
+ *
+ * Honest ratings on retail sites are J-shaped: mostly 5 stars, a tail
+ * through 4 to 2, and a bump at 1 star from disappointed buyers. Review
+ * campaigns bend that shape — a wall of 5 stars with nothing in between,
+ * or 5 and 1 stars with an empty middle.
+ *
+ * Signals (behavioral category):
+ * - ratingDistribution: Jensen-Shannon divergence between the histogram
+ *   and a reference J-curve (per product category where one is known).
+ *   The review count sets the confidence: a histogram of 50 ratings is
+ *   tested for sampling noise and pulled toward neutral; one of 50,000 is
+ *   taken at face value.
+ * - displayedRatings: whether the ratings of the reviews on the page fit
+ *   the histogram. Shown reviews that are much more positive than all
+ *   ratings suggest a curated or vote-pushed selection.
+ */
+
+// J-curve references as two parameters: the 1-star share, and how fast
+// the rest decays from 5 stars down to 2 (share of k stars ∝ decay^(5-k)).
+// Rough values read off public retail review datasets — approximations,
+// not calibrated baselines. Categories match the top breadcrumb entry.
+export const RATING_BASELINES = {
+  default: { label: 'retail', oneStar: 0.10, decay: 0.35 },
+  books: { label: 'book', match: /\b(books?|bücher|livres|libros|kindle)\b/i, oneStar: 0.05, decay: 0.30 },
+  electronics: { label: 'electronics', match: /\b(electronics?|elektronik|électronique|electrónica|computers?|computer)\b/i, oneStar: 0.12, decay: 0.40 },
+  beauty: { label: 'beauty', match: /\b(beauty|kosmetik|beauté|belleza|personal care)\b/i, oneStar: 0.12, decay: 0.35 },
+  clothing: { label: 'clothing', match: /\b(clothing|fashion|bekleidung|mode|vêtements|ropa|moda)\b/i, oneStar: 0.09, decay: 0.45 },
+  toys: { label: 'toy', match: /\b(toys?|spielzeug|jouets|juguetes)\b/i, oneStar: 0.08, decay: 0.35 },
+  home: { label: 'home & kitchen', match: /\b(home|kitchen|küche|haushalt|cuisine|maison|hogar|cocina)\b/i, oneStar: 0.10, decay: 0.35 },
+};
+
+const STARS = [1, 2, 3, 4, 5];
+
+export class RatingDistributionAnalyzer {
+  constructor(baselines = RATING_BASELINES) {
+    this.baselines = baselines;
+    this.thresholds = {
+      minBuckets: 3,            // Histogram rows needed
+      confidenceCount: 200,     // Ratings at which the histogram counts half
+      noiseAlpha: 0.01,         // Divergence not significant at this level is noise
+      minShown: 8,              // Rated reviews on the page for the displayed check
+      shownGap: 0.5,            // Stars the shown reviews may run above the histogram
+      neutral: 0.7,             // Score low-confidence results are pulled toward
+    };
+  }
+
+  /**
+   * @param {Object} product - { histogram: { star: percent or count }, reviewCount, breadcrumb, reviewsFiltered }
+   * @param {number[]} shownRatings - Star ratings of the reviews on the page
+   * @returns {Object} { ratingDistribution, displayedRatings } — null when not measurable
+   */
+  analyze(product, shownRatings = []) {
+    const observed = this._normalize(product?.histogram);
+    if (!observed) return { ratingDistribution: null, displayedRatings: null };
+
+    const baseline = this._baselineFor(product.breadcrumb || []);
+    return {
+      ratingDistribution: this._scoreDistribution(observed, baseline, product.reviewCount ?? null),
+      displayedRatings: product.reviewsFiltered ? null : this._scoreDisplayed(observed, shownRatings),
+    };
+  }
+
+  /**
+   * Reference shares for stars 1..5
+   */
+  referenceCurve({ oneStar, decay }) {
+    const tail = STARS.slice(1).map(star => Math.pow(decay, 5 - star));
+    const tailSum = tail.reduce((a, b) => a + b, 0);
+    return [oneStar, ...tail.map(w => (w / tailSum) * (1 - oneStar))];
+  }
+
+  _scoreDistribution(observed, baseline, count) {
+    const reference = this.referenceCurve(baseline);
+    const divergence = jensenShannon(observed, reference);
+    const raw = Math.min(0.9, Math.max(0.1, 0.9 - divergence * 4));
+
+    // With a known count, first ask whether the difference is more than
+    // sampling noise (G-test, 4 degrees of freedom)
+    let pValue = null;
+    if (count) {
+      pValue = chiSquare4Survival(2 * count * klDivergence(observed, reference));
+      if (pValue >= this.thresholds.noiseAlpha) {
+        return { score: 0.75, detail: null, divergence, pValue, confidence: 0, baseline: baseline.label };
+      }
+    }
+
+    const confidence = count ? count / (count + this.thresholds.confidenceCount) : 0.5;
+    const score = this.thresholds.neutral + (raw - this.thresholds.neutral) * confidence;
+
+    return {
+      score,
+      detail: score < 0.6 ? `${this._describeShape(observed)} (vs. typical ${baseline.label} products${count ? `, ${count.toLocaleString('en-US')} ratings` : ''})` : null,
+      divergence,
+      pValue,
+      confidence,
+      baseline: baseline.label,
+    };
+  }
+
+  /**
+   * Ratings of the reviews shown against the histogram (G-test)
+   */
+  _scoreDisplayed(observed, shownRatings) {
+    const shown = shownRatings.filter(r => typeof r === 'number').map(r => Math.round(r));
+    if (shown.length < this.thresholds.minShown) return null;
+
+    // Smooth so a star missing from the histogram cannot make the test infinite
+    const expected = observed.map(p => (p + 0.005) / 1.025);
+    const counts = STARS.map(star => shown.filter(r => r === star).length);
+    const g = 2 * counts.reduce((sum, c, i) => (c > 0 ? sum + c * Math.log(c / (shown.length * expected[i])) : sum), 0);
+    const pValue = chiSquare4Survival(g);
+
+    const shownAverage = shown.reduce((a, b) => a + b, 0) / shown.length;
+    const overallAverage = observed.reduce((sum, p, i) => sum + p * STARS[i], 0);
+
+    if (pValue < this.thresholds.noiseAlpha && shownAverage - overallAverage > this.thresholds.shownGap) {
+      return {
+        score: 0.35,
+        detail: `Reviews shown average ${shownAverage.toFixed(1)}★, but all ratings average ${overallAverage.toFixed(1)}★`,
+        shownAverage,
+        overallAverage,
+        pValue,
+      };
+    }
+    return { score: 0.8, detail: null, shownAverage, overallAverage, pValue };
+  }
+
+  _describeShape(observed) {
+    const [one, , , , five] = observed.map(p => Math.round(p * 100));
+    const middle = Math.round((observed[1] + observed[2] + observed[3]) * 100);
+
+    if (five > 90 && middle < 5) return `${five}% five-star ratings with almost no middle ratings`;
+    if (five > 50 && one > 25 && middle < 15) return 'Polarized ratings with few middle ratings';
+    if (five > 80 && one < 2) return 'Almost no critical ratings';
+    return 'Rating mix far from the usual J-shaped curve';
+  }
+
+  _baselineFor(breadcrumb) {
+    const root = breadcrumb[0] || '';
+    const match = Object.values(this.baselines).find(b => b.match?.test(root));
+    return match || this.baselines.default;
+  }
+
+  /**
+   * { star: percent } (Amazon) or { star: count } (Google Maps) → shares
+   * for stars 1..5, or null with too few rows
+   */
+  _normalize(histogram) {
+    if (!histogram || Object.keys(histogram).length < this.thresholds.minBuckets) return null;
+    const values = STARS.map(star => Math.max(0, Number(histogram[star]) || 0));
+    const total = values.reduce((a, b) => a + b, 0);
+    return total > 0 ? values.map(v => v / total) : null;
+  }
+}
+
+/**
+ * Jensen-Shannon divergence in bits (0 = identical, 1 = disjoint)
+ */
+function jensenShannon(p, q) {
+  const m = p.map((pi, i) => (pi + q[i]) / 2);
+  return (klDivergence(p, m) + klDivergence(q, m)) / 2 / Math.LN2;
+}
+
+/**
+ * Kullback-Leibler divergence in nats; q must be non-zero where p is
+ */
+function klDivergence(p, q) {
+  return p.reduce((sum, pi, i) => (pi > 0 ? sum + pi * Math.log(pi / q[i]) : sum), 0);
+}
+
+/**
+ * P(X ≥ x) for a chi-square variable with 4 degrees of freedom
+ */
+function chiSquare4Survival(x) {
+  if (x <= 0) return 1;
+  return Math.exp(-x / 2) * (1 + x / 2);
+}
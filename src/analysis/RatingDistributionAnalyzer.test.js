@@ -0,0 +1,128 @@
+import { RatingDistributionAnalyzer, RATING_BASELINES } from './RatingDistributionAnalyzer.js';
+
+// { star: percent } from a list of shares for stars 1..5
+const histogramOf = (shares) => Object.fromEntries(shares.map((share, i) => [i + 1, share * 100]));
+
+const WALL_OF_FIVES = { 5: 97, 4: 1, 3: 0, 2: 0, 1: 2 };
+
+describe('RatingDistributionAnalyzer.referenceCurve', () => {
+  const analyzer = new RatingDistributionAnalyzer();
+
+  it('builds a J-curve from the 1-star share and the decay', () => {
+    const curve = analyzer.referenceCurve({ oneStar: 0.1, decay: 0.35 });
+    expect(curve).toHaveLength(5);
+    expect(curve.reduce((a, b) => a + b, 0)).toBeCloseTo(1, 12);
+    expect(curve[0]).toBe(0.1);
+
+    // Each star from 2 to 4 holds `decay` times the share of the one above
+    for (let star = 2; star <= 4; star++) {
+      expect(curve[star - 1] / curve[star]).toBeCloseTo(0.35, 12);
+    }
+  });
+});
+
+describe('RatingDistributionAnalyzer.analyze', () => {
+  const analyzer = new RatingDistributionAnalyzer();
+  const retail = analyzer.referenceCurve(RATING_BASELINES.default);
+
+  it('needs a histogram with enough rows', () => {
+    expect(analyzer.analyze({ histogram: { 5: 80, 4: 20 } })).toEqual({
+      ratingDistribution: null,
+      displayedRatings: null,
+    });
+    expect(analyzer.analyze(null).ratingDistribution).toBeNull();
+  });
+
+  it('finds no divergence for a histogram shaped like the reference', () => {
+    const { ratingDistribution } = analyzer.analyze({ histogram: histogramOf(retail) });
+    expect(ratingDistribution.divergence).toBeCloseTo(0, 12);
+    expect(ratingDistribution.detail).toBeNull();
+    // Without a review count the histogram counts half
+    expect(ratingDistribution.confidence).toBe(0.5);
+    expect(ratingDistribution.score).toBeCloseTo(0.8, 12);
+  });
+
+  it('measures Jensen-Shannon divergence in bits', () => {
+    const { ratingDistribution } = analyzer.analyze({ histogram: { 5: 100, 4: 0, 1: 0 } });
+    const m = retail.map((q, i) => (q + (i === 4 ? 1 : 0)) / 2);
+    const kl = (p, q) => p.reduce((sum, pi, i) => (pi > 0 ? sum + pi * Math.log(pi / q[i]) : sum), 0);
+    const expected = (kl([0, 0, 0, 0, 1], m) + kl(retail, m)) / 2 / Math.LN2;
+
+    expect(ratingDistribution.divergence).toBeCloseTo(expected, 12);
+    expect(ratingDistribution.divergence).toBeGreaterThan(0);
+    expect(ratingDistribution.divergence).toBeLessThan(1);
+  });
+
+  it('flags a wall of 5-star ratings with a large review count', () => {
+    const { ratingDistribution } = analyzer.analyze({ histogram: WALL_OF_FIVES, reviewCount: 50000 });
+    expect(ratingDistribution.pValue).toBeLessThan(0.01);
+    expect(ratingDistribution.confidence).toBeGreaterThan(0.99);
+    expect(ratingDistribution.score).toBeLessThan(0.6);
+    expect(ratingDistribution.detail).toBe(
+      '97% five-star ratings with almost no middle ratings (vs. typical retail products, 50,000 ratings)'
+    );
+  });
+
+  it('reads counts (Google Maps) the same as percents (Amazon)', () => {
+    const percents = { 5: 62, 4: 14, 3: 6, 2: 4, 1: 14 };
+    const counts = { 5: 806, 4: 182, 3: 78, 2: 52, 1: 182 };   // 1,300 ratings
+    const fromPercents = analyzer.analyze({ histogram: percents, reviewCount: 1300 }, Array(10).fill(5));
+    const fromCounts = analyzer.analyze({ histogram: counts, reviewCount: 1300 }, Array(10).fill(5));
+
+    expect(fromCounts.ratingDistribution.divergence).toBeCloseTo(fromPercents.ratingDistribution.divergence, 12);
+    expect(fromCounts.ratingDistribution.score).toBeCloseTo(fromPercents.ratingDistribution.score, 12);
+    expect(fromCounts.displayedRatings.overallAverage).toBeCloseTo(fromPercents.displayedRatings.overallAverage, 12);
+  });
+
+  it('pulls a small histogram toward neutral', () => {
+    const large = analyzer.analyze({ histogram: WALL_OF_FIVES, reviewCount: 50000 }).ratingDistribution;
+    const small = analyzer.analyze({ histogram: WALL_OF_FIVES, reviewCount: 60 }).ratingDistribution;
+    expect(small.divergence).toBeCloseTo(large.divergence, 12);
+    expect(small.confidence).toBeCloseTo(60 / 260, 12);
+    expect(small.score).toBeGreaterThan(large.score);
+    expect(small.score).toBeLessThan(analyzer.thresholds.neutral);
+  });
+
+  it('treats a difference within sampling noise as no finding', () => {
+    const { ratingDistribution } = analyzer.analyze({
+      histogram: { 5: 70, 4: 12, 3: 6, 2: 4, 1: 8 },
+      reviewCount: 12,
+    });
+    expect(ratingDistribution.pValue).toBeGreaterThanOrEqual(0.01);
+    expect(ratingDistribution.score).toBe(0.75);
+    expect(ratingDistribution.confidence).toBe(0);
+  });
+
+  it('picks the reference curve from the top breadcrumb entry', () => {
+    const books = analyzer.analyze({ histogram: WALL_OF_FIVES, breadcrumb: ['Books', 'Fiction'] });
+    expect(books.ratingDistribution.baseline).toBe('book');
+
+    const other = analyzer.analyze({ histogram: WALL_OF_FIVES, breadcrumb: ['Garden', 'Books'] });
+    expect(other.ratingDistribution.baseline).toBe('retail');
+  });
+});
+
+describe('RatingDistributionAnalyzer displayed ratings', () => {
+  const analyzer = new RatingDistributionAnalyzer();
+  const histogram = { 5: 50, 4: 15, 3: 10, 2: 5, 1: 20 };
+
+  it('flags shown reviews much rosier than all ratings', () => {
+    const { displayedRatings } = analyzer.analyze({ histogram }, Array(12).fill(5));
+    expect(displayedRatings.score).toBe(0.35);
+    expect(displayedRatings.shownAverage).toBe(5);
+    expect(displayedRatings.overallAverage).toBeCloseTo(3.7, 12);
+    expect(displayedRatings.detail).toBe('Reviews shown average 5.0★, but all ratings average 3.7★');
+  });
+
+  it('accepts shown reviews that fit the histogram', () => {
+    const shown = [5, 5, 5, 5, 4, 3, 2, 1, 1, 5];
+    const { displayedRatings } = analyzer.analyze({ histogram }, shown);
+    expect(displayedRatings.score).toBe(0.8);
+    expect(displayedRatings.detail).toBeNull();
+  });
+
+  it('skips the check with few shown reviews or a filtered list', () => {
+    expect(analyzer.analyze({ histogram }, [5, 5, 5]).displayedRatings).toBeNull();
+    expect(analyzer.analyze({ histogram, reviewsFiltered: true }, Array(12).fill(5)).displayedRatings).toBeNull();
+  });
+});
@@ -0,0 +1,401 @@
+/**
+ * SignalRegistry - Central list of scoring categories and signals
+ *
+ * Every signal the scorer understands is declared here, together with its
+ * category, default weight and display labels. TrustScorer builds its
+ * weight tables from the registry, and the overlay and popup use it for
+ * signal names, so a new detector only has to register itself.
+ *
+ * Built-in signals are produced by the core analyzers and registered below
+ * without an analyze function. Extra detectors pass one:
+ *
+ *   signalRegistry.register({
+ *     id: 'brandList',
+ *     category: 'text',
+ *     mode: 'item',                 // 'item' = per review, 'batch' = per page
+ *     signals: {
+ *       knownShillBrand: { weight: 0.2, label: 'Brand list', issueLabel: 'Brand on watch list' },
+ *     },
+ *     analyze: (review) => ({ knownShillBrand: { score: 0.2, detail: '...' } }),
+ *   });
+ *
+ * Item analyzers receive one extracted item ({ text, rating, date, profile, ... });
+ * batch analyzers receive the array of all items on the page. Both return
+ * { signalName: score | { score, detail } }.
+ */
+
+export class SignalRegistry {
+  constructor() {
+    this.categories = {};  // name → { weight, label }
+    this.signals = {};     // signal name → { category, weight, label, issueLabel, analyzer }
+    this.analyzers = [];   // registered descriptors, in registration order
+  }
+
+  /**
+   * Declare a scoring category and its weight in the final score
+   */
+  registerCategory(name, { weight, label }) {
+    this.categories[name] = { weight, label: label || name };
+    return this;
+  }
+
+  /**
+   * Declare an analyzer and the signals it produces
+   * @param {Object} descriptor
+   * @param {string} descriptor.id - Unique analyzer id
+   * @param {string} descriptor.category - Category the signals score in
+   * @param {'item'|'batch'} descriptor.mode - Runs per item or once per page
+   * @param {Object} descriptor.signals - { name: { weight, label, issueLabel } }
+   * @param {Function} [descriptor.analyze] - Omitted for signals produced by core analyzers
+   */
+  register(descriptor) {
+    const { id, category, mode = 'item', signals = {}, analyze = null } = descriptor;
+
+    if (!this.categories[category]) {
+      throw new Error(`SignalRegistry: unknown category "${category}" for analyzer "${id}"`);
+    }
+    if (this.analyzers.some(a => a.id === id)) {
+      throw new Error(`SignalRegistry: analyzer "${id}" is already registered`);
+    }
+
+    for (const [name, signal] of Object.entries(signals)) {
+      if (this.signals[name]) {
+        throw new Error(`SignalRegistry: signal "${name}" is already registered by "${this.signals[name].analyzer}"`);
+      }
+      this.signals[name] = {
+        category,
+        weight: signal.weight || 0,
+        label: signal.label || null,
+        issueLabel: signal.issueLabel || null,
+        analyzer: id,
+      };
+    }
+
+    this.analyzers.push({ id, category, mode, signals: Object.keys(signals), analyze });
+    return this;
+  }
+
+  /**
+   * Weight table in the shape TrustScorer uses: { category: { signal: weight } },
+   * with each category's weights scaled to sum to 1
+   */
+  weights() {
+    const weights = {};
+    for (const category of Object.keys(this.categories)) {
+      weights[category] = {};
+    }
+    for (const [name, signal] of Object.entries(this.signals)) {
+      weights[signal.category][name] = signal.weight;
+    }
+    return normalizeWeights(weights);
+  }
+
+  categoryWeights() {
+    const weights = {};
+    for (const [name, category] of Object.entries(this.categories)) {
+      weights[name] = category.weight;
+    }
+    return weights;
+  }
+
+  labelFor(signal) {
+    return this.signals[signal]?.label || null;
+  }
+
+  issueLabelFor(signal) {
+    return this.signals[signal]?.issueLabel || this.labelFor(signal);
+  }
+
+  categoryLabel(category) {
+    return this.categories[category]?.label || null;
+  }
+
+  /**
+   * Run every registered per-item analyzer on one item
+   * @returns {Object} { category: { signal: result } }
+   */
+  runItem(item) {
+    return this._run('item', item);
+  }
+
+  /**
+   * Run every registered per-page analyzer on all items
+   * @returns {Object} { category: { signal: result } }
+   */
+  runBatch(items) {
+    return this._run('batch', items);
+  }
+
+  _run(mode, input) {
+    const results = {};
+
+    for (const analyzer of this.analyzers) {
+      if (analyzer.mode !== mode || !analyzer.analyze) continue;
+
+      try {
+        const output = analyzer.analyze(input) || {};
+        results[analyzer.category] = results[analyzer.category] || {};
+        for (const name of analyzer.signals) {
+          if (output[name] !== undefined) {
+            results[analyzer.category][name] = output[name];
+          }
+        }
+      } catch (e) {
+        console.warn(`[DID] Analyzer "${analyzer.id}" failed:`, e);
+      }
+    }
+
+    return results;
+  }
+}
+
+// ============================================================
+// BUILT-IN CATEGORIES AND SIGNALS
+// ============================================================
+
+export const signalRegistry = new SignalRegistry();
+
+signalRegistry
+  .registerCategory('text', { weight: 0.30, label: 'Content' })
+  .registerCategory('account', { weight: 0.25, label: 'Reviewer' })
+  .registerCategory('behavioral', { weight: 0.30, label: 'Pattern' })
+  .registerCategory('media', { weight: 0.15, label: 'Media' });
+
+// Signal weights are relative within their category: weights() scales
+// each category to sum to 1, so a category's total evidence in log-odds
+// mode stays at its category weight however many detectors register
+signalRegistry.register({
+  id: 'textAnalyzer',
+  category: 'text',
+  mode: 'item',
+  signals: {
+    aiDetection: { weight: 0.25, label: 'AI Phrasing', issueLabel: 'Possible AI-generated text' },
+    repetitionPattern: { weight: 0.20, label: 'Repetition', issueLabel: 'Formulaic structure' },
+    sentimentConsistency: { weight: 0.15, label: 'Sentiment', issueLabel: 'Praise without specifics' },
+    vocabularyDistribution: { weight: 0.15, label: 'Vocabulary', issueLabel: 'Generic vocabulary' },
+    templateMatching: { weight: 0.25, label: 'Templates', issueLabel: 'Common fake-review phrases' },
+  },
+});
+
+// Only present when the listing has a usable title / feature profile
+signalRegistry.register({
+  id: 'productRelevance',
+  category: 'text',
+  mode: 'item',
+  signals: {
+    productRelevance: { weight: 0.20, label: 'Product Relevance', issueLabel: 'Review does not fit this product' },
+  },
+});
+
+signalRegistry.register({
+  id: 'accountAnalyzer',
+  category: 'account',
+  mode: 'item',
+  signals: {
+    accountAge: { weight: 0.30, label: 'Account Age', issueLabel: 'New account' },
+    postingFrequency: { weight: 0.25, label: 'Posting Frequency', issueLabel: 'Burst posting' },
+    reviewDiversity: { weight: 0.20, label: 'Rating Diversity', issueLabel: 'Same rating every time' },
+    profileCompleteness: { weight: 0.15, label: 'Profile', issueLabel: 'Sparse profile' },
+    networkConnections: { weight: 0.10, label: 'Helpful Votes', issueLabel: 'Few helpful votes' },
+    reviewerReputation: { weight: 0.20, label: 'Reputation', issueLabel: 'Low-trust reviews on other products' },
+  },
+});
+
+// Google Maps reviewers; the contribution checks need the contributions
+// page to have been read
+signalRegistry.register({
+  id: 'mapsReviewer',
+  category: 'account',
+  mode: 'item',
+  signals: {
+    contributorLevel: { weight: 0.30, label: 'Local Guide', issueLabel: 'Thin reviewer account' },
+    localFiveStars: { weight: 0.35, label: 'Reviewed Places', issueLabel: 'Only 5-star reviews in one small area' },
+    sameDayPlaces: { weight: 0.35, label: 'Same-Day Reviews', issueLabel: 'Many similar businesses reviewed in one day' },
+  },
+});
+
+// Only present for enriched Reddit accounts, alongside accountAge
+signalRegistry.register({
+  id: 'redditAccount',
+  category: 'account',
+  mode: 'item',
+  signals: {
+    accountStatus: { weight: 0.30, label: 'Account Status', issueLabel: 'Suspended account' },
+    postingCadence: { weight: 0.25, label: 'Posting Cadence', issueLabel: 'Bot-like posting cadence' },
+    karmaSplit: { weight: 0.20, label: 'Karma', issueLabel: 'Unusual karma' },
+    communitySpread: { weight: 0.15, label: 'Communities', issueLabel: 'Karma farming or single-community account' },
+  },
+});
+
+signalRegistry.register({
+  id: 'accountBatch',
+  category: 'behavioral',
+  mode: 'batch',
+  signals: {
+    timingCluster: { weight: 0.35, label: 'Review Timing', issueLabel: 'Review burst' },
+    accountAgeCluster: { weight: 0.25, label: 'Account Creation', issueLabel: 'Accounts created together' },
+  },
+});
+
+signalRegistry.register({
+  id: 'batchText',
+  category: 'behavioral',
+  mode: 'batch',
+  signals: {
+    coordinatedLanguage: { weight: 0.35, label: 'Shared Phrasing', issueLabel: 'Coordinated language' },
+    sharedAuthorship: { weight: 0.25, label: 'Shared Authorship', issueLabel: 'Same writer behind several accounts' },
+  },
+});
+
+// Reddit threads: copies, shared writers and brand pushes by clustered
+// or young accounts
+signalRegistry.register({
+  id: 'threadActivity',
+  category: 'behavioral',
+  mode: 'batch',
+  signals: {
+    coordinatedActivity: { weight: 0.35, label: 'Coordinated Activity', issueLabel: 'Coordinated thread activity' },
+  },
+});
+
+signalRegistry.register({
+  id: 'ratingDistribution',
+  category: 'behavioral',
+  mode: 'batch',
+  signals: {
+    ratingDistribution: { weight: 0.30, label: 'Rating Distribution', issueLabel: 'Unusual rating distribution' },
+    displayedRatings: { weight: 0.15, label: 'Shown Ratings', issueLabel: 'Shown reviews rosier than all ratings' },
+  },
+});
+
+// Only present when a review discloses an incentive, so it does not
+// dilute the other behavioral signals on ordinary reviews
+signalRegistry.register({
+  id: 'incentive',
+  category: 'behavioral',
+  mode: 'item',
+  signals: {
+    incentiveDisclosure: { weight: 0.25, label: 'Incentive Disclosure', issueLabel: 'Incentivized review' },
+  },
+});
+
+signalRegistry.register({
+  id: 'ratingConsistency',
+  category: 'behavioral',
+  mode: 'item',
+  signals: {
+    ratingMismatch: { weight: 0.20, label: 'Text vs. Rating', issueLabel: 'Text contradicts star rating' },
+  },
+});
+
+signalRegistry.register({
+  id: 'ratingConsistencyBatch',
+  category: 'behavioral',
+  mode: 'batch',
+  signals: {
+    ratingMismatchRate: { weight: 0.25, label: 'Rating Mismatches', issueLabel: 'Many reviews contradict their rating' },
+  },
+});
+
+signalRegistry.register({
+  id: 'verifiedPurchase',
+  category: 'behavioral',
+  mode: 'item',
+  signals: {
+    verifiedPurchase: { weight: 0.10, label: 'Verified Purchase', issueLabel: 'Unverified purchase' },
+  },
+});
+
+signalRegistry.register({
+  id: 'verifiedPurchaseBatch',
+  category: 'behavioral',
+  mode: 'batch',
+  signals: {
+    unverifiedFiveStar: { weight: 0.20, label: 'Unverified 5-Star', issueLabel: 'Many unverified 5-star reviews' },
+    verifiedRatingGap: { weight: 0.20, label: 'Verified vs. Unverified', issueLabel: 'Unverified reviews rate differently' },
+    unverifiedBurst: { weight: 0.20, label: 'Unverified Timing', issueLabel: 'Burst of unverified reviews' },
+  },
+});
+
+signalRegistry.register({
+  id: 'media',
+  category: 'media',
+  mode: 'item',
+  signals: {
+    reverseImageMatch: { weight: 0.40, label: 'Reused Images', issueLabel: 'Images found elsewhere' },
+    exifAnalysis: { weight: 0.25, label: 'Image Metadata', issueLabel: 'Suspicious image metadata' },
+    aiArtifacts: { weight: 0.35, label: 'AI Image Artifacts', issueLabel: 'Possible AI-generated image' },
+  },
+});
+
+/**
+ * Scale each category of a { category: { signal: weight } } table so its
+ * weights sum to 1. Returns a new table; all-zero categories are kept as is.
+ */
+export function normalizeWeights(weights) {
+  const normalized = {};
+  for (const [category, signalWeights] of Object.entries(weights)) {
+    const sum = Object.values(signalWeights).reduce((total, w) => total + w, 0);
+    normalized[category] = {};
+    for (const [name, weight] of Object.entries(signalWeights)) {
+      normalized[category][name] = sum > 0 ? weight / sum : weight;
+    }
+  }
+  return normalized;
+}
+
+/**
+ * Merge extra { category: { signal: result } } groups into a signal set.
+ * Mutates and returns the target.
+ */
+export function mergeSignals(target, ...extras) {
+  for (const extra of extras) {
+    for (const [category, signals] of Object.entries(extra || {})) {
+      target[category] = { ...(target[category] || {}), ...signals };
+    }
+  }
+  return target;
+}
+
+/**
+ * Average per-item signal results into one result per signal, e.g. the
+ * text signals of every review into product-level text signals
+ * @param {Object[]} signalSets - [{ signal: score | { score, detail } }]
+ */
+export function averageSignals(signalSets) {
+  const sums = {};
+  const counts = {};
+  const certainties = {};
+
+  for (const signals of signalSets) {
+    for (const [key, value] of Object.entries(signals || {})) {
+      if (value === null || value === undefined) continue;
+      const score = typeof value === 'object' ? value.score : value;
+      if (score === null || score === undefined) continue;
+
+      sums[key] = (sums[key] || 0) + score;
+      counts[key] = (counts[key] || 0) + 1;
+      certainties[key] = (certainties[key] || 0) + (typeof value === 'object' ? value.certainty ?? 1 : 1);
+    }
+  }
+
+  const result = {};
+  for (const key of Object.keys(sums)) {
+    result[key] = { score: sums[key] / counts[key], detail: null };
+    // Only kept when some item's analyzer was unsure (see TrustScorer._certainty)
+    if (certainties[key] < counts[key]) result[key].certainty = certainties[key] / counts[key];
+  }
+  return result;
+}
+
+/**
+ * averageSignals() for each category of per-item { category: signals } groups
+ */
+export function averageByCategory(itemResults) {
+  const categories = new Set(itemResults.flatMap(r => Object.keys(r)));
+  const averaged = {};
+  for (const category of categories) {
+    averaged[category] = averageSignals(itemResults.map(r => r[category] || {}));
+  }
+  return averaged;
+}
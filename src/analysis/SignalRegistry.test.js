@@ -0,0 +1,52 @@
+import { SignalRegistry, signalRegistry, normalizeWeights, averageSignals } from './SignalRegistry.js';
+import { TrustScorer } from './TrustScorer.js';
+
+const sum = (weights) => Object.values(weights).reduce((total, w) => total + w, 0);
+
+describe('SignalRegistry.weights', () => {
+  it('sums to 1 within every built-in category', () => {
+    const weights = signalRegistry.weights();
+    expect(Object.keys(weights).sort()).toEqual(Object.keys(signalRegistry.categories).sort());
+    for (const category of Object.keys(weights)) {
+      expect(sum(weights[category])).toBeCloseTo(1, 12);
+    }
+  });
+
+  it('keeps the declared ratios between signals', () => {
+    const registry = new SignalRegistry()
+      .registerCategory('text', { weight: 1 })
+      .register({ id: 'a', category: 'text', signals: { one: { weight: 0.6 }, two: { weight: 0.3 } } })
+      .register({ id: 'b', category: 'text', signals: { three: { weight: 0.3 } } });
+
+    expect(registry.weights().text).toEqual({ one: 0.5, two: 0.25, three: 0.25 });
+  });
+
+  it('leaves an empty or all-zero category alone', () => {
+    expect(normalizeWeights({ media: {}, text: { a: 0, b: 0 } })).toEqual({ media: {}, text: { a: 0, b: 0 } });
+  });
+});
+
+describe('TrustScorer weights', () => {
+  it('still sum to 1 per category after a calibration file is merged', () => {
+    const scorer = new TrustScorer({
+      calibration: { weights: { text: { aiDetection: 0.9 }, behavioral: { timingCluster: 2 } } },
+    });
+    for (const category of Object.keys(scorer.weights)) {
+      expect(sum(scorer.weights[category])).toBeCloseTo(1, 12);
+    }
+    expect(scorer.weights.text.aiDetection).toBeGreaterThan(signalRegistry.weights().text.aiDetection);
+  });
+});
+
+describe('averageSignals', () => {
+  it('averages scores, and certainty only where an analyzer was unsure', () => {
+    const averaged = averageSignals([
+      { repetitionPattern: { score: 0.4, certainty: 0.5 }, templateMatching: 0.6 },
+      { repetitionPattern: 0.8, templateMatching: { score: 1, detail: 'x' }, aiDetection: null },
+    ]);
+    expect(averaged.repetitionPattern.score).toBeCloseTo(0.6, 12);
+    expect(averaged.repetitionPattern.certainty).toBeCloseTo(0.75, 12);
+    expect(averaged.templateMatching).toEqual({ score: 0.8, detail: null });
+    expect(averaged).not.toHaveProperty('aiDetection');
+  });
+});
@@ -0,0 +1,231 @@
+/**
+ * StyleAnalyzer - Stylometric author fingerprinting
+ *
+ * One writer behind many accounts changes the display name, not the habits.
+ * Each text is reduced to a style vector:
+ * - Function-word rates (from the language pack)
+ * - Punctuation habits (!, ?, ..., commas, dashes, brackets, doubled marks)
+ * - Capitalization (uppercase share, ALL-CAPS words, lowercase sentence starts)
+ * - Emoji use
+ * - Sentence-length profile (mean, spread)
+ * - Habitual misspellings (from the language pack) — compared as a set
+ *
+ * Vectors are standardized against the other texts on the same page (so
+ * only unusual habits count), and pairs whose cosine similarity is high are
+ * linked. Links between reviews posted under the same display name are
+ * ignored — that is one account, not a sock puppet.
+ */
+
+import { LANGUAGE_PACKS, detectLanguage } from './lexicons/index.js';
+
+// Share of the final similarity carried by each feature group
+const GROUP_WEIGHTS = {
+  functionWords: 0.40,
+  punctuation: 0.25,
+  capitalization: 0.15,
+  sentences: 0.15,
+  emoji: 0.05,
+};
+
+export class StyleAnalyzer {
+  constructor(options = {}) {
+    this.config = {
+      minWords: 30,            // Shorter texts carry too little style
+      minGroupSize: 5,         // Texts per language needed to standardize
+      threshold: 0.75,         // Cosine similarity needed to link two texts
+      misspellingBonus: 0.1,   // Added per shared habitual misspelling
+      maxItems: 2000,          // Pairwise comparison cap
+      ...options,
+    };
+  }
+
+  /**
+   * Style features of one text
+   * @returns {Object|null} { language, groups: { name: number[] }, misspellings: Set },
+   *   or null when the text is too short
+   */
+  fingerprint(text) {
+    const words = (text || '').match(/[\p{L}']+/gu) || [];
+    if (words.length < this.config.minWords) return null;
+
+    const lower = words.map(w => w.toLowerCase().replace(/'/g, ''));
+    const language = detectLanguage(text);
+    const lexicon = LANGUAGE_PACKS[language] || null;
+    const perWord = (count) => count / words.length;
+    const count = (regex) => (text.match(regex) || []).length;
+
+    // Function words
+    const functionWords = [];
+    if (lexicon) {
+      const counts = new Map(lexicon.functionWords.map(w => [w, 0]));
+      for (const word of lower) {
+        if (counts.has(word)) counts.set(word, counts.get(word) + 1);
+      }
+      for (const value of counts.values()) functionWords.push(perWord(value));
+    }
+
+    // Punctuation habits
+    const punctuation = [
+      perWord(count(/!/g)),
+      perWord(count(/\?/g)),
+      perWord(count(/\.{3}|…/g)),
+      perWord(count(/,/g)),
+      perWord(count(/\s[-–—]\s/g)),
+      perWord(count(/[()]/g)),
+      perWord(count(/([!?])\1+/g)),
+      perWord(count(/\s[!?:;]/g)),   // Space before punctuation
+    ];
+
+    // Capitalization
+    const letters = count(/\p{L}/gu) || 1;
+    const sentences = text.split(/(?<=[.!?])\s+/).filter(s => /\p{L}/u.test(s));
+    const lowercaseStarts = sentences.filter(s => /^[^\p{L}]*\p{Ll}/u.test(s)).length;
+    const capitalization = [
+      count(/\p{Lu}/gu) / letters,
+      perWord(words.filter(w => w.length > 1 && w === w.toUpperCase() && /\p{Lu}/u.test(w)).length),
+      sentences.length > 0 ? lowercaseStarts / sentences.length : 0,
+      perWord(count(/(?:^|\s)i(?=\s|')/g)),   // Lowercase "i" as a pronoun
+    ];
+
+    // Emoji
+    const emoji = [perWord(count(/\p{Extended_Pictographic}/gu))];
+
+    // Sentence-length profile
+    const lengths = sentences.map(s => (s.match(/[\p{L}']+/gu) || []).length);
+    const mean = lengths.reduce((sum, n) => sum + n, 0) / Math.max(1, lengths.length);
+    const spread = Math.sqrt(lengths.reduce((sum, n) => sum + (n - mean) ** 2, 0) / Math.max(1, lengths.length));
+
+    const misspellings = new Set(
+      lexicon ? lower.filter(w => lexicon.commonMisspellings.includes(w)) : []
+    );
+
+    return {
+      language,
+      groups: {
+        functionWords,
+        punctuation,
+        capitalization,
+        sentences: [mean, spread],
+        emoji,
+      },
+      misspellings,
+    };
+  }
+
+  /**
+   * Cluster texts that are likely by the same writer
+   * @param {string[]} texts
+   * @param {Object} [options]
+   * @param {string[]} [options.authors] - Display name per text; links within one name are skipped
+   * @param {Set<string>} [options.excludePairs] - "i:j" pairs (i < j) not to link, e.g. near-duplicates
+   * @returns {Object[]} [{ members, size, similarity, authors }], largest first
+   */
+  findSharedAuthors(texts, { authors = [], excludePairs = new Set() } = {}) {
+    const items = texts.slice(0, this.config.maxItems)
+      .map((text, index) => ({ index, print: this.fingerprint(text) }))
+      .filter(item => item.print);
+
+    // Only texts in the same language share function-word features
+    const byLanguage = new Map();
+    for (const item of items) {
+      const key = item.print.language || '?';
+      if (!byLanguage.has(key)) byLanguage.set(key, []);
+      byLanguage.get(key).push(item);
+    }
+
+    const edges = [];
+    for (const group of byLanguage.values()) {
+      if (group.length < this.config.minGroupSize) continue;
+
+      const vectors = this._standardize(group.map(item => item.print.groups));
+      for (let a = 0; a < group.length; a++) {
+        for (let b = a + 1; b < group.length; b++) {
+          const i = group[a].index, j = group[b].index;
+          if (excludePairs.has(`${i}:${j}`)) continue;
+          if (authors[i] && authors[i] === authors[j]) continue;
+
+          let similarity = cosine(vectors[a], vectors[b]);
+          for (const word of group[a].print.misspellings) {
+            if (group[b].print.misspellings.has(word)) similarity += this.config.misspellingBonus;
+          }
+
+          if (similarity >= this.config.threshold) {
+            edges.push({ a: i, b: j, similarity: Math.min(1, similarity) });
+          }
+        }
+      }
+    }
+
+    return this._cluster(edges, authors);
+  }
+
+  /**
+   * z-score every feature against the group, then scale each feature group
+   * so its share of the vector length matches GROUP_WEIGHTS
+   */
+  _standardize(groupsList) {
+    const vectors = groupsList.map(() => []);
+
+    for (const [name, weight] of Object.entries(GROUP_WEIGHTS)) {
+      const size = groupsList[0][name].length;
+      if (size === 0) continue;
+      const scale = Math.sqrt(weight / size);
+
+      for (let f = 0; f < size; f++) {
+        const values = groupsList.map(groups => groups[name][f]);
+        const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+        const std = Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length);
+
+        values.forEach((value, k) => {
+          vectors[k].push(std > 0 ? ((value - mean) / std) * scale : 0);
+        });
+      }
+    }
+
+    return vectors;
+  }
+
+  _cluster(edges, authors) {
+    const parent = new Map();
+    const find = (i) => {
+      if (!parent.has(i)) parent.set(i, i);
+      while (parent.get(i) !== i) i = parent.get(i);
+      return i;
+    };
+    for (const { a, b } of edges) {
+      parent.set(find(b), find(a));
+    }
+
+    const clusters = new Map();
+    for (const edge of edges) {
+      const root = find(edge.a);
+      const cluster = clusters.get(root) || { members: new Set(), similarities: [] };
+      cluster.members.add(edge.a);
+      cluster.members.add(edge.b);
+      cluster.similarities.push(edge.similarity);
+      clusters.set(root, cluster);
+    }
+
+    return [...clusters.values()]
+      .map(({ members, similarities }) => {
+        const sorted = [...members].sort((x, y) => x - y);
+        return {
+          members: sorted,
+          size: sorted.length,
+          similarity: similarities.reduce((sum, s) => sum + s, 0) / similarities.length,
+          authors: [...new Set(sorted.map(i => authors[i]).filter(Boolean))],
+        };
+      })
+      .sort((x, y) => y.size - x.size || y.similarity - x.similarity);
+  }
+}
+
+function cosine(a, b) {
+  let dot = 0, normA = 0, normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
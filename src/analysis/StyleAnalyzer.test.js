@@ -0,0 +1,92 @@
+import { StyleAnalyzer } from './StyleAnalyzer.js';
+
+// Six writers with ordinary habits, and one (4 and 6) who writes in lowercase,
+// doubles exclamation marks, trails off with "..." and misspells the same words
+const PAGE = [
+  'I bought this kettle for my office. It boils water quickly and the handle stays cool. The lid is a little stiff, but that is a minor complaint. Overall, I would buy it again for the price.',
+  'We have used the vacuum for three months now. Suction is strong on carpet, although the bin fills up fast. The battery lasts about forty minutes, which is enough for our apartment.',
+  'The shoes fit true to size. My feet hurt after the first long walk, so I added insoles. After that they have been comfortable every day, and the soles show almost no wear.',
+  'This lamp looks nice on my desk. The light is warm and it has three brightness levels. Assembly took five minutes. My only wish is a longer cable, since the outlet is far away.',
+  'i got this for my son and he loves it!! definately worth the money... it works alot better than the old one tho. i would recomend it to anyone who needs a good one!! five stars from me... really happy',
+  'The backpack has plenty of pockets and the zippers feel sturdy. I carry a laptop, charger and lunch without trouble. The straps could use more padding on long days, however.',
+  'i ordered this last week and it came fast!! definately happy with it... the color is alot nicer in person tho. i would recomend it to my friends for sure!! great buy... no complaints at all here',
+];
+const AUTHORS = ['Ann', 'Bob', 'Cy', 'Di', 'Ed', 'Flo', 'Gus'];
+
+describe('StyleAnalyzer.fingerprint', () => {
+  const analyzer = new StyleAnalyzer();
+
+  it('needs enough words to carry a style', () => {
+    expect(analyzer.fingerprint('Works great, would buy again!')).toBeNull();
+    expect(analyzer.fingerprint('')).toBeNull();
+  });
+
+  it('records language, habits and misspellings', () => {
+    const print = analyzer.fingerprint(PAGE[4]);
+    expect(print.language).toBe('en');
+    expect([...print.misspellings].sort()).toEqual(['alot', 'definately', 'recomend', 'tho']);
+
+    const [uppercaseShare, allCaps, lowercaseStarts] = print.groups.capitalization;
+    expect(uppercaseShare).toBe(0);
+    expect(allCaps).toBe(0);
+    expect(lowercaseStarts).toBe(1);
+
+    const [exclamations, , ellipses, , , , doubled] = print.groups.punctuation;
+    // 40 words, two "!!" and two "..."
+    expect(exclamations).toBeCloseTo(4 / 40, 12);
+    expect(ellipses).toBeCloseTo(2 / 40, 12);
+    expect(doubled).toBeCloseTo(2 / 40, 12);
+  });
+
+  it('finds none of those habits in plain writing', () => {
+    const print = analyzer.fingerprint(PAGE[0]);
+    expect(print.groups.capitalization[2]).toBe(0);
+    expect(print.groups.punctuation[6]).toBe(0);
+    expect(print.misspellings.size).toBe(0);
+  });
+});
+
+describe('StyleAnalyzer.findSharedAuthors', () => {
+  const analyzer = new StyleAnalyzer();
+
+  it('links texts by one writer under different names', () => {
+    const clusters = analyzer.findSharedAuthors(PAGE, { authors: AUTHORS });
+    expect(clusters).toHaveLength(1);
+    expect(clusters[0].members).toEqual([4, 6]);
+    expect(clusters[0].authors).toEqual(['Ed', 'Gus']);
+    expect(clusters[0].similarity).toBeLessThanOrEqual(1);
+  });
+
+  it('does not link reviews posted under the same name', () => {
+    const authors = [...AUTHORS.slice(0, 6), 'Ed'];
+    expect(analyzer.findSharedAuthors(PAGE, { authors })).toEqual([]);
+  });
+
+  it('skips excluded pairs', () => {
+    expect(analyzer.findSharedAuthors(PAGE, { authors: AUTHORS, excludePairs: new Set(['4:6']) })).toEqual([]);
+  });
+
+  it('needs enough texts in a language to standardize against', () => {
+    const few = [PAGE[0], PAGE[1], PAGE[4], PAGE[6]];
+    expect(analyzer.findSharedAuthors(few)).toEqual([]);
+  });
+});
+
+describe('StyleAnalyzer._standardize', () => {
+  const analyzer = new StyleAnalyzer();
+
+  it('gives each feature group its share of the vector length', () => {
+    const groupsList = [
+      { functionWords: [0.1, 0.2], punctuation: [1], capitalization: [5], sentences: [3, 1], emoji: [0] },
+      { functionWords: [0.3, 0.2], punctuation: [2], capitalization: [5], sentences: [9, 2], emoji: [0] },
+      { functionWords: [0.2, 0.5], punctuation: [6], capitalization: [5], sentences: [6, 4], emoji: [0] },
+    ];
+    const vectors = analyzer._standardize(groupsList);
+
+    // z-scores square-sum to the number of texts, so each group adds
+    // weight x texts; constant features (capitalization, emoji) add nothing
+    const squared = vectors.flat().reduce((sum, v) => sum + v * v, 0);
+    expect(squared).toBeCloseTo(3 * (0.40 + 0.25 + 0.15), 12);
+    expect(vectors[0][3]).toBe(0);
+  });
+});
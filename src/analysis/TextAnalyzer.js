@@ -7,78 +7,68 @@
  * - Repetitive phrasing and template usage
  * - Unnatural sentiment patterns
  * - Vocabulary distribution red flags
+ *
+ * Word lists come from per-language packs in ./lexicons. The language is
+ * detected per text; text in a language without a pack only gets the
+ * language-neutral parts of each signal (structure, repetition, type-token
+ * ratio) and is never scored against another language's word lists.
+ * Those signals carry a lower `certainty`, so TrustScorer reports the
+ * result with less confidence.
+ *
+ * AI detection also reads a character n-gram model of human reviews
+ * (models/ngram-<lang>.json, built with `npm run build:lm` and listed in
+ * LANGUAGE_MODELS). How much the model counts grows with the size of the
+ * corpus it was trained on. Languages without a model rest on the phrase
+ * checks alone.
  */
 
+import { LANGUAGE_PACKS, detectLanguage } from './lexicons/index.js';
+import { NearDuplicateDetector } from './NearDuplicateDetector.js';
+import { StyleAnalyzer } from './StyleAnalyzer.js';
+import { LanguageModel } from './LanguageModel.js';
+import englishModel from './models/ngram-en.json' with { type: 'json' };
+
+const LANGUAGE_MODELS = { en: englishModel };
+
+// Evidence spans: { start, end, kind, label } character offsets into the
+// analyzed text, used by the overlay to highlight what triggered a signal
+export const EVIDENCE_KINDS = {
+  aiPhrase: { kind: 'aiPhrase', label: 'AI-associated phrase' },
+  hype: { kind: 'hype', label: 'Stacked hype word' },
+  template: { kind: 'template', label: 'Template phrase' },
+  incentive: { kind: 'incentive', label: 'Incentive disclosure' },
+};
+
+function evidenceSpan(match, kind) {
+  return { start: match.index, end: match.index + match[0].length, ...EVIDENCE_KINDS[kind] };
+}
+
 export class TextAnalyzer {
   constructor() {
-    // Common AI "tell" phrases - overused by LLMs
-    // Removed common English words that cause false positives
-    this.aiTellPhrases = [
-      'it\'s worth noting',
-      'it is worth noting',
-      'a testament to',
-      'game-changer',
-      'game changer',
-      'delve into',
-      'tapestry',
-      'multifaceted',
-      'in today\'s world',
-      'in the realm of',
-      'navigating the',
-      'stands out as',
-      'it should be noted',
-      'in this regard',
-      'underscores',
-      'fostering',
-      'holistic',
-      'elevate the',
-      'elevates the',
-      'truly remarkable',
-      'new heights',
-      'commitment to excellence',
-      'user experience',
-      'attention to detail is',
-      'works flawlessly',
-      'couldn\'t be happier',
-      'changed my daily routine',
-      'both elegant and practical',
-    ];
-
-    // Superlative/filler phrases that real people rarely stack together
-    this.hypeWords = [
-      'amazing', 'incredible', 'fantastic', 'exceptional', 'remarkable',
-      'outstanding', 'unbeatable', 'flawlessly', 'truly', 'absolutely',
-      'every way', 'everyone', 'definitely', 'certainly',
-    ];
-
-    // Template phrases common in fake reviews
-    this.fakeReviewTemplates = [
-      'i bought this for my',
-      'i purchased this for',
-      'my husband/wife loves',
-      'exactly as described',
-      'exactly what i needed',
-      'highly recommend this product',
-      'five stars all the way',
-      'exceeded my expectations',
-      'i was skeptical at first but',
-      'worth every penny',
-      'great quality for the price',
-      'you won\'t be disappointed',
-      'must have product',
-      'i\'ve tried many similar products',
-      'this is by far the best',
-      'don\'t hesitate to buy',
-      'arrived quickly and well packaged',
-    ];
+    // Lexicons per language — see lexicons/en.js for the shape
+    this.packs = LANGUAGE_PACKS;
+    this._patternCache = {};
+
+    // n-gram models per language, parsed on first use
+    this.modelData = LANGUAGE_MODELS;
+    this._models = {};
+    this.modelConfig = {
+      minChars: 200,            // Shorter texts give unstable perplexity
+      maxWeight: 0.4,           // Share of aiDetection at full model confidence
+      fullWeightChars: 200000,  // Training size at which the model gets maxWeight
+    };
+    // Certainty of the structure-only signals of an unsupported language
+    this.unsupportedCertainty = 0.5;
   }
 
   /**
    * Run all text analysis signals
    * @param {string} text - The content to analyze
+   * @param {Object} [options]
+   * @param {string} [options.language] - Skip detection and use this language
    * @returns {Object} Signal scores for each analysis type
    */
-  analyze(text) {
+  analyze(text, options = {}) {
     if (!text || text.length < 20) {
       return {
         aiDetection: null,
@@ -89,31 +79,97 @@ export class TextAnalyzer {
       };
     }
 
-    const normalized = text.toLowerCase().trim();
+    // Curly apostrophes are normalized so "couldn’t" matches "couldn't"
+    const normalized = text.toLowerCase().replace(/[\u2018\u2019]/g, '\'').trim();
+    const language = options.language || detectLanguage(normalized);
+    const lexicon = this.packs[language] || null;
 
-    return {
-      aiDetection: this._detectAIPatterns(normalized),
-      repetitionPattern: this._analyzeRepetition(normalized),
-      sentimentConsistency: this._analyzeSentiment(normalized),
-      vocabularyDistribution: this._analyzeVocabulary(normalized),
-      templateMatching: this._detectTemplates(normalized),
+    // Evidence offsets are found in the normalized text and reported
+    // against the original; drop them if lowercasing changed the length
+    const lead = text.length - text.trimStart().length;
+    const offsetsValid = text.toLowerCase().length === text.length;
+
+    if (!lexicon) {
+      // Unsupported or undetected language — structure-only signals, with
+      // less certainty so the result is reported with lower confidence
+      const certainty = this.unsupportedCertainty;
+      return {
+        aiDetection: null,
+        repetitionPattern: { ...this._analyzeRepetition(normalized, null), certainty },
+        sentimentConsistency: null,
+        vocabularyDistribution: { ...this._analyzeVocabulary(normalized, null), certainty },
+        templateMatching: null,
+      };
+    }
+
+    const results = {
+      aiDetection: this._detectAIPatterns(normalized, lexicon),
+      repetitionPattern: this._analyzeRepetition(normalized, lexicon),
+      sentimentConsistency: this._analyzeSentiment(normalized, lexicon),
+      vocabularyDistribution: this._analyzeVocabulary(normalized, lexicon),
+      templateMatching: this._detectTemplates(normalized, lexicon),
     };
+
+    for (const result of Object.values(results)) {
+      if (!result?.evidence) continue;
+      result.evidence = offsetsValid
+        ? result.evidence.map(span => ({ ...span, start: span.start + lead, end: span.end + lead }))
+        : [];
+    }
+
+    return results;
+  }
+
+  /**
+   * Language of a text as TextAnalyzer sees it (null = unsupported)
+   */
+  detectLanguage(text) {
+    const language = detectLanguage(text);
+    return this.packs[language] ? language : null;
+  }
+
+  /**
+   * Compiled phrase and word patterns for a pack, built once per language
+   */
+  _patterns(lexicon) {
+    if (!this._patternCache[lexicon.code]) {
+      const escape = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      this._patternCache[lexicon.code] = {
+        aiPhrases: lexicon.aiTellPhrases.map(phrase => ({
+          phrase,
+          regex: new RegExp(escape(phrase), 'giu'),
+        })),
+        // \b only knows ASCII letters, so use Unicode letter lookarounds
+        hypeWords: lexicon.hypeWords.map(word =>
+          new RegExp('(?<!\\p{L})' + escape(word) + '(?!\\p{L})', 'giu')),
+        positive: new Set(lexicon.positiveWords),
+        negative: new Set(lexicon.negativeWords),
+        hedging: new Set(lexicon.hedgingWords),
+        negators: new Set(lexicon.negators),
+        connectives: new Set(lexicon.connectives),
+        vague: new Set(lexicon.vagueWords),
+      };
+    }
+    return this._patternCache[lexicon.code];
   }
 
   /**
    * Detect AI-generated text patterns
-   * Uses phrase frequency analysis rather than unreliable perplexity scoring
+   * AI-associated phrases and stacked hype words, blended with perplexity
+   * and burstiness when a language model is available
    */
-  _detectAIPatterns(text) {
+  _detectAIPatterns(text, lexicon) {
+    const patterns = this._patterns(lexicon);
     let aiPhraseCount = 0;
     const foundPhrases = [];
+    const evidence = [];
 
-    for (const phrase of this.aiTellPhrases) {
-      const regex = new RegExp(phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
-      const matches = text.match(regex);
-      if (matches) {
+    for (const { phrase, regex } of patterns.aiPhrases) {
+      const matches = [...text.matchAll(regex)];
+      if (matches.length > 0) {
         aiPhraseCount += matches.length;
         foundPhrases.push(phrase);
+        evidence.push(...matches.map(m => evidenceSpan(m, 'aiPhrase')));
       }
     }
 
@@ -121,14 +177,18 @@ export class TextAnalyzer {
     const density = (aiPhraseCount / (text.length / 500));
 
     // Check hype word density — stacking superlatives is a red flag
-    let hypeCount = 0;
-    for (const word of this.hypeWords) {
-      const regex = new RegExp('\\b' + word + '\\b', 'gi');
-      const matches = text.match(regex);
-      if (matches) hypeCount += matches.length;
+    const hypeMatches = [];
+    for (const regex of patterns.hypeWords) {
+      hypeMatches.push(...text.matchAll(regex));
     }
+    const hypeCount = hypeMatches.length;
     const hypeDensity = hypeCount / (text.length / 500);
 
+    // Hype words are only evidence when they are stacked
+    if (hypeDensity > 3) {
+      evidence.push(...hypeMatches.map(m => evidenceSpan(m, 'hype')));
+    }
+
     // Combine AI phrases and hype density
     let score = 1;
     // AI tell phrases
@@ -142,19 +202,79 @@ export class TextAnalyzer {
 
     score = Math.max(0, Math.min(1, score));
 
+    let detail = foundPhrases.length > 0 || hypeCount > 3
+      ? `Found ${aiPhraseCount} AI-associated phrases, ${hypeCount} hype words`
+      : null;
+
+    // Blend in perplexity and burstiness from the language model
+    const model = this._modelEvidence(text, lexicon.code);
+    if (model) {
+      score = score * (1 - model.weight) + model.score * model.weight;
+      if (model.score < 0.35) {
+        const note = `Unusually predictable text (perplexity ${model.perplexity.toFixed(1)}`
+          + (model.burstiness !== null ? `, burstiness ${model.burstiness.toFixed(2)})` : ')');
+        detail = detail ? `${detail}. ${note}` : note;
+      }
+    }
+
     return {
       score,
-      detail: foundPhrases.length > 0 || hypeCount > 3
-        ? `Found ${aiPhraseCount} AI-associated phrases, ${hypeCount} hype words`
-        : null,
+      detail,
+      evidence,
+      perplexity: model?.perplexity ?? null,
+      burstiness: model?.burstiness ?? null,
     };
   }
 
+  /**
+   * Perplexity and burstiness compared with the model's held-out reference.
+   * Lower than usual on either side reads as machine-like.
+   * @returns {Object|null} { score, weight, perplexity, burstiness }
+   */
+  _modelEvidence(text, language) {
+    if (text.length < this.modelConfig.minChars) return null;
+
+    const model = this._model(language);
+    const reference = model?.reference;
+    if (!reference?.crossEntropy) return null;
+
+    const entropy = model.crossEntropy(text);
+    if (entropy === null) return null;
+
+    // z-scores against human text; -2 or lower is fully suspicious
+    const toScore = (value, stats) => {
+      const z = stats.std > 0 ? (value - stats.mean) / stats.std : 0;
+      return Math.max(0, Math.min(1, 0.5 + z * 0.25));
+    };
+
+    const entropyScore = toScore(entropy, reference.crossEntropy);
+    const burstiness = model.burstiness(text);
+    const score = burstiness !== null && reference.burstiness
+      ? entropyScore * 0.6 + toScore(burstiness, reference.burstiness) * 0.4
+      : entropyScore;
+
+    const { maxWeight, fullWeightChars } = this.modelConfig;
+    return {
+      score,
+      weight: maxWeight * Math.min(1, model.trainingChars / fullWeightChars),
+      perplexity: Math.pow(2, entropy),
+      burstiness,
+    };
+  }
+
+  _model(language) {
+    if (!(language in this._models)) {
+      const data = this.modelData[language];
+      this._models[language] = data ? new LanguageModel(data) : null;
+    }
+    return this._models[language];
+  }
+
   /**
    * Analyze text for repetitive patterns and formulaic structure
    * Fake content often reuses phrases, structures, or sentence patterns
    */
-  _analyzeRepetition(text) {
+  _analyzeRepetition(text, lexicon) {
     const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 10);
 
     if (sentences.length < 2) return { score: 0.5, detail: null };
@@ -191,14 +311,17 @@ export class TextAnalyzer {
     }
 
     // Check if sentences are all self-contained praise (no connective tissue)
-    const connectives = ['because', 'since', 'so', 'which', 'where', 'when', 'after', 'before', 'while', 'then'];
-    let connectiveCount = 0;
-    for (const word of text.split(/\s+/)) {
-      if (connectives.includes(word.toLowerCase().replace(/[^a-z]/g, ''))) connectiveCount++;
-    }
-    // Long text with zero connective words = list of statements, not narrative
-    if (connectiveCount === 0 && sentences.length >= 4) {
-      formulaicScore += 0.2;
+    // Needs a lexicon — skipped for unsupported languages
+    if (lexicon) {
+      const connectives = this._patterns(lexicon).connectives;
+      let connectiveCount = 0;
+      for (const word of text.split(/\s+/)) {
+        if (connectives.has(word.replace(/[^\p{L}]/gu, ''))) connectiveCount++;
+      }
+      // Long text with zero connective words = list of statements, not narrative
+      if (connectiveCount === 0 && sentences.length >= 4) {
+        formulaicScore += 0.2;
+      }
     }
 
     // Combine signals
@@ -219,47 +342,14 @@ export class TextAnalyzer {
    * Basic sentiment consistency check
    * Fake reviews tend to be uniformly positive without nuance
    */
-  _analyzeSentiment(text) {
-    const positiveWords = [
-      'great', 'amazing', 'excellent', 'perfect', 'love', 'best', 'wonderful',
-      'fantastic', 'awesome', 'incredible', 'superb', 'outstanding', 'brilliant',
-      'magnificent', 'terrific', 'fabulous', 'happy', 'recommend',
-    ];
-    const negativeWords = [
-      'bad', 'terrible', 'awful', 'worst', 'hate', 'horrible', 'poor',
-      'disappointing', 'broken', 'waste', 'junk', 'useless', 'defective',
-      'cheap', 'flimsy', 'garbage',
-    ];
-    const hedgingWords = [
-      'but', 'however', 'although', 'though', 'except', 'unless',
-      'somewhat', 'slightly', 'minor', 'small issue', 'only complaint',
-      'downside', 'only', 'wish', 'could be', 'not perfect',
-    ];
-    // Specificity markers — real reviews mention concrete details
-    const specificityMarkers = [
-      /\d+\s*(inch|mm|cm|lb|kg|oz|gb|mb|watt|hour|day|week|month|minute)/i,
-      /\d+\/\d+/,           // fractions or dates
-      /\$\d+/,              // prices
-      /[A-Z][a-z]+ [A-Z]/,  // proper nouns
-      /my (wife|husband|son|daughter|mom|dad|friend|sister|brother|kid)/i,
-    ];
-
-    const words = text.split(/\s+/);
-    const wordCount = words.length;
-
-    let posCount = 0, negCount = 0, hedgeCount = 0;
-    for (const word of words) {
-      const clean = word.replace(/[^a-z]/g, '');
-      if (positiveWords.includes(clean)) posCount++;
-      if (negativeWords.includes(clean)) negCount++;
-      if (hedgingWords.includes(clean)) hedgeCount++;
-    }
+  _analyzeSentiment(text, lexicon) {
+    const { posCount, negCount, hedgeCount, wordCount } = this._countSentiment(text, lexicon);
 
     const posDensity = posCount / wordCount;
 
     // Check for specificity — real reviews have concrete details
     let specificityScore = 0;
-    for (const marker of specificityMarkers) {
+    for (const marker of lexicon.specificityMarkers) {
       if (marker.test(text)) specificityScore++;
     }
 
@@ -296,13 +386,74 @@ export class TextAnalyzer {
     return { score: 0.6, detail: null };
   }
 
+  /**
+   * Count sentiment words. posCount/negCount are raw hits; positive/negative
+   * flip words preceded by a negator ("not great", "nicht empfehlen") and are
+   * used when comparing the text with a star rating.
+   */
+  _countSentiment(text, lexicon) {
+    const { positive, negative, hedging, negators } = this._patterns(lexicon);
+
+    const words = text.split(/\s+/);
+    let posCount = 0, negCount = 0, hedgeCount = 0;
+    let netPositive = 0, netNegative = 0;
+    let lastNegator = -Infinity;
+
+    words.forEach((word, i) => {
+      const clean = word.replace(/[^\p{L}]/gu, '');
+      if (negators.has(clean)) lastNegator = i;
+      const negated = i - lastNegator <= 3;
+
+      if (positive.has(clean)) {
+        posCount++;
+        negated ? netNegative++ : netPositive++;
+      }
+      if (negative.has(clean)) {
+        negCount++;
+        negated ? netPositive++ : netNegative++;
+      }
+      if (hedging.has(clean)) hedgeCount++;
+    });
+
+    return {
+      posCount, negCount, hedgeCount,
+      wordCount: words.length,
+      positive: netPositive,
+      negative: netNegative,
+    };
+  }
+
+  /**
+   * Negation-aware sentiment of a text, for comparison with its star rating
+   * @returns {Object|null} { language, positive, negative, polarity (-1..1) },
+   *   or null when the language is unsupported
+   */
+  sentimentPolarity(text, options = {}) {
+    if (!text || text.length < 20) return null;
+
+    const normalized = text.toLowerCase().replace(/[\u2018\u2019]/g, '\'').trim();
+    const language = options.language || detectLanguage(normalized);
+    const lexicon = this.packs[language];
+    if (!lexicon) return null;
+
+    const { positive, negative } = this._countSentiment(normalized, lexicon);
+    const total = positive + negative;
+
+    return {
+      language,
+      positive,
+      negative,
+      polarity: total > 0 ? (positive - negative) / total : 0,
+    };
+  }
+
   /**
    * Vocabulary distribution analysis
    * AI text tends to have unnaturally uniform vocabulary distribution
    * Human text has more variation and personality
    */
-  _analyzeVocabulary(text) {
-    const words = text.split(/\s+/).map(w => w.replace(/[^a-z]/g, '')).filter(w => w.length > 2);
+  _analyzeVocabulary(text, lexicon) {
+    const words = text.split(/\s+/).map(w => w.replace(/[^\p{L}]/gu, '')).filter(w => w.length > 2);
 
     if (words.length < 20) return { score: 0.5, detail: null };
 
@@ -310,15 +461,13 @@ export class TextAnalyzer {
     const typeTokenRatio = uniqueWords.size / words.length;
 
     // Check for vagueness — fake reviews use generic words, real reviews use specific nouns
-    const vagueWords = new Set([
-      'product', 'item', 'thing', 'purchase', 'quality', 'price',
-      'everything', 'everyone', 'anyone', 'nothing', 'something',
-      'ever', 'always', 'never', 'every', 'very', 'really', 'just',
-      'amazing', 'great', 'good', 'nice', 'best', 'love', 'happy',
-    ]);
+    // Needs a lexicon — unsupported languages count as not vague
     let vagueCount = 0;
-    for (const word of words) {
-      if (vagueWords.has(word)) vagueCount++;
+    if (lexicon) {
+      const vagueWords = this._patterns(lexicon).vague;
+      for (const word of words) {
+        if (vagueWords.has(word)) vagueCount++;
+      }
     }
     const vagueDensity = vagueCount / words.length;
 
@@ -355,14 +504,20 @@ export class TextAnalyzer {
   /**
    * Detect known fake review templates
    */
-  _detectTemplates(text) {
+  _detectTemplates(text, lexicon) {
     let matchCount = 0;
     const matchedTemplates = [];
+    const evidence = [];
+
+    for (const template of lexicon.fakeReviewTemplates) {
+      let index = text.indexOf(template);
+      if (index === -1) continue;
 
-    for (const template of this.fakeReviewTemplates) {
-      if (text.includes(template)) {
-        matchCount++;
-        matchedTemplates.push(template);
+      matchCount++;
+      matchedTemplates.push(template);
+      while (index !== -1) {
+        evidence.push({ start: index, end: index + template.length, ...EVIDENCE_KINDS.template });
+        index = text.indexOf(template, index + template.length);
       }
     }
 
@@ -374,6 +529,7 @@ export class TextAnalyzer {
       detail: matchCount > 0
         ? `Matched ${matchCount} common fake review template phrase${matchCount > 1 ? 's' : ''}`
         : null,
+      evidence,
     };
   }
 
@@ -397,18 +553,23 @@ export class TextAnalyzer {
 export class BatchTextAnalyzer {
   constructor() {
     this.singleAnalyzer = new TextAnalyzer();
+    this.duplicateDetector = new NearDuplicateDetector();
+    this.styleAnalyzer = new StyleAnalyzer();
   }
 
   /**
    * Analyze a batch of texts (e.g., all reviews on a product page)
    * Looks for coordination patterns across the batch
+   * @param {string[]} texts
+   * @param {Object} [options]
+   * @param {string[]} [options.authors] - Display name per text, for shared-authorship checks
    */
-  analyzeBatch(texts) {
+  analyzeBatch(texts, options = {}) {
     // Individual analysis
     const individual = texts.map(t => this.singleAnalyzer.analyze(t));
 
     // Cross-review analysis
-    const crossSignals = this._analyzeCrossPatterns(texts);
+    const crossSignals = this._analyzeCrossPatterns(texts, options);
 
     return {
       individual,
@@ -416,51 +577,76 @@ export class BatchTextAnalyzer {
     };
   }
 
+  /**
+   * Cross-review patterns only, for callers that already analyzed each text
+   * (e.g. the streaming AnalysisPipeline)
+   * @param {string[]} texts
+   * @param {Object} [options]
+   * @param {string[]} [options.authors] - Display name per text, for shared-authorship checks
+   * @param {string} [options.noun='reviews'] - What the texts are, for details ('comments', ...)
+   */
+  analyzeCrossPatterns(texts, options = {}) {
+    return this._analyzeCrossPatterns(texts, options);
+  }
+
   /**
    * Detect patterns across multiple texts that suggest coordination
    */
-  _analyzeCrossPatterns(texts) {
+  _analyzeCrossPatterns(texts, options = {}) {
     if (texts.length < 3) {
-      return { coordinatedLanguage: null, ratingDistribution: null, timingCluster: null };
+      return { coordinatedLanguage: null, sharedAuthorship: null, ratingDistribution: null, timingCluster: null };
     }
 
-    // Check for similar phrasing across reviews
-    const sharedPhrases = this._findSharedPhrases(texts);
-    const coordinationScore = Math.max(0, 1 - (sharedPhrases.length * 0.15));
+    const noun = options.noun || 'reviews';
+
+    // Near-duplicate reviews (copies with light edits). Scored by the share
+    // of reviews in a cluster, so the result does not drift with page size
+    // the way a count of shared phrases would
+    const clusters = this.duplicateDetector.findClusters(texts);
+    const clustered = clusters.reduce((sum, c) => sum + c.size, 0);
+
+    let detail = null;
+    if (clusters.length > 0) {
+      const sizes = clusters.slice(0, 5).map(c => c.size).join(', ');
+      detail = `${clustered} ${noun} in ${clusters.length} near-duplicate group${clusters.length > 1 ? 's' : ''} (sizes ${sizes})`;
+    }
 
     return {
       coordinatedLanguage: {
-        score: coordinationScore,
-        detail: sharedPhrases.length > 3
-          ? `Found ${sharedPhrases.length} phrases repeated across multiple reviews`
-          : null,
-        sharedPhrases,
+        score: Math.max(0, 1 - (clustered / texts.length) * 2),
+        detail,
+        clusters,
       },
+      sharedAuthorship: this._detectSharedAuthorship(texts, options.authors, clusters, noun),
     };
   }
 
-  _findSharedPhrases(texts) {
-    // Extract 4-grams from each text and find overlap
-    const textGrams = texts.map(t => {
-      const words = t.toLowerCase().split(/\s+/);
-      const grams = new Set();
-      for (let i = 0; i <= words.length - 4; i++) {
-        grams.add(words.slice(i, i + 4).join(' '));
-      }
-      return grams;
-    });
-
-    const phraseCounts = {};
-    for (const grams of textGrams) {
-      for (const gram of grams) {
-        phraseCounts[gram] = (phraseCounts[gram] || 0) + 1;
+  /**
+   * Reviews by different accounts that share one writing style.
+   * Near-duplicate pairs are left to coordinatedLanguage.
+   */
+  _detectSharedAuthorship(texts, authors = [], duplicateClusters = [], noun = 'reviews') {
+    const eligible = texts.filter(t => this.styleAnalyzer.fingerprint(t)).length;
+    if (eligible < this.styleAnalyzer.config.minGroupSize) return null;
+
+    const excludePairs = new Set();
+    for (const cluster of duplicateClusters) {
+      for (const i of cluster.members) {
+        for (const j of cluster.members) {
+          if (i < j) excludePairs.add(`${i}:${j}`);
+        }
       }
     }
 
-    // Phrases appearing in 3+ different reviews
-    return Object.entries(phraseCounts)
-      .filter(([_, count]) => count >= 3)
-      .map(([phrase, count]) => ({ phrase, count }))
-      .sort((a, b) => b.count - a.count);
+    const groups = this.styleAnalyzer.findSharedAuthors(texts, { authors, excludePairs });
+    const linked = groups.reduce((sum, g) => sum + g.size, 0);
+
+    return {
+      score: Math.max(0, 1 - (linked / eligible) * 2),
+      detail: groups.length > 0
+        ? `${linked} ${noun} from different accounts in ${groups.length} shared writing style group${groups.length > 1 ? 's' : ''}`
+        : null,
+      groups,
+    };
   }
 }
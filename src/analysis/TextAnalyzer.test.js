@@ -0,0 +1,69 @@
+import { TextAnalyzer } from './TextAnalyzer.js';
+import { detectLanguage } from './lexicons/index.js';
+import { TrustScorer } from './TrustScorer.js';
+
+// The same review in each language, with two of the pack's template phrases
+const REVIEWS = {
+  en: 'I bought this for my daughter and it is exactly as described. Shipping was quick, but the box was a little dented when it arrived.',
+  de: 'Ich habe das für meine Tochter gekauft und es ist genau wie beschrieben. Die Lieferung war schnell, aber die Verpackung war leider etwas beschädigt.',
+  fr: 'J\'ai acheté ce produit pour ma cuisine et il est conforme à la description. La livraison était rapide, mais le couvercle ne ferme pas très bien.',
+  es: 'Lo compré para mi hijo y es tal como se describe. El envío fue rápido, pero la tapa no cierra muy bien y el color es un poco más oscuro.',
+};
+
+const ITALIAN = 'Ho comprato questo prodotto per mia figlia e non è male, ma la consegna è stata molto lenta e anche la scatola era rotta.';
+
+describe('TextAnalyzer language handling', () => {
+  const analyzer = new TextAnalyzer();
+
+  it.each(Object.keys(REVIEWS))('detects %s', (language) => {
+    expect(detectLanguage(REVIEWS[language])).toBe(language);
+    expect(analyzer.detectLanguage(REVIEWS[language])).toBe(language);
+  });
+
+  it.each(Object.keys(REVIEWS))('matches the %s templates against the original text', (language) => {
+    const text = REVIEWS[language];
+    const { templateMatching } = analyzer.analyze(text);
+    const templates = analyzer.packs[language].fakeReviewTemplates;
+
+    expect(templateMatching.score).toBeCloseTo(0.4, 12);
+    expect(templateMatching.evidence).toHaveLength(2);
+    for (const span of templateMatching.evidence) {
+      expect(templates).toContain(text.slice(span.start, span.end).toLowerCase());
+    }
+  });
+
+  it('does not read a review with another language\'s word lists', () => {
+    const asEnglish = analyzer.analyze(REVIEWS.de, { language: 'en' });
+    expect(asEnglish.templateMatching).toEqual({ score: 1, detail: null, evidence: [] });
+    expect(analyzer.sentimentPolarity(REVIEWS.fr).language).toBe('fr');
+  });
+
+  it('keeps only the language-neutral signals for an unsupported language', () => {
+    expect(detectLanguage(ITALIAN)).toBe('it');
+    expect(analyzer.detectLanguage(ITALIAN)).toBeNull();
+
+    const result = analyzer.analyze(ITALIAN);
+    expect(result.aiDetection).toBeNull();
+    expect(result.sentimentConsistency).toBeNull();
+    expect(result.templateMatching).toBeNull();
+    expect(result.repetitionPattern.score).toBeGreaterThan(0);
+    expect(result.vocabularyDistribution.score).toBeGreaterThan(0);
+    expect(analyzer.sentimentPolarity(ITALIAN)).toBeNull();
+  });
+
+  it('reports an unsupported language with lower confidence, not a lower score', () => {
+    const scorer = new TrustScorer({ calibration: {} });
+    const account = { accountAge: 0.6, profileCompleteness: 0.6 };
+    const text = analyzer.analyze(ITALIAN);
+    const plain = {
+      repetitionPattern: text.repetitionPattern.score,
+      vocabularyDistribution: text.vocabularyDistribution.score,
+    };
+
+    const unsure = scorer.computeScore({ text, account });
+    const sure = scorer.computeScore({ text: plain, account });
+    expect(text.repetitionPattern.certainty).toBe(analyzer.unsupportedCertainty);
+    expect(unsure.score).toBe(sure.score);
+    expect(unsure.confidence).toBeCloseTo(sure.confidence * (0.3 * 0.5 + 0.25) / 0.55, 12);
+  });
+});
@@ -0,0 +1,285 @@
+/**
+ * ThreadAnalyzer - Coordinated activity within one discussion thread
+ *
+ * Astroturf campaigns show up as several accounts in one thread pushing
+ * the same product or talking point: near-identical comments, one writer
+ * behind several accounts, or the same brand or site recommended again
+ * and again, often by young accounts within minutes of each other.
+ *
+ * Candidate groups come from BatchTextAnalyzer (near-duplicate clusters
+ * and shared writing styles) and from brand / site mention counts. Each
+ * group is then weighed by:
+ * - Timing: how tightly its comments cluster, against the thread's own
+ *   comment times. Threads collect most comments in their first hours,
+ *   so a constant-rate burst test (BurstDetector, AccountAnalyzer's
+ *   timingCluster) would flag nearly every thread. Instead the test asks
+ *   how often k comments drawn at random from this thread fall within
+ *   the group's time span — counted exactly, not simulated.
+ * - Account age: the share of the group's accounts that are young, and
+ *   AccountAnalyzer's accountAgeCluster (accounts created the same week).
+ *   Only available when account enrichment is on.
+ *
+ * Signal (behavioral category):
+ * - coordinatedActivity: from the most coordinated group; the groups that
+ *   pass the flag threshold are returned for the thread banner
+ */
+
+import { AccountAnalyzer } from './AccountAnalyzer.js';
+import { logFactorialTable, logAddExp } from './BurstDetector.js';
+
+// Site links that are the platform itself, not a promotion
+const PLATFORM_DOMAINS = /(^|\.)(reddit\.com|redd\.it|redditmedia\.com)$/i;
+
+// Domains written out in text: "example.com", "https://shop.example.io/x"
+const DOMAIN_PATTERN = /\b(?:https?:\/\/)?(?:www\.)?((?:[a-z0-9-]+\.)+(?:com|net|org|io|co|shop|store|app|ai|us|uk|de))\b/gi;
+
+// Brand-like words: CamelCase ("NordVPN", "iPhone"), model numbers
+// ("WH-1000XM4") and capitalized words inside a sentence ("Cozyla")
+const BRAND_PATTERN = /\b(?:[A-Za-z]*[a-z][A-Z][A-Za-z]*|[A-Za-z]+-?\d[A-Za-z\d-]*|[A-Z][a-z]{2,})\b/g;
+
+// Capitalized words common enough mid-sentence to mean nothing
+const CAPITALIZED_STOPWORDS = new Set([
+  'edit', 'update', 'reddit', 'redditor', 'redditors', 'english', 'internet',
+  'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday',
+  'january', 'february', 'march', 'april', 'june', 'july', 'august',
+  'september', 'october', 'november', 'december', 'god', 'lol', 'thanks',
+]);
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+export class ThreadAnalyzer {
+  constructor(accountAnalyzer = new AccountAnalyzer()) {
+    this.accountAnalyzer = accountAnalyzer;
+    this.config = {
+      minItems: 5,              // Comments needed before a thread is judged
+      minGroupAuthors: 2,       // Distinct accounts in a copy or writer group
+      minMentionAuthors: 3,     // Distinct accounts naming one brand or site
+      maxMentionGroups: 10,     // Most-named brands / sites tested
+      alpha: 0.01,              // Corrected p-value below which a group is tightly timed
+      youngAccountDays: 90,     // Accounts younger than this count as young
+      flagStrength: 0.5,        // Groups at least this coordinated are reported
+    };
+  }
+
+  /**
+   * @param {Object} thread
+   * @param {Object[]} thread.items - [{ author, text, timestamp, links }]
+   * @param {Object} thread.crossPatterns - BatchTextAnalyzer.analyzeCrossPatterns() result for the items
+   * @param {(ReviewerProfile|null)[]} [thread.profiles] - Author account per item, when enriched
+   * @param {string} [thread.subject] - Post title and body; brands named there are the topic, not a push
+   * @returns {Object|null} { score, detail, groups } — null with too few items
+   */
+  analyze({ items, crossPatterns, profiles = [], subject = '' }) {
+    if (items.length < this.config.minItems) return null;
+
+    const candidates = [
+      ...(crossPatterns?.coordinatedLanguage?.clusters || [])
+        .map(cluster => ({ kind: 'copy', label: null, members: cluster.members })),
+      ...(crossPatterns?.sharedAuthorship?.groups || [])
+        .map(group => ({ kind: 'writer', label: null, members: group.members })),
+      ...this._mentionGroups(items, subject),
+    ].filter(group => this._authorsOf(items, group.members).size >= this.config.minGroupAuthors);
+
+    if (candidates.length === 0) return { score: 0.85, detail: null, groups: [] };
+
+    const times = items.map(item => this._minutes(item.timestamp));
+    const groups = candidates
+      .map(group => this._weigh(group, items, times, profiles, candidates.length))
+      .sort((a, b) => b.strength - a.strength);
+
+    const worst = groups[0];
+    const flagged = groups.filter(group => group.strength >= this.config.flagStrength);
+
+    return {
+      score: Math.min(0.9, Math.max(0.1, 0.9 - worst.strength * 0.8)),
+      detail: flagged.length > 0 ? worst.description : null,
+      groups: flagged,
+    };
+  }
+
+  /**
+   * How coordinated one candidate group looks, from what it is, its timing
+   * and its accounts' ages
+   */
+  _weigh(group, items, times, profiles, tested) {
+    // One comment per account: the earliest
+    const firstByAuthor = new Map();
+    for (const index of group.members) {
+      const author = (items[index].author || `#${index}`).toLowerCase();
+      const current = firstByAuthor.get(author);
+      if (current === undefined || (times[index] ?? Infinity) < (times[current] ?? Infinity)) {
+        firstByAuthor.set(author, index);
+      }
+    }
+    const leads = [...firstByAuthor.values()];
+
+    const timing = this._timingTest(
+      leads.map(i => times[i]).filter(t => t !== null),
+      times.filter(t => t !== null),
+      tested
+    );
+
+    const accounts = leads.map(i => profiles[i]).filter(profile => profile?.accountCreated);
+    const young = accounts.filter(profile =>
+      Date.now() - new Date(profile.accountCreated).getTime() < this.config.youngAccountDays * DAY_MS
+    ).length;
+    const ageCluster = accounts.length > 0
+      ? this.accountAnalyzer.analyzeBatch(accounts).batch.accountAgeCluster
+      : null;
+    const createdTogether = Boolean(ageCluster && ageCluster.score < 0.5);
+
+    // Copies and shared writers are evidence on their own; a popular
+    // brand needs timing or young accounts before it looks pushed
+    let strength = { copy: 0.35, writer: 0.3, mention: 0.1 }[group.kind];
+    if (timing.tight) strength += 0.3;
+    if (accounts.length >= 2) strength += (young / accounts.length) * 0.3;
+    if (createdTogether) strength += 0.2;
+    strength = Math.min(1, strength);
+
+    return {
+      kind: group.kind,
+      label: group.label,
+      members: group.members,
+      authors: leads.length,
+      spanMinutes: timing.span,
+      pValue: timing.pValue,
+      tight: timing.tight,
+      young,
+      known: accounts.length,
+      createdTogether,
+      strength,
+      description: this._describe(group, leads.length, timing, young, accounts.length, createdTogether),
+    };
+  }
+
+  /**
+   * Probability that k comments drawn at random from the thread fall
+   * within the group's time span. Sorted times t₁..tₙ: the k-subsets with
+   * span ≤ s and earliest member tᵢ number C(cᵢ − 1, k − 1), where cᵢ
+   * counts the times in [tᵢ, tᵢ + s].
+   * @param {number[]} memberTimes - Minutes, one per account in the group
+   * @param {number[]} allTimes - Minutes of every comment in the thread
+   * @param {number} tested - Groups tested, for the Bonferroni correction
+   */
+  _timingTest(memberTimes, allTimes, tested) {
+    const k = memberTimes.length;
+    const n = allTimes.length;
+    if (k < this.config.minGroupAuthors || n <= k) return { span: null, pValue: null, tight: false };
+
+    const span = Math.max(...memberTimes) - Math.min(...memberTimes);
+    const sorted = [...allTimes].sort((a, b) => a - b);
+    const logFactorials = logFactorialTable(n);
+    const logChoose = (a, b) => logFactorials[a] - logFactorials[b] - logFactorials[a - b];
+
+    let logCount = -Infinity;
+    let end = 0;
+    for (let i = 0; i < n; i++) {
+      end = Math.max(end, i);
+      while (end + 1 < n && sorted[end + 1] - sorted[i] <= span) end++;
+      const within = end - i + 1;
+      if (within >= k) logCount = logAddExp(logCount, logChoose(within - 1, k - 1));
+    }
+
+    const pValue = Math.min(1, Math.exp(logCount - logChoose(n, k)) * tested);
+    return { span, pValue, tight: pValue < this.config.alpha };
+  }
+
+  /**
+   * Brands and sites named by several accounts, minus those the post
+   * itself is about; most-named first
+   */
+  _mentionGroups(items, subject) {
+    const topic = new Set(this._mentions(subject).keys());
+    const byMention = new Map();   // key → { label, members, authors }
+
+    const perItem = items.map(item => {
+      const mentions = this._mentions(item.text);
+      for (const domain of item.links || []) {
+        if (!PLATFORM_DOMAINS.test(domain)) mentions.set(domain.toLowerCase(), { label: domain, initial: false });
+      }
+      return mentions;
+    });
+
+    // A capitalized word opening a sentence counts once the thread also
+    // uses it inside one ("Deskora all the way" after "I love my Deskora")
+    const named = new Set(perItem.flatMap(mentions =>
+      [...mentions].filter(([, mention]) => !mention.initial).map(([key]) => key)));
+
+    perItem.forEach((mentions, index) => {
+      const item = items[index];
+      for (const [key, { label }] of mentions) {
+        if (topic.has(key) || !named.has(key)) continue;
+        const entry = byMention.get(key) || { label, members: [], authors: new Set() };
+        entry.members.push(index);
+        entry.authors.add((item.author || `#${index}`).toLowerCase());
+        byMention.set(key, entry);
+      }
+    });
+
+    return [...byMention.values()]
+      .filter(entry => entry.authors.size >= this.config.minMentionAuthors)
+      .sort((a, b) => b.authors.size - a.authors.size)
+      .slice(0, this.config.maxMentionGroups)
+      .map(entry => ({ kind: 'mention', label: entry.label, members: entry.members }));
+  }
+
+  /**
+   * Domains and brand-like words in a text
+   * @returns {Map<string, Object>} lower-case key → { label, initial }; label
+   *   as written, initial when it is only a capitalized word opening a sentence
+   */
+  _mentions(text) {
+    const mentions = new Map();
+    if (!text) return mentions;
+
+    for (const match of text.matchAll(DOMAIN_PATTERN)) {
+      const domain = match[1].toLowerCase();
+      if (!PLATFORM_DOMAINS.test(domain)) mentions.set(domain, { label: domain, initial: false });
+    }
+
+    const withoutDomains = text.replace(DOMAIN_PATTERN, ' ');
+    for (const match of withoutDomains.matchAll(BRAND_PATTERN)) {
+      const word = match[0];
+      const key = word.toLowerCase();
+      if (word.length < 3 || CAPITALIZED_STOPWORDS.has(key)) continue;
+
+      // A plain capitalized word is only a name for sure inside a sentence
+      const initial = /^[A-Z][a-z]+$/.test(word)
+        && /(?:^\s*|[.!?:;"'()*>-]\s*|\n\s*)$/.test(withoutDomains.slice(0, match.index));
+      const seen = mentions.get(key);
+      if (!seen) mentions.set(key, { label: word, initial });
+      else if (!initial) seen.initial = false;
+    }
+    return mentions;
+  }
+
+  _authorsOf(items, members) {
+    return new Set(members.map(i => (items[i].author || `#${i}`).toLowerCase()));
+  }
+
+  _minutes(timestamp) {
+    const time = timestamp ? Date.parse(timestamp) : NaN;
+    return Number.isNaN(time) ? null : Math.floor(time / MINUTE_MS);
+  }
+
+  _describe(group, authors, timing, young, known, createdTogether) {
+    const what = {
+      copy: 'posted near-identical comments',
+      writer: 'wrote in the same style',
+      mention: `mentioned “${group.label}”`,
+    }[group.kind];
+
+    let description = `${authors} accounts ${what}`;
+    if (timing.tight) description += ` within ${formatMinutes(timing.span)}`;
+    if (young > 0) description += `; ${young} of ${known} accounts under ${this.config.youngAccountDays} days old`;
+    if (createdTogether) description += '; accounts created within the same week';
+    return description;
+  }
+}
+
+function formatMinutes(minutes) {
+  if (minutes < 2) return 'a minute';
+  if (minutes < 90) return `${minutes} minutes`;
+  return `${Math.round(minutes / 60)} hours`;
+}
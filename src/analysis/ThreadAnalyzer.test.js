@@ -0,0 +1,142 @@
+import { ThreadAnalyzer } from './ThreadAnalyzer.js';
+
+const START = Date.UTC(2024, 4, 1, 12);
+const at = (minutes) => new Date(START + minutes * 60 * 1000).toISOString();
+
+// Share of k-subsets of `times` whose span is at most `span`, by enumeration
+function bruteForceShare(times, k, span) {
+  let hits = 0;
+  let total = 0;
+  const pick = (start, chosen) => {
+    if (chosen.length === k) {
+      total++;
+      if (Math.max(...chosen) - Math.min(...chosen) <= span) hits++;
+      return;
+    }
+    for (let i = start; i < times.length; i++) pick(i + 1, [...chosen, times[i]]);
+  };
+  pick(0, []);
+  return hits / total;
+}
+
+// Small seeded generator so the thread layouts are the same every run
+function lcg(seed) {
+  let state = seed;
+  return () => {
+    state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+    return state / 4294967296;
+  };
+}
+
+// A thread of `count` comments, one every 20 minutes, by different accounts
+const thread = (count, text = 'sounds reasonable to me') =>
+  Array.from({ length: count }, (_, i) => ({ author: `user${i}`, text, timestamp: at(i * 20), links: [] }));
+
+describe('ThreadAnalyzer._timingTest', () => {
+  const analyzer = new ThreadAnalyzer();
+
+  it('matches enumerating every k-subset of the thread', () => {
+    const random = lcg(7);
+    for (let trial = 0; trial < 20; trial++) {
+      // Front-loaded comment times with ties, like a real thread
+      const n = 6 + Math.floor(random() * 7);
+      const all = Array.from({ length: n }, () => Math.floor(Math.pow(random(), 2) * 120));
+      const k = 2 + Math.floor(random() * 3);
+      const members = all.slice(0, k);
+      const span = Math.max(...members) - Math.min(...members);
+
+      const result = analyzer._timingTest(members, all, 1);
+      expect(result.span).toBe(span);
+      expect(result.pValue).toBeCloseTo(bruteForceShare(all, k, span), 10);
+    }
+  });
+
+  it('multiplies by the number of groups tested, up to 1', () => {
+    const all = [0, 5, 9, 30, 31, 32, 60, 95, 100, 140];
+    const once = analyzer._timingTest([30, 31, 32], all, 1);
+    const thrice = analyzer._timingTest([30, 31, 32], all, 3);
+    expect(thrice.pValue).toBeCloseTo(once.pValue * 3, 12);
+    expect(analyzer._timingTest([0, 140], all, 5).pValue).toBe(1);
+  });
+
+  it('calls a group tight below alpha', () => {
+    const all = Array.from({ length: 30 }, (_, i) => i * 20);
+    all.push(201, 202);
+    const tight = analyzer._timingTest([200, 201, 202], all, 1);
+    expect(tight.pValue).toBeLessThan(analyzer.config.alpha);
+    expect(tight.tight).toBe(true);
+
+    expect(analyzer._timingTest([0, 300, 580], all, 1).tight).toBe(false);
+  });
+
+  it('needs at least two group members and more comments than members', () => {
+    expect(analyzer._timingTest([5], [1, 5, 9], 1)).toEqual({ span: null, pValue: null, tight: false });
+    expect(analyzer._timingTest([1, 5], [1, 5], 1).pValue).toBeNull();
+  });
+});
+
+describe('ThreadAnalyzer.analyze', () => {
+  const analyzer = new ThreadAnalyzer();
+
+  it('needs enough comments', () => {
+    expect(analyzer.analyze({ items: thread(4), crossPatterns: {} })).toBeNull();
+  });
+
+  it('finds nothing in an ordinary thread', () => {
+    expect(analyzer.analyze({ items: thread(20), crossPatterns: {} })).toEqual({
+      score: 0.85,
+      detail: null,
+      groups: [],
+    });
+  });
+
+  it('flags near-identical comments posted within minutes', () => {
+    const items = thread(30);
+    items[11].timestamp = at(201);
+    items[12].timestamp = at(202);
+    const crossPatterns = { coordinatedLanguage: { clusters: [{ members: [10, 11, 12] }] } };
+
+    const result = analyzer.analyze({ items, crossPatterns });
+    const [group] = result.groups;
+    expect(group.kind).toBe('copy');
+    expect(group.tight).toBe(true);
+    expect(group.spanMinutes).toBe(2);
+    expect(group.strength).toBeCloseTo(0.65, 12);
+    expect(result.score).toBeCloseTo(0.9 - 0.65 * 0.8, 12);
+    expect(result.detail).toBe('3 accounts posted near-identical comments within 2 minutes');
+  });
+
+  it('does not flag copies posted by one account', () => {
+    const items = thread(10);
+    items[3].author = 'user2';
+    const crossPatterns = { coordinatedLanguage: { clusters: [{ members: [2, 3] }] } };
+    expect(analyzer.analyze({ items, crossPatterns }).groups).toEqual([]);
+  });
+
+  it('reports a widely named brand only with more evidence than the mentions', () => {
+    const items = thread(12);
+    for (const i of [1, 5, 9]) items[i].text = 'honestly I just use my Deskora for this';
+
+    const result = analyzer.analyze({ items, crossPatterns: {} });
+    expect(result.groups).toEqual([]);
+    expect(result.score).toBeCloseTo(0.9 - 0.1 * 0.8, 12);
+
+    // A brand the post is about is the topic, not a push
+    expect(analyzer.analyze({ items, crossPatterns: {}, subject: 'Is the Deskora worth it?' }).score).toBe(0.85);
+  });
+});
+
+describe('ThreadAnalyzer._mentions', () => {
+  const analyzer = new ThreadAnalyzer();
+
+  it('finds domains and brand-like words, skipping the platform itself', () => {
+    const mentions = analyzer._mentions('got my WH-1000XM4 from https://shop.example.io/deal after reading reddit.com threads about NordVPN');
+    expect([...mentions.keys()].sort()).toEqual(['nordvpn', 'shop.example.io', 'wh-1000xm4']);
+  });
+
+  it('marks capitalized words that only open a sentence', () => {
+    const mentions = analyzer._mentions('Deskora is fine. I also tried the Standly one');
+    expect(mentions.get('deskora').initial).toBe(true);
+    expect(mentions.get('standly').initial).toBe(false);
+  });
+});
@@ -10,59 +10,154 @@
  * - Multiple weak signals converging = strong signal
  * - Conservative by default: only flag high-confidence detections
  * - "Likely" / "Possible" language, never "Definitely fake"
+ *
+ * CALIBRATION:
+ * weights.json holds weights and a threshold offset fitted offline by
+ * tests/calibrate.mjs. Values in it override the default weights declared
+ * in SignalRegistry; an empty file leaves the defaults untouched. Signal
+ * weights are rescaled per category after merging, so each category's
+ * weights still sum to 1.
+ */
+
+import calibration from './weights.json' with { type: 'json' };
+import { signalRegistry, normalizeWeights } from './SignalRegistry.js';
+
+/**
+ * Scoring profiles, selected by the "Detection Level" setting.
+ * Each profile controls where the trust levels start, how many signals
+ * are needed before judging, which signal values count as issues and
+ * how much confidence is reported.
  */
+export const SCORING_PROFILES = {
+  conservative: {
+    thresholds: {
+      HIGH_TRUST: 0.65,
+      MODERATE_TRUST: 0.40,
+      LOW_TRUST: 0.22,
+      VERY_LOW_TRUST: 0.10,
+    },
+    minSignalsRequired: 5,
+    issueThreshold: 0.3,        // Signals below this are reported as issues
+    highSeverityThreshold: 0.15, // Issues below this are 'high' severity
+    confidenceDecay: 0.75,
+  },
+  balanced: {
+    thresholds: {
+      HIGH_TRUST: 0.75,
+      MODERATE_TRUST: 0.50,
+      LOW_TRUST: 0.30,
+      VERY_LOW_TRUST: 0.15,
+    },
+    minSignalsRequired: 3,
+    issueThreshold: 0.4,
+    highSeverityThreshold: 0.2,
+    confidenceDecay: 0.85,
+  },
+  aggressive: {
+    thresholds: {
+      HIGH_TRUST: 0.82,
+      MODERATE_TRUST: 0.60,
+      LOW_TRUST: 0.40,
+      VERY_LOW_TRUST: 0.22,
+    },
+    minSignalsRequired: 2,
+    issueThreshold: 0.5,
+    highSeverityThreshold: 0.3,
+    confidenceDecay: 0.95,
+  },
+};
+
+export const DEFAULT_PROFILE = 'balanced';
+
+/**
+ * How signals are combined into the final score:
+ * - weighted: weighted mean of per-category weighted means (default)
+ * - logOdds:  each signal is evidence that shifts the log-odds of
+ *             authenticity away from a prior; the score is the posterior
+ */
+export const COMBINATION_MODES = ['weighted', 'logOdds'];
 
 export class TrustScorer {
+  /**
+   * Build a scorer from the user's stored settings
+   * @param {Object} settings - Result of StorageManager.getSettings()
+   * @returns {TrustScorer}
+   */
+  static fromSettings(settings = {}) {
+    return new TrustScorer({
+      profile: settings.sensitivity,
+      combination: settings.combination,
+    });
+  }
+
   constructor(config = {}) {
-    // Weights for each signal type (must sum to ~1.0 within each category)
-    this.weights = {
-      text: {
-        aiDetection: 0.25,
-        repetitionPattern: 0.20,
-        sentimentConsistency: 0.15,
-        vocabularyDistribution: 0.15,
-        templateMatching: 0.25,
-      },
-      account: {
-        accountAge: 0.30,
-        postingFrequency: 0.25,
-        reviewDiversity: 0.20,
-        profileCompleteness: 0.15,
-        networkConnections: 0.10,
-      },
-      behavioral: {
-        timingCluster: 0.35,
-        coordinatedLanguage: 0.35,
-        ratingDistribution: 0.30,
-      },
-      media: {
-        reverseImageMatch: 0.40,
-        exifAnalysis: 0.25,
-        aiArtifacts: 0.35,
-      },
-    };
+    const profileName = SCORING_PROFILES[config.profile] ? config.profile : DEFAULT_PROFILE;
+    const profile = SCORING_PROFILES[profileName];
+    this.profile = profileName;
 
-    // Category weights for final score
-    this.categoryWeights = {
-      text: 0.30,
-      account: 0.25,
-      behavioral: 0.30,
-      media: 0.15,
-    };
+    // Weights for each signal type and each category, from the signal
+    // registry (built-in signals plus any registered detectors)
+    this.registry = config.registry || signalRegistry;
+    this.weights = this.registry.weights();
+    this.categoryWeights = this.registry.categoryWeights();
+
+    this._applyCalibration(config.calibration || calibration);
 
     // Confidence thresholds
-    this.thresholds = {
-      HIGH_TRUST: 0.75,      // Green - likely authentic
-      MODERATE_TRUST: 0.50,  // Yellow - mixed signals
-      LOW_TRUST: 0.30,       // Orange - likely inauthentic
-      VERY_LOW_TRUST: 0.15,  // Red - strong inauthenticity markers
-    };
+    // HIGH_TRUST: Green - likely authentic
+    // MODERATE_TRUST: Yellow - mixed signals
+    // LOW_TRUST: Orange - likely inauthentic
+    // VERY_LOW_TRUST: Red - strong inauthenticity markers
+    this.thresholds = {};
+    for (const [level, value] of Object.entries(profile.thresholds)) {
+      this.thresholds[level] = clamp(value + this.thresholdOffset, 0.01, 0.99);
+    }
 
     this.config = {
-      minSignalsRequired: 3,  // Need at least 3 signals to make a judgment
-      confidenceDecay: 0.85,  // Reduce confidence when fewer signals available
+      minSignalsRequired: profile.minSignalsRequired,      // Signals needed to make a judgment
+      confidenceDecay: profile.confidenceDecay,            // Reduce confidence when fewer signals available
+      issueThreshold: profile.issueThreshold,
+      highSeverityThreshold: profile.highSeverityThreshold,
+
+      // Log-odds combination settings
+      prior: 0.6,             // Prior probability that content is authentic
+      evidenceScale: 4,       // Converts signal x category weight into evidence strength
+      evidenceNoise: 1,       // Uncertainty (in log-odds) of one full-strength signal
+      credibleZ: 1.645,       // 90% credible interval
+
+      // Weighted mode: score range from resampling the signals
+      bootstrapSamples: 200,  // 0 disables the range (e.g. for calibration runs)
+      intervalMass: 0.9,      // Central share of resampled scores in the range
       ...config,
     };
+
+    if (!COMBINATION_MODES.includes(this.config.combination)) {
+      this.config.combination = COMBINATION_MODES[0];
+    }
+  }
+
+  /**
+   * Merge a weights file (see weights.json) over the default weights
+   * @param {Object} file - { version, weights, categoryWeights, thresholdOffset }
+   */
+  _applyCalibration(file) {
+    for (const [category, signalWeights] of Object.entries(file.weights || {})) {
+      this.weights[category] = { ...this.weights[category], ...signalWeights };
+    }
+    this.weights = normalizeWeights(this.weights);
+    Object.assign(this.categoryWeights, file.categoryWeights || {});
+
+    // Shifts every profile's thresholds by the fitted decision boundary
+    this.thresholdOffset = file.thresholdOffset || 0;
+    this.calibrationVersion = file.version ?? null;
+  }
+
+  /**
+   * True when both scorers would score the same signals identically
+   */
+  isEquivalent(other) {
+    return other.profile === this.profile
+      && other.config.combination === this.config.combination;
   }
 
   /**
@@ -102,30 +197,34 @@ export class TrustScorer {
         details: categoryScores,
         issues: [],
         signalCount: totalSignals,
+        contributions: this._attributeSignals(categoryScores, null),
+        interval: null,
       });
     }
 
-    // Compute weighted final score
-    let finalScore = 0;
-    let weightSum = 0;
+    const { score: finalScore, contributions, interval } = this.config.combination === 'logOdds'
+      ? this._combineLogOdds(categoryScores)
+      : this._combineWeighted(categoryScores);
 
-    for (const [category, result] of Object.entries(categoryScores)) {
-      const weight = this.categoryWeights[category] || 0;
-      finalScore += result.score * weight;
-      weightSum += weight;
-    }
-
-    finalScore = weightSum > 0 ? finalScore / weightSum : 0.5;
-
-    // Apply confidence decay for fewer signals
-    const signalCoverage = totalSignals / 10; // 10 = theoretical max signals
-    const confidence = Math.min(1, signalCoverage) * this.config.confidenceDecay;
+    // Confidence comes from how much the signals agree: a narrow score range
+    // means they tell the same story. Without a range, fall back to coverage.
+    // Signals their analyzer was unsure of (see _certainty) lower it further.
+    const spread = interval
+      ? interval.high - interval.low
+      : 1 - Math.min(1, totalSignals / 10); // 10 = theoretical max signals
+    const confidence = Math.max(0, 1 - spread) * this.config.confidenceDecay
+      * this._certainty(categoryScores);
 
     // Determine trust level
-    const level = this._getTrustLevel(finalScore);
+    const level = this.getTrustLevel(finalScore);
+
+    // A range that spans two trust levels means the signals don't agree
+    // enough to commit to one
+    const insufficientAgreement = !!interval
+      && this.getTrustLevel(interval.low) !== this.getTrustLevel(interval.high);
 
     // Generate human-readable summary
-    const message = this._generateMessage(level, flaggedIssues, confidence);
+    const message = this._generateMessage(level, flaggedIssues, confidence, insufficientAgreement);
 
     return new TrustResult({
       score: finalScore,
@@ -135,18 +234,213 @@ export class TrustScorer {
       details: categoryScores,
       issues: flaggedIssues,
       signalCount: totalSignals,
+      contributions,
+      interval,
+      insufficientAgreement,
     });
   }
 
+  /**
+   * Weighted mean of the category scores, with a bootstrap score range
+   */
+  _combineWeighted(categoryScores) {
+    let finalScore = 0;
+    let weightSum = 0;
+
+    for (const [category, result] of Object.entries(categoryScores)) {
+      const weight = this.categoryWeights[category] || 0;
+      finalScore += result.score * weight;
+      weightSum += weight;
+    }
+
+    finalScore = weightSum > 0 ? finalScore / weightSum : 0.5;
+
+    return {
+      score: finalScore,
+      contributions: this._attributeSignals(categoryScores, finalScore),
+      interval: this._bootstrapInterval(categoryScores),
+    };
+  }
+
+  /**
+   * Estimate a score range by resampling the available signals with
+   * replacement and re-scoring each sample. Signals that agree give a
+   * narrow range; a few strongly conflicting signals give a wide one.
+   *
+   * The random source is seeded from the signal values, so the same
+   * signals always produce the same range.
+   */
+  _bootstrapInterval(categoryScores) {
+    const samples = this.config.bootstrapSamples;
+    if (!samples) return null;
+
+    const entries = [];
+    for (const [category, result] of Object.entries(categoryScores)) {
+      for (const entry of result.signals) {
+        entries.push({ category, value: entry.value, weight: entry.weight });
+      }
+    }
+    if (entries.length === 0) return null;
+
+    let seed = entries.length;
+    for (const entry of entries) {
+      seed = (Math.imul(seed, 31) + Math.round(entry.value * 1e6)) >>> 0;
+    }
+    const random = mulberry32(seed);
+
+    const scores = [];
+    for (let i = 0; i < samples; i++) {
+      const sample = [];
+      for (let j = 0; j < entries.length; j++) {
+        sample.push(entries[Math.floor(random() * entries.length)]);
+      }
+      scores.push(this._weightedScore(sample));
+    }
+    scores.sort((a, b) => a - b);
+
+    const tail = (1 - this.config.intervalMass) / 2;
+    return {
+      low: scores[Math.floor(tail * (samples - 1))],
+      high: scores[Math.ceil((1 - tail) * (samples - 1))],
+    };
+  }
+
+  /**
+   * Weighted score of a flat list of { category, value, weight } entries,
+   * combined the same way as _scoreCatgory + _combineWeighted
+   */
+  _weightedScore(entries) {
+    const categories = {};
+    for (const { category, value, weight } of entries) {
+      const c = categories[category] || (categories[category] = { sum: 0, weightSum: 0 });
+      c.sum += value * weight;
+      c.weightSum += weight;
+    }
+
+    let score = 0;
+    let weightSum = 0;
+    for (const [category, c] of Object.entries(categories)) {
+      const weight = this.categoryWeights[category] || 0;
+      score += (c.weightSum > 0 ? c.sum / c.weightSum : 0.5) * weight;
+      weightSum += weight;
+    }
+    return weightSum > 0 ? score / weightSum : 0.5;
+  }
+
+  /**
+   * Treat each signal as evidence and sum it in log-odds space.
+   *
+   * A signal value v is read as P(authentic) from that signal alone, so its
+   * likelihood ratio is v / (1 - v). The log of that ratio is scaled by the
+   * signal's reliability (signal weight x category weight x evidenceScale),
+   * so a single damning signal moves the posterior instead of being
+   * averaged away, and several weak signals that agree add up.
+   *
+   * The credible interval assumes each evidence term carries independent
+   * noise of evidenceNoise x reliability in log-odds.
+   */
+  _combineLogOdds(categoryScores) {
+    const evidence = [];
+    let logOdds = logit(this.config.prior);
+    let variance = 0;
+    let reliabilitySum = 0;
+
+    for (const [category, result] of Object.entries(categoryScores)) {
+      const categoryWeight = this.categoryWeights[category] || 0;
+
+      for (const entry of result.signals) {
+        const reliability = entry.weight * categoryWeight * this.config.evidenceScale;
+        const logLR = reliability * logit(entry.value);
+
+        evidence.push({ category, signal: entry.signal, value: entry.value, reliability, logLR });
+        logOdds += logLR;
+        variance += Math.pow(reliability * this.config.evidenceNoise, 2);
+        reliabilitySum += reliability;
+      }
+    }
+
+    const posterior = sigmoid(logOdds);
+    const spread = this.config.credibleZ * Math.sqrt(variance);
+
+    // Points: how far the posterior would move if this signal were removed
+    const contributions = evidence.map(e => ({
+      category: e.category,
+      signal: e.signal,
+      label: this.registry.labelFor(e.signal),
+      value: e.value,
+      effectiveWeight: reliabilitySum > 0 ? e.reliability / reliabilitySum : 0,
+      points: (posterior - sigmoid(logOdds - e.logLR)) * 100,
+    })).sort((a, b) => Math.abs(b.points) - Math.abs(a.points));
+
+    return {
+      score: posterior,
+      contributions,
+      interval: {
+        low: sigmoid(logOdds - spread),
+        high: sigmoid(logOdds + spread),
+      },
+    };
+  }
+
+  /**
+   * Break the final score down per signal.
+   *
+   * The final score is a weighted mean of category means, so it expands to
+   * sum(effectiveWeight * value) with effective weights summing to 1. Each
+   * signal's points are its effective weight times its distance from the
+   * neutral 0.5, so 50 + the sum of all points equals the final score (in %).
+   *
+   * @param {Object} categoryScores - Results from _scoreCatgory
+   * @param {number|null} finalScore - Null when there was not enough data
+   * @returns {Object[]} Rows sorted by impact on the score
+   */
+  _attributeSignals(categoryScores, finalScore) {
+    let categoryWeightSum = 0;
+    for (const category of Object.keys(categoryScores)) {
+      categoryWeightSum += this.categoryWeights[category] || 0;
+    }
+
+    const contributions = [];
+    for (const [category, result] of Object.entries(categoryScores)) {
+      const categoryShare = categoryWeightSum > 0
+        ? (this.categoryWeights[category] || 0) / categoryWeightSum
+        : 0;
+
+      for (const entry of result.signals) {
+        const effectiveWeight = result.weightSum > 0
+          ? (entry.weight / result.weightSum) * categoryShare
+          : 0;
+
+        contributions.push({
+          category,
+          signal: entry.signal,
+          label: this.registry.labelFor(entry.signal),
+          value: entry.value,
+          effectiveWeight,
+          points: finalScore === null
+            ? null
+            : (entry.value - 0.5) * effectiveWeight * 100,
+        });
+      }
+    }
+
+    return contributions.sort((a, b) =>
+      Math.abs(b.points || 0) - Math.abs(a.points || 0)
+      || b.effectiveWeight - a.effectiveWeight
+    );
+  }
+
   _scoreCatgory(category, signals, weights) {
     let score = 0;
     let weightSum = 0;
     let signalCount = 0;
     const issues = [];
+    const scoredSignals = [];
 
     for (const [signalName, signalValue] of Object.entries(signals)) {
       if (signalValue === null || signalValue === undefined) continue;
 
+      if (!(signalName in weights)) this._warnUnregistered(category, signalName);
       const weight = weights[signalName] || 0;
       const normalizedValue = typeof signalValue === 'object'
         ? signalValue.score
@@ -157,15 +451,22 @@ export class TrustScorer {
       score += normalizedValue * weight;
       weightSum += weight;
       signalCount++;
+      scoredSignals.push({
+        signal: signalName,
+        value: normalizedValue,
+        weight,
+        certainty: typeof signalValue === 'object' ? signalValue.certainty ?? 1 : 1,
+      });
 
-      // Track issues (signals below threshold)
-      if (normalizedValue < 0.4) {
+      // Track issues (signals below the profile's threshold)
+      if (normalizedValue < this.config.issueThreshold) {
         issues.push({
           category,
           signal: signalName,
+          label: this.registry.issueLabelFor(signalName),
           score: normalizedValue,
           detail: typeof signalValue === 'object' ? signalValue.detail : null,
-          severity: normalizedValue < 0.2 ? 'high' : 'medium',
+          severity: normalizedValue < this.config.highSeverityThreshold ? 'high' : 'medium',
         });
       }
     }
@@ -174,18 +475,56 @@ export class TrustScorer {
       score: weightSum > 0 ? score / weightSum : 0.5,
       signalCount,
       issues,
+      signals: scoredSignals,
+      weightSum,
     };
   }
 
-  _getTrustLevel(score) {
+  /**
+   * Weighted mean of the signals' `certainty` (0-1, default 1): how sure
+   * each analyzer was of its own reading, e.g. text read without a
+   * language pack. Lowers the reported confidence, not the score.
+   */
+  _certainty(categoryScores) {
+    let sum = 0;
+    let weightSum = 0;
+    for (const [category, result] of Object.entries(categoryScores)) {
+      const categoryWeight = this.categoryWeights[category] || 0;
+      for (const entry of result.signals) {
+        const weight = result.weightSum > 0 ? (entry.weight / result.weightSum) * categoryWeight : 0;
+        sum += entry.certainty * weight;
+        weightSum += weight;
+      }
+    }
+    return weightSum > 0 ? sum / weightSum : 1;
+  }
+
+  /**
+   * Signals missing from the registry score with weight 0 — say so once
+   * instead of dropping them silently
+   */
+  _warnUnregistered(category, signalName) {
+    this._warned = this._warned || new Set();
+    const key = `${category}.${signalName}`;
+    if (this._warned.has(key)) return;
+    this._warned.add(key);
+    console.warn(`[DID] Signal "${key}" is not registered in SignalRegistry and will not affect the score`);
+  }
+
+  /**
+   * Map a 0-1 score onto a trust level using this profile's thresholds
+   */
+  getTrustLevel(score) {
     if (score >= this.thresholds.HIGH_TRUST) return 'HIGH_TRUST';
     if (score >= this.thresholds.MODERATE_TRUST) return 'MODERATE_TRUST';
     if (score >= this.thresholds.LOW_TRUST) return 'LOW_TRUST';
     return 'VERY_LOW_TRUST';
   }
 
-  _generateMessage(level, issues, confidence) {
-    const confidenceQualifier = confidence < 0.5 ? 'Limited data suggests' : '';
+  _generateMessage(level, issues, confidence, insufficientAgreement = false) {
+    const confidenceQualifier = insufficientAgreement
+      ? 'Insufficient agreement between signals'
+      : confidence < 0.5 ? 'Limited data suggests' : '';
 
     const messages = {
       HIGH_TRUST: 'This content appears authentic based on available signals.',
@@ -199,11 +538,44 @@ export class TrustScorer {
   }
 }
 
+// Clamp so a single 0 or 1 signal can't produce infinite log-odds
+const EVIDENCE_CLAMP = 0.02;
+
+function logit(p) {
+  const clamped = Math.min(1 - EVIDENCE_CLAMP, Math.max(EVIDENCE_CLAMP, p));
+  return Math.log(clamped / (1 - clamped));
+}
+
+function sigmoid(x) {
+  return 1 / (1 + Math.exp(-x));
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Small seeded PRNG (mulberry32) — Math.random can't be seeded
+ */
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return function random() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
 /**
  * Immutable result object from trust scoring
  */
 export class TrustResult {
-  constructor({ score, level, confidence, message, details, issues, signalCount }) {
+  constructor({
+    score, level, confidence, message, details, issues, signalCount,
+    contributions, interval, insufficientAgreement,
+  }) {
     this.score = score;
     this.level = level;
     this.confidence = confidence;
@@ -211,6 +583,9 @@ export class TrustResult {
     this.details = details;
     this.issues = issues;
     this.signalCount = signalCount;
+    this.contributions = contributions || []; // Per-signal attribution table
+    this.interval = interval || null;         // { low, high } score range, when available
+    this.insufficientAgreement = !!insufficientAgreement; // Range spans two trust levels
     this.timestamp = Date.now();
 
     Object.freeze(this);
@@ -255,6 +630,9 @@ export class TrustResult {
       message: this.message,
       issues: this.issues,
       signalCount: this.signalCount,
+      contributions: this.contributions,
+      interval: this.interval,
+      insufficientAgreement: this.insufficientAgreement,
       timestamp: this.timestamp,
     };
   }
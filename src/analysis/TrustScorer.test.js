@@ -0,0 +1,126 @@
+import { TrustScorer } from './TrustScorer.js';
+
+const logit = (p) => Math.log(p / (1 - p));
+const sigmoid = (x) => 1 / (1 + Math.exp(-x));
+
+// Three text signals plus whatever else a test adds
+const textSignals = (value) => ({
+  text: { aiDetection: value, repetitionPattern: value, templateMatching: value },
+});
+
+describe('TrustScorer log-odds combination', () => {
+  const scorer = new TrustScorer({ combination: 'logOdds', calibration: {} });
+
+  it('returns the prior when every signal is neutral', () => {
+    const result = scorer.computeScore(textSignals(0.5));
+    expect(result.score).toBeCloseTo(scorer.config.prior, 12);
+    for (const row of result.contributions) expect(row.points).toBeCloseTo(0, 12);
+  });
+
+  it('adds each signal as reliability-scaled log-likelihood ratio', () => {
+    const result = scorer.computeScore({
+      text: { aiDetection: 0.3, repetitionPattern: 0.8, templateMatching: 0.5 },
+    });
+
+    // reliability = signal weight x category weight x evidenceScale
+    const reliability = (signal) => scorer.weights.text[signal] * 0.30 * scorer.config.evidenceScale;
+    const logOdds = logit(scorer.config.prior)
+      + reliability('aiDetection') * logit(0.3)
+      + reliability('repetitionPattern') * logit(0.8);
+    expect(result.score).toBeCloseTo(sigmoid(logOdds), 12);
+
+    // Points: how far the score would move without the signal
+    const ai = result.contributions.find(row => row.signal === 'aiDetection');
+    const withoutAi = sigmoid(logOdds - reliability('aiDetection') * logit(0.3));
+    expect(ai.points).toBeCloseTo((result.score - withoutAi) * 100, 10);
+  });
+
+  it('lets agreeing weak signals add up instead of averaging out', () => {
+    const one = scorer.computeScore({
+      text: { aiDetection: 0.3, repetitionPattern: 0.5, templateMatching: 0.5 },
+    });
+    const two = scorer.computeScore({
+      text: { aiDetection: 0.3, repetitionPattern: 0.3, templateMatching: 0.5 },
+    });
+    const three = scorer.computeScore(textSignals(0.3));
+    expect(two.score).toBeLessThan(one.score);
+    expect(three.score).toBeLessThan(two.score);
+  });
+
+  it('keeps a signal of 0 or 1 from deciding the score alone', () => {
+    const result = scorer.computeScore({
+      text: { aiDetection: 0, repetitionPattern: 0.9, templateMatching: 0.9 },
+    });
+    expect(Number.isFinite(result.score)).toBe(true);
+    expect(result.score).toBeGreaterThan(0);
+    expect(result.score).toBeLessThan(1);
+  });
+
+  it('reports a credible interval around the score', () => {
+    const few = scorer.computeScore(textSignals(0.3));
+    expect(few.interval.low).toBeLessThan(few.score);
+    expect(few.interval.high).toBeGreaterThan(few.score);
+
+    // More evidence, more uncertainty in log-odds
+    const more = scorer.computeScore({
+      ...textSignals(0.5),
+      behavioral: { timingCluster: 0.5, ratingDistribution: 0.5 },
+    });
+    const width = ({ low, high }) => logit(high) - logit(low);
+    expect(width(more.interval)).toBeGreaterThan(width(scorer.computeScore(textSignals(0.5)).interval));
+  });
+});
+
+describe('TrustScorer bootstrap score range', () => {
+  const scorer = new TrustScorer({ calibration: {} });
+
+  const mixed = {
+    text: { aiDetection: 0.9, repetitionPattern: 0.2, templateMatching: 0.8 },
+    behavioral: { timingCluster: 0.1, ratingDistribution: 0.7 },
+  };
+
+  it('gives the same range for the same signals', () => {
+    const first = scorer.computeScore(mixed).interval;
+    const second = new TrustScorer({ calibration: {} }).computeScore(mixed).interval;
+    expect(second).toEqual(first);
+  });
+
+  it('collapses to the score when all signals agree', () => {
+    const result = scorer.computeScore(textSignals(0.7));
+    expect(result.interval.low).toBeCloseTo(0.7, 12);
+    expect(result.interval.high).toBeCloseTo(0.7, 12);
+    expect(result.confidence).toBeCloseTo(scorer.config.confidenceDecay, 12);
+  });
+
+  it('widens and lowers confidence when signals conflict', () => {
+    const result = scorer.computeScore(mixed);
+    const { low, high } = result.interval;
+    expect(low).toBeLessThanOrEqual(result.score);
+    expect(high).toBeGreaterThanOrEqual(result.score);
+    expect(high - low).toBeGreaterThan(0.1);
+    expect(result.confidence).toBeCloseTo((1 - (high - low)) * scorer.config.confidenceDecay, 12);
+  });
+
+  it('stays within the lowest and highest signal value', () => {
+    const { low, high } = scorer.computeScore(mixed).interval;
+    expect(low).toBeGreaterThanOrEqual(0.1);
+    expect(high).toBeLessThanOrEqual(0.9);
+  });
+
+  it('flags a range that spans two trust levels', () => {
+    const result = scorer.computeScore(mixed);
+    const { low, high } = result.interval;
+    expect(scorer.getTrustLevel(low)).not.toBe(scorer.getTrustLevel(high));
+    expect(result.insufficientAgreement).toBe(true);
+    expect(result.message).toMatch(/^Insufficient agreement between signals/);
+
+    expect(scorer.computeScore(textSignals(0.7)).insufficientAgreement).toBe(false);
+  });
+
+  it('falls back to signal coverage when resampling is off', () => {
+    const noRange = new TrustScorer({ calibration: {}, bootstrapSamples: 0 });
+    const result = noRange.computeScore(textSignals(0.7));
+    expect(result.interval).toBeNull();
+    expect(result.confidence).toBeCloseTo(0.3 * noRange.config.confidenceDecay, 12);
+  });
+});
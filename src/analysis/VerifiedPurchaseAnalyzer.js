@@ -0,0 +1,145 @@
+/**
+ * VerifiedPurchaseAnalyzer - Compare verified and unverified reviews
+ *
+ * Platforms mark reviews whose author bought the product through them.
+ * Plenty of honest reviewers buy elsewhere, so one unverified review means
+ * little. On the product level, though, paid reviews are much more often
+ * unverified: they pile up at 5 stars, rate the product higher than the
+ * buyers do, and arrive together.
+ *
+ * Signals (behavioral category):
+ * - verifiedPurchase: per review (skipped for Vine reviews, which are
+ *   never verified and are reported as incentivized instead)
+ * - unverifiedFiveStar: share of 5-star reviews that are unverified
+ * - verifiedRatingGap: average rating of unverified vs. verified reviews
+ * - unverifiedBurst: unverified reviews clustered in time, against their
+ *   own baseline rate over the whole review period
+ *
+ * Reviews from platforms without purchase verification (no
+ * verifiedPurchase field, e.g. Google Maps) are left out entirely.
+ */
+
+import { BurstDetector } from './BurstDetector.js';
+
+export class VerifiedPurchaseAnalyzer {
+  constructor(burstDetector = new BurstDetector()) {
+    this.burstDetector = burstDetector;
+    this.thresholds = {
+      minFiveStar: 5,         // 5-star reviews needed for the unverified share
+      minGroupSize: 3,        // Reviews needed on each side for the rating gap
+      notableShare: 0.3,      // Unverified 5-star share worth mentioning
+      notableGap: 0.75,       // Star difference worth mentioning
+    };
+  }
+
+  /**
+   * Analyze one review
+   * @param {Object} item - { verifiedPurchase, vineReview }
+   * @returns {Object} { verifiedPurchase } — null for Vine reviews and unverifiable platforms
+   */
+  analyze(item) {
+    if (item.vineReview || item.verifiedPurchase === undefined) return { verifiedPurchase: null };
+
+    return {
+      verifiedPurchase: item.verifiedPurchase
+        ? { score: 0.7, detail: null }
+        : { score: 0.45, detail: 'Not a verified purchase' },
+    };
+  }
+
+  /**
+   * Product-level signals and the verified / unverified comparison
+   * @param {Object[]} reviews - [{ verifiedPurchase, vineReview, rating, date }]
+   * @returns {Object} { unverifiedFiveStar, verifiedRatingGap, unverifiedBurst, comparison }
+   */
+  analyzeBatch(reviews) {
+    const judged = reviews.filter(r => !r.vineReview && r.verifiedPurchase !== undefined);
+    const verified = judged.filter(r => r.verifiedPurchase);
+    const unverified = judged.filter(r => !r.verifiedPurchase);
+
+    return {
+      unverifiedFiveStar: this._scoreUnverifiedFiveStar(judged),
+      verifiedRatingGap: this._scoreRatingGap(verified, unverified),
+      unverifiedBurst: this._scoreUnverifiedBurst(judged),
+      comparison: judged.length > 0
+        ? { verified: this._summarize(verified), unverified: this._summarize(unverified) }
+        : null,
+    };
+  }
+
+  _scoreUnverifiedFiveStar(reviews) {
+    const fiveStar = reviews.filter(r => r.rating === 5);
+    if (fiveStar.length < this.thresholds.minFiveStar) return null;
+
+    const unverified = fiveStar.filter(r => !r.verifiedPurchase).length;
+    const share = unverified / fiveStar.length;
+
+    return {
+      score: Math.max(0.1, 0.9 - share),
+      detail: share >= this.thresholds.notableShare
+        ? `${unverified} of ${fiveStar.length} 5-star reviews are not verified purchases`
+        : null,
+      unverified,
+      fiveStar: fiveStar.length,
+    };
+  }
+
+  /**
+   * Unverified reviews rating the product differently from buyers. Higher
+   * suggests paid praise; lower suggests review bombing by non-buyers.
+   */
+  _scoreRatingGap(verified, unverified) {
+    const verifiedAvg = this._averageRating(verified);
+    const unverifiedAvg = this._averageRating(unverified);
+    if (verifiedAvg === null || unverifiedAvg === null) return null;
+
+    const gap = unverifiedAvg - verifiedAvg;
+    const format = (avg) => `${avg.toFixed(1)}★`;
+
+    return {
+      score: Math.max(0.1, 0.9 - Math.abs(gap) * 0.4),
+      detail: Math.abs(gap) >= this.thresholds.notableGap
+        ? `Unverified reviews average ${format(unverifiedAvg)} vs. ${format(verifiedAvg)} from verified buyers`
+        : null,
+      gap,
+    };
+  }
+
+  _scoreUnverifiedBurst(reviews) {
+    const unverified = reviews.filter(r => !r.verifiedPurchase);
+    if (unverified.length === 0 || unverified.length === reviews.length) return null;
+
+    const scan = this.burstDetector.detectSubset(
+      reviews.map(r => ({ date: r.date, rating: r.rating })),
+      (event, i) => !reviews[i].verifiedPurchase
+    );
+    if (!scan) return null;
+    if (!scan.burst) return { score: 0.8, detail: null };
+
+    const { burst } = scan;
+    const when = burst.start === burst.end ? `on ${burst.start}` : `between ${burst.start} and ${burst.end}`;
+    return {
+      score: Math.max(0.1, 0.45 - (burst.count / unverified.length) * 0.35),
+      detail: `${burst.count} unverified reviews posted ${when}`,
+      burst,
+    };
+  }
+
+  /**
+   * Review count, average rating and 5-star share of one group
+   */
+  _summarize(reviews) {
+    const rated = reviews.filter(r => typeof r.rating === 'number');
+    return {
+      count: reviews.length,
+      averageRating: this._averageRating(reviews, 1),
+      fiveStarShare: rated.length > 0 ? rated.filter(r => r.rating === 5).length / rated.length : null,
+    };
+  }
+
+  _averageRating(reviews, minCount = this.thresholds.minGroupSize) {
+    const ratings = reviews.map(r => r.rating).filter(r => typeof r === 'number');
+    if (ratings.length < minCount) return null;
+    return ratings.reduce((a, b) => a + b, 0) / ratings.length;
+  }
+}
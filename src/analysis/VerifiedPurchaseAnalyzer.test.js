@@ -0,0 +1,104 @@
+import { VerifiedPurchaseAnalyzer } from './VerifiedPurchaseAnalyzer.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const START = Date.UTC(2024, 0, 1);
+
+const review = (verifiedPurchase, rating, day = 0, extra = {}) => ({
+  verifiedPurchase,
+  rating,
+  date: new Date(START + day * DAY_MS).toISOString(),
+  ...extra,
+});
+
+const repeat = (count, make) => Array.from({ length: count }, (_, i) => make(i));
+
+describe('VerifiedPurchaseAnalyzer.analyze', () => {
+  const analyzer = new VerifiedPurchaseAnalyzer();
+
+  it('scores verified and unverified reviews', () => {
+    expect(analyzer.analyze({ verifiedPurchase: true })).toEqual({ verifiedPurchase: { score: 0.7, detail: null } });
+    expect(analyzer.analyze({ verifiedPurchase: false }).verifiedPurchase).toEqual({
+      score: 0.45,
+      detail: 'Not a verified purchase',
+    });
+  });
+
+  it('skips Vine reviews and platforms without verification', () => {
+    expect(analyzer.analyze({ verifiedPurchase: false, vineReview: true })).toEqual({ verifiedPurchase: null });
+    expect(analyzer.analyze({ rating: 5 })).toEqual({ verifiedPurchase: null });
+  });
+});
+
+describe('VerifiedPurchaseAnalyzer.analyzeBatch', () => {
+  const analyzer = new VerifiedPurchaseAnalyzer();
+
+  it('returns nothing for platforms without purchase verification', () => {
+    const reviews = repeat(10, i => ({ rating: 5, date: new Date(START + i * DAY_MS).toISOString() }));
+    expect(analyzer.analyzeBatch(reviews)).toEqual({
+      unverifiedFiveStar: null,
+      verifiedRatingGap: null,
+      unverifiedBurst: null,
+      comparison: null,
+    });
+  });
+
+  it('scores the unverified share of 5-star reviews', () => {
+    const reviews = [
+      ...repeat(6, i => review(true, 5, i * 10)),
+      ...repeat(4, i => review(false, 5, i * 10 + 5)),
+    ];
+    const { unverifiedFiveStar } = analyzer.analyzeBatch(reviews);
+    expect(unverifiedFiveStar.score).toBeCloseTo(0.5, 12);
+    expect(unverifiedFiveStar.detail).toBe('4 of 10 5-star reviews are not verified purchases');
+
+    // Too few 5-star reviews to judge
+    expect(analyzer.analyzeBatch(reviews.slice(6)).unverifiedFiveStar).toBeNull();
+  });
+
+  it('leaves Vine reviews out of the comparison', () => {
+    const reviews = [
+      ...repeat(5, i => review(true, 5, i * 10)),
+      ...repeat(5, i => review(false, 5, i * 10 + 5, { vineReview: true })),
+    ];
+    const { unverifiedFiveStar, comparison } = analyzer.analyzeBatch(reviews);
+    expect(unverifiedFiveStar.unverified).toBe(0);
+    expect(comparison.unverified.count).toBe(0);
+    expect(comparison.verified.count).toBe(5);
+  });
+
+  it('compares the average rating of both groups', () => {
+    const reviews = [
+      ...[1, 3, 4, 2, 5].map((rating, i) => review(true, rating, i * 10)),
+      ...repeat(4, i => review(false, 5, i * 10 + 5)),
+    ];
+    const { verifiedRatingGap, comparison } = analyzer.analyzeBatch(reviews);
+    expect(verifiedRatingGap.gap).toBeCloseTo(2, 12);
+    expect(verifiedRatingGap.score).toBeCloseTo(0.1, 12);
+    expect(verifiedRatingGap.detail).toBe('Unverified reviews average 5.0★ vs. 3.0★ from verified buyers');
+
+    expect(comparison.verified).toEqual({ count: 5, averageRating: 3, fiveStarShare: 0.2 });
+    expect(comparison.unverified).toEqual({ count: 4, averageRating: 5, fiveStarShare: 1 });
+  });
+
+  it('needs a few reviews on each side for the rating gap', () => {
+    const reviews = [...repeat(5, i => review(true, 4, i)), review(false, 5, 9), review(false, 5, 10)];
+    expect(analyzer.analyzeBatch(reviews).verifiedRatingGap).toBeNull();
+  });
+
+  it('flags unverified reviews arriving together', () => {
+    const reviews = [
+      ...repeat(40, i => review(true, 4, i * 3)),
+      ...repeat(3, i => review(false, 5, i * 40)),
+      ...repeat(8, () => review(false, 5, 60)),
+    ];
+    const { unverifiedBurst } = analyzer.analyzeBatch(reviews);
+    expect(unverifiedBurst.burst.count).toBeGreaterThanOrEqual(8);
+    expect(unverifiedBurst.score).toBeLessThan(0.45);
+    expect(unverifiedBurst.detail).toMatch(/^\d+ unverified reviews posted on 2024-03-01$/);
+  });
+
+  it('skips the burst check when every review is unverified', () => {
+    const reviews = repeat(10, i => review(false, 5, i * 3));
+    expect(analyzer.analyzeBatch(reviews).unverifiedBurst).toBeNull();
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * German language pack (amazon.de)
+ *
+ * Same shape as en.js. Phrases are written the way German reviewers
+ * actually use them, not translated word for word.
+ */
+
+export default {
+  code: 'de',
+  name: 'Deutsch',
+
+  stopwords: [
+    'der', 'die', 'das', 'und', 'ist', 'nicht', 'ich', 'es', 'mit', 'sich',
+    'auf', 'für', 'ein', 'eine', 'zu', 'den', 'dem', 'auch', 'sehr', 'aber',
+    'war', 'hat', 'habe', 'wie', 'noch', 'nur', 'bei', 'von', 'kann', 'man',
+    'wird', 'sind', 'mir', 'mich', 'nach', 'wenn', 'schon', 'dass', 'einen',
+  ],
+
+  aiTellPhrases: [
+    'es ist erwähnenswert',
+    'es sei darauf hingewiesen',
+    'ein zeugnis für',
+    'ein beweis für',
+    'game-changer',
+    'game changer',
+    'eintauchen in',
+    'vielschichtig',
+    'in der heutigen welt',
+    'im bereich der',
+    'hebt sich ab',
+    'es sollte beachtet werden',
+    'in dieser hinsicht',
+    'unterstreicht',
+    'ganzheitlich',
+    'auf ein neues level',
+    'neue maßstäbe',
+    'hingabe zur exzellenz',
+    'benutzererfahrung',
+    'liebe zum detail ist',
+    'funktioniert einwandfrei',
+    'könnte nicht zufriedener sein',
+    'meinen alltag verändert',
+    'elegant und praktisch zugleich',
+    'wahrhaft bemerkenswert',
+  ],
+
+  hypeWords: [
+    'fantastisch', 'unglaublich', 'hervorragend', 'außergewöhnlich', 'bemerkenswert',
+    'herausragend', 'unschlagbar', 'einwandfrei', 'absolut',
+    'in jeder hinsicht', 'definitiv', 'auf jeden fall',
+  ],
+
+  fakeReviewTemplates: [
+    'ich habe das für meine',
+    'ich habe es für meinen',
+    'mein mann/meine frau liebt',
+    'genau wie beschrieben',
+    'genau das, was ich gesucht habe',
+    'genau was ich brauchte',
+    'kann ich nur empfehlen',
+    'klare kaufempfehlung',
+    'fünf sterne',
+    'hat meine erwartungen übertroffen',
+    'ich war anfangs skeptisch, aber',
+    'jeden cent wert',
+    'top preis-leistungs-verhältnis',
+    'sie werden nicht enttäuscht',
+    'ein absolutes muss',
+    'ich habe schon viele ähnliche produkte',
+    'mit abstand das beste',
+    'zögern sie nicht',
+    'schnelle lieferung und gut verpackt',
+  ],
+
+  positiveWords: [
+    'toll', 'super', 'klasse', 'perfekt', 'liebe', 'beste', 'wunderbar',
+    'fantastisch', 'genial', 'großartig', 'hervorragend', 'ausgezeichnet',
+    'spitze', 'zufrieden', 'empfehlen', 'empfehlenswert',
+  ],
+
+  negativeWords: [
+    'schlecht', 'schrecklich', 'furchtbar', 'schlechteste', 'hasse', 'mies',
+    'enttäuschend', 'enttäuscht', 'kaputt', 'defekt', 'müll', 'schrott',
+    'nutzlos', 'billig', 'minderwertig', 'wackelig',
+  ],
+
+  negators: ['nicht', 'kein', 'keine', 'keinen', 'keiner', 'keinem', 'nie', 'niemals', 'kaum'],
+
+  hedgingWords: [
+    'aber', 'jedoch', 'allerdings', 'obwohl', 'außer', 'etwas', 'leicht',
+    'kleiner', 'kleines', 'nachteil', 'manko', 'nur', 'wünschte', 'leider',
+  ],
+
+  specificityMarkers: [
+    /\d+\s*(zoll|mm|cm|kg|gb|mb|watt|stunden?|tagen?|wochen?|monaten?|minuten?)/i,
+    /\d+[./]\d+/,
+    /\d+\s*(€|euro)/i,
+    /(meine?r?m?) (frau|mann|sohn|tochter|mutter|vater|freund|freundin|schwester|bruder|kinder?)/i,
+  ],
+
+  incentiveMarkers: [
+    /(?:erhalten|bekommen|zur verfügung gestellt|zugeschickt)[^.!?]{0,40}(?:kostenlos|gratis|vergünstigt|rabatt)(?!\p{L}*\s+(?:versand|lieferung))/iu,
+    /(?:kostenlos|gratis|vergünstigt)(?!\p{L}*\s+(?:versand|lieferung))[^.!?]{0,40}(?:erhalten|bekommen|zur verfügung gestellt|zugeschickt)/iu,
+    /im austausch (?:für|gegen) (?:eine|meine) (?:ehrliche|unabhängige|neutrale)/i,
+    /(?:rabatt|gutschein|promo)[- ]?code/i,
+    /im rahmen (?:eines|des) produkttests/i,
+    /vine[- ](?:produkttest|kundenrezension|programm|club)/i,
+  ],
+
+  functionWords: [
+    'der', 'die', 'das', 'ein', 'eine', 'und', 'aber', 'oder', 'von', 'zu', 'in',
+    'auf', 'an', 'für', 'mit', 'aus', 'bei', 'nach', 'über', 'es', 'ich', 'mein',
+    'wir', 'sie', 'er', 'ist', 'war', 'sein', 'hat', 'habe', 'hatte', 'nicht',
+    'so', 'sehr', 'auch', 'nur', 'noch', 'schon', 'dann', 'da', 'wenn', 'weil',
+    'dass', 'kann', 'wird', 'würde', 'doch', 'halt', 'eben', 'mal',
+  ],
+
+  commonMisspellings: [
+    'vieleicht', 'standart', 'nähmlich', 'eigendlich', 'wiedersprechen', 'ausversehen',
+    'garnicht', 'bischen', 'interresant', 'agressiv', 'rythmus', 'entgültig',
+    'tschuldigung', 'nix', 'grad',
+  ],
+
+  connectives: ['weil', 'da', 'deshalb', 'daher', 'welche', 'wo', 'wenn', 'als', 'nachdem', 'bevor', 'während', 'dann', 'damit'],
+
+  vagueWords: [
+    'produkt', 'artikel', 'ding', 'kauf', 'qualität', 'preis',
+    'alles', 'jeder', 'jeden', 'nichts', 'etwas', 'immer', 'nie',
+    'sehr', 'wirklich', 'einfach', 'super', 'toll', 'gut', 'schön',
+    'beste', 'liebe', 'zufrieden',
+  ],
+
+  referenceDeterminers: ['dieser', 'diese', 'dieses', 'diesen', 'diesem'],
+  nonProductNouns: [
+    'zeit', 'tag', 'woche', 'monat', 'jahr', 'morgen', 'abend', 'sommer',
+    'winter', 'bewertung', 'rezension', 'verkäufer', 'händler', 'firma',
+    'marke', 'seite', 'bestellung', 'paket', 'verpackung', 'modell',
+    'version', 'größe', 'farbe', 'preis',
+  ],
+};
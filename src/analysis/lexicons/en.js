@@ -0,0 +1,155 @@
+/**
+ * English language pack
+ *
+ * Every list is matched against lowercased text. Phrases are substrings,
+ * words are whole tokens (letters only).
+ */
+
+export default {
+  code: 'en',
+  name: 'English',
+
+  // Very common words, used for language detection
+  stopwords: [
+    'the', 'and', 'is', 'it', 'this', 'to', 'of', 'for', 'with', 'was',
+    'in', 'that', 'my', 'i', 'not', 'but', 'on', 'have', 'are', 'you',
+    'very', 'so', 'they', 'be', 'as', 'at', 'just', 'had', 'would', 'its',
+  ],
+
+  // Common AI "tell" phrases - overused by LLMs
+  // Removed common English words that cause false positives
+  aiTellPhrases: [
+    'it\'s worth noting',
+    'it is worth noting',
+    'a testament to',
+    'game-changer',
+    'game changer',
+    'delve into',
+    'tapestry',
+    'multifaceted',
+    'in today\'s world',
+    'in the realm of',
+    'navigating the',
+    'stands out as',
+    'it should be noted',
+    'in this regard',
+    'underscores',
+    'fostering',
+    'holistic',
+    'elevate the',
+    'elevates the',
+    'truly remarkable',
+    'new heights',
+    'commitment to excellence',
+    'user experience',
+    'attention to detail is',
+    'works flawlessly',
+    'couldn\'t be happier',
+    'changed my daily routine',
+    'both elegant and practical',
+  ],
+
+  // Superlative/filler phrases that real people rarely stack together
+  hypeWords: [
+    'amazing', 'incredible', 'fantastic', 'exceptional', 'remarkable',
+    'outstanding', 'unbeatable', 'flawlessly', 'truly', 'absolutely',
+    'every way', 'everyone', 'definitely', 'certainly',
+  ],
+
+  // Template phrases common in fake reviews
+  fakeReviewTemplates: [
+    'i bought this for my',
+    'i purchased this for',
+    'my husband/wife loves',
+    'exactly as described',
+    'exactly what i needed',
+    'highly recommend this product',
+    'five stars all the way',
+    'exceeded my expectations',
+    'i was skeptical at first but',
+    'worth every penny',
+    'great quality for the price',
+    'you won\'t be disappointed',
+    'must have product',
+    'i\'ve tried many similar products',
+    'this is by far the best',
+    'don\'t hesitate to buy',
+    'arrived quickly and well packaged',
+  ],
+
+  positiveWords: [
+    'great', 'amazing', 'excellent', 'perfect', 'love', 'best', 'wonderful',
+    'fantastic', 'awesome', 'incredible', 'superb', 'outstanding', 'brilliant',
+    'magnificent', 'terrific', 'fabulous', 'happy', 'recommend',
+  ],
+
+  negativeWords: [
+    'bad', 'terrible', 'awful', 'worst', 'hate', 'horrible', 'poor',
+    'disappointing', 'broken', 'waste', 'junk', 'useless', 'defective',
+    'cheap', 'flimsy', 'garbage',
+  ],
+
+  // Flip the sentiment of the next few words. Apostrophes are stripped before matching
+  negators: ['not', 'no', 'never', 'dont', 'didnt', 'doesnt', 'wouldnt', 'wont', 'isnt', 'wasnt', 'cant', 'couldnt', 'hardly'],
+
+  hedgingWords: [
+    'but', 'however', 'although', 'though', 'except', 'unless',
+    'somewhat', 'slightly', 'minor', 'small issue', 'only complaint',
+    'downside', 'only', 'wish', 'could be', 'not perfect',
+  ],
+
+  // Specificity markers — real reviews mention concrete details
+  specificityMarkers: [
+    /\d+\s*(inch|mm|cm|lb|kg|oz|gb|mb|watt|hour|day|week|month|minute)/i,
+    /\d+\/\d+/,           // fractions or dates
+    /\$\d+/,              // prices
+    /[A-Z][a-z]+ [A-Z]/,  // proper nouns
+    /my (wife|husband|son|daughter|mom|dad|friend|sister|brother|kid)/i,
+  ],
+
+  // Disclosed incentives — free or discounted product in exchange for a review
+  incentiveMarkers: [
+    /\b(?:received|got|was (?:sent|given|provided))\b[^.!?]{0,40}\b(?:free(?! shipping| delivery| returns| trial)|free of charge|at no cost|at a discount|discounted)\b/i,
+    /in exchange for (?:my|an|a) (?:honest|unbiased|fair|impartial)/i,
+    /\b(?:discount|promo|coupon|voucher) code\b/i,
+    /\b(?:provided|sent|supplied) (?:to me )?by the (?:seller|manufacturer|brand|company)\b/i,
+    /\bvine (?:customer review|voice|program)/i,
+  ],
+
+  // Stylometry: frequent function words and habitual misspellings or chat
+  // spellings. Function word rates identify a writer largely independent of topic
+  functionWords: [
+    'the', 'a', 'an', 'and', 'but', 'or', 'of', 'to', 'in', 'on', 'at', 'for',
+    'with', 'from', 'by', 'about', 'as', 'it', 'this', 'that', 'i', 'my', 'me',
+    'we', 'you', 'they', 'is', 'was', 'be', 'been', 'have', 'has', 'had', 'do',
+    'did', 'not', 'so', 'very', 'just', 'really', 'also', 'then', 'there',
+    'which', 'would', 'could', 'will', 'can', 'if', 'all',
+  ],
+
+  commonMisspellings: [
+    'recieve', 'recieved', 'definately', 'definatly', 'alot', 'seperate', 'wierd',
+    'untill', 'occured', 'thier', 'becuase', 'realy', 'beleive', 'recomend',
+    'reccomend', 'dissapointed', 'excelent', 'truely', 'wich', 'awsome',
+    'absolutly', 'purchace', 'tho', 'thru', 'u', 'ur',
+  ],
+
+  // Words that link sentences into a narrative
+  connectives: ['because', 'since', 'so', 'which', 'where', 'when', 'after', 'before', 'while', 'then'],
+
+  // Generic words — fake reviews use these instead of specific nouns
+  vagueWords: [
+    'product', 'item', 'thing', 'purchase', 'quality', 'price',
+    'everything', 'everyone', 'anyone', 'nothing', 'something',
+    'ever', 'always', 'never', 'every', 'very', 'really', 'just',
+    'amazing', 'great', 'good', 'nice', 'best', 'love', 'happy',
+  ],
+
+  // Product relevance: determiners that introduce the thing being reviewed
+  // ("this blender"), and nouns after them that are not a product
+  referenceDeterminers: ['this', 'these'],
+  nonProductNouns: [
+    'time', 'day', 'week', 'month', 'year', 'morning', 'evening', 'summer',
+    'winter', 'one', 'way', 'review', 'seller', 'company', 'brand', 'listing',
+    'page', 'site', 'order', 'package', 'box', 'model', 'version', 'size', 'color',
+  ],
+};
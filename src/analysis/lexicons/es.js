@@ -0,0 +1,136 @@
+/**
+ * Spanish language pack (amazon.es)
+ *
+ * Same shape as en.js.
+ */
+
+export default {
+  code: 'es',
+  name: 'Español',
+
+  stopwords: [
+    'el', 'la', 'los', 'las', 'y', 'es', 'un', 'una', 'que', 'en',
+    'no', 'por', 'con', 'para', 'muy', 'pero', 'lo', 'se', 'mi', 'me',
+    'al', 'del', 'como', 'más', 'está', 'son', 'fue', 'ha', 'he', 'su',
+    'este', 'esta', 'todo', 'bien',
+  ],
+
+  aiTellPhrases: [
+    'cabe destacar',
+    'vale la pena señalar',
+    'un testimonio de',
+    'game-changer',
+    'game changer',
+    'cambia las reglas del juego',
+    'profundizar en',
+    'multifacético',
+    'en el mundo actual',
+    'en el ámbito de',
+    'se destaca como',
+    'cabe señalar',
+    'en este sentido',
+    'subraya',
+    'holístico',
+    'a otro nivel',
+    'nuevas alturas',
+    'compromiso con la excelencia',
+    'experiencia de usuario',
+    'la atención al detalle es',
+    'funciona a la perfección',
+    'no podría estar más contento',
+    'cambió mi rutina diaria',
+    'elegante y práctico a la vez',
+    'verdaderamente notable',
+  ],
+
+  hypeWords: [
+    'increíble', 'fantástico', 'excepcional', 'extraordinario', 'impresionante',
+    'inmejorable', 'perfectamente', 'realmente', 'absolutamente', 'espectacular',
+    'en todos los sentidos', 'todo el mundo', 'definitivamente', 'sin duda',
+  ],
+
+  fakeReviewTemplates: [
+    'lo compré para mi',
+    'compré esto para',
+    'a mi marido/mujer le encanta',
+    'tal como se describe',
+    'exactamente lo que necesitaba',
+    'lo recomiendo totalmente',
+    'recomiendo este producto',
+    'cinco estrellas',
+    'superó mis expectativas',
+    'al principio era escéptico pero',
+    'vale cada céntimo',
+    'gran calidad por el precio',
+    'no te decepcionará',
+    'producto imprescindible',
+    'he probado muchos productos similares',
+    'de lejos el mejor',
+    'no lo dudes',
+    'llegó rápido y bien empaquetado',
+  ],
+
+  positiveWords: [
+    'genial', 'excelente', 'perfecto', 'encanta', 'mejor', 'maravilloso',
+    'fantástico', 'increíble', 'estupendo', 'buenísimo', 'feliz', 'contento',
+    'recomiendo', 'recomendable', 'magnífico', 'encantado',
+  ],
+
+  negativeWords: [
+    'malo', 'mala', 'terrible', 'horrible', 'peor', 'odio', 'pésimo',
+    'decepcionante', 'decepcionado', 'roto', 'defectuoso', 'basura',
+    'inútil', 'barato', 'frágil', 'estafa',
+  ],
+
+  negators: ['no', 'nunca', 'jamás', 'ni', 'tampoco', 'sin'],
+
+  hedgingWords: [
+    'pero', 'embargo', 'aunque', 'excepto', 'salvo', 'algo', 'ligeramente',
+    'pequeño', 'pega', 'inconveniente', 'único', 'ojalá', 'lástima', 'solo',
+  ],
+
+  specificityMarkers: [
+    /\d+\s*(pulgadas?|mm|cm|kg|gb|mb|vatios?|horas?|días?|semanas?|meses|minutos?)/i,
+    /\d+[./]\d+/,
+    /\d+\s*(€|euros?)/i,
+    /mis? (esposa|mujer|marido|esposo|hij[oa]s?|madre|padre|amig[oa]|herman[oa])/i,
+  ],
+
+  incentiveMarkers: [
+    /(?:recibí|recibido|me enviaron|me lo enviaron|me lo regalaron)[^.!?]{0,40}(?:gratis|gratuito|gratuitamente|con descuento)(?! el envío)/i,
+    /a cambio de (?:mi|una) (?:opinión|reseña|valoración) (?:honesta|sincera|imparcial)/i,
+    /código (?:de )?(?:descuento|promocional|promoción)/i,
+    /(?:proporcionado|enviado|cedido) por (?:el vendedor|la marca|el fabricante)/i,
+    /(?:programa|opinión de cliente de) vine/i,
+  ],
+
+  functionWords: [
+    'el', 'la', 'los', 'las', 'un', 'una', 'y', 'pero', 'o', 'de', 'del', 'a',
+    'al', 'en', 'con', 'por', 'para', 'sobre', 'lo', 'le', 'yo', 'mi', 'nosotros',
+    'se', 'es', 'era', 'ser', 'está', 'ha', 'he', 'había', 'no', 'muy', 'bien',
+    'también', 'ya', 'pues', 'que', 'como', 'cuando', 'si', 'más', 'todo', 'aún',
+    'solo', 'realmente', 'poco', 'entonces', 'así',
+  ],
+
+  commonMisspellings: [
+    'haiga', 'nadien', 'enserio', 'aveces', 'osea', 'alomejor', 'porfavor',
+    'aprovado', 'exelente', 'tmb', 'xq', 'q', 'k',
+  ],
+
+  connectives: ['porque', 'ya', 'así', 'cuando', 'donde', 'después', 'antes', 'mientras', 'entonces', 'luego', 'cual', 'pues'],
+
+  vagueWords: [
+    'producto', 'artículo', 'cosa', 'compra', 'calidad', 'precio',
+    'todo', 'todos', 'nada', 'algo', 'siempre', 'nunca', 'muy',
+    'realmente', 'solo', 'genial', 'bueno', 'buen', 'mejor',
+    'encanta', 'contento',
+  ],
+
+  referenceDeterminers: ['este', 'esta', 'estos', 'estas'],
+  nonProductNouns: [
+    'tiempo', 'día', 'semana', 'mes', 'año', 'mañana', 'tarde', 'verano',
+    'invierno', 'reseña', 'opinión', 'vendedor', 'marca', 'página', 'sitio',
+    'pedido', 'paquete', 'caja', 'embalaje', 'modelo', 'versión', 'talla',
+    'tamaño', 'color', 'precio',
+  ],
+};
@@ -0,0 +1,135 @@
+/**
+ * French language pack (amazon.fr, amazon.ca)
+ *
+ * Same shape as en.js. Apostrophes are normalized to ' before matching.
+ */
+
+export default {
+  code: 'fr',
+  name: 'Français',
+
+  stopwords: [
+    'le', 'la', 'les', 'et', 'est', 'un', 'une', 'des', 'du', 'je',
+    'il', 'elle', 'pas', 'que', 'qui', 'pour', 'avec', 'sur', 'dans', 'ce',
+    'cette', 'très', 'mais', 'ai', 'au', 'aux', 'ne', 'plus', 'bien', 'on',
+    'sont', 'mon', 'ma', 'mes', 'nous', 'vous',
+  ],
+
+  aiTellPhrases: [
+    'il convient de noter',
+    'il est important de noter',
+    'un témoignage de',
+    'game-changer',
+    'game changer',
+    'change la donne',
+    'plonger dans',
+    'multifacette',
+    'dans le monde actuel',
+    'dans le domaine de',
+    'se démarque',
+    'à cet égard',
+    'souligne',
+    'holistique',
+    'à un niveau supérieur',
+    'de nouveaux sommets',
+    'engagement envers l\'excellence',
+    'expérience utilisateur',
+    'le souci du détail est',
+    'fonctionne parfaitement',
+    'je ne pourrais pas être plus satisfait',
+    'a changé mon quotidien',
+    'à la fois élégant et pratique',
+    'vraiment remarquable',
+  ],
+
+  hypeWords: [
+    'incroyable', 'fantastique', 'exceptionnel', 'remarquable', 'extraordinaire',
+    'imbattable', 'parfaitement', 'vraiment', 'absolument', 'sublime',
+    'à tous points de vue', 'tout le monde', 'définitivement', 'certainement',
+  ],
+
+  fakeReviewTemplates: [
+    'j\'ai acheté ceci pour mon',
+    'j\'ai acheté ce produit pour',
+    'mon mari/ma femme adore',
+    'conforme à la description',
+    'exactement ce dont j\'avais besoin',
+    'je recommande vivement',
+    'je recommande ce produit',
+    'cinq étoiles',
+    'a dépassé mes attentes',
+    'j\'étais sceptique au début mais',
+    'vaut chaque centime',
+    'excellent rapport qualité prix',
+    'vous ne serez pas déçu',
+    'produit indispensable',
+    'j\'ai essayé de nombreux produits similaires',
+    'de loin le meilleur',
+    'n\'hésitez pas',
+    'livraison rapide et bien emballé',
+  ],
+
+  positiveWords: [
+    'génial', 'excellent', 'parfait', 'adore', 'meilleur', 'merveilleux',
+    'fantastique', 'super', 'incroyable', 'superbe', 'top', 'bravo',
+    'satisfait', 'ravi', 'recommande', 'magnifique',
+  ],
+
+  negativeWords: [
+    'mauvais', 'terrible', 'horrible', 'pire', 'déteste', 'nul', 'médiocre',
+    'décevant', 'déçu', 'cassé', 'défectueux', 'arnaque', 'inutile',
+    'camelote', 'fragile', 'bof',
+  ],
+
+  negators: ['ne', 'pas', 'jamais', 'aucun', 'aucune', 'sans', 'guère'],
+
+  hedgingWords: [
+    'mais', 'cependant', 'toutefois', 'quoique', 'sauf', 'légèrement',
+    'peu', 'petit', 'défaut', 'bémol', 'seul', 'dommage', 'regrette',
+  ],
+
+  specificityMarkers: [
+    /\d+\s*(pouces?|mm|cm|kg|go|mo|watts?|heures?|jours?|semaines?|mois|minutes?)/i,
+    /\d+[./]\d+/,
+    /\d+\s*(€|euros?|\$)/i,
+    /(mon|ma|mes) (femme|mari|fils|fille|mère|père|ami|amie|sœur|soeur|frère|enfants?)/i,
+  ],
+
+  incentiveMarkers: [
+    /(?:reçu|offert|fourni|envoyé)[^.!?]{0,40}(?:gratuitement|gratuit(?! la livraison)|à prix réduit|avec une réduction)/i,
+    /en échange d'un avis (?:honnête|impartial|objectif|sincère)/i,
+    /code (?:promo|de réduction|réduction)/i,
+    /(?:fourni|offert|envoyé) par (?:le vendeur|la marque|le fabricant)/i,
+    /(?:programme|avis client|testeur) vine/i,
+  ],
+
+  functionWords: [
+    'le', 'la', 'les', 'un', 'une', 'des', 'et', 'mais', 'ou', 'de', 'du', 'à',
+    'au', 'en', 'dans', 'sur', 'pour', 'avec', 'par', 'il', 'elle', 'je', 'mon',
+    'ma', 'nous', 'vous', 'on', 'est', 'était', 'être', 'a', 'ai', 'avait', 'ne',
+    'pas', 'très', 'bien', 'aussi', 'donc', 'alors', 'que', 'qui', 'car', 'si',
+    'plus', 'tout', 'encore', 'déjà', 'vraiment', 'peu',
+  ],
+
+  commonMisspellings: [
+    'malgrés', 'parmis', 'language', 'connection', 'addresse', 'agressif',
+    'rapeller', 'occurence', 'bcp', 'tjrs', 'pcq', 'jsuis', 'chui',
+  ],
+
+  connectives: ['parce', 'car', 'donc', 'puisque', 'quand', 'lorsque', 'après', 'avant', 'pendant', 'ensuite', 'alors', 'où'],
+
+  vagueWords: [
+    'produit', 'article', 'chose', 'achat', 'qualité', 'prix',
+    'tout', 'tous', 'rien', 'toujours', 'jamais', 'très', 'vraiment',
+    'juste', 'super', 'génial', 'bien', 'bon', 'top', 'meilleur',
+    'adore', 'content',
+  ],
+
+  referenceDeterminers: ['ce', 'cet', 'cette', 'ces'],
+  nonProductNouns: [
+    'temps', 'jour', 'semaine', 'mois', 'année', 'matin', 'soir', 'été',
+    'hiver', 'avis', 'commentaire', 'vendeur', 'marque', 'site', 'page',
+    'commande', 'colis', 'emballage', 'modèle', 'version', 'taille',
+    'couleur', 'prix',
+  ],
+};
@@ -0,0 +1,74 @@
+/**
+ * Language packs and local language detection
+ *
+ * Each pack covers every lexicon TextAnalyzer uses. Detection is a simple
+ * stopword vote — no network, no model — which is reliable for review-length
+ * text in the languages we ship. A few unsupported languages are listed with
+ * stopwords only, so Italian or Dutch reviews are recognised as unsupported
+ * instead of being misread as the nearest pack.
+ */
+
+import en from './en.js';
+import de from './de.js';
+import fr from './fr.js';
+import es from './es.js';
+
+export const LANGUAGE_PACKS = { en, de, fr, es };
+
+// Detection-only stopword lists for languages without a pack
+const UNSUPPORTED_STOPWORDS = {
+  it: ['il', 'che', 'di', 'non', 'per', 'sono', 'molto', 'questo', 'della', 'anche', 'ho', 'gli', 'ma', 'perché', 'è'],
+  nl: ['het', 'een', 'niet', 'van', 'ik', 'dat', 'zijn', 'voor', 'met', 'maar', 'ook', 'heel', 'deze', 'wel', 'goed'],
+  pt: ['não', 'uma', 'com', 'muito', 'para', 'mas', 'isso', 'produto', 'foi', 'ele', 'ela', 'meu', 'minha', 'bom', 'são'],
+};
+
+const MIN_HITS = 2;
+const MIN_SHARE = 0.08;   // Share of tokens that must be stopwords of the winner
+
+const stopwordSets = Object.fromEntries([
+  ...Object.entries(LANGUAGE_PACKS).map(([code, pack]) => [code, new Set(pack.stopwords)]),
+  ...Object.entries(UNSUPPORTED_STOPWORDS).map(([code, words]) => [code, new Set(words)]),
+]);
+
+/**
+ * Guess the language of a text
+ * @param {string} text
+ * @returns {string|null} ISO 639-1 code, or null when undecided
+ */
+export function detectLanguage(text) {
+  const tokens = (text || '').toLowerCase().match(/\p{L}+/gu) || [];
+  if (tokens.length === 0) return null;
+
+  // Mostly non-Latin script — none of our packs apply
+  const latin = tokens.filter(t => /^\p{Script=Latin}+$/u.test(t)).length;
+  if (latin / tokens.length < 0.5) return null;
+
+  let best = null, bestHits = 0, runnerUp = 0;
+  for (const [code, words] of Object.entries(stopwordSets)) {
+    let hits = 0;
+    for (const token of tokens) {
+      if (words.has(token)) hits++;
+    }
+    if (hits > bestHits) {
+      runnerUp = bestHits;
+      best = code;
+      bestHits = hits;
+    } else if (hits > runnerUp) {
+      runnerUp = hits;
+    }
+  }
+
+  // Short texts may only contain one or two stopwords
+  const minHits = Math.min(MIN_HITS, Math.ceil(tokens.length / 4));
+  if (bestHits < minHits || bestHits / tokens.length < MIN_SHARE) return null;
+  if (bestHits === runnerUp) return null;
+
+  return best;
+}
+
+/**
+ * Language pack for a code, or null if unsupported
+ */
+export function getLanguagePack(code) {
+  return LANGUAGE_PACKS[code] || null;
+}
@@ -7,6 +7,7 @@
  * - Manage daily cache cleanup
  * - Handle alarm-based periodic tasks
  * - Coordinate between popup and content scripts
+ * - Relay review analysis jobs to the offscreen analysis worker
  */
 
 import { StorageManager } from '../utils/StorageManager.js';
@@ -28,6 +29,10 @@ const BADGE_COLORS = {
 // ============================================================
 // MESSAGE HANDLING
 // ============================================================
+
+// Pending reviewer index write; later writes chain onto it
+let reviewerIndexWrite = Promise.resolve();
+
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   switch (message.type) {
     case 'PAGE_SCORED':
@@ -57,6 +62,31 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     case 'GET_CACHED':
       storage.getCachedResult(message.key).then(sendResponse);
       return true;
+
+    case 'RECORD_REVIEWERS': {
+      const { platform, product, reviewers } = message.data;
+      // Serialized: every tab read-modify-writes the same index
+      reviewerIndexWrite = reviewerIndexWrite
+        .then(() => storage.recordReviewers(platform, product, reviewers))
+        .catch((error) => console.warn('[DID] Reviewer index update failed:', error));
+      reviewerIndexWrite.then(sendResponse);
+      return true;
+    }
+
+    case 'GET_REVIEWER_INDEX':
+      reviewerIndexWrite.then(() => storage.getReviewerIndex()).then(sendResponse);
+      return true;
+
+    case 'CLEAR_REVIEWER_INDEX':
+      reviewerIndexWrite = reviewerIndexWrite
+        .then(() => storage.clearReviewerIndex())
+        .then(() => true)
+        .catch((error) => {
+          console.warn('[DID] Reviewer index clear failed:', error);
+          return false;
+        });
+      reviewerIndexWrite.then((cleared) => sendResponse({ cleared }));
+      return true;
   }
 });
 
@@ -68,7 +98,8 @@ function handlePageScored(data, tab) {
 
   const { score } = data;
   const color = BADGE_COLORS[score.level] || BADGE_COLORS.INACTIVE;
-  const text = score.score !== null ? Math.round(score.score * 100).toString() : '?';
+  let text = score.score !== null ? Math.round(score.score * 100).toString() : '?';
+  if (score.insufficientAgreement) text = `~${text}`;
 
   // Update badge
   chrome.action.setBadgeBackgroundColor({ color, tabId: tab.id });
@@ -82,16 +113,156 @@ function handlePageScored(data, tab) {
     VERY_LOW_TRUST: 'Likely Inauthentic',
     INSUFFICIENT_DATA: 'Insufficient Data',
   };
+  const agreementNote = score.insufficientAgreement && score.interval
+    ? ` (insufficient agreement: ${Math.round(score.interval.low * 100)}–${Math.round(score.interval.high * 100)}%)`
+    : '';
   chrome.action.setTitle({
-    title: `Dead Internet Detector: ${levelLabels[score.level] || 'Unknown'}`,
+    title: `Dead Internet Detector: ${levelLabels[score.level] || 'Unknown'}${agreementNote}`,
     tabId: tab.id,
   });
 
+  // Re-scoring after a settings change is not a new scan
+  if (data.rescored) return;
+
   // Record stats
   storage.recordScan(score);
   storage.incrementUsage('scans');
 }
 
+// ============================================================
+// ANALYSIS PIPELINE (content script ⇄ offscreen worker relay)
+// ============================================================
+//
+// Content scripts open a 'did-analysis' port and send START / CANCEL.
+// Jobs are forwarded to the offscreen document's worker, and its REVIEW /
+// DONE / ERROR messages go back to the port that started the job. A
+// closed port (navigation, tab closed) cancels that port's jobs.
+
+const OFFSCREEN_URL = 'offscreen/offscreen.html';
+
+const analysisJobs = new Map();   // jobId → content script port
+let offscreenPort = null;
+let offscreenReady = null;        // Promise settled when the worker host connects or fails
+let settleOffscreenReady = null;
+
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name === 'did-offscreen') {
+    attachOffscreen(port);
+  } else if (port.name === 'did-analysis') {
+    handleAnalysisPort(port);
+  }
+});
+
+function handleAnalysisPort(port) {
+  const jobIds = new Set();
+  const starting = new Set();     // START received, still waiting for the worker host
+  const cancelled = new Set();    // Cancelled while starting
+  let closed = false;
+
+  port.onMessage.addListener(async (message) => {
+    if (message.type === 'CANCEL') {
+      if (starting.has(message.jobId)) cancelled.add(message.jobId);
+      jobIds.delete(message.jobId);
+      analysisJobs.delete(message.jobId);
+      offscreenPort?.postMessage(message);
+      return;
+    }
+
+    if (message.type !== 'START') return;
+
+    starting.add(message.jobId);
+    try {
+      await ensureOffscreen();
+    } catch (error) {
+      // No offscreen support — the content script analyzes in the page
+      if (!cancelled.delete(message.jobId) && !closed) {
+        port.postMessage({ type: 'UNAVAILABLE', jobId: message.jobId, error: error.message });
+      }
+      return;
+    } finally {
+      starting.delete(message.jobId);
+    }
+
+    // Cancelled or abandoned while the worker host was starting
+    if (cancelled.delete(message.jobId) || closed) return;
+
+    jobIds.add(message.jobId);
+    analysisJobs.set(message.jobId, port);
+    offscreenPort.postMessage(message);
+  });
+
+  port.onDisconnect.addListener(() => {
+    closed = true;
+    for (const jobId of jobIds) {
+      analysisJobs.delete(jobId);
+      offscreenPort?.postMessage({ type: 'CANCEL', jobId });
+    }
+  });
+}
+
+function attachOffscreen(port) {
+  offscreenPort = port;
+  settleOffscreenReady?.resolve();
+
+  port.onMessage.addListener((message) => {
+    const target = analysisJobs.get(message.jobId);
+    if (message.type === 'DONE' || message.type === 'ERROR') {
+      analysisJobs.delete(message.jobId);
+    }
+    try {
+      target?.postMessage(message);
+    } catch {
+      // Page went away between result and delivery
+      analysisJobs.delete(message.jobId);
+    }
+  });
+
+  // The document was closed — fail its jobs so their pages fall back
+  port.onDisconnect.addListener(() => {
+    offscreenPort = null;
+    offscreenReady = null;
+    for (const [jobId, target] of analysisJobs) {
+      try {
+        target.postMessage({ type: 'ERROR', jobId, error: 'Analysis worker closed' });
+      } catch {
+        // Page already gone
+      }
+    }
+    analysisJobs.clear();
+  });
+}
+
+/**
+ * Create the offscreen document on first use and wait for it to connect
+ */
+function ensureOffscreen() {
+  if (!chrome.offscreen) {
+    return Promise.reject(new Error('Offscreen documents are not supported'));
+  }
+  if (offscreenPort) return Promise.resolve();
+
+  if (!offscreenReady) {
+    offscreenReady = new Promise((resolve, reject) => { settleOffscreenReady = { resolve, reject }; });
+    chrome.offscreen.createDocument({
+      url: OFFSCREEN_URL,
+      reasons: ['WORKERS'],
+      justification: 'Runs review analysis in a worker so pages stay responsive',
+    }).catch((error) => {
+      // Already open (e.g. service worker restarted) — it reconnects on its own
+      if (/single offscreen document/i.test(error.message)) return;
+      console.warn('[DID] Could not create offscreen document:', error);
+      offscreenReady = null;
+      settleOffscreenReady.reject(error);
+    });
+  }
+
+  // Do not wait forever if the document never connects
+  return Promise.race([
+    offscreenReady,
+    new Promise((_, reject) => setTimeout(() => reject(new Error('Offscreen document did not start')), 5000)),
+  ]);
+}
+
 // ============================================================
 // PERIODIC TASKS
 // ============================================================
@@ -105,6 +276,11 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
   if (alarm.name === 'dailyCleanup') {
     const removed = await storage.cleanupOldCache();
     console.log(`[DID] Cache cleanup: removed ${removed} old entries`);
+
+    reviewerIndexWrite = reviewerIndexWrite.then(async () => {
+      const pruned = await storage.pruneReviewerIndex();
+      console.log(`[DID] Reviewer index: pruned ${pruned} reviewers`);
+    }).catch((error) => console.warn('[DID] Reviewer index prune failed:', error));
   }
 });
 
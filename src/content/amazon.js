@@ -11,11 +11,14 @@
  * markup, only the selectors need updating.
  */
 
-import { TextAnalyzer, BatchTextAnalyzer } from '../analysis/TextAnalyzer.js';
 import { AccountAnalyzer, ReviewerProfile } from '../analysis/AccountAnalyzer.js';
+import { serializeReview } from '../analysis/AnalysisPipeline.js';
 import { TrustScorer } from '../analysis/TrustScorer.js';
+import { signalRegistry, mergeSignals, averageSignals, averageByCategory } from '../analysis/SignalRegistry.js';
 import { OverlayRenderer } from '../utils/OverlayRenderer.js';
 import { StorageManager } from '../utils/StorageManager.js';
+import { AnalysisClient } from '../utils/AnalysisClient.js';
+import { ProfileEnricher } from '../utils/ProfileEnricher.js';
 
 // ============================================================
 // AMAZON DOM SELECTORS (centralized for maintainability)
@@ -31,6 +34,7 @@ const SELECTORS = {
   reviewerName: '.a-profile-name',
   reviewerProfileLink: '.a-profile',
   verifiedPurchase: '[data-hook="avp-badge"]',
+  vineBadge: '[data-hook="vine-badge"], .a-color-success.a-text-bold',  // Text must mention Vine
   helpfulCount: '[data-hook="helpful-vote-statement"]',
 
   // Product-level review summary
@@ -40,24 +44,116 @@ const SELECTORS = {
 
   // Product info
   productTitle: '#productTitle',
+  featureBullets: '#feature-bullets li .a-list-item, #featurebullets_feature_div li .a-list-item',
+  breadcrumb: '#wayfinding-breadcrumbs_feature_div li a, #wayfinding-breadcrumbs_container li a',
   productASIN: '[data-asin]',
 };
 
+// Public reviewer profile page (/gp/profile/amzn1.account.…), used by the
+// opt-in profile enrichment
+const PROFILE_SELECTORS = {
+  bio: '[data-hook="profile-bio"], .bio-expander .a-expander-content',
+  location: '[data-hook="profile-location"], .location-and-occupation-holder .a-size-base',
+  avatar: '#avatar-image, .avatar-image-container img',
+  stat: '.impact-cell, .dashboard-desktop-stat',   // "1,234 Helpful votes", "56 Reviews"
+  reviewCard: '[data-hook="profile-review-card"], .your-content-card-wrapper, .profile-at-card',
+  reviewRating: '.a-icon-star .a-icon-alt, .a-icon-alt',
+  reviewDate: '[data-hook="review-date"], .profile-at-review-date, .a-profile-descriptor',
+  reviewCategory: '[data-hook="product-category"], .profile-at-product-category',
+};
+
+// ============================================================
+// LOCALIZED TEXT PATTERNS (amazon.com / .co.uk / .ca / .de / .fr / .es)
+// ============================================================
+const LOCALE_PATTERNS = {
+  // "4.0 out of 5 stars", "4,0 von 5 Sternen", "4,0 sur 5 étoiles", "4,0 de 5 estrellas"
+  rating: /([\d.,]+)\s*(?:out\s*of|von|sur|de)\s*5/i,
+  // "... on March 3, 2024", "... vom 3. März 2024", "... le 3 mars 2024", "... el 3 de marzo de 2024"
+  date: /(?:^|\s)(?:on|vom|le|el)\s+(.+)$/i,
+  // "3. März 2024", "3 mars 2024", "3 de marzo de 2024"
+  localDate: /(\d{1,2})\.?\s+(?:de\s+)?(\p{L}+)\.?\s+(?:de\s+)?(\d{4})/u,
+  // "12 people found this helpful", "12 Personen fanden das hilfreich",
+  // "12 personnes ont trouvé cela utile", "A 12 personas les ha parecido esto útil"
+  helpful: /(\d+)\s+(?:people?|personen|personnes|personas)\b/i,
+  // Profile stat labels: "Helpful votes" / "Reviews"
+  profileHelpful: /helpful|hilfreich|utiles?|útiles?/i,
+  profileReviews: /reviews?|rezensionen|bewertungen|avis|commentaires|reseñas|opiniones/i,
+  // Profile URL → stable account id
+  profileId: /\/profile\/(amzn1\.account\.[A-Z0-9]+)/i,
+  // Placeholder names shared by many accounts — useless as a reviewer key
+  genericReviewer: /^(?:(?:amazon|kindle) (?:customer|kunde)|client d'amazon|cliente de amazon)$/i,
+  months: {
+    januar: 1, janvier: 1, enero: 1,
+    februar: 2, février: 2, febrero: 2,
+    märz: 3, mars: 3, marzo: 3,
+    april: 4, avril: 4, abril: 4,
+    mai: 5, mayo: 5,
+    juni: 6, juin: 6, junio: 6,
+    juli: 7, juillet: 7, julio: 7,
+    august: 8, août: 8, agosto: 8,
+    september: 9, septembre: 9, septiembre: 9, setiembre: 9,
+    oktober: 10, octobre: 10, octubre: 10,
+    november: 11, novembre: 11, noviembre: 11,
+    dezember: 12, décembre: 12, diciembre: 12,
+  },
+};
+
 // ============================================================
 // MAIN CONTROLLER
 // ============================================================
-class AmazonAnalyzer {
+export class AmazonAnalyzer {
   constructor() {
-    this.textAnalyzer = new TextAnalyzer();
-    this.batchAnalyzer = new BatchTextAnalyzer();
-    this.accountAnalyzer = new AccountAnalyzer();
+    this.analysisClient = new AnalysisClient();
+    this.accountAnalyzer = new AccountAnalyzer();   // Re-scores enriched profiles
     this.trustScorer = new TrustScorer();
     this.renderer = new OverlayRenderer();
     this.storage = new StorageManager();
+    this.profileEnricher = new ProfileEnricher({
+      platform: 'amazon',
+      storage: this.storage,
+      parse: (doc) => this._parseProfilePage(doc),
+    });
+    this.generation = 0;    // Bumped on a new page; stale runs stop
     this.isRunning = false;
+
+    // Signals from the last analysis, kept so the page can be re-scored
+    // without re-analyzing when the sensitivity profile changes
+    this.scoredReviews = [];
+    this.overallSignals = null;
+    this.productMeta = null;
+    this.pagePath = null;   // Path the running / last analysis belongs to
+    this.incentiveSignal = null;
+    this.verifiedComparison = null;   // Verified vs. unverified summary for the product badge
+
+    // Whether incentivized reviews lower the product score (user setting)
+    this.countIncentivized = true;
+
+    // Whether evidence phrases are highlighted in review text (user setting)
+    this.highlightEvidence = true;
+
+    // Whether reviewer profile pages are fetched for account signals (user setting)
+    this.enrichProfiles = false;
+
+    // Whether reviewers are remembered across products (user setting)
+    this.rememberReviewers = true;
   }
 
   async init() {
+    // Score with the user's sensitivity profile and follow later changes
+    const settings = await this.storage.getSettings();
+    this.trustScorer = TrustScorer.fromSettings(settings);
+    this.countIncentivized = settings.countIncentivized !== false;
+    this.highlightEvidence = settings.highlightEvidence !== false;
+    this.enrichProfiles = settings.enrichProfiles === true;
+    this.rememberReviewers = settings.rememberReviewers !== false;
+    this.storage.onSettingsChanged((updated) => this._applySettings(updated));
+
+    // Results for a page that is being left are never needed
+    window.addEventListener('pagehide', () => {
+      this.analysisClient.cancel();
+      this.profileEnricher.cancel();
+    });
+
     // Check if we're on a page with reviews (product page OR all-reviews page)
     const hasReviewList = document.querySelector(SELECTORS.reviewList);
     const hasReviewCards = document.querySelectorAll(SELECTORS.reviewCard).length > 0;
@@ -76,94 +172,255 @@ class AmazonAnalyzer {
   async run() {
     if (this.isRunning) return;
     this.isRunning = true;
+    const generation = this.generation;
 
     try {
       // 1. Extract all review data from the page
       const reviews = this._extractReviews();
-      if (reviews.length === 0) {
-        this.isRunning = false;
-        return;
-      }
+      if (reviews.length === 0) return;
 
       // 2. Extract product-level metadata
       const productMeta = this._extractProductMeta();
-
-      // 3. Run individual text analysis on each review
-      const textResults = reviews.map(r => this.textAnalyzer.analyze(r.text));
-
-      // 4. Run batch text analysis (cross-review patterns)
-      const batchTextResults = this.batchAnalyzer.analyzeBatch(
-        reviews.map(r => r.text)
-      );
-
-      // 5. Run account analysis on reviewer profiles
-      const accountResults = this.accountAnalyzer.analyzeBatch(
-        reviews.map(r => r.profile)
-      );
-
-      // 6. Analyze rating distribution
-      const ratingDistribution = this._analyzeRatingDistribution(productMeta);
-
-      // 7. Score each review individually
-      const reviewScores = reviews.map((review, i) => {
-        const signals = {
-          text: textResults[i],
-          account: accountResults.individual[i],
-          behavioral: {
-            timingCluster: accountResults.batch.timingCluster,
-            ratingDistribution: ratingDistribution,
-          },
-        };
-
-        return {
-          review,
-          result: this.trustScorer.computeScore(signals),
-          element: review.element,
-        };
+      this.pagePath = window.location.pathname;
+
+      // 2b. Fill in reviewer profiles fetched on earlier visits
+      if (this.enrichProfiles) await this._applyCachedProfiles(reviews);
+
+      // 2c. Attach what these reviewers wrote on other products
+      if (this.rememberReviewers) await this._applyReviewerHistory(reviews, productMeta.asin);
+      if (generation !== this.generation) return;  // Page changed
+
+      // 3. Run any detectors registered with the signal registry. They
+      //    may read the review's element, so they stay in the page
+      const registeredItems = reviews.map(r => signalRegistry.runItem(r));
+
+      // 4. Analyze in the worker. Each review gets a provisional badge as
+      //    soon as its own results arrive
+      const output = await this.analysisClient.analyze({
+        reviews: reviews.map(serializeReview),
+        product: productMeta,
+      }, {
+        onReview: (i, item) => {
+          const signals = this._itemSignals(item, registeredItems[i]);
+          this.renderer.renderReviewBadge(this.trustScorer.computeScore(signals), reviews[i].element);
+        },
       });
+      if (!output || generation !== this.generation) return;  // Cancelled — the page changed
+      const { items, batch } = output;
 
-      // 8. Compute overall product trust score
-      const overallSignals = {
-        text: this._aggregateSignals(textResults),
+      // 5. Run registered page-level detectors
+      const registeredBatch = signalRegistry.runBatch(reviews);
+
+      // 6. Collect the signals for each review, now with page-level patterns
+      const pageSignals = mergeSignals({
+        behavioral: {
+          timingCluster: batch.timingCluster,
+          ratingDistribution: batch.ratingDistribution,
+        },
+      }, registeredBatch);
+      this.scoredReviews = reviews.map((review, i) => ({
+        review,
+        element: review.element,
+        signals: mergeSignals(this._itemSignals(items[i], registeredItems[i]), pageSignals),
+        pageSignals,   // The product-wide part, left out of the reviewer index
+        result: null,
+      }));
+
+      // 7. Collect the overall product signals
+      this.overallSignals = {
+        text: averageSignals(items.map(item => item.text)),
         behavioral: {
-          timingCluster: accountResults.batch.timingCluster,
-          coordinatedLanguage: batchTextResults.batch.coordinatedLanguage,
-          ratingDistribution: ratingDistribution,
+          timingCluster: batch.timingCluster,
+          coordinatedLanguage: batch.coordinatedLanguage,
+          sharedAuthorship: batch.sharedAuthorship,
+          ratingDistribution: batch.ratingDistribution,
+          displayedRatings: batch.displayedRatings,
+          ratingMismatchRate: batch.ratingMismatchRate,
+          unverifiedFiveStar: batch.verifiedPurchase.unverifiedFiveStar,
+          verifiedRatingGap: batch.verifiedPurchase.verifiedRatingGap,
+          unverifiedBurst: batch.verifiedPurchase.unverifiedBurst,
         },
-        account: this._aggregateSignals(accountResults.individual),
+        account: averageSignals(items.map(item => item.account)),
       };
-      const overallScore = this.trustScorer.computeScore(overallSignals);
+      mergeSignals(
+        this.overallSignals,
+        averageByCategory(registeredItems),
+        registeredBatch
+      );
+      this.incentiveSignal = batch.incentiveDisclosure;
+      this.verifiedComparison = batch.verifiedPurchase.comparison;
+      this.productMeta = productMeta;
 
-      // 9. Render overlays
-      this.renderer.renderProductBadge(overallScore, productMeta);
-      for (const scored of reviewScores) {
-        this.renderer.renderReviewBadge(scored.result, scored.element);
-      }
+      // 8. Score, render, cache and report
+      await this._scoreAndRender();
+      if (generation !== this.generation) return;
 
-      // 10. Cache results
-      if (productMeta.asin) {
-        await this.storage.cacheResult(productMeta.asin, {
-          overall: overallScore.toJSON(),
-          reviewCount: reviews.length,
-          timestamp: Date.now(),
-        });
-      }
+      // 9. Mark reviews that are near-duplicates or share one writer
+      this._markReviewGroups(reviews, batch);
 
-      // 11. Store for popup retrieval and report to background for icon update
-      lastPageScore = overallScore;
-      chrome.runtime.sendMessage({
-        type: 'PAGE_SCORED',
-        data: {
-          url: window.location.href,
-          score: overallScore.toJSON(),
-          platform: 'amazon',
-        },
-      });
+      // 10. Highlight the phrases behind the text signals
+      this._renderHighlights(this.scoredReviews);
+
+      // 11. Fetch missing reviewer profiles in the background
+      if (this.enrichProfiles) this._enrichProfiles(this.scoredReviews);
+
+      // 12. Remember these reviewers for the next product
+      if (this.rememberReviewers) this._recordReviewers(this.scoredReviews);
 
     } catch (error) {
       console.error('[DID] Amazon analysis error:', error);
     } finally {
-      this.isRunning = false;
+      // A restart for a new page already owns the flag
+      if (generation === this.generation) this.isRunning = false;
+    }
+  }
+
+  /**
+   * Signals of one review from its own analysis results
+   * @param {Object} item - Per-review output of AnalysisPipeline
+   * @param {Object} registered - signalRegistry.runItem() output for the review
+   */
+  _itemSignals(item, registered) {
+    return mergeSignals({
+      text: item.text,
+      account: item.account,
+      behavioral: {
+        incentiveDisclosure: item.incentiveDisclosure,
+        ratingMismatch: item.ratingMismatch,
+        verifiedPurchase: item.verifiedPurchase,
+      },
+    }, registered);
+  }
+
+  /**
+   * Score the collected signals with the current scorer, then render,
+   * cache and report the results
+   * @param {boolean} rescored - True when only the scoring profile changed
+   */
+  async _scoreAndRender(rescored = false) {
+    const overallScore = this.trustScorer.computeScore(this._productSignals());
+
+    this.renderer.renderProductBadge(overallScore, this.productMeta, {
+      verifiedComparison: this.verifiedComparison,
+    });
+    for (const scored of this.scoredReviews) {
+      scored.result = this.trustScorer.computeScore(scored.signals);
+      this.renderer.renderReviewBadge(scored.result, scored.element);
+    }
+
+    if (this.productMeta.asin) {
+      await this.storage.cacheResult(this.productMeta.asin, {
+        overall: overallScore.toJSON(),
+        reviewCount: this.scoredReviews.length,
+        timestamp: Date.now(),
+      });
+    }
+
+    // Store for popup retrieval and report to background for icon update
+    lastPageScore = overallScore;
+    chrome.runtime.sendMessage({
+      type: 'PAGE_SCORED',
+      data: {
+        url: window.location.href,
+        score: overallScore.toJSON(),
+        platform: 'amazon',
+        rescored,
+      },
+    });
+  }
+
+  /**
+   * Label reviews that fall in the same near-duplicate cluster or
+   * shared-authorship group
+   */
+  _markReviewGroups(reviews, batch) {
+    const clusters = batch.coordinatedLanguage?.clusters || [];
+    this.renderer.markReviewGroups(clusters.map((cluster, i) => ({
+      elements: cluster.members.map(index => reviews[index].element),
+      title: `Near-duplicate group ${i + 1}: ${cluster.size} reviews, ${Math.round(cluster.similarity * 100)}% similar`,
+    })), { kind: 'duplicate', label: 'Copy' });
+
+    const authorGroups = batch.sharedAuthorship?.groups || [];
+    this.renderer.markReviewGroups(authorGroups.map((group, i) => ({
+      elements: group.members.map(index => reviews[index].element),
+      title: `Writing style group ${i + 1}: ${group.size} reviews by different accounts`
+        + (group.authors.length > 0 ? ` (${group.authors.join(', ')})` : ''),
+    })), { kind: 'author', label: 'Writer' });
+  }
+
+  /**
+   * Highlight evidence spans in each review body, or remove the
+   * highlights when the user has turned them off
+   */
+  _renderHighlights(scoredReviews) {
+    for (const scored of scoredReviews) {
+      const { bodyElement, bodyStart, bodyIndent } = scored.review;
+      if (!bodyElement) continue;
+
+      if (!this.highlightEvidence) {
+        this.renderer.clearHighlights(bodyElement);
+        continue;
+      }
+
+      // Analyzed text is "title body" — shift spans onto the body and drop
+      // those in the title
+      const spans = Object.values(scored.signals)
+        .flatMap(category => Object.values(category || {}))
+        .flatMap(signal => signal?.evidence || [])
+        .filter(span => span.start >= bodyStart)
+        .map(span => ({
+          ...span,
+          start: span.start - bodyStart + bodyIndent,
+          end: span.end - bodyStart + bodyIndent,
+        }));
+      this.renderer.highlightEvidence(bodyElement, spans);
+    }
+  }
+
+  /**
+   * Product-level signals, with the incentivized-review share added when
+   * the user wants those reviews to count against the product
+   */
+  _productSignals() {
+    if (!this.countIncentivized || !this.incentiveSignal) {
+      return this.overallSignals;
+    }
+    return mergeSignals({}, this.overallSignals, {
+      behavioral: { incentiveDisclosure: this.incentiveSignal },
+    });
+  }
+
+  /**
+   * Rebuild the scorer when the sensitivity, scoring method or incentive
+   * setting changes and re-score whatever has already been analyzed.
+   * Toggling highlights only redraws them; turning on profile enrichment
+   * starts fetching for the reviews already on the page. Remembering
+   * reviewers applies from the next analysis.
+   */
+  _applySettings(settings) {
+    const highlightEvidence = settings.highlightEvidence !== false;
+    if (highlightEvidence !== this.highlightEvidence) {
+      this.highlightEvidence = highlightEvidence;
+      this._renderHighlights(this.scoredReviews);
+    }
+
+    const enrichProfiles = settings.enrichProfiles === true;
+    if (enrichProfiles !== this.enrichProfiles) {
+      this.enrichProfiles = enrichProfiles;
+      if (!enrichProfiles) this.profileEnricher.cancel();
+      else if (this.overallSignals) this._enrichProfiles(this.scoredReviews);
+    }
+
+    this.rememberReviewers = settings.rememberReviewers !== false;
+
+    const scorer = TrustScorer.fromSettings(settings);
+    const countIncentivized = settings.countIncentivized !== false;
+    if (scorer.isEquivalent(this.trustScorer) && countIncentivized === this.countIncentivized) return;
+
+    this.trustScorer = scorer;
+    this.countIncentivized = countIncentivized;
+    if (this.overallSignals && !this.isRunning) {
+      this._scoreAndRender(true);
     }
   }
 
@@ -176,65 +433,43 @@ class AmazonAnalyzer {
     const reviews = [];
 
     for (const el of reviewElements) {
-      try {
-        const bodyEl = el.querySelector(SELECTORS.reviewBody);
-        const titleEl = el.querySelector(SELECTORS.reviewTitle);
-        const ratingEl = el.querySelector(SELECTORS.reviewRating);
-        const dateEl = el.querySelector(SELECTORS.reviewDate);
-        const nameEl = el.querySelector(SELECTORS.reviewerName);
-        const profileLink = el.querySelector(SELECTORS.reviewerProfileLink);
-        const verifiedEl = el.querySelector(SELECTORS.verifiedPurchase);
-        const helpfulEl = el.querySelector(SELECTORS.helpfulCount);
-
-        const text = [
-          titleEl?.textContent?.trim() || '',
-          bodyEl?.textContent?.trim() || '',
-        ].join(' ').trim();
-
-        if (!text) continue;
-
-        // Parse rating from "X.0 out of 5 stars" format
-        const ratingText = ratingEl?.textContent || '';
-        const ratingMatch = ratingText.match(/([\d.]+)\s*out\s*of\s*5/);
-        const rating = ratingMatch ? parseFloat(ratingMatch[1]) : null;
-
-        // Parse date
-        const dateText = dateEl?.textContent || '';
-        const dateMatch = dateText.match(/on\s+(.+)$/);
-        const reviewDate = dateMatch ? dateMatch[1].trim() : null;
-
-        // Parse helpful count
-        const helpfulText = helpfulEl?.textContent || '';
-        const helpfulMatch = helpfulText.match(/(\d+)\s+people?\s+found/);
-        const helpfulCount = helpfulMatch ? parseInt(helpfulMatch[1]) : 0;
-
-        // Build reviewer profile
-        const profile = new ReviewerProfile({
-          displayName: nameEl?.textContent?.trim() || null,
-          verifiedPurchase: !!verifiedEl,
-          helpfulVotes: helpfulCount,
-          reviewDate: reviewDate,
-          ratings: rating !== null ? [rating] : [],
-        });
-
-        reviews.push({
-          text,
-          title: titleEl?.textContent?.trim() || '',
-          rating,
-          date: reviewDate,
-          helpfulCount,
-          verifiedPurchase: !!verifiedEl,
-          profile,
-          element: el, // Keep reference for overlay injection
-        });
-      } catch (e) {
-        console.warn('[DID] Failed to extract review:', e);
-      }
+      const review = this._extractSingleReview(el);
+      if (review) reviews.push(review);
     }
 
     return reviews;
   }
 
+  /**
+   * Parse the star rating from e.g. "4.0 out of 5 stars" or "4,0 von 5 Sternen"
+   */
+  _parseRating(ratingText) {
+    const match = ratingText.match(LOCALE_PATTERNS.rating);
+    if (!match) return null;
+    const rating = parseFloat(match[1].replace(',', '.'));
+    return isNaN(rating) ? null : rating;
+  }
+
+  /**
+   * Parse the review date line. English dates are kept as written (Date can
+   * parse them); German, French and Spanish dates are converted to ISO.
+   */
+  _parseReviewDate(dateText) {
+    const match = dateText.match(LOCALE_PATTERNS.date);
+    return match ? this._parseLocalDate(match[1].trim()) : null;
+  }
+
+  _parseLocalDate(raw) {
+    const local = raw.match(LOCALE_PATTERNS.localDate);
+    const month = local && LOCALE_PATTERNS.months[local[2].toLowerCase()];
+    if (month) {
+      const pad = (n) => String(n).padStart(2, '0');
+      return `${local[3]}-${pad(month)}-${pad(local[1])}`;
+    }
+
+    return raw;
+  }
+
   _extractProductMeta() {
     const titleEl = document.querySelector(SELECTORS.productTitle);
     const ratingEl = document.querySelector(SELECTORS.overallRating);
@@ -256,12 +491,27 @@ class AmazonAnalyzer {
       }
     }
 
+    // Feature bullets and category path, for the relevance check
+    const features = [...document.querySelectorAll(SELECTORS.featureBullets)]
+      .map(el => el.textContent.trim())
+      .filter(Boolean);
+    const breadcrumb = [...document.querySelectorAll(SELECTORS.breadcrumb)]
+      .map(el => el.textContent.trim())
+      .filter(Boolean);
+
+    // A star filter on the reviews page makes the shown ratings unrepresentative
+    const starFilter = new URLSearchParams(window.location.search).get('filterByStar');
+
     return {
       title: titleEl?.textContent?.trim() || 'Unknown Product',
       overallRating: ratingEl?.textContent?.trim() || null,
       totalReviews: countEl?.textContent?.trim() || null,
+      reviewCount: countEl ? this._parseCount(countEl.textContent) : null,
       asin: asinEl?.getAttribute('data-asin') || this._extractASIN(),
       histogram,
+      reviewsFiltered: !!starFilter && starFilter !== 'all_stars',
+      features,
+      breadcrumb,
       url: window.location.href,
     };
   }
@@ -273,81 +523,204 @@ class AmazonAnalyzer {
   }
 
   // ============================================================
-  // ANALYSIS HELPERS
+  // REVIEWER HISTORY (local index across products)
   // ============================================================
 
   /**
-   * Analyze the rating distribution for J-curve or anomalies
-   * Real products tend to have J-shaped distributions (many 5, some 1, fewer middle)
-   * Fake review campaigns create unnatural spikes
+   * Stable key for a reviewer: the profile id, or the display name when
+   * there is no profile link. Placeholder names are not keyed.
    */
-  _analyzeRatingDistribution(productMeta) {
-    const histogram = productMeta.histogram;
-    if (!histogram || Object.keys(histogram).length < 3) return null;
+  _reviewerKey(review) {
+    if (review.profileId) return review.profileId;
+    const name = review.profile?.displayName;
+    if (!name || LOCALE_PATTERNS.genericReviewer.test(name)) return null;
+    return `name:${name}`;
+  }
 
-    // Check for suspiciously high 5-star concentration
-    const fiveStarPct = histogram[5] || 0;
-    const oneStarPct = histogram[1] || 0;
-    const middlePct = (histogram[2] || 0) + (histogram[3] || 0) + (histogram[4] || 0);
+  /**
+   * Set each reviewer's history on other products, before analysis
+   */
+  async _applyReviewerHistory(reviews, asin) {
+    const keys = reviews.map(r => this._reviewerKey(r));
+    const history = await this.storage.getReviewerHistory('amazon', keys.filter(Boolean));
+    reviews.forEach((review, i) => {
+      review.profile.history = (history[keys[i]] || []).filter(seen => seen.product !== asin);
+    });
+  }
 
-    // Completely lopsided (95%+ five star) is suspicious
-    if (fiveStarPct > 90 && middlePct < 5) {
-      return {
-        score: 0.2,
-        detail: `${fiveStarPct}% five-star reviews with almost no middle ratings — unusual distribution`,
-      };
+  /**
+   * Add the page's reviewers to the index. The stored score only uses the
+   * review's own signals: product-wide results (bursts, the rating
+   * histogram) say nothing about one reviewer, and the reputation signal
+   * would let one low score keep feeding on itself.
+   */
+  _recordReviewers(scoredReviews) {
+    if (!this.productMeta?.asin) return;
+
+    const reviewers = [];
+    for (const scored of scoredReviews) {
+      const key = this._reviewerKey(scored.review);
+      if (!key) continue;
+
+      const ownSignals = {};
+      for (const [category, signals] of Object.entries(scored.signals)) {
+        const page = scored.pageSignals?.[category] || {};
+        ownSignals[category] = Object.fromEntries(Object.entries(signals)
+          .filter(([name]) => !(name in page) && name !== 'reviewerReputation'));
+      }
+      const own = this.trustScorer.computeScore(ownSignals);
+      reviewers.push({
+        key,
+        name: scored.review.profile.displayName,
+        rating: scored.review.rating,
+        score: own.score,
+        level: own.level,
+      });
     }
+    if (reviewers.length === 0) return;
+
+    chrome.runtime.sendMessage({
+      type: 'RECORD_REVIEWERS',
+      data: {
+        platform: 'amazon',
+        product: { id: this.productMeta.asin, title: this.productMeta.title },
+        reviewers,
+      },
+    });
+  }
 
-    // Very high 5-star with zero 1-star is mildly suspicious
-    if (fiveStarPct > 80 && oneStarPct < 2) {
-      return {
-        score: 0.4,
-        detail: 'Unusually concentrated positive ratings',
+  // ============================================================
+  // PROFILE ENRICHMENT (opt-in)
+  // ============================================================
+
+  /**
+   * Merge already cached profiles into the scraped ones, before analysis
+   */
+  async _applyCachedProfiles(reviews) {
+    const cached = await Promise.all(reviews.map(r => this.profileEnricher.getCached(r.profileId)));
+    cached.forEach((data, i) => {
+      if (data) this._mergeProfile(reviews[i], data);
+    });
+  }
+
+  /**
+   * Fetch the profiles that were not cached, one at a time, re-scoring each
+   * review as its profile arrives and the product once all are done
+   */
+  async _enrichProfiles(scoredReviews) {
+    const page = this.scoredReviews;
+    let updated = false;
+
+    for (const scored of scoredReviews) {
+      const { review } = scored;
+      if (review.profileEnriched || !review.profileId) continue;
+
+      const data = await this.profileEnricher.enrich(review.profileId, review.profileUrl);
+      if (this.scoredReviews !== page || !this.enrichProfiles) return;  // Page changed or opted out
+      if (!data) continue;
+
+      this._mergeProfile(review, data);
+      scored.signals.account = {
+        ...scored.signals.account,
+        ...this.accountAnalyzer.analyze(review.profile),
       };
+      scored.result = this.trustScorer.computeScore(scored.signals);
+      this.renderer.renderReviewBadge(scored.result, scored.element);
+      updated = true;
     }
 
-    // Bimodal distribution (lots of 5 and 1, nothing in middle) might indicate
-    // fake positives competing with real negatives
-    if (fiveStarPct > 50 && oneStarPct > 25 && middlePct < 15) {
-      return {
-        score: 0.35,
-        detail: 'Polarized ratings with few middle reviews — possible fake positive campaign',
-      };
+    if (updated && this.overallSignals) {
+      this.overallSignals.account = averageSignals(
+        this.scoredReviews.map(s => s.signals.account || {})
+      );
+      await this._scoreAndRender(true);
     }
+  }
 
-    return { score: 0.8, detail: null };
+  /**
+   * Replace the scraped profile with the fuller public one, keeping what
+   * belongs to this review (its date and verified badge)
+   */
+  _mergeProfile(review, data) {
+    const current = review.profile;
+    const found = Object.fromEntries(Object.entries(data)
+      .filter(([, value]) => value !== null && !(Array.isArray(value) && value.length === 0)));
+    review.profile = new ReviewerProfile({
+      ...current,
+      ...found,
+      displayName: current.displayName || data.displayName,
+      reviewDate: current.reviewDate,
+      verifiedPurchase: current.verifiedPurchase,
+    });
+    review.profileEnriched = true;
   }
 
   /**
-   * Aggregate individual signal results into a category average
+   * Parse a fetched profile page into ReviewerProfile fields
+   * @param {Document} doc
+   * @returns {Object|null} null when nothing usable was found (e.g. a captcha page)
    */
-  _aggregateSignals(signalArrays) {
-    const aggregated = {};
-    const counts = {};
-
-    for (const signals of signalArrays) {
-      for (const [key, value] of Object.entries(signals)) {
-        if (value === null || value === undefined) continue;
-        const score = typeof value === 'object' ? value.score : value;
-        if (score === null || score === undefined) continue;
-
-        if (!aggregated[key]) {
-          aggregated[key] = 0;
-          counts[key] = 0;
-        }
-        aggregated[key] += score;
-        counts[key]++;
-      }
+  _parseProfilePage(doc) {
+    const text = (el) => el?.textContent?.trim() || null;
+
+    const stats = {};
+    for (const cell of doc.querySelectorAll(PROFILE_SELECTORS.stat)) {
+      const label = cell.textContent || '';
+      const value = this._parseCount(label);
+      if (value === null) continue;
+      if (LOCALE_PATTERNS.profileHelpful.test(label)) stats.helpfulVotes = value;
+      else if (LOCALE_PATTERNS.profileReviews.test(label)) stats.totalReviews = value;
     }
 
-    const result = {};
-    for (const key of Object.keys(aggregated)) {
-      result[key] = {
-        score: aggregated[key] / counts[key],
-        detail: null,
-      };
-    }
-    return result;
+    const cards = [...doc.querySelectorAll(PROFILE_SELECTORS.reviewCard)];
+    const ratings = cards
+      .map(card => this._parseRating(text(card.querySelector(PROFILE_SELECTORS.reviewRating)) || ''))
+      .filter(rating => rating !== null);
+    const reviewDates = cards
+      .map(card => {
+        const raw = text(card.querySelector(PROFILE_SELECTORS.reviewDate)) || '';
+        const date = this._parseReviewDate(raw) || this._parseLocalDate(raw);
+        return date && !isNaN(Date.parse(date)) ? date : null;
+      })
+      .filter(Boolean);
+    const reviewCategories = cards
+      .map(card => text(card.querySelector(PROFILE_SELECTORS.reviewCategory)))
+      .filter(Boolean);
+
+    const bio = text(doc.querySelector(PROFILE_SELECTORS.bio));
+    const location = text(doc.querySelector(PROFILE_SELECTORS.location));
+    const avatarUrl = doc.querySelector(PROFILE_SELECTORS.avatar)?.getAttribute('src') || null;
+
+    if (!bio && !location && cards.length === 0 && Object.keys(stats).length === 0) return null;
+
+    // Only the most recent reviews are listed; the oldest listed one is the
+    // first review only if the whole history is on the page
+    const complete = stats.totalReviews && reviewDates.length >= stats.totalReviews;
+    const firstReviewDate = complete
+      ? reviewDates.reduce((a, b) => (Date.parse(a) <= Date.parse(b) ? a : b))
+      : null;
+
+    return {
+      bio,
+      location,
+      avatarUrl,
+      totalReviews: stats.totalReviews ?? null,
+      helpfulVotes: stats.helpfulVotes ?? null,
+      ratings,
+      reviewDates,
+      reviewCategories,
+      firstReviewDate,
+    };
+  }
+
+  /**
+   * "1,234", "1.234" or "1.2K" → number
+   */
+  _parseCount(label) {
+    const match = label.match(/(\d[\d.,]*)\s?([kK](?!\p{L}))?/u);
+    if (!match) return null;
+    if (match[2]) return Math.round(parseFloat(match[1].replace(',', '.')) * 1000);
+    return parseInt(match[1].replace(/[.,]/g, ''), 10);
   }
 
   // ============================================================
@@ -394,6 +767,13 @@ class AmazonAnalyzer {
     let debounceTimer = null;
 
     const observer = new MutationObserver((mutations) => {
+      // A different product (e.g. another variant) was loaded in place
+      if (this._pageChanged()) {
+        clearTimeout(debounceTimer);
+        debounceTimer = setTimeout(() => this._restartForNewPage(), 500);
+        return;
+      }
+
       // Check if any new review cards appeared
       const allReviews = document.querySelectorAll(SELECTORS.reviewCard);
       let hasNew = false;
@@ -437,10 +817,34 @@ class AmazonAnalyzer {
     });
   }
 
+  /**
+   * True when the URL path no longer matches the analyzed page, e.g. after
+   * switching to another product variant without a page load
+   */
+  _pageChanged() {
+    return this.pagePath !== null && window.location.pathname !== this.pagePath;
+  }
+
+  /**
+   * Drop the stale job and results and analyze the new page from scratch
+   */
+  _restartForNewPage() {
+    this.generation++;
+    this.analysisClient.cancel();
+    this.profileEnricher.cancel();
+    this.pagePath = null;
+    this.scoredReviews = [];
+    this.overallSignals = null;
+    this._analyzedReviews.clear();
+    document.querySelectorAll(SELECTORS.reviewCard).forEach(el => this._analyzedReviews.add(el));
+    this.isRunning = false;
+    this.run();
+  }
+
   /**
    * Analyze only newly added reviews without re-processing existing ones
    */
-  _analyzeNewReviews() {
+  async _analyzeNewReviews() {
     if (this.isRunning) return;
 
     const allReviews = document.querySelectorAll(SELECTORS.reviewCard);
@@ -456,6 +860,7 @@ class AmazonAnalyzer {
     if (newElements.length === 0) return;
 
     this.isRunning = true;
+    const generation = this.generation;
 
     try {
       // Extract and analyze only new reviews
@@ -465,30 +870,43 @@ class AmazonAnalyzer {
         if (review) reviews.push(review);
       }
 
-      if (reviews.length === 0) {
-        this.isRunning = false;
-        return;
-      }
+      if (reviews.length === 0) return;
 
       const productMeta = this._extractProductMeta();
+      if (this.enrichProfiles) await this._applyCachedProfiles(reviews);
+      if (this.rememberReviewers) await this._applyReviewerHistory(reviews, productMeta.asin);
+      if (generation !== this.generation) return;  // Page changed
+      const registeredItems = reviews.map(r => signalRegistry.runItem(r));
+      const scored = [];
+
+      // Page-level patterns are not recomputed, so each review is final
+      // as soon as its own results arrive
+      const output = await this.analysisClient.analyze({
+        reviews: reviews.map(serializeReview),
+        product: productMeta,
+        batch: false,
+      }, {
+        onReview: (i, item) => {
+          const signals = this._itemSignals(item, registeredItems[i]);
+          scored[i] = {
+            review: reviews[i],
+            element: reviews[i].element,
+            signals,
+            result: this.trustScorer.computeScore(signals),
+          };
+          this.renderer.renderReviewBadge(scored[i].result, reviews[i].element);
+          this._renderHighlights([scored[i]]);
+        },
+      });
+      if (!output || generation !== this.generation) return;  // Cancelled — the page changed
 
-      for (const review of reviews) {
-        const textResult = this.textAnalyzer.analyze(review.text);
-        const accountResult = this.accountAnalyzer.analyze(review.profile);
-
-        const signals = {
-          text: textResult,
-          account: accountResult,
-          behavioral: {},
-        };
-
-        const result = this.trustScorer.computeScore(signals);
-        this.renderer.renderReviewBadge(result, review.element);
-      }
+      this.scoredReviews.push(...scored.filter(Boolean));
+      if (this.enrichProfiles) this._enrichProfiles(scored.filter(Boolean));
+      if (this.rememberReviewers) this._recordReviewers(scored.filter(Boolean));
     } catch (error) {
       console.error('[DID] New review analysis error:', error);
     } finally {
-      this.isRunning = false;
+      if (generation === this.generation) this.isRunning = false;
     }
   }
 
@@ -504,26 +922,32 @@ class AmazonAnalyzer {
       const nameEl = el.querySelector(SELECTORS.reviewerName);
       const verifiedEl = el.querySelector(SELECTORS.verifiedPurchase);
       const helpfulEl = el.querySelector(SELECTORS.helpfulCount);
+      const profileLink = el.querySelector(SELECTORS.reviewerProfileLink);
+      const vineReview = [...el.querySelectorAll(SELECTORS.vineBadge)]
+        .some(badge => /\bvine\b/i.test(badge.textContent || ''));
 
-      const text = [
-        titleEl?.textContent?.trim() || '',
-        bodyEl?.textContent?.trim() || '',
-      ].join(' ').trim();
+      const title = titleEl?.textContent?.trim() || '';
+      const bodyText = bodyEl?.textContent || '';
+      const text = [title, bodyText.trim()].join(' ').trim();
 
-      if (!text) return null;
+      // Where the body starts in the analyzed text, and how much leading
+      // whitespace its element has — maps evidence offsets onto the body
+      const bodyStart = title ? title.length + 1 : 0;
+      const bodyIndent = bodyText.length - bodyText.trimStart().length;
 
-      const ratingText = ratingEl?.textContent || '';
-      const ratingMatch = ratingText.match(/([\d.]+)\s*out\s*of\s*5/);
-      const rating = ratingMatch ? parseFloat(ratingMatch[1]) : null;
+      if (!text) return null;
 
-      const dateText = dateEl?.textContent || '';
-      const dateMatch = dateText.match(/on\s+(.+)$/);
-      const reviewDate = dateMatch ? dateMatch[1].trim() : null;
+      const rating = this._parseRating(ratingEl?.textContent || '');
+      const reviewDate = this._parseReviewDate(dateEl?.textContent?.trim() || '');
 
       const helpfulText = helpfulEl?.textContent || '';
-      const helpfulMatch = helpfulText.match(/(\d+)\s+people?\s+found/);
+      const helpfulMatch = helpfulText.match(LOCALE_PATTERNS.helpful);
       const helpfulCount = helpfulMatch ? parseInt(helpfulMatch[1]) : 0;
 
+      const profileUrl = profileLink?.href || null;
+      const profileId = profileUrl?.match(LOCALE_PATTERNS.profileId)?.[1] || null;
+
+      // Build reviewer profile
       const profile = new ReviewerProfile({
         displayName: nameEl?.textContent?.trim() || null,
         verifiedPurchase: !!verifiedEl,
@@ -532,7 +956,22 @@ class AmazonAnalyzer {
         ratings: rating !== null ? [rating] : [],
       });
 
-      return { text, rating, date: reviewDate, profile, element: el };
+      return {
+        text,
+        title,
+        rating,
+        date: reviewDate,
+        helpfulCount,
+        verifiedPurchase: !!verifiedEl,
+        vineReview,
+        profile,
+        profileUrl,
+        profileId,
+        bodyElement: bodyEl,
+        bodyStart,
+        bodyIndent,
+        element: el, // Keep reference for overlay injection
+      };
     } catch (e) {
       console.warn('[DID] Failed to extract review:', e);
       return null;
@@ -0,0 +1,97 @@
+/**
+ * @jest-environment jsdom
+ */
+
+// Enough of the extension API for the content script to load on an empty page
+function chromeStub() {
+  const store = {};
+  const changeListeners = [];
+  return {
+    changeListeners,
+    runtime: {
+      sendMessage: jest.fn(),
+      onMessage: { addListener: jest.fn() },
+    },
+    storage: {
+      local: {
+        get: jest.fn(async (key) => (key === null ? { ...store } : { [key]: store[key] })),
+        set: jest.fn(async (values) => Object.assign(store, values)),
+        remove: jest.fn(async () => {}),
+      },
+      onChanged: { addListener: (fn) => changeListeners.push(fn) },
+    },
+  };
+}
+
+let AmazonAnalyzer;
+
+// Loaded after the stub is in place: the script starts itself on load
+beforeAll(() => {
+  global.chrome = chromeStub();
+  ({ AmazonAnalyzer } = require('./amazon.js'));
+});
+
+afterAll(() => {
+  delete global.chrome;
+});
+
+describe('AmazonAnalyzer incentivized reviews setting', () => {
+  const productScore = (analyzer) => analyzer.renderer.renderProductBadge.mock.calls.at(-1)[0].score;
+
+  async function analyzedPage(settings) {
+    await chrome.storage.local.set({ settings });
+    const analyzer = new AmazonAnalyzer();
+    await analyzer.init();
+    analyzer.renderer = { renderProductBadge: jest.fn(), renderReviewBadge: jest.fn() };
+
+    // A product where a third of the reviews disclose a free product
+    analyzer.overallSignals = {
+      text: { aiDetection: 0.7, templateMatching: 0.8, repetitionPattern: 0.7 },
+      behavioral: { timingCluster: 0.8 },
+    };
+    analyzer.incentiveSignal = { score: 0.5, detail: 'Incentivized reviews: 5 of 15', count: 5, rate: 1 / 3 };
+    analyzer.productMeta = { asin: null };
+    return analyzer;
+  }
+
+  // Settings saved on the options page, as the storage listener sees them
+  async function saveSettings(settings) {
+    await chrome.storage.local.set({ settings });
+    await Promise.all(chrome.changeListeners.map(fn => fn({ settings: { newValue: settings } }, 'local')));
+  }
+
+  it('counts the incentivized share against the product by default', async () => {
+    const analyzer = await analyzedPage({});
+    expect(analyzer.countIncentivized).toBe(true);
+    expect(analyzer._productSignals().behavioral.incentiveDisclosure).toBe(analyzer.incentiveSignal);
+
+    await analyzer._scoreAndRender();
+    const counted = productScore(analyzer);
+    analyzer.incentiveSignal = null;
+    await analyzer._scoreAndRender();
+    expect(counted).toBeLessThan(productScore(analyzer));
+  });
+
+  it('leaves the product score alone when turned off', async () => {
+    const analyzer = await analyzedPage({ countIncentivized: false });
+    expect(analyzer.countIncentivized).toBe(false);
+    expect(analyzer._productSignals()).toBe(analyzer.overallSignals);
+    expect(analyzer._productSignals().behavioral).not.toHaveProperty('incentiveDisclosure');
+  });
+
+  it('re-scores the page when the setting is toggled', async () => {
+    const analyzer = await analyzedPage({});
+    await analyzer._scoreAndRender();
+    const counted = productScore(analyzer);
+
+    await saveSettings({ countIncentivized: false });
+    expect(analyzer.countIncentivized).toBe(false);
+    expect(analyzer.renderer.renderProductBadge).toHaveBeenCalledTimes(2);
+    const ignored = productScore(analyzer);
+    expect(ignored).toBeGreaterThan(counted);
+
+    await saveSettings({ countIncentivized: true });
+    expect(analyzer.renderer.renderProductBadge).toHaveBeenCalledTimes(3);
+    expect(productScore(analyzer)).toBeCloseTo(counted, 12);
+  });
+});
@@ -1,36 +1,750 @@
 /**
  * Google Maps Content Script - Phase 2 Module
  *
- * Analyzes Google Maps/Business reviews for:
- * - Fake local business reviews
- * - Review bombing campaigns
- * - Bot reviewer patterns
- * - Incentivized review detection
- * - Local Guide credibility scoring
+ * Analyzes the reviews in a Google Maps place panel for:
+ * - Fake and templated local business reviews (text analysis)
+ * - Review bombing and review campaigns (bursts, near-duplicates,
+ *   shared writers, the rating histogram)
+ * - Incentivized reviews ("free dessert for a 5-star review")
  *
- * TODO: Implement in Phase 2
+ * Reviews are read from the place panel as it scrolls, and every run
+ * goes through the same AnalysisPipeline as Amazon (in the offscreen
+ * worker when available). Each review gets a badge and the place gets an
+ * overall badge above its reviews.
+ *
+ * DOM SCRAPING STRATEGY:
+ * Maps uses generated class names that change without notice. As on
+ * Amazon, every selector lives in one config object and every localized
+ * text pattern in another, so a markup change only touches those.
+ *
+ * Google shows review dates as "3 weeks ago". Dates older than a few days
+ * are too coarse for the day-level burst test (every "2 months ago" would
+ * land on one day), so only reviews dated to the day get a date; the
+ * rest keep an approximate date for display.
+ *
+ * Long reviews are shown truncated behind a "More" button. It is not
+ * clicked — the extension never operates the page — so only the visible
+ * text is analyzed.
+ *
+ * REVIEWERS:
+ * Review cards show the reviewer's Local Guide badge and review and photo
+ * counts, which AccountAnalyzer scores as a MapsReviewerProfile. A
+ * reviewer's contributions page adds their Local Guide level and the
+ * places they reviewed. Maps builds that page in the browser, so it
+ * cannot be fetched like an Amazon profile. Instead, when the user opens
+ * it, the reviewer is scored there, and with "Enrich Reviewer Profiles"
+ * on, the contributions are cached for a day. Reviews by that reviewer
+ * then use them on every place.
  */
 
-class GoogleMapsAnalyzer {
+import { AccountAnalyzer, MapsReviewerProfile } from '../analysis/AccountAnalyzer.js';
+import { serializeReview } from '../analysis/AnalysisPipeline.js';
+import { TrustScorer } from '../analysis/TrustScorer.js';
+import { signalRegistry, mergeSignals, averageSignals, averageByCategory } from '../analysis/SignalRegistry.js';
+import { OverlayRenderer } from '../utils/OverlayRenderer.js';
+import { StorageManager } from '../utils/StorageManager.js';
+import { AnalysisClient } from '../utils/AnalysisClient.js';
+import { ProfileEnricher } from '../utils/ProfileEnricher.js';
+
+// ============================================================
+// GOOGLE MAPS DOM SELECTORS (centralized for maintainability)
+// ============================================================
+const SELECTORS = {
+  // Place panel header
+  placeName: 'h1.DUwDvf, h1.fontHeadlineLarge',
+  placeCategory: 'button.DkEaL, button[jsaction*="category"]',
+  placeReviewCount: 'div.F7nice span[aria-label], .jANrlb .fontBodySmall',   // Star rating and "1,234 reviews"
+  ratingHistogram: 'tr.BHOKXe[aria-label], table.busIwe tr[aria-label]',   // "5 stars, 1,234 reviews"
+
+  // Review cards
+  reviewCard: 'div.jftiEf[data-review-id]',
+  reviewText: '.wiI7pd',
+  reviewStars: '.kvMYJc[aria-label], span[role="img"][aria-label]',
+  reviewScoreText: '.fzvQIb',                 // "4/5" on hotel reviews
+  reviewDate: '.rsqaWe, .xRkPPb',
+  reviewerName: '.d4r55',
+  reviewerMeta: '.RfnDt',                     // "Local Guide · 120 reviews · 300 photos"
+  reviewerLink: 'button[data-href*="/contrib/"], a[href*="/contrib/"]',
+  reviewPhotos: 'button.Tya61d',
+  ownerResponse: '.CDe7pd',
+
+  // Contributions page (/maps/contrib/<id>/reviews); its review cards use
+  // reviewCard, with the place where the reviewer's name would be
+  contributorName: 'h1.geAzIe, h1.fontHeadlineLarge',
+  contributorStats: '.Fn2iic, .PbZDve',       // "Level 6 Local Guide · 1,234 points", "120 reviews · 300 photos"
+  contributionPlace: '.d4r55',
+  contributionMeta: '.RfnDt',                 // "Dentist · 12 Main St, 10115 Berlin"
+  contributionLink: 'button[data-href*="/maps/place/"], a[href*="/maps/place/"]',
+};
+
+// ============================================================
+// LOCALIZED TEXT PATTERNS (English, German, French, Spanish)
+// ============================================================
+const LOCALE_PATTERNS = {
+  // "5 stars", "5 Sterne", "5 étoiles", "5 estrellas"; hotel reviews show "4/5"
+  stars: /(\d)(?:[.,]\d)?\s*(?:\/\s*5|stars?|sterne?|étoiles?|estrellas?)/i,
+  // "5 stars, 1,234 reviews" → star, count
+  histogramRow: /(\d)\D+?([\d.,\s ]+)\s*\p{L}/u,
+  // Not translated on any of these locales
+  localGuide: /local guide/i,
+  // "120 reviews", "120 Rezensionen", "120 avis", "120 reseñas"
+  reviewerReviews: /([\d.,]+)\s*(?:reviews?|rezensionen|bewertungen|avis|reseñas|opiniones)/i,
+  // "300 photos", "300 Fotos", "300 fotos"
+  reviewerPhotos: /([\d.,]+)\s*(?:photos?|fotos?)/i,
+  // "Level 6 Local Guide", "Local Guide · Stufe 6", "Niveau 6", "Nivel 6"
+  localGuideLevel: /(?:level|stufe|niveau|nivel)\s*(\d+)/i,
+  // US ZIP, five-digit European codes, UK postcodes; the last one in an address
+  postalCode: /\b(?:\d{5}(?:-\d{4})?|[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2})\b/g,
+  // "Edited 3 weeks ago", "Bearbeitet: vor 3 Wochen", ...
+  edited: /^(?:edited|bearbeitet|modifié|editado)\s*:?\s*/i,
+  // Reviews machine-translated by Google carry the original after "(Original)"
+  translated: /^\((?:translated by google|von google übersetzt|traduit par google|traducido por google)\)\s*/i,
+  original: /\(original\)\s*/i,
+  // Relative dates — amount and unit, one pattern per language
+  relativeDate: [
+    /^(\d+|an?|one)\s+(minute|hour|day|week|month|year)s?\s+ago/i,
+    /^vor\s+(\d+|einer?|einem)\s+(minute|stunde|tag|woche|monat|jahr)/i,
+    /^il y a\s+(\d+|une?)\s+(minute|heure|jour|semaine|mois|an)/i,
+    /^hace\s+(\d+|una?|un)\s+(minuto|hora|día|dia|semana|mes|año)/i,
+  ],
+  units: {
+    minute: 'minute', minuto: 'minute',
+    hour: 'hour', stunde: 'hour', heure: 'hour', hora: 'hour',
+    day: 'day', tag: 'day', jour: 'day', día: 'day', dia: 'day',
+    week: 'week', woche: 'week', semaine: 'week', semana: 'week',
+    month: 'month', monat: 'month', mois: 'month', mes: 'month',
+    year: 'year', jahr: 'year', an: 'year', año: 'year',
+  },
+};
+
+// Length and precision of each relative-date unit, in days
+const RELATIVE_UNITS = {
+  minute: { days: 1 / 1440, precision: 1 },
+  hour: { days: 1 / 24, precision: 1 },
+  day: { days: 1, precision: 1 },
+  week: { days: 7, precision: 7 },
+  month: { days: 30, precision: 30 },
+  year: { days: 365, precision: 365 },
+};
+
+// ============================================================
+// MAIN CONTROLLER
+// ============================================================
+export class GoogleMapsAnalyzer {
+  constructor() {
+    this.analysisClient = new AnalysisClient();
+    this.trustScorer = new TrustScorer();
+    this.renderer = new OverlayRenderer();
+    this.storage = new StorageManager();
+    this.accountAnalyzer = new AccountAnalyzer();
+    this.profileEnricher = new ProfileEnricher({
+      platform: 'googlemaps',
+      storage: this.storage,
+      parse: () => null,   // Nothing is fetched; see remember()
+    });
+
+    this.reviews = [];                // Extracted reviews of this place, in page order
+    this.reviewsById = new Map();     // data-review-id → review
+    this.scoredReviews = [];
+    this.overallSignals = null;
+    this.incentiveSignal = null;
+    this.placeMeta = null;
+    this.placeKey = null;             // Place the reviews belong to
+    this.generation = 0;              // Bumped on a new place; stale runs stop
+    this.reported = false;            // Place score already sent for this place
+    this.isRunning = false;
+    this.pending = false;             // New reviews appeared during a run
+
+    // Whether incentivized reviews lower the place score (user setting)
+    this.countIncentivized = true;
+    // Whether reviewers' contributions are cached and used (user setting)
+    this.enrichProfiles = false;
+
+    this.config = {
+      debounce: 800,      // ms to let the panel settle after a mutation
+    };
+  }
+
   async init() {
-    console.log('[DID] Google Maps module loaded — analysis coming in Phase 2');
+    const settings = await this.storage.getSettings();
+    if (settings.platforms?.googlemaps === false) return;
+
+    this.trustScorer = TrustScorer.fromSettings(settings);
+    this.countIncentivized = settings.countIncentivized !== false;
+    this.enrichProfiles = settings.enrichProfiles === true;
+    this.storage.onSettingsChanged((updated) => this._applySettings(updated));
+    this.placeKey = this._placeKey();
+
+    // Results for a page that is being left are never needed
+    window.addEventListener('pagehide', () => this.analysisClient.cancel());
+
+    await this.run();
+    this._observe();
+  }
+
+  /**
+   * Analyze the place's reviews again whenever more have loaded. The
+   * whole set is re-run so bursts, copies and the histogram checks cover
+   * every review seen so far.
+   */
+  async run() {
+    if (this.isRunning) {
+      this.pending = true;
+      return;
+    }
+    this.isRunning = true;
+    const generation = this.generation;
+
+    try {
+      do {
+        this.pending = false;
+
+        // A reviewer's contributions page instead of a place
+        const contributorId = this._contributorId();
+        if (contributorId) {
+          await this._readContributor(contributorId, generation);
+          if (generation !== this.generation) return;
+          continue;
+        }
+
+        // 1. Extract new reviews, with their reviewers' cached contributions
+        const fresh = this._extractReviews();
+        if (fresh.length === 0) break;
+        if (this.enrichProfiles) await this._applyCachedProfiles(fresh);
+        if (generation !== this.generation) return;
+        this.reviews.push(...fresh);
+
+        // 2. Place-level metadata (histogram, review count, category)
+        this.placeMeta = this._extractPlaceMeta();
+
+        // 3. Analyze, score and render
+        const done = await this._analyze(generation);
+        if (!done) return;  // Cancelled — another place was opened
+      } while (this.pending);
+    } catch (error) {
+      console.error('[DID] Google Maps analysis error:', error);
+    } finally {
+      if (generation === this.generation) this.isRunning = false;
+    }
+  }
+
+  /**
+   * One pipeline run over every review of the place
+   * @returns {Promise<boolean>} false when the run was cancelled
+   */
+  async _analyze(generation) {
+    const reviews = [...this.reviews];
+    const alreadyScored = this.scoredReviews.length;
+
+    // Registered detectors may read the review's element, so they stay in the page
+    const registeredItems = reviews.map(r => signalRegistry.runItem(r));
+
+    // New reviews get a provisional badge as soon as their own results
+    // arrive; the others keep theirs until the final scores
+    const output = await this.analysisClient.analyze({
+      reviews: reviews.map(serializeReview),
+      product: this.placeMeta,
+    }, {
+      onReview: (i, item) => {
+        if (i < alreadyScored) return;
+        const signals = this._itemSignals(item, registeredItems[i]);
+        this.renderer.renderReviewBadge(this.trustScorer.computeScore(signals), reviews[i].element);
+      },
+    });
+    if (!output || generation !== this.generation) return false;
+    const { items, batch } = output;
+
+    const registeredBatch = signalRegistry.runBatch(reviews);
+
+    this.scoredReviews = reviews.map((review, i) => ({
+      review,
+      signals: mergeSignals(this._itemSignals(items[i], registeredItems[i]), {
+        behavioral: {
+          timingCluster: batch.timingCluster,
+          ratingDistribution: batch.ratingDistribution,
+        },
+      }, registeredBatch),
+      result: null,
+    }));
+
+    this.overallSignals = {
+      text: averageSignals(items.map(item => item.text)),
+      behavioral: {
+        timingCluster: batch.timingCluster,
+        coordinatedLanguage: batch.coordinatedLanguage,
+        sharedAuthorship: batch.sharedAuthorship,
+        ratingDistribution: batch.ratingDistribution,
+        ratingMismatchRate: batch.ratingMismatchRate,
+      },
+      account: averageSignals(items.map(item => item.account)),
+    };
+    mergeSignals(this.overallSignals, averageByCategory(registeredItems), registeredBatch);
+    this.incentiveSignal = batch.incentiveDisclosure;
+
+    this._scoreAndRender();
+    this._markReviewGroups(batch);
+    return true;
+  }
 
+  /**
+   * Signals of one review from its own analysis results
+   */
+  _itemSignals(item, registered) {
+    return mergeSignals({
+      text: item.text,
+      account: item.account,
+      behavioral: {
+        incentiveDisclosure: item.incentiveDisclosure,
+        ratingMismatch: item.ratingMismatch,
+      },
+    }, registered);
+  }
+
+  /**
+   * Score the collected signals with the current scorer, render the
+   * badges and report the place score
+   * @param {boolean} rescored - True when only the scoring profile changed
+   */
+  _scoreAndRender(rescored = false) {
+    const overallScore = this.trustScorer.computeScore(this._placeSignals());
+
+    // Above the first review; skipped while no review is on the page
+    const anchor = this.reviews.find(review => review.element.isConnected)?.element;
+    if (anchor) {
+      this.renderer.renderProductBadge(overallScore, this.placeMeta, { anchor });
+    }
+    for (const scored of this.scoredReviews) {
+      scored.result = this.trustScorer.computeScore(scored.signals);
+      this.renderer.renderReviewBadge(scored.result, scored.review.element);
+    }
+
+    // Later runs on the same place (more reviews loaded) are not new scans
+    lastPageScore = overallScore;
     chrome.runtime.sendMessage({
       type: 'PAGE_SCORED',
       data: {
         url: window.location.href,
-        score: {
-          score: null,
-          level: 'INSUFFICIENT_DATA',
-          message: 'Google Maps analysis coming soon',
-          issues: [],
-          signalCount: 0,
-        },
+        score: overallScore.toJSON(),
+        platform: 'googlemaps',
+        rescored: rescored || this.reported,
+      },
+    });
+    this.reported = true;
+  }
+
+  _markReviewGroups(batch) {
+    const clusters = batch.coordinatedLanguage?.clusters || [];
+    this.renderer.markReviewGroups(clusters.map((cluster, i) => ({
+      elements: cluster.members.map(index => this.reviews[index].element),
+      title: `Near-duplicate group ${i + 1}: ${cluster.size} reviews, ${Math.round(cluster.similarity * 100)}% similar`,
+    })), { kind: 'duplicate', label: 'Copy' });
+
+    const authorGroups = batch.sharedAuthorship?.groups || [];
+    this.renderer.markReviewGroups(authorGroups.map((group, i) => ({
+      elements: group.members.map(index => this.reviews[index].element),
+      title: `Writing style group ${i + 1}: ${group.size} reviews by different accounts`
+        + (group.authors.length > 0 ? ` (${group.authors.join(', ')})` : ''),
+    })), { kind: 'author', label: 'Writer' });
+  }
+
+  /**
+   * Place-level signals, with the incentivized-review share added when
+   * the user wants those reviews to count against the place
+   */
+  _placeSignals() {
+    if (!this.countIncentivized || !this.incentiveSignal) {
+      return this.overallSignals;
+    }
+    return mergeSignals({}, this.overallSignals, {
+      behavioral: { incentiveDisclosure: this.incentiveSignal },
+    });
+  }
+
+  /**
+   * Rebuild the scorer when the sensitivity, scoring method or incentive
+   * setting changes and re-score what has already been analyzed
+   */
+  _applySettings(settings) {
+    // Applies to reviews extracted from now on
+    this.enrichProfiles = settings.enrichProfiles === true;
+
+    const scorer = TrustScorer.fromSettings(settings);
+    const countIncentivized = settings.countIncentivized !== false;
+    if (scorer.isEquivalent(this.trustScorer) && countIncentivized === this.countIncentivized) return;
+
+    this.trustScorer = scorer;
+    this.countIncentivized = countIncentivized;
+    if (this.overallSignals && !this.isRunning) {
+      this._scoreAndRender(true);
+    }
+  }
+
+  // ============================================================
+  // DATA EXTRACTION
+  // ============================================================
+
+  /**
+   * Reviews not extracted before. Maps re-creates the cards when the sort
+   * order changes; known reviews then move to their new card and keep
+   * their badge.
+   */
+  _extractReviews() {
+    const reviews = [];
+
+    for (const el of document.querySelectorAll(SELECTORS.reviewCard)) {
+      const id = el.getAttribute('data-review-id');
+      const known = this.reviewsById.get(id);
+      if (known) {
+        if (known.element !== el) {
+          known.element = el;
+          const scored = this.scoredReviews.find(s => s.review === known);
+          if (scored?.result) this.renderer.renderReviewBadge(scored.result, el);
+        }
+        continue;
+      }
+
+      const review = this._extractSingleReview(el, id);
+      if (!review) continue;
+      this.reviewsById.set(id, review);
+      reviews.push(review);
+    }
+    return reviews;
+  }
+
+  _extractSingleReview(el, id) {
+    try {
+      const textEl = [...el.querySelectorAll(SELECTORS.reviewText)]
+        .find(candidate => !candidate.closest(SELECTORS.ownerResponse));
+      const text = this._originalText(textEl?.textContent || '');
+
+      const rating = this._parseRating(el);
+      const relativeDate = el.querySelector(SELECTORS.reviewDate)?.textContent?.trim() || '';
+      const when = this._parseRelativeDate(relativeDate);
+      // Day-level tests only get dates that are good to the day
+      const date = when && when.precisionDays <= 1 ? when.date : null;
+
+      const meta = el.querySelector(SELECTORS.reviewerMeta)?.textContent || '';
+      const reviewerReviews = this._parseCount(meta.match(LOCALE_PATTERNS.reviewerReviews)?.[1]);
+      const reviewerPhotos = this._parseCount(meta.match(LOCALE_PATTERNS.reviewerPhotos)?.[1]);
+      const localGuide = LOCALE_PATTERNS.localGuide.test(meta);
+
+      const linkEl = el.querySelector(SELECTORS.reviewerLink);
+      const profileUrl = linkEl?.getAttribute('data-href') || linkEl?.getAttribute('href') || null;
+      const profileId = profileUrl?.match(/\/contrib\/(\d+)/)?.[1] || null;
+
+      // Star-only reviews carry no text but still count for the histogram checks
+      if (!text && rating === null) return null;
+
+      const profile = new MapsReviewerProfile({
+        displayName: el.querySelector(SELECTORS.reviewerName)?.textContent?.trim() || null,
+        localGuide,
+        totalReviews: reviewerReviews,
+        photoCount: reviewerPhotos,
+        reviewDate: date,
+        ratings: rating !== null ? [rating] : [],
+      });
+
+      return {
+        id,
+        text,
+        title: '',
+        rating,
+        date,
+        approximateDate: when?.date || null,
+        datePrecisionDays: when?.precisionDays ?? null,
+        photoCount: el.querySelectorAll(SELECTORS.reviewPhotos).length,
+        localGuide,
+        reviewerReviews,
+        reviewerPhotos,
+        profile,
+        profileUrl,
+        profileId,
+        element: el, // Keep reference for overlay injection
+      };
+    } catch (e) {
+      console.warn('[DID] Failed to extract Google Maps review:', e);
+      return null;
+    }
+  }
+
+  /**
+   * The reviewer's own words: machine translations are dropped in favour
+   * of the original that follows them
+   */
+  _originalText(raw) {
+    let text = raw.trim();
+    if (LOCALE_PATTERNS.translated.test(text)) {
+      const parts = text.split(LOCALE_PATTERNS.original);
+      text = (parts.length > 1 ? parts[parts.length - 1] : text.replace(LOCALE_PATTERNS.translated, '')).trim();
+    }
+    return text;
+  }
+
+  _parseRating(el) {
+    const scoreText = el.querySelector(SELECTORS.reviewScoreText)?.textContent || '';
+    const label = el.querySelector(SELECTORS.reviewStars)?.getAttribute('aria-label') || '';
+    const match = scoreText.match(LOCALE_PATTERNS.stars) || label.match(LOCALE_PATTERNS.stars);
+    if (!match) return null;
+    const rating = parseInt(match[1], 10);
+    return rating >= 1 && rating <= 5 ? rating : null;
+  }
+
+  /**
+   * "3 weeks ago" → { date: 'YYYY-MM-DD', precisionDays: 7 }, or null
+   */
+  _parseRelativeDate(text) {
+    const cleaned = text.replace(LOCALE_PATTERNS.edited, '').trim();
+    for (const pattern of LOCALE_PATTERNS.relativeDate) {
+      const match = cleaned.match(pattern);
+      if (!match) continue;
+
+      const unit = RELATIVE_UNITS[LOCALE_PATTERNS.units[match[2].toLowerCase()]];
+      if (!unit) return null;
+      const amount = /^\d+$/.test(match[1]) ? parseInt(match[1], 10) : 1;  // "a", "einem", "une"...
+
+      const time = Date.now() - amount * unit.days * 24 * 60 * 60 * 1000;
+      return {
+        date: new Date(time).toISOString().slice(0, 10),
+        precisionDays: unit.precision,
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Place name, category, histogram and review count, in the shape the
+   * pipeline expects of a product
+   */
+  _extractPlaceMeta() {
+    const histogram = {};
+    for (const row of document.querySelectorAll(SELECTORS.ratingHistogram)) {
+      const match = (row.getAttribute('aria-label') || '').match(LOCALE_PATTERNS.histogramRow);
+      if (!match) continue;
+      const count = this._parseCount(match[2]);
+      if (count !== null) histogram[match[1]] = count;
+    }
+
+    // The header also labels the star rating ("4.5 stars"), so only a label
+    // that reads as a review count is taken
+    const countLabel = [...document.querySelectorAll(SELECTORS.placeReviewCount)]
+      .map(el => el.getAttribute('aria-label') || el.textContent || '')
+      .find(label => LOCALE_PATTERNS.reviewerReviews.test(label));
+    const category = document.querySelector(SELECTORS.placeCategory)?.textContent?.trim() || null;
+    const histogramTotal = Object.values(histogram).reduce((a, b) => a + b, 0);
+
+    return {
+      title: document.querySelector(SELECTORS.placeName)?.textContent?.trim() || '',
+      features: [],
+      breadcrumb: category ? [category] : [],
+      histogram: Object.keys(histogram).length > 0 ? histogram : null,
+      reviewCount: histogramTotal
+        || this._parseCount(countLabel?.match(LOCALE_PATTERNS.reviewerReviews)?.[1])
+        || null,
+      // Google, not the business, picks which reviews are shown and in
+      // what order, so the shown-vs-all check does not apply
+      reviewsFiltered: true,
+      // A name and category are not a listing to check reviews against
+      checkRelevance: false,
+      placeKey: this.placeKey,
+    };
+  }
+
+  /**
+   * "1,234" / "1.234" / "1 234" → number
+   */
+  _parseCount(text) {
+    if (!text) return null;
+    const digits = String(text).match(/\d[\d.,\s ]*/)?.[0].replace(/[^\d]/g, '');
+    return digits ? parseInt(digits, 10) : null;
+  }
+
+  /**
+   * Stable key of the open place: the feature id in the URL
+   * ("!1s0x…:0x…"), else the place path, else the heading. A
+   * contributions page is keyed by its reviewer.
+   */
+  _placeKey() {
+    const contributorId = this._contributorId();
+    if (contributorId) return `contrib/${contributorId}`;
+
+    const url = decodeURIComponent(window.location.href);
+    return url.match(/!1s(0x[0-9a-f]+:0x[0-9a-f]+)/i)?.[1]
+      || window.location.pathname.match(/\/maps\/place\/([^/]+)/)?.[1]
+      || document.querySelector(SELECTORS.placeName)?.textContent?.trim()
+      || null;
+  }
+
+  // ============================================================
+  // REVIEWERS
+  // ============================================================
+
+  _contributorId() {
+    return window.location.pathname.match(/\/maps\/contrib\/(\d+)/)?.[1] || null;
+  }
+
+  /**
+   * Merge cached contributions into the reviewers read from the cards.
+   * The cards' own counts are newer, so they win.
+   */
+  async _applyCachedProfiles(reviews) {
+    const cached = await Promise.all(reviews.map(r => this.profileEnricher.getCached(r.profileId)));
+    cached.forEach((data, i) => {
+      if (!data) return;
+      const { profile } = reviews[i];
+      reviews[i].profile = new MapsReviewerProfile({
+        ...data,
+        displayName: profile.displayName || data.displayName,
+        localGuide: profile.localGuide || data.localGuide,
+        totalReviews: profile.totalReviews ?? data.totalReviews,
+        photoCount: profile.photoCount ?? data.photoCount,
+        reviewDate: profile.reviewDate,
+      });
+    });
+  }
+
+  /**
+   * Score the reviewer whose contributions page is open, from every
+   * contribution loaded so far, and cache them for their reviews elsewhere
+   */
+  async _readContributor(contributorId, generation) {
+    const cards = [...document.querySelectorAll(SELECTORS.reviewCard)];
+    const contributions = cards.map(el => this._extractContribution(el)).filter(Boolean);
+    if (contributions.length === 0) return;
+
+    const stats = [...document.querySelectorAll(SELECTORS.contributorStats)]
+      .map(el => el.textContent).join(' · ');
+    const data = {
+      displayName: document.querySelector(SELECTORS.contributorName)?.textContent?.trim() || null,
+      localGuide: LOCALE_PATTERNS.localGuide.test(stats),
+      localGuideLevel: this._parseCount(stats.match(LOCALE_PATTERNS.localGuideLevel)?.[1]),
+      totalReviews: this._parseCount(stats.match(LOCALE_PATTERNS.reviewerReviews)?.[1]),
+      photoCount: this._parseCount(stats.match(LOCALE_PATTERNS.reviewerPhotos)?.[1]),
+      ratings: contributions.map(c => c.rating).filter(r => r !== null),
+      contributions,
+    };
+
+    if (this.enrichProfiles) await this.profileEnricher.remember(contributorId, data);
+    if (generation !== this.generation) return;
+
+    const score = this.trustScorer.computeScore({
+      account: this.accountAnalyzer.analyze(new MapsReviewerProfile(data)),
+    });
+    this.renderer.renderProductBadge(score, { title: data.displayName || '' }, { anchor: cards[0] });
+
+    lastPageScore = score;
+    chrome.runtime.sendMessage({
+      type: 'PAGE_SCORED',
+      data: {
+        url: window.location.href,
+        score: score.toJSON(),
         platform: 'googlemaps',
+        rescored: this.reported,
       },
     });
+    this.reported = true;
+  }
+
+  /**
+   * One reviewed place from a contributions page card
+   */
+  _extractContribution(el) {
+    try {
+      // "Dentist · 12 Main St, 10115 Berlin"; either part may be missing
+      const parts = (el.querySelector(SELECTORS.contributionMeta)?.textContent || '')
+        .split('·').map(part => part.trim()).filter(Boolean);
+      const address = parts.find(part => /\d/.test(part)) || '';
+      const category = parts.find(part => part !== address) || null;
+
+      const link = el.querySelector(SELECTORS.contributionLink);
+      const href = link?.getAttribute('data-href') || link?.getAttribute('href') || '';
+      const coords = href.match(/!3d(-?\d+\.\d+)!4d(-?\d+\.\d+)/) || href.match(/@(-?\d+\.\d+),(-?\d+\.\d+)/);
+
+      const when = this._parseRelativeDate(el.querySelector(SELECTORS.reviewDate)?.textContent?.trim() || '');
+      const postalCodes = address.match(LOCALE_PATTERNS.postalCode) || [];
+
+      return {
+        place: el.querySelector(SELECTORS.contributionPlace)?.textContent?.trim() || null,
+        category,
+        rating: this._parseRating(el),
+        date: when && when.precisionDays <= 1 ? when.date : null,
+        postalCode: postalCodes[postalCodes.length - 1] || null,
+        lat: coords ? parseFloat(coords[1]) : null,
+        lng: coords ? parseFloat(coords[2]) : null,
+      };
+    } catch (e) {
+      console.warn('[DID] Failed to extract Google Maps contribution:', e);
+      return null;
+    }
+  }
+
+  // ============================================================
+  // DOM OBSERVATION
+  // ============================================================
+
+  /**
+   * Analyze reviews loaded as the panel scrolls, and start over when
+   * another place is opened
+   */
+  _observe() {
+    let debounceTimer = null;
+
+    const observer = new MutationObserver((mutations) => {
+      const placeKey = this._placeKey();
+      if (placeKey !== this.placeKey) {
+        clearTimeout(debounceTimer);
+        debounceTimer = setTimeout(() => this._restartForNewPlace(placeKey), this.config.debounce);
+        return;
+      }
+
+      const hasNew = mutations.some(mutation => [...mutation.addedNodes].some(node =>
+        node.nodeType === Node.ELEMENT_NODE
+          && (node.matches(SELECTORS.reviewCard) || node.querySelector(SELECTORS.reviewCard))));
+
+      if (hasNew) {
+        clearTimeout(debounceTimer);
+        debounceTimer = setTimeout(() => this.run(), this.config.debounce);
+      }
+    });
+
+    observer.observe(document.body, { childList: true, subtree: true });
+  }
+
+  /**
+   * Drop the previous place's results and analyze the new one
+   */
+  _restartForNewPlace(placeKey) {
+    this.generation++;
+    this.analysisClient.cancel();
+    this.placeKey = placeKey;
+    this.reviews = [];
+    this.reviewsById.clear();
+    this.scoredReviews = [];
+    this.overallSignals = null;
+    this.incentiveSignal = null;
+    this.placeMeta = null;
+    this.reported = false;
+    lastPageScore = null;
+    this.isRunning = false;
+    this.run();
   }
 }
 
+// ============================================================
+// MESSAGE HANDLING
+// ============================================================
+let lastPageScore = null;
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.type === 'GET_PAGE_SCORE') {
+    sendResponse({
+      score: lastPageScore?.toJSON() || null,
+      platform: 'googlemaps',
+    });
+  }
+});
+
+// ============================================================
+// INITIALIZATION
+// ============================================================
 const analyzer = new GoogleMapsAnalyzer();
 analyzer.init();
@@ -0,0 +1,333 @@
+/**
+ * @jest-environment jsdom
+ * @jest-environment-options {"url": "https://www.google.com/maps/place/Luigis+Trattoria/"}
+ */
+
+import { AnalysisPipeline } from '../analysis/AnalysisPipeline.js';
+import { RatingDistributionAnalyzer } from '../analysis/RatingDistributionAnalyzer.js';
+
+// Enough of the extension API for the content script to load. The
+// instance the script starts itself is switched off in the settings, so
+// only the analyzers the tests create read the page.
+function chromeStub() {
+  const store = { settings: { platforms: { googlemaps: false } } };
+  return {
+    store,
+    runtime: {
+      sendMessage: jest.fn(),
+      onMessage: { addListener: jest.fn() },
+    },
+    storage: {
+      local: {
+        get: jest.fn(async (key) => (key === null ? { ...store } : { [key]: store[key] })),
+        set: jest.fn(async (values) => Object.assign(store, values)),
+        remove: jest.fn(async (key) => { delete store[key]; }),
+      },
+      onChanged: { addListener: jest.fn() },
+    },
+  };
+}
+
+function reviewCard(id, { name = 'Anna K.', meta = 'Local Guide · 120 reviews · 300 photos', stars = 5, date = '2 days ago', text = '', extra = '' } = {}) {
+  return `
+    <div class="jftiEf" data-review-id="${id}">
+      <button data-href="https://www.google.com/maps/contrib/${id.replace(/\D/g, '')}0000/reviews?hl=en">
+        <div class="d4r55">${name}</div>
+      </button>
+      <div class="RfnDt">${meta}</div>
+      ${stars ? `<span class="kvMYJc" role="img" aria-label="${stars} stars"></span>` : ''}
+      <span class="rsqaWe">${date}</span>
+      ${text ? `<span class="wiI7pd">${text}</span>` : ''}
+      ${extra}
+    </div>`;
+}
+
+const PLACE_HEADER = `
+  <h1 class="DUwDvf">Luigi's Trattoria</h1>
+  <button class="DkEaL">Italian restaurant</button>
+  <div class="F7nice"><span aria-label="4.5 stars"></span><span aria-label="1,300 reviews"></span></div>`;
+
+const HISTOGRAM = `
+  <table class="busIwe"><tbody>
+    <tr aria-label="5 stars, 806 reviews"></tr>
+    <tr aria-label="4 stars, 182 reviews"></tr>
+    <tr aria-label="3 stars, 78 reviews"></tr>
+    <tr aria-label="2 stars, 52 reviews"></tr>
+    <tr aria-label="1 stars, 182 reviews"></tr>
+  </tbody></table>`;
+
+const NOW = new Date('2026-03-15T12:00:00Z');
+
+let GoogleMapsAnalyzer;
+
+// Loaded after the stub is in place: the script starts itself on load
+beforeAll(() => {
+  global.chrome = chromeStub();
+  ({ GoogleMapsAnalyzer } = require('./googlemaps.js'));
+});
+
+afterAll(() => {
+  delete global.chrome;
+});
+
+function placeAnalyzer() {
+  const analyzer = new GoogleMapsAnalyzer();
+  analyzer.renderer = {
+    renderProductBadge: jest.fn(),
+    renderReviewBadge: jest.fn(),
+    markReviewGroups: jest.fn(),
+  };
+  return analyzer;
+}
+
+describe('GoogleMapsAnalyzer review extraction', () => {
+  beforeAll(() => {
+    jest.useFakeTimers({ now: NOW });
+  });
+
+  afterAll(() => {
+    jest.useRealTimers();
+  });
+
+  it('reads the review, its rating and date, and the reviewer from the card', () => {
+    document.body.innerHTML = reviewCard('r1', {
+      text: 'Fresh pasta, friendly staff and the tiramisu was excellent.',
+      extra: '<button class="Tya61d"></button><button class="Tya61d"></button>',
+    });
+    const [review] = placeAnalyzer()._extractReviews();
+
+    expect(review).toMatchObject({
+      id: 'r1',
+      text: 'Fresh pasta, friendly staff and the tiramisu was excellent.',
+      rating: 5,
+      date: '2026-03-13',
+      datePrecisionDays: 1,
+      photoCount: 2,
+      localGuide: true,
+      reviewerReviews: 120,
+      reviewerPhotos: 300,
+      profileId: '10000',
+    });
+    expect(review.profile.constructor.name).toBe('MapsReviewerProfile');
+    expect(review.profile).toMatchObject({ displayName: 'Anna K.', localGuide: true, totalReviews: 120, photoCount: 300 });
+    expect(review.element).toBe(document.querySelector('[data-review-id="r1"]'));
+  });
+
+  it('keeps dates coarser than a day out of the day-level tests', () => {
+    document.body.innerHTML = reviewCard('r1', { text: 'Great pizza.', date: '3 weeks ago' });
+    const [review] = placeAnalyzer()._extractReviews();
+    expect(review.date).toBeNull();
+    expect(review.approximateDate).toBe('2026-02-22');
+    expect(review.datePrecisionDays).toBe(7);
+  });
+
+  it.each([
+    ['a day ago', '2026-03-14', 1],
+    ['Edited 5 hours ago', '2026-03-15', 1],
+    ['vor einem Monat', '2026-02-13', 30],
+    ['il y a 2 semaines', '2026-03-01', 7],
+    ['hace un año', '2025-03-15', 365],
+  ])('parses "%s"', (text, date, precisionDays) => {
+    expect(placeAnalyzer()._parseRelativeDate(text)).toEqual({ date, precisionDays });
+  });
+
+  it('analyzes the original of a review Google translated', () => {
+    document.body.innerHTML = reviewCard('r1', {
+      text: '(Translated by Google) Very good pasta (Original) Sehr gute Pasta, nettes Personal.',
+    });
+    expect(placeAnalyzer()._extractReviews()[0].text).toBe('Sehr gute Pasta, nettes Personal.');
+  });
+
+  it('keeps star-only reviews, without the owner\'s response as their text', () => {
+    document.body.innerHTML = reviewCard('r1', {
+      stars: 4,
+      extra: '<div class="CDe7pd"><span class="wiI7pd">Thank you for visiting!</span></div>',
+    }) + reviewCard('r2', { stars: null });
+
+    const reviews = placeAnalyzer()._extractReviews();
+    expect(reviews.map(r => [r.id, r.text, r.rating])).toEqual([['r1', '', 4]]);
+  });
+
+  it('moves a known review to its re-created card instead of extracting it again', () => {
+    document.body.innerHTML = reviewCard('r1', { text: 'Great pizza.' });
+    const analyzer = placeAnalyzer();
+    const [review] = analyzer._extractReviews();
+    analyzer.scoredReviews = [{ review, result: { score: 0.8 } }];
+
+    document.body.innerHTML = reviewCard('r1', { text: 'Great pizza.' });
+    expect(analyzer._extractReviews()).toEqual([]);
+    expect(review.element).toBe(document.querySelector('[data-review-id="r1"]'));
+    expect(analyzer.renderer.renderReviewBadge).toHaveBeenCalledWith({ score: 0.8 }, review.element);
+  });
+});
+
+describe('GoogleMapsAnalyzer place metadata', () => {
+  it('reads the histogram as counts and totals them', () => {
+    document.body.innerHTML = PLACE_HEADER + HISTOGRAM;
+    expect(placeAnalyzer()._extractPlaceMeta()).toMatchObject({
+      title: 'Luigi\'s Trattoria',
+      breadcrumb: ['Italian restaurant'],
+      histogram: { 5: 806, 4: 182, 3: 78, 2: 52, 1: 182 },
+      reviewCount: 1300,
+      reviewsFiltered: true,
+      checkRelevance: false,
+    });
+  });
+
+  it('reads localized histogram rows', () => {
+    document.body.innerHTML = '<table class="busIwe"><tbody>'
+      + '<tr aria-label="5 Sterne, 1.234 Rezensionen"></tr><tr aria-label="1 Sterne, 56 Rezensionen"></tr>'
+      + '</tbody></table>';
+    expect(placeAnalyzer()._extractPlaceMeta()).toMatchObject({ histogram: { 5: 1234, 1: 56 }, reviewCount: 1290 });
+  });
+
+  it('takes the review count from the header without a histogram, not the star rating', () => {
+    document.body.innerHTML = PLACE_HEADER;
+    expect(placeAnalyzer()._extractPlaceMeta()).toMatchObject({ histogram: null, reviewCount: 1300 });
+  });
+});
+
+describe('GoogleMapsAnalyzer place analysis', () => {
+  beforeEach(() => {
+    chrome.runtime.sendMessage.mockClear();
+  });
+
+  it('scores the place and its reviews, with the histogram normalized from counts', async () => {
+    document.body.innerHTML = PLACE_HEADER + HISTOGRAM + [
+      reviewCard('r1', { text: 'Fresh pasta, friendly staff and the tiramisu was excellent. We will be back.' }),
+      reviewCard('r2', { name: 'Ben M.', stars: 4, text: 'Good lasagna, a bit slow on a Friday night but the waiter was apologetic.' }),
+      reviewCard('r3', { name: 'Chris T.', stars: 2, date: '2 months ago', text: 'Cold pizza and we waited forty minutes for a table despite booking.' }),
+    ].join('');
+
+    const analyzer = placeAnalyzer();
+    const jobs = [];
+    analyzer.analysisClient = {
+      analyze: (job, hooks) => { jobs.push(job); return new AnalysisPipeline().run(job, hooks); },
+      cancel: jest.fn(),
+    };
+    await analyzer.run();
+
+    const [job] = jobs;
+    expect(job.reviews).toHaveLength(3);
+    expect(job.reviews[0]).not.toHaveProperty('element');
+    expect(job.product).toMatchObject({ histogram: { 5: 806, 1: 182 }, reviewCount: 1300, checkRelevance: false });
+
+    // Same divergence as Amazon's percent histogram for the same shape
+    const fromPercents = new RatingDistributionAnalyzer().analyze({
+      histogram: { 5: 62, 4: 14, 3: 6, 2: 4, 1: 14 },
+      reviewCount: 1300,
+    }).ratingDistribution;
+    expect(analyzer.overallSignals.behavioral.ratingDistribution.divergence).toBeCloseTo(fromPercents.divergence, 12);
+
+    // No relevance check against a place name
+    expect(analyzer.scoredReviews.every(s => s.signals.text.productRelevance === null)).toBe(true);
+
+    const cards = [...document.querySelectorAll('[data-review-id]')];
+    expect(analyzer.renderer.renderProductBadge).toHaveBeenCalledWith(
+      expect.objectContaining({ score: expect.any(Number) }),
+      analyzer.placeMeta,
+      { anchor: cards[0] },
+    );
+    const finalBadges = analyzer.renderer.renderReviewBadge.mock.calls.slice(-3).map(([, el]) => el);
+    expect(finalBadges).toEqual(cards);
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
+      type: 'PAGE_SCORED',
+      data: expect.objectContaining({ platform: 'googlemaps', rescored: false }),
+    });
+  });
+
+  it('analyzes the whole set again when more reviews load', async () => {
+    document.body.innerHTML = PLACE_HEADER + reviewCard('r1', { text: 'Great pizza and friendly staff, will be back.' });
+    const analyzer = placeAnalyzer();
+    const jobs = [];
+    analyzer.analysisClient = {
+      analyze: (job, hooks) => { jobs.push(job); return new AnalysisPipeline().run(job, hooks); },
+      cancel: jest.fn(),
+    };
+    await analyzer.run();
+
+    document.body.insertAdjacentHTML('beforeend', reviewCard('r2', { name: 'Ben M.', text: 'Good lasagna and a nice wine list.' }));
+    await analyzer.run();
+    await analyzer.run();   // Nothing new: no run
+
+    expect(jobs.map(job => job.reviews.map(r => r.id))).toEqual([['r1'], ['r1', 'r2']]);
+    expect(chrome.runtime.sendMessage.mock.calls.map(([message]) => message.data.rescored)).toEqual([false, true]);
+  });
+});
+
+describe('GoogleMapsAnalyzer contributions page', () => {
+  const contribution = (id, place, meta, coords, date = 'a day ago') => `
+    <div class="jftiEf" data-review-id="${id}">
+      <div class="d4r55">${place}</div>
+      <div class="RfnDt">${meta}</div>
+      <a href="https://www.google.com/maps/place/${encodeURIComponent(place)}/data=!3d${coords[0]}!4d${coords[1]}"></a>
+      <span role="img" aria-label="5 stars"></span>
+      <span class="rsqaWe">${date}</span>
+    </div>`;
+
+  const RING = `
+    <h1 class="geAzIe">Dana R.</h1>
+    <div class="Fn2iic">Level 2 Local Guide · 150 points</div>
+    <div class="PbZDve">4 reviews · 0 photos</div>`
+    + contribution('c1', 'Bright Smile Dental', 'Dentist · 12 Main St, 10115 Berlin', [52.5301, 13.3801])
+    + contribution('c2', 'Happy Teeth', 'Dentist · 3 Oak Ave, 10115 Berlin', [52.5312, 13.3822])
+    + contribution('c3', 'Dental Care Mitte', 'Dentist · 40 Elm St, 10115 Berlin', [52.5290, 13.3790])
+    + contribution('c4', 'Luigi\'s Trattoria', 'Italian restaurant · 8 Park Rd, 10115 Berlin', [52.5305, 13.3811], '2 weeks ago');
+
+  beforeAll(() => {
+    window.history.pushState({}, '', '/maps/contrib/1234567890/reviews');
+  });
+
+  afterAll(() => {
+    window.history.pushState({}, '', '/maps/place/Luigis+Trattoria/');
+  });
+
+  beforeEach(() => {
+    chrome.runtime.sendMessage.mockClear();
+  });
+
+  it('reads each reviewed place from its card', () => {
+    document.body.innerHTML = RING;
+    const analyzer = placeAnalyzer();
+    expect(analyzer._extractContribution(document.querySelector('[data-review-id="c1"]'))).toEqual({
+      place: 'Bright Smile Dental',
+      category: 'Dentist',
+      rating: 5,
+      date: expect.stringMatching(/^\d{4}-\d{2}-\d{2}$/),
+      postalCode: '10115',
+      lat: 52.5301,
+      lng: 13.3801,
+    });
+    expect(analyzer._extractContribution(document.querySelector('[data-review-id="c4"]')).date).toBeNull();
+  });
+
+  it('scores the reviewer as a local review ring and caches the contributions', async () => {
+    document.body.innerHTML = RING;
+    const analyzer = placeAnalyzer();
+    analyzer.enrichProfiles = true;
+    await analyzer.run();
+
+    const [score, meta, { anchor }] = analyzer.renderer.renderProductBadge.mock.calls[0];
+    expect(meta).toEqual({ title: 'Dana R.' });
+    expect(anchor).toBe(document.querySelector('[data-review-id="c1"]'));
+    expect(score.score).toBeLessThan(0.5);
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
+      type: 'PAGE_SCORED',
+      data: expect.objectContaining({ platform: 'googlemaps', rescored: false }),
+    });
+
+    const cached = chrome.store['cache_profile_googlemaps_1234567890'];
+    expect(cached).toMatchObject({ displayName: 'Dana R.', localGuide: true, localGuideLevel: 2, totalReviews: 4, photoCount: 0 });
+    expect(cached.contributions).toHaveLength(4);
+  });
+
+  it('does not cache contributions without the enrichment setting', async () => {
+    delete chrome.store['cache_profile_googlemaps_1234567890'];
+    document.body.innerHTML = RING;
+    const analyzer = placeAnalyzer();
+    await analyzer.run();
+
+    expect(analyzer.renderer.renderProductBadge).toHaveBeenCalledTimes(1);
+    expect(chrome.store).not.toHaveProperty('cache_profile_googlemaps_1234567890');
+  });
+});
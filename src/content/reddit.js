@@ -2,65 +2,749 @@
  * Reddit Content Script - Phase 2 Module
  *
  * Analyzes Reddit posts and comments for:
- * - Bot account indicators (account age, karma patterns, posting frequency)
- * - Astroturfing detection (coordinated messaging across subreddits)
- * - AI-generated comment detection
- * - Karma farming patterns
- * - Repost bot detection
+ * - AI-generated and templated text (TextAnalyzer)
+ * - Copy-pasted comments and one writer behind several accounts
+ *   (BatchTextAnalyzer), recomputed over everything on the page
+ * - Account age, karma split, posting cadence and subreddit spread of each
+ *   author (AccountAnalyzer), when the user opts in to profile enrichment
+ * - Coordinated activity in a thread (ThreadAnalyzer): copies, shared
+ *   writers and brand pushes by clustered or young accounts, shown in a
+ *   banner above the comments with links to the comments involved
  *
- * TODO: Implement in Phase 2 after Amazon MVP validates the concept
+ * Supports new Reddit (the shreddit web components and the 2018
+ * redesign), old Reddit, and comment permalinks. Each post and comment
+ * gets an inline badge. Infinite scroll, "load more comments" and
+ * client-side navigation are picked up by a MutationObserver.
+ *
+ * DOM SCRAPING STRATEGY:
+ * Like the Amazon module, all selectors live in one config object. The
+ * shreddit components keep their content in light-DOM slots, so posts
+ * and comments are read from element attributes and slotted children,
+ * and badges go into a slot that is rendered.
+ *
+ * ACCOUNT ENRICHMENT (opt-in):
+ * Authors' public about.json and overview.json listings are fetched
+ * same-origin through ProfileEnricher: cached per account for a day,
+ * looked up once per page however many comments an author wrote, at most
+ * one request every six seconds and 30 accounts per page. Authors in
+ * copy-paste or shared-writer groups are looked up first.
  */
 
-import { TextAnalyzer } from '../analysis/TextAnalyzer.js';
-import { AccountAnalyzer, ReviewerProfile } from '../analysis/AccountAnalyzer.js';
+import { TextAnalyzer, BatchTextAnalyzer } from '../analysis/TextAnalyzer.js';
 import { TrustScorer } from '../analysis/TrustScorer.js';
+import { AccountAnalyzer, RedditProfile } from '../analysis/AccountAnalyzer.js';
+import { ThreadAnalyzer } from '../analysis/ThreadAnalyzer.js';
+import { averageSignals } from '../analysis/SignalRegistry.js';
 import { OverlayRenderer } from '../utils/OverlayRenderer.js';
+import { ProfileEnricher } from '../utils/ProfileEnricher.js';
+import { StorageManager } from '../utils/StorageManager.js';
 
-// Reddit-specific selectors
+// ============================================================
+// REDDIT DOM SELECTORS (centralized for maintainability)
+// ============================================================
 const SELECTORS = {
-  // New Reddit
+  // New Reddit — shreddit web components
+  shredditPost: 'shreddit-post',
+  shredditComment: 'shreddit-comment',
+  shredditPostBody: '[slot="text-body"]',
+  shredditPostHeader: '[slot="credit-bar"]',
+  shredditCommentBody: ':scope > [slot="comment"]',
+  shredditCommentMeta: ':scope > [slot="commentMeta"]',
+  shredditTimestamp: 'faceplate-timeago[ts], time[datetime]',
+  shredditCommentTree: 'shreddit-comment-tree',
+
+  // New Reddit — 2018 redesign
   post: '[data-testid="post-container"]',
+  postTitle: 'h1, h3',
+  postBody: '[data-click-id="text"]',
   comment: '.Comment',
   commentBody: '[data-testid="comment"]',
   username: 'a[href^="/user/"]',
   karma: '[id^="UserInfoTooltip"]',
   timestamp: 'time',
+  relativeTimestamp: '[data-testid="comment_timestamp"], [data-click-id="timestamp"]',
+  voteCount: '[id^="vote-arrows"] > div',
 
   // Old Reddit
   oldPost: '.thing.link',
   oldComment: '.thing.comment',
-  oldCommentBody: '.md',
+  oldEntry: ':scope > .entry',
+  oldTitle: 'a.title',
+  oldCommentBody: '.usertext-body .md',
   oldUsername: '.author',
+  oldTimestamp: 'time[datetime]',
+  oldScore: '.score.unvoted',
+  oldCommentArea: '.commentarea',
+
+  // Links inside post and comment bodies
+  bodyLink: 'a[href]',
+};
+
+// Any post or comment, for spotting new ones in DOM mutations
+const ITEM_SELECTOR = [
+  SELECTORS.shredditPost, SELECTORS.shredditComment,
+  SELECTORS.post, SELECTORS.comment,
+  SELECTORS.oldPost, SELECTORS.oldComment,
+].join(', ');
+
+// Authors whose posts say nothing about authenticity
+const SKIPPED_AUTHORS = /^(?:\[deleted\]|automoderator)$/i;
+const REMOVED_BODY = /^\[(?:deleted|removed)\]$/i;
+
+// "5 hr. ago", "2d", "3 months ago" — the 2018 redesign shows only these
+const RELATIVE_UNITS = {
+  s: 1, sec: 1, second: 1,
+  m: 60, min: 60, minute: 60,
+  h: 3600, hr: 3600, hour: 3600,
+  d: 86400, day: 86400,
+  w: 604800, wk: 604800, week: 604800,
+  mo: 2592000, month: 2592000,
+  y: 31536000, yr: 31536000, year: 31536000,
 };
 
+// ============================================================
+// MAIN CONTROLLER
+// ============================================================
 class RedditAnalyzer {
   constructor() {
     this.textAnalyzer = new TextAnalyzer();
+    this.batchAnalyzer = new BatchTextAnalyzer();
     this.trustScorer = new TrustScorer();
     this.renderer = new OverlayRenderer();
+    this.storage = new StorageManager();
+    this.accountAnalyzer = new AccountAnalyzer();
+    this.threadAnalyzer = new ThreadAnalyzer(this.accountAnalyzer);
+    this.profileEnricher = new ProfileEnricher({
+      platform: 'reddit',
+      storage: this.storage,
+      format: 'json',
+      parse: (about, overview) => this._parseAccount(about, overview),
+      minInterval: 6000,  // Anonymous clients get about ten requests a minute
+      maxRequests: 60,    // Two per account
+    });
+
+    this.items = [];              // Analyzed posts and comments, in analysis order
+    this.seen = new WeakSet();    // Elements already extracted
+    this.pageSignals = null;      // Cross-item patterns over this.items
+    this.threadActivity = null;   // Coordinated activity, on comment pages
+    this.pagePath = null;         // Path the analyzed items belong to
+    this.generation = 0;          // Bumped on navigation; stale runs stop
+    this.reported = false;        // Page score already sent for this page
+    this.isRunning = false;
+    this.pending = false;         // New items appeared during a run
+
+    // Whether authors' account listings are fetched (user setting)
+    this.enrichProfiles = false;
+    this.accounts = new Map();    // Lower-case author → { profile, signals }
+    this.lookedUp = new Set();    // Authors already looked up on this page
+    this.isEnriching = false;
+
+    this.config = {
+      minWords: 8,        // Shorter posts and comments are not scored
+      chunkSize: 10,      // Items analyzed between yields
+      debounce: 800,      // ms to let the DOM settle after a mutation
+    };
   }
 
   async init() {
-    // Phase 2 — not yet implemented
-    console.log('[DID] Reddit module loaded — analysis coming in Phase 2');
+    const settings = await this.storage.getSettings();
+    if (settings.platforms?.reddit === false) return;
+
+    this.trustScorer = TrustScorer.fromSettings(settings);
+    this.enrichProfiles = settings.enrichProfiles === true;
+    this.storage.onSettingsChanged((updated) => this._applySettings(updated));
+    this.pagePath = window.location.pathname;
+
+    // Lookups for a page that is being left are never needed
+    window.addEventListener('pagehide', () => this.profileEnricher.cancel());
+
+    await this.run();
+    this._observe();
+  }
+
+  /**
+   * Analyze the posts and comments that appeared since the last run, then
+   * recompute page-level patterns over all of them
+   */
+  async run() {
+    if (this.isRunning) {
+      this.pending = true;
+      return;
+    }
+    this.isRunning = true;
+    const generation = this.generation;
+
+    try {
+      do {
+        this.pending = false;
+
+        // 1. Extract new items
+        const fresh = this._extractItems();
+        if (fresh.length === 0) break;
+        if (this.enrichProfiles) await this._applyCachedAccounts(fresh);
+        if (generation !== this.generation) return;
+
+        // 2. Text signals per item, with a provisional badge each
+        for (let start = 0; start < fresh.length; start += this.config.chunkSize) {
+          for (const item of fresh.slice(start, start + this.config.chunkSize)) {
+            item.textSignals = this.textAnalyzer.analyze(item.text);
+            item.result = this.trustScorer.computeScore(this._itemSignals(item));
+            this.renderer.renderReviewBadge(item.result, item.badgeTarget);
+          }
+          await yieldToEventLoop();
+          if (generation !== this.generation) return;  // Navigated away
+        }
+        this.items.push(...fresh);
+
+        // 3. Shared phrasing and authorship across the whole page
+        this._analyzePage();
+
+        // 4. Score, render and report
+        this._scoreAndRender();
+      } while (this.pending);
+
+      // 5. Account listings of the authors, in the background
+      if (this.enrichProfiles) this._enrichAccounts();
+    } catch (error) {
+      console.error('[DID] Reddit analysis error:', error);
+    } finally {
+      // A restart for a new page already owns the flag
+      if (generation === this.generation) this.isRunning = false;
+    }
+  }
+
+  /**
+   * Cross-item patterns over every analyzed item, and each item's share
+   * in them (only items in a group carry the group's signal)
+   */
+  _analyzePage() {
+    const noun = this._isThread() ? 'comments' : 'posts';
+    this.pageSignals = this.batchAnalyzer.analyzeCrossPatterns(
+      this.items.map(item => item.text),
+      { authors: this.items.map(item => item.author), noun }
+    );
+
+    const { coordinatedLanguage, sharedAuthorship } = this.pageSignals;
+    const clusters = coordinatedLanguage?.clusters || [];
+    const authorGroups = sharedAuthorship?.groups || [];
+
+    this.items.forEach((item, i) => {
+      item.groupSignals = {
+        coordinatedLanguage: this._groupSignal(coordinatedLanguage, clusters, i,
+          (group) => `Near-duplicate of ${group.size - 1} other ${noun} on this page`),
+        sharedAuthorship: this._groupSignal(sharedAuthorship, authorGroups, i,
+          (group) => `Same writing style as ${group.size - 1} other ${noun} by different accounts`),
+      };
+    });
+
+    this.renderer.markReviewGroups(clusters.map((cluster, i) => ({
+      elements: cluster.members.map(index => this.items[index].badgeTarget),
+      title: `Near-duplicate group ${i + 1}: ${cluster.size} ${noun}, ${Math.round(cluster.similarity * 100)}% similar`,
+    })), { kind: 'duplicate', label: 'Copy' });
+
+    this.renderer.markReviewGroups(authorGroups.map((group, i) => ({
+      elements: group.members.map(index => this.items[index].badgeTarget),
+      title: `Writing style group ${i + 1}: ${group.size} ${noun} by different accounts`
+        + (group.authors.length > 0 ? ` (${group.authors.join(', ')})` : ''),
+    })), { kind: 'author', label: 'Writer' });
+
+    this._analyzeThread();
+  }
 
-    // For now, just report that we're on Reddit
+  /**
+   * Coordinated activity in a comment thread, and its banner. Runs again
+   * as accounts arrive, since young accounts weigh in.
+   */
+  _analyzeThread() {
+    if (!this._isThread()) {
+      this.threadActivity = null;
+      return;
+    }
+
+    this.threadActivity = this.threadAnalyzer.analyze({
+      items: this.items,
+      crossPatterns: this.pageSignals,
+      profiles: this.items.map(item => this._accountFor(item)?.profile || null),
+      subject: this.items.filter(item => item.kind === 'post').map(item => item.text).join(' '),
+    });
+
+    const groups = (this.threadActivity?.groups || []).map(group => ({
+      description: group.description.charAt(0).toUpperCase() + group.description.slice(1),
+      comments: group.members.map(index => this.items[index]).map(item => ({
+        label: item.author ? `u/${item.author}` : item.kind,
+        title: item.text.slice(0, 120),
+        element: item.element,
+        href: item.permalink,
+      })),
+    }));
+    this.renderer.renderThreadBanner(this.threadActivity, groups, this._bannerAnchor());
+  }
+
+  /**
+   * Element the thread banner goes before: the comment tree, or whatever
+   * follows the post
+   */
+  _bannerAnchor() {
+    return document.querySelector(SELECTORS.shredditCommentTree)
+      || document.querySelector(SELECTORS.oldCommentArea)
+      || document.querySelector(SELECTORS.post)?.nextElementSibling
+      || null;
+  }
+
+  _groupSignal(signal, groups, index, describe) {
+    const group = groups.find(g => g.members.includes(index));
+    if (!signal || !group) return null;
+    return { score: signal.score, detail: describe(group) };
+  }
+
+  _itemSignals(item) {
+    return {
+      text: item.textSignals,
+      account: this._accountFor(item)?.signals || {},
+      behavioral: item.groupSignals || {},
+    };
+  }
+
+  /**
+   * Score every item and the page with the current scorer, render the
+   * badges and report the page score
+   * @param {boolean} rescored - True when only the scoring profile changed
+   */
+  _scoreAndRender(rescored = false) {
+    for (const item of this.items) {
+      item.result = this.trustScorer.computeScore(this._itemSignals(item));
+      this.renderer.renderReviewBadge(item.result, item.badgeTarget);
+    }
+    this._reportPageScore(rescored);
+  }
+
+  /**
+   * Score the page from all items and send it to the background
+   */
+  _reportPageScore(rescored = false) {
+    // One entry per account, however many comments it wrote
+    const accounts = [...new Set(this.items.map(item => this._accountFor(item)).filter(Boolean))];
+    const accountBatch = accounts.length > 0
+      ? this.accountAnalyzer.analyzeBatch(accounts.map(account => account.profile)).batch
+      : {};
+
+    const overallScore = this.trustScorer.computeScore({
+      text: averageSignals(this.items.map(item => item.textSignals)),
+      account: averageSignals(accounts.map(account => account.signals)),
+      behavioral: {
+        coordinatedLanguage: this.pageSignals?.coordinatedLanguage || null,
+        sharedAuthorship: this.pageSignals?.sharedAuthorship || null,
+        accountAgeCluster: accountBatch.accountAgeCluster || null,
+        coordinatedActivity: this.threadActivity || null,
+      },
+    });
+
+    // Later runs on the same page (more comments loaded) are not new scans
+    lastPageScore = overallScore;
     chrome.runtime.sendMessage({
       type: 'PAGE_SCORED',
       data: {
         url: window.location.href,
-        score: {
-          score: null,
-          level: 'INSUFFICIENT_DATA',
-          message: 'Reddit analysis coming soon',
-          issues: [],
-          signalCount: 0,
-        },
+        score: overallScore.toJSON(),
         platform: 'reddit',
+        rescored: rescored || this.reported,
       },
     });
+    this.reported = true;
+  }
+
+  /**
+   * Rebuild the scorer when the sensitivity or scoring method changes and
+   * re-score what has already been analyzed
+   */
+  _applySettings(settings) {
+    const enrichProfiles = settings.enrichProfiles === true;
+    if (enrichProfiles !== this.enrichProfiles) {
+      this.enrichProfiles = enrichProfiles;
+      if (!enrichProfiles) {
+        this.profileEnricher.cancel();
+        this.lookedUp.clear();
+      } else if (this.items.length > 0 && !this.isRunning) {
+        this._enrichAccounts();
+      }
+    }
+
+    const scorer = TrustScorer.fromSettings(settings);
+    if (scorer.isEquivalent(this.trustScorer)) return;
+
+    this.trustScorer = scorer;
+    if (this.items.length > 0 && !this.isRunning) {
+      this._scoreAndRender(true);
+    }
+  }
+
+  _isThread() {
+    return /\/comments\//.test(window.location.pathname);
+  }
+
+  // ============================================================
+  // ACCOUNT ENRICHMENT (opt-in)
+  // ============================================================
+
+  _accountFor(item) {
+    return item.author ? this.accounts.get(item.author.toLowerCase()) || null : null;
+  }
+
+  /**
+   * Attach already cached accounts to new items, before they are scored
+   */
+  async _applyCachedAccounts(items) {
+    const authors = [...new Set(items.map(item => item.author?.toLowerCase()).filter(Boolean))]
+      .filter(author => !this.accounts.has(author));
+    const cached = await Promise.all(authors.map(author => this.profileEnricher.getCached(author)));
+    cached.forEach((data, i) => {
+      if (data) this._setAccount(authors[i], data);
+    });
   }
+
+  /**
+   * Look up each author's account once, one at a time, re-scoring their
+   * items and the page as each account arrives. Picks up authors of items
+   * added while it runs.
+   */
+  async _enrichAccounts() {
+    if (this.isEnriching) return;
+    this.isEnriching = true;
+    const generation = this.generation;
+
+    try {
+      let author;
+      while ((author = this._nextAuthorToEnrich()) !== null) {
+        this.lookedUp.add(author);
+        const data = await this.profileEnricher.enrich(author, this._accountUrls(author));
+        if (generation !== this.generation || !this.enrichProfiles) return;  // Page changed or opted out
+        if (!data) continue;
+
+        this._setAccount(author, data);
+        for (const item of this.items) {
+          if (item.author?.toLowerCase() !== author) continue;
+          item.result = this.trustScorer.computeScore(this._itemSignals(item));
+          this.renderer.renderReviewBadge(item.result, item.badgeTarget);
+        }
+        this._analyzeThread();
+        this._reportPageScore(true);
+      }
+    } catch (error) {
+      console.error('[DID] Reddit account enrichment error:', error);
+    } finally {
+      if (generation === this.generation) this.isEnriching = false;
+    }
+  }
+
+  /**
+   * Next author without an account, those in copy-paste or shared-writer
+   * groups first; null when every author has been looked up
+   */
+  _nextAuthorToEnrich() {
+    const inGroup = (item) => Boolean(item.groupSignals?.coordinatedLanguage || item.groupSignals?.sharedAuthorship);
+    const pending = this.items.filter(item => {
+      const author = item.author?.toLowerCase();
+      return author && !this.accounts.has(author) && !this.lookedUp.has(author);
+    });
+    const next = pending.find(inGroup) || pending[0];
+    return next ? next.author.toLowerCase() : null;
+  }
+
+  _setAccount(author, data) {
+    const profile = new RedditProfile(data);
+    this.accounts.set(author, { profile, signals: this.accountAnalyzer.analyze(profile) });
+  }
+
+  _accountUrls(author) {
+    const base = `/user/${encodeURIComponent(author)}`;
+    return [`${base}/about.json?raw_json=1`, `${base}/overview.json?limit=100&raw_json=1`];
+  }
+
+  /**
+   * Map the about and overview listings to RedditProfile fields
+   * @returns {Object|null} null when the account is gone (deleted or shadowbanned)
+   */
+  _parseAccount(about, overview) {
+    const account = about?.data;
+    if (!account?.name) return null;
+    if (account.is_suspended) return { displayName: account.name, suspended: true };
+
+    const toDate = (utcSeconds) => new Date(utcSeconds * 1000).toISOString();
+    const activity = (overview?.data?.children || [])
+      .map(child => child.data)
+      .filter(entry => entry?.created_utc);
+
+    return {
+      displayName: account.name,
+      accountCreated: account.created_utc ? toDate(account.created_utc) : null,
+      linkKarma: account.link_karma ?? null,
+      commentKarma: account.comment_karma ?? null,
+      activityDates: activity.map(entry => toDate(entry.created_utc)),
+      subreddits: activity.map(entry => entry.subreddit).filter(Boolean),
+    };
+  }
+
+  // ============================================================
+  // DATA EXTRACTION
+  // ============================================================
+
+  /**
+   * Posts and comments not extracted before, in document order per layout
+   */
+  _extractItems() {
+    const extractors = [
+      [SELECTORS.shredditPost, (el) => this._extractShredditPost(el)],
+      [SELECTORS.shredditComment, (el) => this._extractShredditComment(el)],
+      [SELECTORS.oldPost, (el) => this._extractOldThing(el, 'post')],
+      [SELECTORS.oldComment, (el) => this._extractOldThing(el, 'comment')],
+      [SELECTORS.post, (el) => this._extractRedesignItem(el, 'post')],
+      [SELECTORS.comment, (el) => this._extractRedesignItem(el, 'comment')],
+    ];
+
+    const items = [];
+    for (const [selector, extract] of extractors) {
+      for (const el of document.querySelectorAll(selector)) {
+        if (this.seen.has(el)) continue;
+        this.seen.add(el);
+
+        try {
+          const item = extract(el);
+          if (item) items.push(item);
+        } catch (e) {
+          console.warn('[DID] Failed to extract Reddit item:', e);
+        }
+      }
+    }
+    return items;
+  }
+
+  _extractShredditPost(el) {
+    const bodyEl = el.querySelector(SELECTORS.shredditPostBody);
+    return this._buildItem('post', el, {
+      id: el.getAttribute('id'),
+      author: el.getAttribute('author'),
+      title: el.getAttribute('post-title'),
+      body: bodyEl?.textContent,
+      timestamp: el.getAttribute('created-timestamp'),
+      score: el.getAttribute('score'),
+      permalink: el.getAttribute('permalink'),
+      links: [el.getAttribute('content-href'), ...this._bodyLinks(bodyEl)],
+      badgeTarget: bodyEl || el.querySelector(SELECTORS.shredditPostHeader),
+    });
+  }
+
+  _extractShredditComment(el) {
+    const bodyEl = el.querySelector(SELECTORS.shredditCommentBody);
+    const timeEl = el.querySelector(SELECTORS.shredditCommentMeta)?.querySelector(SELECTORS.shredditTimestamp);
+    return this._buildItem('comment', el, {
+      id: el.getAttribute('thingid'),
+      author: el.getAttribute('author'),
+      body: bodyEl?.textContent,
+      timestamp: timeEl?.getAttribute('ts') || timeEl?.getAttribute('datetime'),
+      score: el.getAttribute('score'),
+      permalink: el.getAttribute('permalink'),
+      links: this._bodyLinks(bodyEl),
+      badgeTarget: bodyEl,
+    });
+  }
+
+  _extractOldThing(el, kind) {
+    const entry = el.querySelector(SELECTORS.oldEntry);
+    if (!entry) return null;
+    const bodyEl = entry.querySelector(SELECTORS.oldCommentBody);
+
+    return this._buildItem(kind, el, {
+      id: el.dataset.fullname,
+      author: el.dataset.author || entry.querySelector(SELECTORS.oldUsername)?.textContent,
+      title: kind === 'post' ? entry.querySelector(SELECTORS.oldTitle)?.textContent : null,
+      body: bodyEl?.textContent,
+      // Posts carry a millisecond timestamp; comments only a <time> element
+      timestamp: el.dataset.timestamp
+        ? Number(el.dataset.timestamp)
+        : entry.querySelector(SELECTORS.oldTimestamp)?.getAttribute('datetime'),
+      score: el.dataset.score ?? entry.querySelector(SELECTORS.oldScore)?.getAttribute('title'),
+      permalink: el.dataset.permalink,
+      // Link posts point elsewhere through their title
+      links: [kind === 'post' ? el.dataset.url : null, ...this._bodyLinks(bodyEl)],
+      badgeTarget: entry,
+    });
+  }
+
+  _extractRedesignItem(el, kind) {
+    const author = el.querySelector(SELECTORS.username)?.textContent?.replace(/^u\//, '');
+    const timeEl = el.querySelector(SELECTORS.timestamp);
+    const relativeEl = el.querySelector(SELECTORS.relativeTimestamp);
+    const bodyEl = el.querySelector(kind === 'post' ? SELECTORS.postBody : SELECTORS.commentBody);
+
+    return this._buildItem(kind, el, {
+      author,
+      title: kind === 'post' ? el.querySelector(SELECTORS.postTitle)?.textContent : null,
+      body: bodyEl?.textContent,
+      timestamp: timeEl?.getAttribute('datetime') || this._parseRelativeTime(relativeEl?.textContent || ''),
+      score: el.querySelector(SELECTORS.voteCount)?.textContent,
+      permalink: relativeEl?.getAttribute('href') || null,
+      links: this._bodyLinks(bodyEl),
+      badgeTarget: el,
+    });
+  }
+
+  /**
+   * Normalize extracted fields into an item, or null when there is nothing
+   * worth scoring (deleted, removed, bot-moderator or too short)
+   */
+  _buildItem(kind, element, data) {
+    const author = data.author?.trim() || null;
+    const title = data.title?.trim() || '';
+    const body = data.body?.trim() || '';
+
+    if (!data.badgeTarget) return null;
+    if (author && SKIPPED_AUTHORS.test(author)) return null;
+    if (REMOVED_BODY.test(body)) return null;
+
+    const text = [title, body].filter(Boolean).join(' ');
+    if (text.split(/\s+/).filter(Boolean).length < this.config.minWords) return null;
+
+    return {
+      kind,
+      id: data.id || null,
+      author,
+      title,
+      text,
+      timestamp: this._parseTimestamp(data.timestamp),
+      score: this._parseScore(data.score),
+      permalink: data.permalink || null,
+      links: this._linkDomains(data.links || []),
+      element,
+      badgeTarget: data.badgeTarget,
+    };
+  }
+
+  _bodyLinks(bodyEl) {
+    return bodyEl ? [...bodyEl.querySelectorAll(SELECTORS.bodyLink)].map(a => a.href) : [];
+  }
+
+  /**
+   * Hostnames of off-site links, without "www."
+   */
+  _linkDomains(urls) {
+    const domains = new Set();
+    for (const url of urls) {
+      if (!url) continue;
+      try {
+        const { hostname } = new URL(url, window.location.href);
+        if (hostname !== window.location.hostname) domains.add(hostname.replace(/^www\./, ''));
+      } catch {
+        // Not a URL
+      }
+    }
+    return [...domains];
+  }
+
+  /**
+   * ISO date string from a date string or epoch milliseconds
+   */
+  _parseTimestamp(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const time = typeof value === 'number' ? value : Date.parse(value);
+    return Number.isNaN(time) ? null : new Date(time).toISOString();
+  }
+
+  /**
+   * "5 hr. ago" → ISO date string, or null
+   */
+  _parseRelativeTime(text) {
+    if (/just now/i.test(text)) return new Date().toISOString();
+    const match = text.match(/(\d+)\s*([a-z]+)/i);
+    if (!match) return null;
+
+    const unit = match[2].toLowerCase();
+    const seconds = RELATIVE_UNITS[unit] || RELATIVE_UNITS[unit.replace(/s$/, '')];
+    if (!seconds) return null;
+    return new Date(Date.now() - parseInt(match[1], 10) * seconds * 1000).toISOString();
+  }
+
+  /**
+   * "1.2k" / "345" → number; null for hidden scores ("•", "Vote")
+   */
+  _parseScore(value) {
+    if (value === null || value === undefined) return null;
+    const match = String(value).trim().match(/^(-?\d+(?:\.\d+)?)\s*([kKmM])?$/);
+    if (!match) return null;
+    const multiplier = { k: 1e3, m: 1e6 }[match[2]?.toLowerCase()] || 1;
+    return Math.round(parseFloat(match[1]) * multiplier);
+  }
+
+  // ============================================================
+  // DOM OBSERVATION
+  // ============================================================
+
+  /**
+   * Analyze posts and comments added by infinite scroll and "load more
+   * comments", and start over after client-side navigation
+   */
+  _observe() {
+    let debounceTimer = null;
+
+    const observer = new MutationObserver((mutations) => {
+      if (window.location.pathname !== this.pagePath) {
+        clearTimeout(debounceTimer);
+        debounceTimer = setTimeout(() => this._restartForNewPage(), this.config.debounce);
+        return;
+      }
+
+      const hasNew = mutations.some(mutation => [...mutation.addedNodes].some(node =>
+        node.nodeType === Node.ELEMENT_NODE
+          && (node.matches(ITEM_SELECTOR) || node.querySelector(ITEM_SELECTOR))));
+
+      if (hasNew) {
+        clearTimeout(debounceTimer);
+        debounceTimer = setTimeout(() => this.run(), this.config.debounce);
+      }
+    });
+
+    observer.observe(document.body, { childList: true, subtree: true });
+  }
+
+  /**
+   * Drop the previous page's results and analyze the new page
+   */
+  _restartForNewPage() {
+    this.generation++;
+    this.pagePath = window.location.pathname;
+    this.items = [];
+    this.pageSignals = null;
+    this.threadActivity = null;
+    this.renderer.renderThreadBanner(null, [], null);
+    this.reported = false;
+    lastPageScore = null;
+    this.isRunning = false;
+    this.profileEnricher.cancel();
+    this.lookedUp.clear();
+    this.isEnriching = false;
+    this.run();
+  }
+}
+
+function yieldToEventLoop() {
+  return new Promise(resolve => setTimeout(resolve, 0));
 }
 
+// ============================================================
+// MESSAGE HANDLING
+// ============================================================
+let lastPageScore = null;
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.type === 'GET_PAGE_SCORE') {
+    sendResponse({
+      score: lastPageScore?.toJSON() || null,
+      platform: 'reddit',
+    });
+  }
+});
+
+// ============================================================
+// INITIALIZATION
+// ============================================================
 const analyzer = new RedditAnalyzer();
 analyzer.init();
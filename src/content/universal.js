@@ -11,11 +11,13 @@
  * Only runs when explicitly enabled by the user.
  */
 
+import { TrustScorer } from '../analysis/TrustScorer.js';
 import { StorageManager } from '../utils/StorageManager.js';
 
 class UniversalScanner {
   constructor() {
     this.storage = new StorageManager();
+    this.trustScorer = new TrustScorer();
   }
 
   async init() {
@@ -28,16 +30,33 @@ class UniversalScanner {
     const url = window.location.href;
     if (this._isKnownPlatform(url)) return;
 
-    // Run lightweight scan
+    this.trustScorer = TrustScorer.fromSettings(settings);
+    this._report(false);
+
+    // Re-score when the sensitivity or scoring method changes
+    this.storage.onSettingsChanged((updated) => {
+      const scorer = TrustScorer.fromSettings(updated);
+      if (scorer.isEquivalent(this.trustScorer)) return;
+      this.trustScorer = scorer;
+      this._report(true);
+    });
+  }
+
+  /**
+   * Run the lightweight scan and report it to the background
+   * @param {boolean} rescored - True when only the scoring profile changed
+   */
+  _report(rescored) {
     const result = this.scan();
 
     if (result) {
       chrome.runtime.sendMessage({
         type: 'PAGE_SCORED',
         data: {
-          url,
+          url: window.location.href,
           score: result,
           platform: 'web',
+          rescored,
         },
       });
     }
@@ -60,10 +79,7 @@ class UniversalScanner {
 
     return {
       score: avgScore,
-      level: avgScore > 0.7 ? 'HIGH_TRUST'
-        : avgScore > 0.5 ? 'MODERATE_TRUST'
-        : avgScore > 0.3 ? 'LOW_TRUST'
-        : 'VERY_LOW_TRUST',
+      level: this.trustScorer.getTrustLevel(avgScore),
       message: `Basic page scan: ${signals.length} signals analyzed`,
       issues: [],
       signalCount: signals.length,
@@ -119,6 +135,7 @@ class UniversalScanner {
   _isKnownPlatform(url) {
     const knownDomains = [
       'amazon.com', 'amazon.co.uk', 'amazon.ca',
+      'amazon.de', 'amazon.fr', 'amazon.es',
       'reddit.com', 'old.reddit.com',
       'google.com/maps', 'maps.google.com',
     ];
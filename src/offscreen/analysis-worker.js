@@ -0,0 +1,44 @@
+/**
+ * Analysis Worker - Runs AnalysisPipeline off every page's main thread
+ *
+ * Spawned by the offscreen document. Messages in:
+ * - { type: 'START', jobId, job }
+ * - { type: 'CANCEL', jobId }
+ * Messages out:
+ * - { type: 'REVIEW', jobId, index, result } for each review
+ * - { type: 'DONE', jobId, batch }
+ * - { type: 'ERROR', jobId, error }
+ */
+
+import { AnalysisPipeline } from '../analysis/AnalysisPipeline.js';
+
+const pipeline = new AnalysisPipeline();
+const running = new Set();
+const cancelled = new Set();
+
+self.onmessage = async (event) => {
+  const { type, jobId, job } = event.data;
+
+  if (type === 'CANCEL') {
+    // A job that already finished has nothing left to stop
+    if (running.has(jobId)) cancelled.add(jobId);
+    return;
+  }
+
+  if (type !== 'START') return;
+
+  running.add(jobId);
+  try {
+    const output = await pipeline.run(job, {
+      onReview: (index, result) => self.postMessage({ type: 'REVIEW', jobId, index, result }),
+      isCancelled: () => cancelled.has(jobId),
+      batch: job.batch !== false,
+    });
+    if (output) self.postMessage({ type: 'DONE', jobId, batch: output.batch });
+  } catch (error) {
+    self.postMessage({ type: 'ERROR', jobId, error: error.message });
+  } finally {
+    running.delete(jobId);
+    cancelled.delete(jobId);
+  }
+};
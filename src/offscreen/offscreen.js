@@ -0,0 +1,25 @@
+/**
+ * Offscreen Document - Hosts the analysis worker
+ *
+ * Content scripts cannot start a worker from the extension's origin, and
+ * the service worker cannot start one at all, so this hidden document
+ * owns it. It connects to the background service worker on a port and
+ * relays jobs to the worker and results back.
+ */
+
+const worker = new Worker('analysis-worker.js');
+let port = null;
+
+// The service worker may be stopped and restarted; reconnect each time
+function connect() {
+  port = chrome.runtime.connect({ name: 'did-offscreen' });
+  port.onMessage.addListener((message) => worker.postMessage(message));
+  port.onDisconnect.addListener(() => setTimeout(connect, 100));
+}
+
+worker.onmessage = (event) => port?.postMessage(event.data);
+worker.onerror = (event) => {
+  console.error('[DID] Analysis worker error:', event.message);
+};
+
+connect();
@@ -71,7 +71,23 @@ function renderScore(container, score, platform) {
         ${score.issues.slice(0, 5).map(issue => `
           <div class="issue-item">
             <div class="issue-dot ${issue.severity}"></div>
-            <div>${issue.detail || formatSignal(issue.signal)}</div>
+            <div>${issue.detail || issue.label || formatSignal(issue.signal)}</div>
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  let breakdownHtml = '';
+  if (score.contributions && score.contributions.length > 0) {
+    breakdownHtml = `
+      <div class="breakdown">
+        <div class="issues-title">Score Breakdown</div>
+        ${score.contributions.map(row => `
+          <div class="breakdown-row">
+            <div class="breakdown-signal">${row.label || formatSignal(row.signal)}</div>
+            <div class="breakdown-value">${Math.round(row.value * 100)}% × ${Math.round(row.effectiveWeight * 100)}%</div>
+            <div class="breakdown-points ${pointsClass(row.points)}">${formatPoints(row.points)}</div>
           </div>
         `).join('')}
       </div>
@@ -86,6 +102,7 @@ function renderScore(container, score, platform) {
       </div>
       <div class="score-label" style="color: ${color}">${label}</div>
       <div class="score-message">${score.message || ''}</div>
+      ${score.interval ? `<div class="score-range">Range: ${Math.round(score.interval.low * 100)}–${Math.round(score.interval.high * 100)}%${score.insufficientAgreement ? ' · insufficient agreement' : ''}</div>` : ''}
     </div>
     <div class="stats">
       <div class="stat">
@@ -98,6 +115,7 @@ function renderScore(container, score, platform) {
       </div>
     </div>
     ${issuesHtml}
+    ${breakdownHtml}
   `;
 }
 
@@ -108,7 +126,7 @@ function updateToggle(enabled) {
 }
 
 function detectPlatform(url) {
-  if (url.includes('amazon.com')) return 'amazon';
+  if (/amazon\.(com|co\.uk|ca|de|fr|es)\//.test(url)) return 'amazon';
   if (url.includes('reddit.com')) return 'reddit';
   if (url.includes('google.com/maps') || url.includes('maps.google.com')) return 'google maps';
   return null;
@@ -140,6 +158,17 @@ function formatSignal(signal) {
   return signal.replace(/([A-Z])/g, ' $1').replace(/^./, s => s.toUpperCase()).trim();
 }
 
+function pointsClass(points) {
+  if (points === null || Math.abs(points) < 0.05) return 'neutral';
+  return points > 0 ? 'up' : 'down';
+}
+
+function formatPoints(points) {
+  if (points === null) return '—';
+  if (Math.abs(points) < 0.05) return '0.0';
+  return `${points > 0 ? '+' : '−'}${Math.abs(points).toFixed(1)}`;
+}
+
 function sendMessage(message) {
   return new Promise((resolve) => {
     chrome.runtime.sendMessage(message, resolve);
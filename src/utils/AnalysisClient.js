@@ -0,0 +1,167 @@
+/**
+ * AnalysisClient - Content-script side of the analysis pipeline
+ *
+ * Sends a page of reviews to the offscreen analysis worker (through the
+ * background service worker) and streams the per-review results back.
+ * Falls back to running AnalysisPipeline in the page, in small chunks,
+ * when the worker is unavailable, the connection drops mid-job, or the
+ * worker goes quiet for too long (e.g. it crashed inside the offscreen
+ * document, which only logs the error).
+ *
+ * One job at a time: starting a job cancels the previous one, and
+ * cancel() drops the current one (e.g. when the page changes). Results
+ * of a cancelled job are never delivered.
+ */
+
+import { AnalysisPipeline } from '../analysis/AnalysisPipeline.js';
+
+export class AnalysisClient {
+  constructor() {
+    this.port = null;
+    this.current = null;        // { id, job, hooks, resolve, items, local, timer }
+    this.workerAvailable = true;
+    this._localPipeline = null;
+    this._jobCounter = 0;
+    this.config = {
+      stallTimeout: 30000,      // ms without a message before the worker is given up on
+    };
+  }
+
+  /**
+   * Analyze serialized reviews
+   * @param {Object} job - { reviews, product, batch } — see AnalysisPipeline.run()
+   * @param {Object} [hooks]
+   * @param {Function} [hooks.onReview] - (index, itemResult) as results arrive
+   * @returns {Promise<Object|null>} { items, batch }, or null if cancelled
+   */
+  analyze(job, hooks = {}) {
+    this.cancel();
+
+    return new Promise((resolve) => {
+      const id = `${Date.now()}-${++this._jobCounter}`;
+      this.current = { id, job, hooks, resolve, items: [], local: false };
+
+      if (this.workerAvailable && this._connect()) {
+        this.port.postMessage({ type: 'START', jobId: id, job });
+        this._watch(this.current);
+      } else {
+        this._runLocally(this.current);
+      }
+    });
+  }
+
+  /**
+   * Cancel the current job, if any; its promise resolves with null
+   */
+  cancel() {
+    const job = this.current;
+    if (!job) return;
+
+    this.current = null;
+    clearTimeout(job.timer);
+    if (!job.local) this._cancelRemote(job);
+    job.resolve(null);
+  }
+
+  _cancelRemote(job) {
+    try {
+      this.port?.postMessage({ type: 'CANCEL', jobId: job.id });
+    } catch {
+      // Port already closed — nothing is running remotely
+    }
+  }
+
+  /**
+   * (Re)start the stall timer of a job running in the worker
+   */
+  _watch(job) {
+    clearTimeout(job.timer);
+    job.timer = setTimeout(() => {
+      if (this.current !== job || job.local) return;
+      console.warn('[DID] Analysis worker stopped responding, analyzing in page');
+      this._cancelRemote(job);
+      this.workerAvailable = false;
+      this._runLocally(job);
+    }, this.config.stallTimeout);
+  }
+
+  _connect() {
+    if (this.port) return true;
+
+    try {
+      this.port = chrome.runtime.connect({ name: 'did-analysis' });
+    } catch (error) {
+      // Extension context invalidated (e.g. extension reloaded)
+      console.warn('[DID] Analysis worker unreachable, analyzing in page:', error.message);
+      this.workerAvailable = false;
+      return false;
+    }
+
+    this.port.onMessage.addListener((message) => this._onMessage(message));
+    this.port.onDisconnect.addListener(() => {
+      this.port = null;
+      // A job in flight is redone in the page
+      if (this.current && !this.current.local) this._runLocally(this.current);
+    });
+    return true;
+  }
+
+  _onMessage(message) {
+    const job = this.current;
+    if (!job || job.local || message.jobId !== job.id) return;  // Stale job
+
+    switch (message.type) {
+      case 'REVIEW':
+        this._watch(job);
+        job.items[message.index] = message.result;
+        job.hooks.onReview?.(message.index, message.result);
+        break;
+
+      case 'DONE':
+        clearTimeout(job.timer);
+        this.current = null;
+        job.resolve({ items: job.items, batch: message.batch });
+        break;
+
+      case 'UNAVAILABLE':
+        this.workerAvailable = false;
+        this._runLocally(job);
+        break;
+
+      case 'ERROR':
+        console.warn('[DID] Analysis worker failed, analyzing in page:', message.error);
+        this._runLocally(job);
+        break;
+    }
+  }
+
+  /**
+   * Run the job in the page. Reviews already delivered by the worker are
+   * reported again; callers treat onReview as idempotent per index.
+   */
+  async _runLocally(job) {
+    clearTimeout(job.timer);
+    job.local = true;
+    this._localPipeline = this._localPipeline || new AnalysisPipeline();
+
+    try {
+      const output = await this._localPipeline.run(job.job, {
+        onReview: (index, result) => {
+          if (this.current === job) job.hooks.onReview?.(index, result);
+        },
+        isCancelled: () => this.current !== job,
+        batch: job.job.batch !== false,
+      });
+      if (output && this.current === job) {
+        this.current = null;
+        job.resolve(output);
+      }
+    } catch (error) {
+      console.error('[DID] Analysis error:', error);
+      if (this.current === job) {
+        this.current = null;
+        job.resolve(null);
+      }
+    }
+  }
+}
@@ -0,0 +1,80 @@
+import { AnalysisClient } from './AnalysisClient.js';
+
+// Stand-in for the runtime port to the background service worker
+function fakePort() {
+  const listeners = { message: [], disconnect: [] };
+  return {
+    sent: [],
+    postMessage(message) { this.sent.push(message); },
+    onMessage: { addListener: (fn) => listeners.message.push(fn) },
+    onDisconnect: { addListener: (fn) => listeners.disconnect.push(fn) },
+    deliver: (message) => listeners.message.forEach(fn => fn(message)),
+  };
+}
+
+describe('AnalysisClient', () => {
+  let port;
+  let client;
+  let localRun;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    port = fakePort();
+    global.chrome = { runtime: { connect: () => port } };
+
+    client = new AnalysisClient();
+    localRun = jest.fn(async () => ({ items: ['local'], batch: null }));
+    client._localPipeline = { run: localRun };
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    delete global.chrome;
+  });
+
+  it('resolves with the worker results', async () => {
+    const result = client.analyze({ reviews: [] });
+    const { jobId } = port.sent[0];
+    port.deliver({ type: 'REVIEW', jobId, index: 0, result: 'remote' });
+    port.deliver({ type: 'DONE', jobId, batch: {} });
+
+    await expect(result).resolves.toEqual({ items: ['remote'], batch: {} });
+    jest.advanceTimersByTime(client.config.stallTimeout);
+    expect(localRun).not.toHaveBeenCalled();
+  });
+
+  it('analyzes in the page when the worker goes quiet', async () => {
+    const result = client.analyze({ reviews: [] });
+    const { jobId } = port.sent[0];
+    jest.advanceTimersByTime(client.config.stallTimeout);
+
+    await expect(result).resolves.toEqual({ items: ['local'], batch: null });
+    expect(port.sent).toContainEqual({ type: 'CANCEL', jobId });
+    expect(client.workerAvailable).toBe(false);
+  });
+
+  it('restarts the stall timer on each result', () => {
+    client.analyze({ reviews: [] });
+    const { jobId } = port.sent[0];
+    for (let i = 0; i < 3; i++) {
+      jest.advanceTimersByTime(client.config.stallTimeout - 1);
+      port.deliver({ type: 'REVIEW', jobId, index: i, result: 'remote' });
+    }
+    expect(localRun).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(client.config.stallTimeout);
+    expect(localRun).toHaveBeenCalledTimes(1);
+  });
+
+  it('stops watching a cancelled job', async () => {
+    const result = client.analyze({ reviews: [] });
+    client.cancel();
+
+    await expect(result).resolves.toBeNull();
+    jest.advanceTimersByTime(client.config.stallTimeout);
+    expect(localRun).not.toHaveBeenCalled();
+    expect(client.workerAvailable).toBe(true);
+  });
+});
@@ -9,6 +9,8 @@
  * - Never interferes with page functionality
  */
 
+import { signalRegistry } from '../analysis/SignalRegistry.js';
+
 export class OverlayRenderer {
   constructor() {
     this.namespace = 'did'; // Dead Internet Detector — prefix all CSS classes
@@ -18,8 +20,11 @@ export class OverlayRenderer {
   /**
    * Render the overall product/page trust badge
    * Fixed position element near the top of the review section
+   * @param {Object} [options]
+   * @param {Object} [options.verifiedComparison] - Verified vs. unverified summary, shown in the details
+   * @param {Element} [options.anchor] - Insert before this element instead of Amazon's review list
    */
-  renderProductBadge(trustResult, productMeta) {
+  renderProductBadge(trustResult, productMeta, options = {}) {
     // Remove existing badge if re-running
     const existing = document.querySelector(`.${this.namespace}-product-badge`);
     if (existing) existing.remove();
@@ -35,18 +40,24 @@ export class OverlayRenderer {
         </span>
         <span class="${this.namespace}-badge-label">
           Review Authenticity: <strong>${this._getLevelLabel(trustResult.level)}</strong>
+          ${trustResult.insufficientAgreement ? `<span class="${this.namespace}-agreement-note">insufficient agreement</span>` : ''}
         </span>
         <span class="${this.namespace}-badge-score">
-          ${trustResult.score !== null ? Math.round(trustResult.score * 100) + '%' : '—'}
+          ${trustResult.insufficientAgreement
+            ? this._formatInterval(trustResult.interval)
+            : trustResult.score !== null ? Math.round(trustResult.score * 100) + '%' : '—'}
         </span>
         <button class="${this.namespace}-badge-expand" aria-label="Show details">▾</button>
       </div>
       <div class="${this.namespace}-badge-details" style="display: none;">
         <div class="${this.namespace}-badge-message">${trustResult.message}</div>
         ${this._renderIssuesList(trustResult.issues)}
+        ${this._renderContributions(trustResult.contributions)}
+        ${this._renderVerifiedComparison(options.verifiedComparison)}
         <div class="${this.namespace}-badge-meta">
           Based on ${trustResult.signalCount} analysis signals · 
           Confidence: ${Math.round((trustResult.confidence || 0) * 100)}%
+          ${trustResult.interval ? ` · Range: ${this._formatInterval(trustResult.interval)}` : ''}
         </div>
         <div class="${this.namespace}-badge-disclaimer">
           Dead Internet Detector provides indicators, not definitive judgments. 
@@ -65,7 +76,8 @@ export class OverlayRenderer {
     });
 
     // Insert before review list
-    const reviewSection = document.querySelector('#cm-cr-dp-review-list')
+    const reviewSection = options.anchor
+      || document.querySelector('#cm-cr-dp-review-list')
       || document.querySelector('#reviews-medley-footer');
 
     if (reviewSection) {
@@ -82,8 +94,9 @@ export class OverlayRenderer {
   renderReviewBadge(trustResult, reviewElement) {
     if (!reviewElement) return;
 
-    // Don't double-badge
-    if (reviewElement.querySelector(`.${this.namespace}-review-badge`)) return;
+    // Don't double-badge — replace the old badge when re-scoring
+    const existing = reviewElement.querySelector(`.${this.namespace}-review-badge`);
+    if (existing) existing.remove();
 
     const badge = document.createElement('div');
     badge.className = `${this.namespace}-review-badge`;
@@ -92,12 +105,14 @@ export class OverlayRenderer {
     const scoreDisplay = trustResult.score !== null
       ? Math.round(trustResult.score * 100) + '%'
       : '?';
+    // "~" marks a score whose range spans more than one trust level
+    const agreementMark = trustResult.insufficientAgreement ? '~' : '';
 
     badge.innerHTML = `
       <span class="${this.namespace}-review-indicator" 
             style="background-color: ${trustResult.color}"
             title="${trustResult.message}">
-        ${trustResult.icon} ${scoreDisplay}
+        ${trustResult.icon} ${agreementMark}${scoreDisplay}
       </span>
     `;
 
@@ -109,15 +124,21 @@ export class OverlayRenderer {
         Authenticity Score: ${scoreDisplay}
       </div>
       <div class="${this.namespace}-tooltip-message">${trustResult.message}</div>
+      ${trustResult.insufficientAgreement ? `
+        <div class="${this.namespace}-tooltip-agreement">
+          Insufficient agreement: score could be ${this._formatInterval(trustResult.interval)}
+        </div>
+      ` : ''}
       ${trustResult.issues.length > 0 ? `
         <ul class="${this.namespace}-tooltip-issues">
           ${trustResult.issues.slice(0, 3).map(issue => `
             <li class="${this.namespace}-tooltip-issue ${this.namespace}-severity-${issue.severity}">
-              ${issue.detail || this._formatSignalName(issue.signal)}
+              ${issue.detail || issue.label || this._formatSignalName(issue.signal)}
             </li>
           `).join('')}
         </ul>
       ` : ''}
+      ${this._renderContributions(trustResult.contributions, 5)}
     `;
 
     badge.appendChild(tooltip);
@@ -136,10 +157,194 @@ export class OverlayRenderer {
     reviewElement.insertBefore(badge, reviewElement.firstChild);
   }
 
+  /**
+   * Mark reviews that belong together, e.g. near-duplicate copies.
+   * Each review gets a numbered marker; hovering a marker highlights the
+   * other reviews in the same group. Markers of the same kind from an
+   * earlier call are removed first.
+   * @param {Object[]} groups - [{ elements: Element[], title }]
+   * @param {Object} options
+   * @param {string} options.kind - Group type, used in CSS classes ('duplicate', ...)
+   * @param {string} options.label - Marker text, followed by the group number
+   */
+  markReviewGroups(groups, { kind = 'group', label = 'Group' } = {}) {
+    document.querySelectorAll(`.${this.namespace}-group-marker[data-group-kind="${kind}"]`)
+      .forEach(marker => marker.remove());
+
+    groups.forEach((group, i) => {
+      const elements = group.elements.filter(Boolean);
+      const highlight = (on) => elements.forEach(el =>
+        el.classList.toggle(`${this.namespace}-group-highlight`, on));
+
+      for (const element of elements) {
+        let container = element.querySelector(`.${this.namespace}-group-markers`);
+        if (!container) {
+          container = document.createElement('div');
+          container.className = `${this.namespace}-group-markers`;
+          element.style.position = 'relative';
+          element.insertBefore(container, element.firstChild);
+        }
+
+        const marker = document.createElement('span');
+        marker.className = `${this.namespace}-group-marker ${this.namespace}-group-${kind}`;
+        marker.setAttribute('data-group-kind', kind);
+        marker.setAttribute('data-color', i % 6);
+        marker.textContent = `${label} ${i + 1}`;
+        marker.title = group.title || `${label} ${i + 1}: ${elements.length} reviews`;
+        marker.addEventListener('mouseenter', () => highlight(true));
+        marker.addEventListener('mouseleave', () => highlight(false));
+        container.appendChild(marker);
+      }
+    });
+  }
+
+  /**
+   * Render a banner above a discussion thread listing groups of comments
+   * that look coordinated, each with links that scroll to its comments.
+   * Replaces an earlier banner; removes it when there are no groups.
+   * Page text (names, brands) is only ever set as text, never as HTML.
+   * @param {Object} activity - { score, detail }
+   * @param {Object[]} groups - [{ description, comments: [{ label, title, element, href }] }]
+   * @param {Element} anchor - The banner is inserted before this element
+   */
+  renderThreadBanner(activity, groups, anchor) {
+    const existing = document.querySelector(`.${this.namespace}-thread-banner`);
+    if (existing) existing.remove();
+    if (!anchor || groups.length === 0) return;
+
+    const banner = document.createElement('div');
+    banner.className = `${this.namespace}-thread-banner`;
+    banner.setAttribute('role', 'note');
+
+    const header = document.createElement('div');
+    header.className = `${this.namespace}-thread-banner-title`;
+    header.textContent = `⚠ Possible coordinated activity in this thread · score ${Math.round(activity.score * 100)}%`;
+    banner.appendChild(header);
+
+    const list = document.createElement('ul');
+    list.className = `${this.namespace}-thread-groups`;
+    for (const group of groups) {
+      const row = document.createElement('li');
+      const description = document.createElement('div');
+      description.textContent = group.description;
+      row.appendChild(description);
+
+      const links = document.createElement('div');
+      links.className = `${this.namespace}-thread-links`;
+      for (const comment of group.comments) {
+        const link = document.createElement('a');
+        link.href = comment.href || '#';
+        link.textContent = comment.label;
+        if (comment.title) link.title = comment.title;
+        link.addEventListener('click', (event) => {
+          if (!comment.element?.isConnected) return;  // Not on the page any more — follow the link
+          event.preventDefault();
+          comment.element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+          comment.element.classList.add(`${this.namespace}-group-highlight`);
+          setTimeout(() => comment.element.classList.remove(`${this.namespace}-group-highlight`), 2000);
+        });
+        links.appendChild(link);
+      }
+      row.appendChild(links);
+      list.appendChild(row);
+    }
+    banner.appendChild(list);
+
+    const disclaimer = document.createElement('div');
+    disclaimer.className = `${this.namespace}-badge-disclaimer`;
+    disclaimer.textContent = 'Indicators, not proof: people who like a product also recommend it together.';
+    banner.appendChild(disclaimer);
+
+    anchor.parentNode.insertBefore(banner, anchor);
+  }
+
+  /**
+   * Highlight evidence spans inside a text container.
+   * Only text nodes are split and wrapped — the page's own elements and
+   * their event handlers are left in place. Offsets count the container's
+   * text content, skipping anything the extension injected.
+   * @param {Element} container - Element whose text the offsets refer to
+   * @param {Object[]} spans - [{ start, end, kind, label }]
+   */
+  highlightEvidence(container, spans) {
+    if (!container) return;
+    this.clearHighlights(container);
+    if (!spans?.length) return;
+
+    // Overlapping spans: the earlier (then longer) one wins
+    const sorted = [...spans].sort((a, b) => a.start - b.start || b.end - a.end);
+    const accepted = [];
+    for (const span of sorted) {
+      if (span.end <= span.start) continue;
+      const last = accepted[accepted.length - 1];
+      if (last && span.start < last.end) continue;
+      accepted.push(span);
+    }
+    if (accepted.length === 0) return;
+
+    // Map offsets to text nodes before modifying anything
+    const namespace = this.namespace;
+    const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT, {
+      acceptNode(node) {
+        const injected = node.parentElement
+          ?.closest(`[class^="${namespace}-"], [class*=" ${namespace}-"]`);
+        return injected && container.contains(injected)
+          ? NodeFilter.FILTER_REJECT
+          : NodeFilter.FILTER_ACCEPT;
+      },
+    });
+    const nodes = [];
+    let offset = 0;
+    while (walker.nextNode()) {
+      const node = walker.currentNode;
+      nodes.push({ node, start: offset, end: offset + node.data.length });
+      offset += node.data.length;
+    }
+
+    // Wrap back to front so earlier offsets stay valid
+    for (const span of accepted.reverse()) {
+      for (let n = nodes.length - 1; n >= 0; n--) {
+        const entry = nodes[n];
+        const from = Math.max(span.start, entry.start);
+        const to = Math.min(span.end, entry.end);
+        if (from >= to) continue;
+        this._wrapText(entry.node, from - entry.start, to - entry.start, span);
+      }
+    }
+  }
+
+  /**
+   * Remove evidence highlights, restoring the original text nodes
+   * @param {Element|Document} [root=document]
+   */
+  clearHighlights(root = document) {
+    root.querySelectorAll(`mark.${this.namespace}-evidence`).forEach(mark => {
+      const parent = mark.parentNode;
+      while (mark.firstChild) parent.insertBefore(mark.firstChild, mark);
+      mark.remove();
+      parent.normalize();
+    });
+  }
+
   // ============================================================
   // HELPERS
   // ============================================================
 
+  /**
+   * Wrap [start, end) of a text node in a highlight mark
+   */
+  _wrapText(node, start, end, span) {
+    const target = start > 0 ? node.splitText(start) : node;
+    if (end - start < target.data.length) target.splitText(end - start);
+
+    const mark = document.createElement('mark');
+    mark.className = `${this.namespace}-evidence ${this.namespace}-evidence-${span.kind}`;
+    mark.setAttribute('data-did-label', span.label);
+    mark.title = span.label;
+    target.parentNode.insertBefore(mark, target);
+    mark.appendChild(target);
+  }
+
   _getLevelLabel(level) {
     const labels = {
       HIGH_TRUST: 'Likely Authentic',
@@ -162,7 +367,7 @@ export class OverlayRenderer {
           <li class="${this.namespace}-issue ${this.namespace}-severity-${issue.severity}">
             <span class="${this.namespace}-issue-category">${this._formatCategory(issue.category)}</span>
             <span class="${this.namespace}-issue-detail">
-              ${issue.detail || this._formatSignalName(issue.signal)}
+              ${issue.detail || issue.label || this._formatSignalName(issue.signal)}
             </span>
           </li>
         `).join('')}
@@ -170,17 +375,100 @@ export class OverlayRenderer {
     `;
   }
 
+  /**
+   * Render the per-signal attribution table: raw value, effective weight
+   * and the points each signal added to or removed from the score
+   * @param {Object[]} contributions - TrustResult.contributions
+   * @param {number} [limit] - Only show the most influential rows
+   */
+  _renderContributions(contributions, limit = Infinity) {
+    if (!contributions || contributions.length === 0) return '';
+
+    const rows = contributions.slice(0, limit);
+
+    return `
+      <table class="${this.namespace}-contributions">
+        <thead>
+          <tr>
+            <th>Signal</th>
+            <th>Value</th>
+            <th>Weight</th>
+            <th>Points</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rows.map(row => `
+            <tr>
+              <td>${row.label || this._formatSignalName(row.signal)}</td>
+              <td>${Math.round(row.value * 100)}%</td>
+              <td>${Math.round(row.effectiveWeight * 100)}%</td>
+              <td class="${this.namespace}-points-${this._pointsDirection(row.points)}">
+                ${this._formatPoints(row.points)}
+              </td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Verified vs. unverified reviews side by side
+   * @param {Object} comparison - { verified, unverified }, each { count, averageRating, fiveStarShare }
+   */
+  _renderVerifiedComparison(comparison) {
+    if (!comparison || comparison.verified.count + comparison.unverified.count === 0) return '';
+
+    const row = (label, group) => `
+      <tr>
+        <td>${label}</td>
+        <td>${group.count}</td>
+        <td>${group.averageRating !== null ? group.averageRating.toFixed(1) + '★' : '—'}</td>
+        <td>${group.fiveStarShare !== null ? Math.round(group.fiveStarShare * 100) + '%' : '—'}</td>
+      </tr>
+    `;
+
+    return `
+      <table class="${this.namespace}-contributions ${this.namespace}-verified-comparison">
+        <thead>
+          <tr>
+            <th>Reviews</th>
+            <th>Count</th>
+            <th>Avg.</th>
+            <th>5-star</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${row('Verified purchase', comparison.verified)}
+          ${row('Not verified', comparison.unverified)}
+        </tbody>
+      </table>
+    `;
+  }
+
+  _formatInterval(interval) {
+    return `${Math.round(interval.low * 100)}–${Math.round(interval.high * 100)}%`;
+  }
+
+  _pointsDirection(points) {
+    if (points === null || Math.abs(points) < 0.05) return 'neutral';
+    return points > 0 ? 'up' : 'down';
+  }
+
+  _formatPoints(points) {
+    if (points === null) return '—';
+    if (Math.abs(points) < 0.05) return '0.0';
+    return `${points > 0 ? '+' : '−'}${Math.abs(points).toFixed(1)}`;
+  }
+
   _formatCategory(category) {
-    const names = {
-      text: 'Content',
-      account: 'Reviewer',
-      behavioral: 'Pattern',
-      media: 'Media',
-    };
-    return names[category] || category;
+    return signalRegistry.categoryLabel(category) || category;
   }
 
   _formatSignalName(signal) {
+    const label = signalRegistry.labelFor(signal);
+    if (label) return label;
+
     return signal
       .replace(/([A-Z])/g, ' $1')
       .replace(/^./, s => s.toUpperCase())
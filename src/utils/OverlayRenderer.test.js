@@ -0,0 +1,117 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { OverlayRenderer } from './OverlayRenderer.js';
+
+const renderer = new OverlayRenderer();
+const span = (start, end, kind = 'template') => ({ start, end, kind, label: `${kind} label` });
+const marks = (container) => [...container.querySelectorAll('mark.did-evidence')];
+
+function review(html) {
+  const container = document.createElement('div');
+  container.innerHTML = html;
+  document.body.replaceChildren(container);
+  return container;
+}
+
+describe('OverlayRenderer.highlightEvidence', () => {
+  it('wraps a span inside one text node', () => {
+    const container = review('Works great, exactly as described.');
+    renderer.highlightEvidence(container, [span(13, 33)]);
+
+    const [mark] = marks(container);
+    expect(mark.textContent).toBe('exactly as described');
+    expect(mark.className).toBe('did-evidence did-evidence-template');
+    expect(mark.title).toBe('template label');
+    expect(container.textContent).toBe('Works great, exactly as described.');
+  });
+
+  it('splits a span that crosses element boundaries, leaving the elements in place', () => {
+    const container = review('I was <b>skeptical at</b> first but <a href="#">it works</a>.');
+    const bold = container.querySelector('b');
+    const link = container.querySelector('a');
+    const onClick = jest.fn();
+    link.addEventListener('click', onClick);
+
+    // "skeptical at first but it"
+    renderer.highlightEvidence(container, [span(6, 31)]);
+
+    expect(marks(container).map(m => m.textContent)).toEqual(['skeptical at', ' first but ', 'it']);
+    expect(container.querySelector('b')).toBe(bold);
+    expect(bold.firstChild.tagName).toBe('MARK');
+    expect(container.querySelector('a')).toBe(link);
+    link.click();
+    expect(onClick).toHaveBeenCalledTimes(1);
+    expect(container.textContent).toBe('I was skeptical at first but it works.');
+  });
+
+  it('keeps the earlier, then longer, of overlapping spans', () => {
+    const container = review('Highly recommend this product to everyone.');
+    renderer.highlightEvidence(container, [
+      span(7, 21, 'hype'),      // "recommend this"
+      span(0, 29, 'template'),  // "Highly recommend this product"
+      span(0, 6, 'hype'),       // "Highly"
+      span(33, 41, 'hype'),     // "everyone"
+      span(12, 12, 'hype'),     // empty
+    ]);
+
+    expect(marks(container).map(m => [m.textContent, m.dataset.didLabel])).toEqual([
+      ['Highly recommend this product', 'template label'],
+      ['everyone', 'hype label'],
+    ]);
+  });
+
+  it('skips text the extension injected when counting offsets', () => {
+    const container = review('<span class="did-review-badge">72% trust</span>Exactly what I needed.');
+    renderer.highlightEvidence(container, [span(0, 7)]);
+
+    const [mark] = marks(container);
+    expect(mark.textContent).toBe('Exactly');
+    expect(container.querySelector('.did-review-badge').textContent).toBe('72% trust');
+  });
+
+  it('replaces the previous highlights', () => {
+    const container = review('Works great, exactly as described.');
+    renderer.highlightEvidence(container, [span(0, 5)]);
+    renderer.highlightEvidence(container, [span(6, 11)]);
+    expect(marks(container).map(m => m.textContent)).toEqual(['great']);
+
+    renderer.highlightEvidence(container, []);
+    expect(marks(container)).toEqual([]);
+  });
+});
+
+describe('OverlayRenderer.clearHighlights', () => {
+  it('restores the original markup exactly', () => {
+    const html = 'I was <b>skeptical at</b> first but <a href="#">it works</a>. <span class="did-review-badge">72%</span>';
+    const container = review(html);
+    const bold = container.querySelector('b');
+
+    renderer.highlightEvidence(container, [span(0, 5), span(6, 31), span(35, 37)]);
+    expect(marks(container).length).toBeGreaterThan(0);
+
+    renderer.clearHighlights(container);
+    expect(container.innerHTML).toBe(html);
+    expect(container.querySelector('b')).toBe(bold);
+    expect(bold.childNodes).toHaveLength(1);
+    // Split text nodes are merged back: three text nodes around <b>, <a> and the badge
+    expect(container.childNodes).toHaveLength(6);
+  });
+
+  it('only clears inside the given root', () => {
+    const first = review('Works great.');
+    const second = document.createElement('div');
+    second.textContent = 'Works great.';
+    document.body.append(second);
+
+    renderer.highlightEvidence(first, [span(0, 5)]);
+    renderer.highlightEvidence(second, [span(0, 5)]);
+    renderer.clearHighlights(first);
+    expect(marks(first)).toEqual([]);
+    expect(marks(second)).toHaveLength(1);
+
+    renderer.clearHighlights();
+    expect(marks(second)).toEqual([]);
+  });
+});
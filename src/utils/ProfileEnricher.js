@@ -0,0 +1,147 @@
+/**
+ * ProfileEnricher - Fetch and cache public reviewer profiles
+ *
+ * Review pages show little about each reviewer. When the user opts in,
+ * this follows the reviewer's profile link with a same-origin fetch and
+ * hands the parsed document (or JSON, for platforms with a JSON view of
+ * profiles) to a platform-specific parser.
+ *
+ * Politeness and privacy:
+ * - Requests are serialized with a minimum gap (plus jitter) and capped
+ *   per page; a 429 / 503 response stops enrichment for the page
+ * - Requests carry no cookies, so the platform sees an anonymous visitor
+ * - Parsed profiles are cached in chrome.storage (see StorageManager), so
+ *   a reviewer is fetched at most once a day; within a page, every lookup
+ *   of the same reviewer shares one attempt, failed or not
+ *
+ * Google Maps builds profile pages in the browser, so there is nothing to
+ * fetch; its content script stores what it reads with remember() instead.
+ */
+
+export class ProfileEnricher {
+  /**
+   * @param {Object} options
+   * @param {string} options.platform - Cache key prefix ('amazon', ...)
+   * @param {Function} options.parse - (...responses) → profile data or null;
+   *   one Document, or parsed JSON with format 'json', per requested URL
+   * @param {StorageManager} options.storage
+   * @param {'html'|'json'} [options.format] - How responses are parsed
+   */
+  constructor({ platform, parse, storage, format = 'html', ...options }) {
+    this.platform = platform;
+    this.parse = parse;
+    this.storage = storage;
+    this.format = format;
+    this.config = {
+      minInterval: 2000,   // ms between requests
+      jitter: 500,         // Random extra delay, ms
+      maxRequests: 30,     // Network fetches per page
+      ...options,
+    };
+
+    this.generation = 0;   // Bumped by cancel(); stale fetches are dropped
+    this.requestCount = 0;
+    this.stopped = false;  // Set after the platform pushes back
+    this.lookups = new Map();  // id → pending or settled lookup on this page
+    this._nextAt = 0;
+  }
+
+  /**
+   * Cached profile data, or null
+   */
+  async getCached(id) {
+    if (!id) return null;
+    return this.storage.getCachedResult(this._cacheKey(id));
+  }
+
+  /**
+   * Cache profile data read from the page the user is on, for platforms
+   * that render profiles client-side and cannot be fetched
+   */
+  async remember(id, data) {
+    if (!id || !data) return;
+    await this.storage.cacheResult(this._cacheKey(id), data);
+  }
+
+  /**
+   * Profile data from the cache or, rate-limited, from the network
+   * @param {string} id - Stable reviewer id (cache key)
+   * @param {string|string[]} url - Same-origin profile URL, or several
+   *   URLs whose responses are parsed together
+   * @returns {Promise<Object|null>} null when unavailable, over budget or cancelled
+   */
+  enrich(id, url) {
+    if (!id) return Promise.resolve(null);
+
+    // Repeat lookups on a page (one author, many comments) share the first
+    let lookup = this.lookups.get(id);
+    if (!lookup) {
+      lookup = this._lookup(id, url);
+      this.lookups.set(id, lookup);
+    }
+    return lookup;
+  }
+
+  /**
+   * Drop queued requests and reset the per-page budget (page changed)
+   */
+  cancel() {
+    this.generation++;
+    this.requestCount = 0;
+    this.stopped = false;
+    this.lookups.clear();
+    this._nextAt = 0;
+  }
+
+  async _lookup(id, url) {
+    const cached = await this.getCached(id);
+    if (cached) return cached;
+
+    const urls = (Array.isArray(url) ? url : [url]).filter(Boolean);
+    if (urls.length === 0 || this.stopped) return null;
+    if (this.requestCount + urls.length > this.config.maxRequests) return null;
+    if (urls.some(u => new URL(u, window.location.href).origin !== window.location.origin)) return null;
+
+    this.requestCount += urls.length;
+    const generation = this.generation;
+    const responses = [];
+
+    try {
+      for (const u of urls) {
+        await this._nextSlot();
+        if (generation !== this.generation || this.stopped) return null;
+
+        const response = await fetch(u, { credentials: 'omit' });
+        if (response.status === 429 || response.status === 503) {
+          console.warn(`[DID] Profile requests throttled (${response.status}); stopping enrichment for this page`);
+          this.stopped = true;
+          return null;
+        }
+        if (!response.ok) return null;
+
+        responses.push(this.format === 'json'
+          ? await response.json()
+          : new DOMParser().parseFromString(await response.text(), 'text/html'));
+      }
+      if (generation !== this.generation) return null;
+
+      const data = this.parse(...responses);
+      if (data) await this.storage.cacheResult(this._cacheKey(id), data);
+      return data;
+    } catch (error) {
+      console.warn('[DID] Profile fetch failed:', error.message);
+      return null;
+    }
+  }
+
+  _nextSlot() {
+    const now = Date.now();
+    const at = Math.max(now, this._nextAt);
+    this._nextAt = at + this.config.minInterval + Math.random() * this.config.jitter;
+    return new Promise(resolve => setTimeout(resolve, at - now));
+  }
+
+  _cacheKey(id) {
+    return `profile_${this.platform}_${id}`;
+  }
+}
@@ -0,0 +1,266 @@
+/**
+ * @jest-environment jsdom
+ * @jest-environment-options {"url": "https://www.amazon.com/product-reviews/B000TEST"}
+ */
+
+import { ProfileEnricher } from './ProfileEnricher.js';
+
+// In-memory stand-in for StorageManager's result cache
+function fakeStorage(entries = {}) {
+  const cache = new Map(Object.entries(entries));
+  return {
+    cache,
+    getCachedResult: jest.fn(async (key) => cache.get(key) ?? null),
+    cacheResult: jest.fn(async (key, value) => { cache.set(key, value); }),
+  };
+}
+
+const respond = (status, body = '') => ({
+  status,
+  ok: status >= 200 && status < 300,
+  text: async () => body,
+  json: async () => JSON.parse(body),
+});
+
+const PROFILE_PAGE = '<div class="bio">Home cook, two kids</div>';
+
+describe('ProfileEnricher', () => {
+  let storage;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    storage = fakeStorage();
+    global.fetch = jest.fn(async () => respond(200, PROFILE_PAGE));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    delete global.fetch;
+  });
+
+  // Set up like the Amazon content script: one profile page per reviewer
+  const amazonEnricher = (options = {}) => new ProfileEnricher({
+    platform: 'amazon',
+    storage,
+    parse: (doc) => {
+      const bio = doc.querySelector('.bio')?.textContent;
+      return bio ? { bio } : null;
+    },
+    ...options,
+  });
+
+  describe('rate limiting', () => {
+    it('spaces requests minInterval apart, plus jitter', async () => {
+      Math.random.mockReturnValue(0.5);
+      const enricher = amazonEnricher({ minInterval: 2000, jitter: 500 });
+      ['a', 'b', 'c'].forEach(id => enricher.enrich(id, `/gp/profile/${id}`));
+
+      await jest.advanceTimersByTimeAsync(0);
+      expect(fetch).toHaveBeenCalledTimes(1);
+      await jest.advanceTimersByTimeAsync(2249);
+      expect(fetch).toHaveBeenCalledTimes(1);
+      await jest.advanceTimersByTimeAsync(1);
+      expect(fetch).toHaveBeenCalledTimes(2);
+      await jest.advanceTimersByTimeAsync(2250);
+      expect(fetch.mock.calls.map(([url]) => url)).toEqual(['/gp/profile/a', '/gp/profile/b', '/gp/profile/c']);
+    });
+
+    it('stops fetching at maxRequests per page until cancelled', async () => {
+      const enricher = amazonEnricher({ maxRequests: 2 });
+      const results = Promise.all(['a', 'b', 'c'].map(id => enricher.enrich(id, `/gp/profile/${id}`)));
+      await jest.runAllTimersAsync();
+
+      await expect(results).resolves.toEqual([{ bio: 'Home cook, two kids' }, { bio: 'Home cook, two kids' }, null]);
+      expect(fetch).toHaveBeenCalledTimes(2);
+
+      enricher.cancel();
+      const next = enricher.enrich('c', '/gp/profile/c');
+      await jest.runAllTimersAsync();
+      await expect(next).resolves.toEqual({ bio: 'Home cook, two kids' });
+      expect(fetch).toHaveBeenCalledTimes(3);
+    });
+
+    it('drops requests still queued when the page changes', async () => {
+      const enricher = amazonEnricher();
+      const first = enricher.enrich('a', '/gp/profile/a');
+      const queued = enricher.enrich('b', '/gp/profile/b');
+      await jest.advanceTimersByTimeAsync(0);
+      enricher.cancel();
+      await jest.runAllTimersAsync();
+
+      await expect(first).resolves.toEqual({ bio: 'Home cook, two kids' });
+      await expect(queued).resolves.toBeNull();
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('caching', () => {
+    it('serves cached profiles without a request', async () => {
+      storage = fakeStorage({ profile_amazon_a: { bio: 'Cached' } });
+      const enricher = amazonEnricher();
+
+      await expect(enricher.enrich('a', '/gp/profile/a')).resolves.toEqual({ bio: 'Cached' });
+      await expect(enricher.getCached('a')).resolves.toEqual({ bio: 'Cached' });
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it('caches fetched profiles per platform', async () => {
+      const result = amazonEnricher().enrich('a', '/gp/profile/a');
+      await jest.runAllTimersAsync();
+      await result;
+
+      expect(storage.cacheResult).toHaveBeenCalledWith('profile_amazon_a', { bio: 'Home cook, two kids' });
+      const again = amazonEnricher().enrich('a', '/gp/profile/a');
+      await expect(again).resolves.toEqual({ bio: 'Home cook, two kids' });
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('shares one lookup between repeat reviewers on a page', async () => {
+      const enricher = amazonEnricher();
+      const lookups = [enricher.enrich('a', '/gp/profile/a'), enricher.enrich('a', '/gp/profile/a')];
+      expect(lookups[0]).toBe(lookups[1]);
+      await jest.runAllTimersAsync();
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('remembers profiles read from the page', async () => {
+      const enricher = amazonEnricher({ platform: 'googlemaps' });
+      await enricher.remember('a', { localGuideLevel: 6 });
+      await enricher.remember('b', null);
+
+      expect([...storage.cache.keys()]).toEqual(['profile_googlemaps_a']);
+    });
+  });
+
+  describe('Amazon profile pages', () => {
+    it('fetches same-origin without cookies', async () => {
+      const result = amazonEnricher().enrich('a', '/gp/profile/a');
+      await jest.runAllTimersAsync();
+
+      await expect(result).resolves.toEqual({ bio: 'Home cook, two kids' });
+      expect(fetch).toHaveBeenCalledWith('/gp/profile/a', { credentials: 'omit' });
+    });
+
+    it('refuses other origins and missing links', async () => {
+      const enricher = amazonEnricher();
+      await expect(enricher.enrich('a', 'https://example.com/gp/profile/a')).resolves.toBeNull();
+      await expect(enricher.enrich('b', null)).resolves.toBeNull();
+      await expect(enricher.enrich(null, '/gp/profile/c')).resolves.toBeNull();
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it.each([429, 503])('stops for the page on a %i', async (status) => {
+      fetch.mockResolvedValueOnce(respond(status));
+      const enricher = amazonEnricher();
+      const results = Promise.all(['a', 'b'].map(id => enricher.enrich(id, `/gp/profile/${id}`)));
+      await jest.runAllTimersAsync();
+
+      await expect(results).resolves.toEqual([null, null]);
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(enricher.stopped).toBe(true);
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining(`throttled (${status})`));
+    });
+
+    it('skips a reviewer whose page fails, and carries on', async () => {
+      fetch.mockResolvedValueOnce(respond(404)).mockRejectedValueOnce(new TypeError('Failed to fetch'));
+      const enricher = amazonEnricher();
+      const results = Promise.all(['a', 'b', 'c'].map(id => enricher.enrich(id, `/gp/profile/${id}`)));
+      await jest.runAllTimersAsync();
+
+      await expect(results).resolves.toEqual([null, null, { bio: 'Home cook, two kids' }]);
+      expect(enricher.stopped).toBe(false);
+      expect(console.warn).toHaveBeenCalledWith('[DID] Profile fetch failed:', 'Failed to fetch');
+      expect([...storage.cache.keys()]).toEqual(['profile_amazon_c']);
+    });
+
+    it('does not cache pages without a profile, such as a captcha', async () => {
+      fetch.mockResolvedValueOnce(respond(200, '<form action="/errors/validateCaptcha"></form>'));
+      const enricher = amazonEnricher();
+      const result = enricher.enrich('a', '/gp/profile/a');
+      await jest.runAllTimersAsync();
+
+      await expect(result).resolves.toBeNull();
+      expect(storage.cacheResult).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Reddit account listings', () => {
+    const ABOUT = { data: { name: 'blender_fan', link_karma: 120, comment_karma: 3400 } };
+    const OVERVIEW = { data: { children: [{ data: { subreddit: 'BuyItForLife' } }] } };
+    const urls = (author) => [`/user/${author}/about.json`, `/user/${author}/overview.json`];
+
+    // Set up like the Reddit content script: two JSON listings per account
+    const redditEnricher = (options = {}) => new ProfileEnricher({
+      platform: 'reddit',
+      storage,
+      format: 'json',
+      parse: jest.fn((about, overview) => (about?.data?.name
+        ? { displayName: about.data.name, subreddits: overview.data.children.map(c => c.data.subreddit) }
+        : null)),
+      minInterval: 6000,
+      maxRequests: 60,
+      ...options,
+    });
+
+    beforeEach(() => {
+      fetch.mockImplementation(async (url) => respond(200, JSON.stringify(url.includes('about') ? ABOUT : OVERVIEW)));
+    });
+
+    it('parses both listings of an account together', async () => {
+      const enricher = redditEnricher();
+      const result = enricher.enrich('blender_fan', urls('blender_fan'));
+      await jest.advanceTimersByTimeAsync(0);
+      expect(fetch).toHaveBeenCalledTimes(1);
+      await jest.advanceTimersByTimeAsync(6000);
+
+      await expect(result).resolves.toEqual({ displayName: 'blender_fan', subreddits: ['BuyItForLife'] });
+      expect(enricher.parse).toHaveBeenCalledWith(ABOUT, OVERVIEW);
+      expect([...storage.cache.keys()]).toEqual(['profile_reddit_blender_fan']);
+    });
+
+    it('counts both listings against the budget', async () => {
+      const enricher = redditEnricher({ maxRequests: 3 });
+      const results = Promise.all(['a', 'b'].map(author => enricher.enrich(author, urls(author))));
+      await jest.runAllTimersAsync();
+
+      await expect(results).resolves.toEqual([expect.any(Object), null]);
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('stops for the page when throttled between the two listings', async () => {
+      fetch.mockResolvedValueOnce(respond(200, JSON.stringify(ABOUT))).mockResolvedValueOnce(respond(429));
+      const enricher = redditEnricher();
+      const results = Promise.all(['a', 'b'].map(author => enricher.enrich(author, urls(author))));
+      await jest.runAllTimersAsync();
+
+      await expect(results).resolves.toEqual([null, null]);
+      expect(fetch).toHaveBeenCalledTimes(2);
+      expect(enricher.parse).not.toHaveBeenCalled();
+      expect(storage.cacheResult).not.toHaveBeenCalled();
+    });
+
+    it('gives up on an account that is gone without fetching its overview', async () => {
+      fetch.mockResolvedValueOnce(respond(404));
+      const enricher = redditEnricher();
+      const results = Promise.all(['deleted', 'b'].map(author => enricher.enrich(author, urls(author))));
+      await jest.runAllTimersAsync();
+
+      await expect(results).resolves.toEqual([null, expect.any(Object)]);
+      expect(fetch.mock.calls.map(([url]) => url)).toEqual(['/user/deleted/about.json', ...urls('b')]);
+    });
+
+    it('skips an account whose listing is not JSON', async () => {
+      fetch.mockResolvedValueOnce(respond(200, '<html>Whoa there, pardner!</html>'));
+      const enricher = redditEnricher();
+      const result = enricher.enrich('a', urls('a'));
+      await jest.runAllTimersAsync();
+
+      await expect(result).resolves.toBeNull();
+      expect(enricher.stopped).toBe(false);
+      expect(console.warn).toHaveBeenCalledWith('[DID] Profile fetch failed:', expect.any(String));
+    });
+  });
+});
@@ -9,6 +9,10 @@
  * Cache strategy:
  * - Results cached for 24 hours per product
  * - Auto-cleanup of entries older than 7 days
+ *
+ * Reviewer index: reviewers seen across products (ratings and trust
+ * scores per product), capped in size and pruned after 90 days. Written
+ * only through the background service worker so tabs do not race.
  */
 
 export class StorageManager {
@@ -16,6 +20,9 @@ export class StorageManager {
     this.CACHE_TTL = 24 * 60 * 60 * 1000;    // 24 hours
     this.CACHE_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // 7 days
     this.DAILY_FREE_LIMIT = 50;
+    this.REVIEWER_INDEX_MAX = 5000;          // Reviewers kept
+    this.REVIEWER_PRODUCTS_MAX = 50;         // Products kept per reviewer
+    this.REVIEWER_MAX_AGE = 90 * 24 * 60 * 60 * 1000; // 90 days
   }
 
   // ============================================================
@@ -62,6 +69,11 @@ export class StorageManager {
         universal: false, // Universal scanner off by default
       },
       sensitivity: 'balanced', // 'conservative', 'balanced', 'aggressive'
+      combination: 'weighted', // 'weighted', 'logOdds'
+      countIncentivized: true, // Incentivized (Vine / free product) reviews lower the product score
+      highlightEvidence: true, // Highlight the phrases behind text signals inside reviews
+      enrichProfiles: false, // Fetch public reviewer profiles for account signals (opt-in)
+      rememberReviewers: true, // Keep a local index of reviewers seen across products
       showBadges: true,
       showTooltips: true,
       deepScanEnabled: false,
@@ -80,6 +92,17 @@ export class StorageManager {
     return merged;
   }
 
+  /**
+   * Call back with the full settings (defaults applied) whenever they change,
+   * e.g. when the user saves the options page
+   */
+  onSettingsChanged(callback) {
+    chrome.storage.onChanged.addListener(async (changes, areaName) => {
+      if (areaName !== 'local' || !changes.settings) return;
+      callback(await this.getSettings());
+    });
+  }
+
   // ============================================================
   // USAGE TRACKING (Free Tier)
   // ============================================================
@@ -147,6 +170,104 @@ export class StorageManager {
     };
   }
 
+  // ============================================================
+  // REVIEWER REPUTATION INDEX
+  // ============================================================
+
+  /**
+   * Record the reviewers of one product page
+   * @param {string} platform - 'amazon', ...
+   * @param {Object} product - { id, title }
+   * @param {Object[]} reviewers - [{ key, name, rating, score, level }]
+   */
+  async recordReviewers(platform, product, reviewers) {
+    const index = await this.getReviewerIndex();
+    const now = Date.now();
+
+    for (const reviewer of reviewers) {
+      if (!reviewer.key) continue;
+      const id = `${platform}:${reviewer.key}`;
+      const entry = index[id] || { platform, name: reviewer.name || null, firstSeen: now, products: {} };
+
+      entry.name = reviewer.name || entry.name;
+      entry.lastSeen = now;
+      entry.products[product.id] = {
+        title: product.title || null,
+        rating: reviewer.rating ?? null,
+        score: reviewer.score ?? null,
+        level: reviewer.level || null,
+        seenAt: now,
+      };
+
+      // Keep the most recently seen products
+      const products = Object.entries(entry.products);
+      if (products.length > this.REVIEWER_PRODUCTS_MAX) {
+        products.sort(([, a], [, b]) => b.seenAt - a.seenAt);
+        entry.products = Object.fromEntries(products.slice(0, this.REVIEWER_PRODUCTS_MAX));
+      }
+      index[id] = entry;
+    }
+
+    // Evict the reviewers not seen for longest
+    const ids = Object.keys(index);
+    if (ids.length > this.REVIEWER_INDEX_MAX) {
+      ids.sort((a, b) => index[a].lastSeen - index[b].lastSeen);
+      for (const id of ids.slice(0, ids.length - this.REVIEWER_INDEX_MAX)) delete index[id];
+    }
+
+    await chrome.storage.local.set({ reviewerIndex: index });
+    return Object.keys(index).length;
+  }
+
+  /**
+   * Products each reviewer was seen on
+   * @returns {Object} { key: [{ product, title, rating, score, level, seenAt }] }
+   *   for the keys that are in the index
+   */
+  async getReviewerHistory(platform, keys) {
+    const index = await this.getReviewerIndex();
+    const history = {};
+    for (const key of keys) {
+      const entry = key && index[`${platform}:${key}`];
+      if (!entry) continue;
+      history[key] = Object.entries(entry.products)
+        .map(([product, seen]) => ({ product, ...seen }));
+    }
+    return history;
+  }
+
+  async getReviewerIndex() {
+    const data = await chrome.storage.local.get('reviewerIndex');
+    return data.reviewerIndex || {};
+  }
+
+  async clearReviewerIndex() {
+    await chrome.storage.local.remove('reviewerIndex');
+  }
+
+  /**
+   * Drop products (and then reviewers) not seen for REVIEWER_MAX_AGE
+   * @returns {number} Reviewers removed
+   */
+  async pruneReviewerIndex() {
+    const index = await this.getReviewerIndex();
+    const cutoff = Date.now() - this.REVIEWER_MAX_AGE;
+    let removed = 0;
+
+    for (const [id, entry] of Object.entries(index)) {
+      entry.products = Object.fromEntries(
+        Object.entries(entry.products).filter(([, seen]) => seen.seenAt >= cutoff)
+      );
+      if (Object.keys(entry.products).length === 0) {
+        delete index[id];
+        removed++;
+      }
+    }
+
+    await chrome.storage.local.set({ reviewerIndex: index });
+    return removed;
+  }
+
   // ============================================================
   // CACHE CLEANUP
   // ============================================================
@@ -0,0 +1,112 @@
+/**
+ * Language Model Build Script
+ *
+ * Run with: npm run build:lm -- <corpus.txt|corpus.json> [options]
+ *
+ * Trains the character n-gram model TextAnalyzer uses for perplexity and
+ * burstiness, and writes it as a JSON asset that is bundled with the
+ * extension. Train it on human-written reviews only, from a corpus kept
+ * apart from the one calibrate.mjs evaluates on.
+ *
+ * Corpus format:
+ *   .txt  - one document per paragraph (separated by a blank line)
+ *   .json - array of strings, or of objects with `text`; rows with a
+ *           `label` are only used when it marks them authentic
+ *
+ * Options:
+ *   --language en                         language pack the model belongs to
+ *   --order 4                             characters per n-gram
+ *   --min-count 2                         drop rarer n-grams to keep the file small
+ *   --out src/analysis/models/ngram-en.json
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { trainLanguageModel } from '../src/analysis/LanguageModel.js';
+
+const AUTHENTIC_LABELS = ['authentic', '0', 'false', 'real', 'genuine'];
+
+// Evaluated by tests/calibrate.mjs, so never trained on
+const CALIBRATION_FIXTURE = 'tests/fixtures/reviews.sample.json';
+
+// ============================================================
+// ARGUMENTS
+// ============================================================
+
+function parseArgs(argv) {
+  const args = { corpus: null, language: 'en', order: 4, minCount: 1, out: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--language') args.language = argv[++i];
+    else if (arg === '--order') args.order = parseInt(argv[++i], 10);
+    else if (arg === '--min-count') args.minCount = parseInt(argv[++i], 10);
+    else if (arg === '--out') args.out = argv[++i];
+    else if (!arg.startsWith('--')) args.corpus = arg;
+    else throw new Error(`Unknown option: ${arg}`);
+  }
+
+  if (!args.corpus) {
+    throw new Error('Usage: npm run build:lm -- <corpus.txt|corpus.json> [--language en] [--order 4] [--out file]');
+  }
+  args.out = args.out || `src/analysis/models/ngram-${args.language}.json`;
+  return args;
+}
+
+// ============================================================
+// CORPUS LOADING
+// ============================================================
+
+function loadDocuments(file) {
+  const raw = fs.readFileSync(file, 'utf8');
+
+  if (!file.toLowerCase().endsWith('.json')) {
+    return raw.split(/\n\s*\n/).map(d => d.trim()).filter(Boolean);
+  }
+
+  return JSON.parse(raw)
+    .filter(row => typeof row === 'string'
+      || row.label === undefined
+      || AUTHENTIC_LABELS.includes(String(row.label).trim().toLowerCase()))
+    .map(row => (typeof row === 'string' ? row : row.text))
+    .filter(Boolean);
+}
+
+// ============================================================
+// MAIN
+// ============================================================
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (path.resolve(args.corpus) === path.resolve(CALIBRATION_FIXTURE)) {
+    throw new Error(`${args.corpus} is the calibration corpus; train on separate human reviews so calibration is not scored on training data`);
+  }
+  const documents = loadDocuments(args.corpus);
+  if (documents.length < 2) {
+    throw new Error(`Need at least 2 documents, found ${documents.length} in ${args.corpus}`);
+  }
+
+  const model = trainLanguageModel(documents, {
+    language: args.language,
+    order: args.order,
+    minCount: args.minCount,
+  });
+  model.source = path.basename(args.corpus);
+
+  fs.mkdirSync(path.dirname(args.out), { recursive: true });
+  fs.writeFileSync(args.out, JSON.stringify(model) + '\n');
+
+  const { crossEntropy, burstiness } = model.reference;
+  console.log(`Trained order-${model.order} model on ${model.documents} documents (${model.trainingChars} chars)`);
+  console.log(`  n-grams kept:      ${Object.keys(model.counts).length}`);
+  if (crossEntropy) console.log(`  held-out entropy:  ${crossEntropy.mean.toFixed(3)} ± ${crossEntropy.std.toFixed(3)} bits/char`);
+  if (burstiness) console.log(`  held-out burstiness: ${burstiness.mean.toFixed(3)} ± ${burstiness.std.toFixed(3)}`);
+  console.log(`Wrote ${args.out}`);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`Model build failed: ${error.message}`);
+  process.exit(1);
+}
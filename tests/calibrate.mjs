@@ -0,0 +1,195 @@
+/**
+ * Weight Calibration Script
+ *
+ * Run with: npm run calibrate -- <corpus.json|corpus.csv> [options]
+ *
+ * Loads a labeled review corpus, runs it through the real AnalysisPipeline
+ * and TrustScorer, fits the weight of every signal in signalRegistry, the
+ * category weights and the decision threshold, and writes a versioned
+ * weights file that TrustScorer loads at construction. The fitting itself
+ * lives in tests/calibration.js.
+ *
+ * Corpus format (JSON array or CSV with a header row):
+ *   text      - review text (required)
+ *   label     - 'fake' / 'authentic' (or 1 / 0, true / false) (required)
+ *   product   - optional product id; reviews sharing one are analyzed as
+ *               a batch so behavioral signals are fitted too
+ *   rating, reviewDate, displayName, verifiedPurchase, helpfulVotes,
+ *   totalReviews, accountCreated - optional reviewer profile fields
+ *
+ * Options:
+ *   --metric f1|f1AtPrecision|accuracy   objective to maximize (default f1)
+ *   --precision 0.9                      minimum precision for f1AtPrecision
+ *   --holdout 0.2                        share of rows held out for evaluation (per label, at least one)
+ *   --out src/analysis/weights.json      where to write the weights file
+ *   --dry-run                            report results without writing
+ */
+
+import fs from 'fs';
+import path from 'path';
+import {
+  extractSignals, fit, split, confusion, f1Of, precisionOf, recallOf, scoreAll, METRICS, BASE_BOUNDARY,
+} from './calibration.js';
+
+const DEFAULT_OUT = 'src/analysis/weights.json';
+
+// ============================================================
+// ARGUMENTS
+// ============================================================
+
+function parseArgs(argv) {
+  const args = {
+    corpus: null,
+    metric: 'f1',
+    precision: 0.9,
+    holdout: 0.2,
+    out: DEFAULT_OUT,
+    dryRun: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--metric') args.metric = argv[++i];
+    else if (arg === '--precision') args.precision = parseFloat(argv[++i]);
+    else if (arg === '--holdout') args.holdout = parseFloat(argv[++i]);
+    else if (arg === '--out') args.out = argv[++i];
+    else if (arg === '--dry-run') args.dryRun = true;
+    else if (!arg.startsWith('--')) args.corpus = arg;
+    else throw new Error(`Unknown option: ${arg}`);
+  }
+
+  if (!args.corpus) {
+    throw new Error('Usage: npm run calibrate -- <corpus.json|corpus.csv> [--metric f1] [--out file]');
+  }
+  if (!METRICS[args.metric]) {
+    throw new Error(`Unknown metric "${args.metric}" (expected ${Object.keys(METRICS).join(', ')})`);
+  }
+  return args;
+}
+
+// ============================================================
+// CORPUS LOADING
+// ============================================================
+
+function loadCorpus(file) {
+  const raw = fs.readFileSync(file, 'utf8');
+  const rows = file.toLowerCase().endsWith('.csv') ? parseCSV(raw) : JSON.parse(raw);
+
+  return rows
+    .map(row => ({ ...row, fake: parseLabel(row.label) }))
+    .filter(row => row.text && row.fake !== null);
+}
+
+function parseLabel(label) {
+  const value = String(label ?? '').trim().toLowerCase();
+  if (['fake', '1', 'true', 'inauthentic'].includes(value)) return true;
+  if (['authentic', '0', 'false', 'real', 'genuine'].includes(value)) return false;
+  return null;
+}
+
+/**
+ * Minimal RFC 4180 parser: quoted fields, escaped quotes, newlines in quotes
+ */
+function parseCSV(raw) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < raw.length; i++) {
+    const char = raw[i];
+    if (inQuotes) {
+      if (char === '"' && raw[i + 1] === '"') { field += '"'; i++; }
+      else if (char === '"') inQuotes = false;
+      else field += char;
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field); field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && raw[i + 1] === '\n') i++;
+      record.push(field); field = '';
+      if (record.some(f => f !== '')) records.push(record);
+      record = [];
+    } else {
+      field += char;
+    }
+  }
+  record.push(field);
+  if (record.some(f => f !== '')) records.push(record);
+
+  const [header, ...body] = records;
+  return body.map(values => Object.fromEntries(header.map((key, i) => [key.trim(), values[i]])));
+}
+
+// ============================================================
+// MAIN
+// ============================================================
+
+function report(label, signals, labels, calibration, boundary) {
+  const c = confusion(scoreAll(signals, calibration), labels, boundary);
+  console.log(`${label.padEnd(10)} precision ${precisionOf(c).toFixed(3)} · recall ${recallOf(c).toFixed(3)} · F1 ${f1Of(c).toFixed(3)} (n=${labels.length})`);
+  return { precision: precisionOf(c), recall: recallOf(c), f1: f1Of(c), n: labels.length };
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const rows = loadCorpus(args.corpus);
+  if (rows.length < 10) throw new Error(`Corpus has only ${rows.length} usable rows`);
+
+  console.log('='.repeat(70));
+  console.log('DEAD INTERNET DETECTOR — WEIGHT CALIBRATION');
+  console.log('='.repeat(70));
+  console.log(`Corpus: ${args.corpus} (${rows.length} rows, ${rows.filter(r => r.fake).length} fake)`);
+  console.log(`Metric: ${args.metric}${args.metric === 'f1AtPrecision' ? ` (precision ≥ ${args.precision})` : ''}\n`);
+
+  const signals = extractSignals(rows);
+  const labels = rows.map(r => r.fake);
+
+  const { train, test } = split(rows, args.holdout);
+  const pick = (list, idx) => idx.map(i => list[i]);
+
+  const { calibration, initial, best } = fit(pick(signals, train), pick(labels, train), args, console.log);
+
+  console.log(`\nDefault weights: ${args.metric} = ${initial.value.toFixed(4)} at boundary ${initial.boundary}`);
+  console.log(`Fitted weights:  ${args.metric} = ${best.value.toFixed(4)} at boundary ${best.boundary}\n`);
+
+  const trainMetrics = report('Train', pick(signals, train), pick(labels, train), calibration, best.boundary);
+  const testMetrics = report('Holdout', pick(signals, test), pick(labels, test), calibration, best.boundary);
+
+  let previousVersion = 0;
+  if (fs.existsSync(args.out)) {
+    previousVersion = JSON.parse(fs.readFileSync(args.out, 'utf8')).version || 0;
+  }
+
+  const output = {
+    schema: 1,
+    version: previousVersion + 1,
+    generatedAt: new Date().toISOString(),
+    source: `tests/calibrate.mjs on ${path.basename(args.corpus)} (${rows.length} rows)`,
+    metric: {
+      name: args.metric,
+      ...(args.metric === 'f1AtPrecision' ? { precision: args.precision } : {}),
+      train: trainMetrics,
+      holdout: testMetrics,
+    },
+    weights: calibration.weights,
+    categoryWeights: calibration.categoryWeights,
+    thresholdOffset: Math.round((best.boundary - BASE_BOUNDARY) * 100) / 100,
+  };
+
+  if (args.dryRun) {
+    console.log('\nDry run — weights file not written');
+    return;
+  }
+
+  fs.writeFileSync(args.out, JSON.stringify(output, null, 2) + '\n');
+  console.log(`\nWrote ${args.out} (version ${output.version})`);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`Calibration failed: ${error.message}`);
+  process.exit(1);
+}
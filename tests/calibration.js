@@ -0,0 +1,285 @@
+/**
+ * Calibration - Signal extraction and weight fitting for tests/calibrate.mjs
+ *
+ * Kept apart from the command-line script so the fitting can be tested.
+ *
+ * Signals come from the same AnalysisPipeline the extension runs, and are
+ * collected by walking signalRegistry: every registered signal an analyzer
+ * produced for a row is fitted, including detectors registered with an
+ * analyze function. Per-page signals need rows that share a `product`.
+ *
+ * "Positive" below always means "flagged as fake": a review is flagged when
+ * its score falls below the MODERATE_TRUST threshold.
+ */
+
+import { AnalysisPipeline } from '../src/analysis/AnalysisPipeline.js';
+import { ReviewerProfile } from '../src/analysis/AccountAnalyzer.js';
+import { signalRegistry as defaultRegistry, mergeSignals } from '../src/analysis/SignalRegistry.js';
+import { TrustScorer, SCORING_PROFILES, DEFAULT_PROFILE } from '../src/analysis/TrustScorer.js';
+
+export const BASE_BOUNDARY = SCORING_PROFILES[DEFAULT_PROFILE].thresholds.MODERATE_TRUST;
+const WEIGHT_FACTORS = [0, 0.5, 0.75, 1.25, 1.5, 2];
+const MAX_PASSES = 6;
+
+// ============================================================
+// SIGNAL EXTRACTION (runs once — only the scoring is re-run)
+// ============================================================
+
+/**
+ * A corpus row in the shape the content scripts scrape
+ */
+export function rowToReview(row) {
+  const rating = row.rating !== undefined && row.rating !== '' ? Number(row.rating) : null;
+  // Left undefined when the corpus does not say, like a platform without the label
+  const verifiedPurchase = row.verifiedPurchase === undefined
+    ? undefined
+    : row.verifiedPurchase === true || row.verifiedPurchase === 'true';
+
+  return {
+    text: row.text,
+    title: row.title || '',
+    rating,
+    date: row.reviewDate || null,
+    verifiedPurchase,
+    profile: new ReviewerProfile({
+      displayName: row.displayName,
+      verifiedPurchase: verifiedPurchase === true,
+      helpfulVotes: row.helpfulVotes !== undefined ? Number(row.helpfulVotes) : undefined,
+      totalReviews: row.totalReviews !== undefined ? Number(row.totalReviews) : undefined,
+      accountCreated: row.accountCreated,
+      reviewDate: row.reviewDate,
+      ratings: rating !== null ? [rating] : [],
+    }),
+  };
+}
+
+/**
+ * Signals of every row, as { category: { signal: result } }
+ * @param {Object[]} rows - Corpus rows (see tests/calibrate.mjs)
+ * @param {Object} [options]
+ * @param {SignalRegistry} [options.registry] - Signals to collect
+ * @param {AnalysisPipeline} [options.pipeline]
+ */
+export function extractSignals(rows, { registry = defaultRegistry, pipeline = new AnalysisPipeline() } = {}) {
+  const reviews = rows.map(rowToReview);
+  const items = reviews.map(review => pipeline.analyzeItem(review, null));
+
+  const signals = reviews.map((review, i) => mergeSignals(
+    collect(registry, 'item', items[i]),
+    registry.runItem(review)
+  ));
+
+  // Per-page signals need the other reviews of the same product
+  const byProduct = new Map();
+  rows.forEach((row, i) => {
+    if (!row.product) return;
+    if (!byProduct.has(row.product)) byProduct.set(row.product, []);
+    byProduct.get(row.product).push(i);
+  });
+
+  for (const indices of byProduct.values()) {
+    const group = indices.map(i => reviews[i]);
+    const batch = pipeline.analyzeBatch(group, indices.map(i => items[i]));
+    const pageSignals = mergeSignals(collect(registry, 'batch', batch), registry.runBatch(group));
+    for (const i of indices) mergeSignals(signals[i], pageSignals);
+  }
+
+  return signals;
+}
+
+/**
+ * Pick the registered signals of one mode out of an analysis result
+ */
+function collect(registry, mode, result) {
+  const signals = {};
+  for (const analyzer of registry.analyzers) {
+    if (analyzer.mode !== mode) continue;
+    for (const name of analyzer.signals) {
+      const value = findSignal(result, analyzer.category, name);
+      if (value === null || value === undefined) continue;
+      signals[analyzer.category] = signals[analyzer.category] || {};
+      signals[analyzer.category][name] = value;
+    }
+  }
+  return signals;
+}
+
+/**
+ * Analyzer results put a signal under its category (item.text.aiDetection),
+ * at the top level (batch.timingCluster) or in a group
+ * (batch.verifiedPurchase.unverifiedFiveStar)
+ */
+function findSignal(result, category, name) {
+  if (!result) return undefined;
+  if (result[category]?.[name] !== undefined) return result[category][name];
+  if (result[name] !== undefined) return result[name];
+  for (const group of Object.values(result)) {
+    if (group && typeof group === 'object' && group[name] !== undefined) return group[name];
+  }
+  return undefined;
+}
+
+// ============================================================
+// METRICS
+// ============================================================
+
+export function confusion(scores, labels, boundary) {
+  let tp = 0, fp = 0, fn = 0, tn = 0;
+  for (let i = 0; i < scores.length; i++) {
+    const flagged = scores[i] !== null && scores[i] < boundary;
+    if (flagged && labels[i]) tp++;
+    else if (flagged) fp++;
+    else if (labels[i]) fn++;
+    else tn++;
+  }
+  return { tp, fp, fn, tn };
+}
+
+export function f1Of({ tp, fp, fn }) {
+  return tp === 0 ? 0 : (2 * tp) / (2 * tp + fp + fn);
+}
+
+export function precisionOf({ tp, fp }) {
+  return tp + fp === 0 ? 1 : tp / (tp + fp);
+}
+
+export function recallOf({ tp, fn }) {
+  return tp + fn === 0 ? 0 : tp / (tp + fn);
+}
+
+export const METRICS = {
+  f1: (c) => f1Of(c),
+  accuracy: (c) => (c.tp + c.tn) / (c.tp + c.tn + c.fp + c.fn),
+  // F1 among boundaries that keep precision at or above the target
+  f1AtPrecision: (c, args) => (precisionOf(c) >= args.precision ? f1Of(c) : 0),
+};
+
+/**
+ * Find the decision boundary that maximizes the metric for these scores
+ */
+export function bestBoundary(scores, labels, args) {
+  let best = { value: -1, boundary: BASE_BOUNDARY };
+  for (let boundary = 0.05; boundary <= 0.95 + 1e-9; boundary += 0.01) {
+    const value = METRICS[args.metric](confusion(scores, labels, boundary), args);
+    // Prefer the boundary closest to the default on ties
+    if (value > best.value + 1e-9 ||
+        (Math.abs(value - best.value) <= 1e-9 &&
+         Math.abs(boundary - BASE_BOUNDARY) < Math.abs(best.boundary - BASE_BOUNDARY))) {
+      best = { value, boundary: Math.round(boundary * 100) / 100 };
+    }
+  }
+  return best;
+}
+
+// ============================================================
+// FITTING
+// ============================================================
+
+export function scoreAll(signals, calibration) {
+  // Score ranges aren't needed for fitting and would dominate the run time
+  const scorer = new TrustScorer({ profile: DEFAULT_PROFILE, calibration, bootstrapSamples: 0 });
+  return signals.map(s => scorer.computeScore(s).score);
+}
+
+function evaluate(signals, labels, calibration, args) {
+  return bestBoundary(scoreAll(signals, calibration), labels, args);
+}
+
+/**
+ * Coordinate ascent: scale one weight at a time, keep any change that
+ * improves the metric, repeat until a full pass changes nothing
+ * @param {Object[]} signals - extractSignals() output
+ * @param {boolean[]} labels - true for fake
+ * @param {Object} args - { metric, precision }
+ * @returns {Object} { calibration: { weights, categoryWeights }, initial, best }
+ */
+export function fit(signals, labels, args, log = () => {}) {
+  const defaults = new TrustScorer({ calibration: {}, bootstrapSamples: 0 });
+  const calibration = {
+    weights: JSON.parse(JSON.stringify(defaults.weights)),
+    categoryWeights: { ...defaults.categoryWeights },
+  };
+
+  const parameters = [
+    ...Object.keys(calibration.categoryWeights).map(category =>
+      ({ table: calibration.categoryWeights, key: category })),
+    ...Object.entries(calibration.weights).flatMap(([, table]) =>
+      Object.keys(table).map(key => ({ table, key }))),
+  ];
+
+  let best = evaluate(signals, labels, calibration, args);
+  const initial = best;
+
+  for (let pass = 0; pass < MAX_PASSES; pass++) {
+    let improved = false;
+
+    for (const { table, key } of parameters) {
+      const original = table[key];
+      let bestValue = original;
+
+      for (const factor of WEIGHT_FACTORS) {
+        table[key] = factor === 0 ? 0 : Math.max(0.01, original * factor);
+        const result = evaluate(signals, labels, calibration, args);
+        if (result.value > best.value + 1e-9) {
+          best = result;
+          bestValue = table[key];
+          improved = true;
+        }
+      }
+      table[key] = bestValue;
+    }
+
+    log(`Pass ${pass + 1}: ${args.metric} = ${best.value.toFixed(4)} at boundary ${best.boundary}`);
+    if (!improved) break;
+  }
+
+  return { calibration: normalize(calibration), initial, best };
+}
+
+/**
+ * Rescale so weights sum to 1 within each category, as TrustScorer expects
+ */
+function normalize(calibration) {
+  const round = (n) => Math.round(n * 1000) / 1000;
+  const scaled = (table) => {
+    const sum = Object.values(table).reduce((a, b) => a + b, 0);
+    return Object.fromEntries(Object.entries(table).map(([k, v]) => [k, sum > 0 ? round(v / sum) : 0]));
+  };
+
+  return {
+    weights: Object.fromEntries(Object.entries(calibration.weights).map(([c, t]) => [c, scaled(t)])),
+    categoryWeights: scaled(calibration.categoryWeights),
+  };
+}
+
+/**
+ * Deterministic split so reruns on the same corpus hold out the same rows.
+ * Stratified by label, with at least one row of each label held out, so
+ * the holdout metrics always mean something.
+ */
+export function split(rows, holdout) {
+  if (!(holdout > 0 && holdout < 1)) throw new Error(`--holdout must be between 0 and 1 (got ${holdout})`);
+
+  const hashOf = (text) => {
+    let hash = 0;
+    for (const char of text) hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+    return hash;
+  };
+
+  const train = [], test = [];
+  for (const fake of [true, false]) {
+    const group = rows
+      .map((row, i) => ({ i, fake: row.fake, hash: hashOf(row.text) }))
+      .filter(row => row.fake === fake)
+      .sort((a, b) => a.hash - b.hash || a.i - b.i);
+    if (group.length < 2) {
+      throw new Error(`Need at least 2 ${fake ? 'fake' : 'authentic'} rows to train and hold out (got ${group.length})`);
+    }
+
+    const held = Math.min(group.length - 1, Math.max(1, Math.round(group.length * holdout)));
+    group.forEach((row, rank) => (rank < held ? test : train).push(row.i));
+  }
+  train.sort((a, b) => a - b);
+  test.sort((a, b) => a - b);
+  return { train, test };
+}
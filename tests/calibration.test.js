@@ -0,0 +1,110 @@
+import { extractSignals, fit, split, bestBoundary, scoreAll } from './calibration.js';
+import { SignalRegistry, signalRegistry } from '../src/analysis/SignalRegistry.js';
+import corpus from './fixtures/reviews.sample.json' with { type: 'json' };
+
+const LAMP_REVIEWS = [
+  'Sturdy lamp, the switch clicks well and the shade is easy to clean.',
+  'Amazing product! Highly recommend this product, worth every penny.',
+  'Bought two of these for the guest room and both arrived with bent shades.',
+  'Light is warm and even, though the base wobbles a little on carpet.',
+  'The cord is long enough to reach the outlet behind my bed.',
+];
+
+const sum = (table) => Object.values(table).reduce((total, w) => total + w, 0);
+
+describe('extractSignals', () => {
+  it('collects every registered signal the analyzers produced', () => {
+    const rows = [
+      ...LAMP_REVIEWS.map((text, i) => ({
+        text,
+        product: 'lamp',
+        rating: 5 - (i % 3),
+        verifiedPurchase: i % 2 === 0 ? true : 'false',
+        reviewDate: `2024-03-0${i + 1}`,
+      })),
+      { text: 'Dim bulb and the cord is short, but it works fine on my nightstand.', rating: 3 },
+    ];
+    const signals = extractSignals(rows);
+
+    expect(signals[0].text.aiDetection).toBeDefined();
+    expect(signals[0].behavioral.verifiedPurchase.score).toBe(0.7);
+    expect(signals[1].behavioral.verifiedPurchase.score).toBe(0.45);
+    // Page-level signals only for rows that share a product
+    expect(signals[0].behavioral.timingCluster).toBeDefined();
+    expect(signals[0].behavioral.coordinatedLanguage).toBeDefined();
+    expect(signals[5].behavioral?.coordinatedLanguage).toBeUndefined();
+    // A corpus that does not say is treated like a platform without the label
+    expect(signals[5].behavioral?.verifiedPurchase).toBeUndefined();
+
+    for (const row of signals) {
+      for (const [category, group] of Object.entries(row)) {
+        for (const name of Object.keys(group)) {
+          expect(signalRegistry.signals[name].category).toBe(category);
+        }
+      }
+    }
+  });
+
+  it('runs detectors registered with an analyze function', () => {
+    const registry = new SignalRegistry()
+      .registerCategory('text', { weight: 1 })
+      .register({ id: 'textAnalyzer', category: 'text', signals: { aiDetection: { weight: 1 } } })
+      .register({
+        id: 'shouting',
+        category: 'text',
+        signals: { shouting: { weight: 1 } },
+        analyze: (review) => ({ shouting: review.text === review.text.toUpperCase() ? 0.2 : 0.8 }),
+      });
+
+    const [quiet, loud] = extractSignals([
+      { text: LAMP_REVIEWS[0] },
+      { text: LAMP_REVIEWS[1].toUpperCase() },
+    ], { registry });
+    expect(Object.keys(quiet.text).sort()).toEqual(['aiDetection', 'shouting']);
+    expect(quiet.text.shouting).toBe(0.8);
+    expect(loud.text.shouting).toBe(0.2);
+  });
+});
+
+describe('fit', () => {
+  // aiDetection tells the labels apart; templateMatching points the wrong way
+  const labels = Array.from({ length: 12 }, (_, i) => i % 2 === 0);
+  const signals = labels.map(fake => ({
+    text: {
+      aiDetection: fake ? 0.2 : 0.8,
+      templateMatching: fake ? 0.9 : 0.1,
+      repetitionPattern: 0.5,
+    },
+  }));
+  const args = { metric: 'f1' };
+
+  it('moves weight onto the signal that separates the labels', () => {
+    const { calibration, initial, best } = fit(signals, labels, args);
+
+    expect(initial.value).toBeLessThan(1);
+    expect(best.value).toBe(1);
+    expect(calibration.weights.text.aiDetection).toBeGreaterThan(calibration.weights.text.templateMatching);
+    for (const table of Object.values(calibration.weights)) {
+      if (sum(table) > 0) expect(sum(table)).toBeCloseTo(1, 2);
+    }
+
+    const scores = scoreAll(signals, calibration);
+    expect(bestBoundary(scores, labels, args).value).toBe(1);
+  });
+
+  it('finds nothing to improve where the default weights already separate the fixture', () => {
+    const { initial, best } = fit(extractSignals(corpus), corpus.map(row => row.label === 'fake'), args);
+    expect(best.value).toBe(initial.value);
+  });
+});
+
+describe('split', () => {
+  it('holds out at least one row of each label, the same rows every run', () => {
+    const rows = corpus.map(row => ({ ...row, fake: row.label === 'fake' }));
+    const first = split(rows, 0.2);
+    expect(split(rows, 0.2)).toEqual(first);
+    expect(first.train.length + first.test.length).toBe(rows.length);
+    expect(first.test.some(i => rows[i].fake)).toBe(true);
+    expect(first.test.some(i => !rows[i].fake)).toBe(true);
+  });
+});
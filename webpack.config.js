@@ -10,6 +10,8 @@ module.exports = {
     'content/googlemaps': './src/content/googlemaps.js',
     'content/universal': './src/content/universal.js',
     'popup/popup': './src/popup/popup.js',
+    'offscreen/offscreen': './src/offscreen/offscreen.js',
+    'offscreen/analysis-worker': './src/offscreen/analysis-worker.js',
   },
   output: {
     path: path.resolve(__dirname, 'dist'),
@@ -30,6 +32,7 @@ module.exports = {
         { from: 'public', to: '.' },
         { from: 'src/popup/popup.html', to: 'popup/popup.html' },
         { from: 'src/popup/options.html', to: 'popup/options.html' },
+        { from: 'src/offscreen/offscreen.html', to: 'offscreen/offscreen.html' },
         { from: 'src/content/overlay.css', to: 'content/overlay.css' },
         { from: 'src/assets', to: 'assets' },
       ],